@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+
+/**
+ * Manage Dashboard Users
+ * Add users or reset passwords from the server machine - e.g. when the only admin is locked out
+ *
+ *   node scripts/database/manage-users.js list
+ *   node scripts/database/manage-users.js add <username> <viewer|operator|admin>
+ *   node scripts/database/manage-users.js passwd <username>
+ *
+ * The password is read from the NWCP_PASSWORD environment variable or prompted for
+ */
+
+const readline = require('readline');
+const { getConfigDatabase } = require('../../src/server/configDatabase');
+const AuthService = require('../../src/services/authService');
+
+function askPassword() {
+  if (process.env.NWCP_PASSWORD) {
+    return Promise.resolve(process.env.NWCP_PASSWORD);
+  }
+
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise(resolve => {
+    rl.question('Password: ', (answer) => {
+      rl.close();
+      resolve(answer);
+    });
+  });
+}
+
+async function main() {
+  const [command, username, role] = process.argv.slice(2);
+  const configDatabase = getConfigDatabase();
+  const authService = new AuthService(configDatabase);
+
+  try {
+    switch (command) {
+      case 'list': {
+        const users = authService.listUsers();
+        if (users.length === 0) {
+          console.log('No users yet - the first visitor to the dashboard creates the admin account');
+        }
+        users.forEach(user => console.log(`   • ${user.username} (${user.role}) last login: ${user.lastLoginAt || 'never'}`));
+        break;
+      }
+
+      case 'add': {
+        const user = authService.createUser(username, await askPassword(), role);
+        console.log(`✅ Created ${user.username} (${user.role})`);
+        break;
+      }
+
+      case 'passwd': {
+        const user = configDatabase.authSchema.getUserByUsername(username || '');
+        if (!user) {
+          throw new Error(`User ${username} not found`);
+        }
+        authService.updateUser(user.id, { password: await askPassword() }, null);
+        console.log(`✅ Password for ${user.username} changed; existing logins were signed out`);
+        break;
+      }
+
+      default:
+        console.log('Usage: manage-users.js list | add <username> <viewer|operator|admin> | passwd <username>');
+        process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    configDatabase.close();
+  }
+}
+
+main();
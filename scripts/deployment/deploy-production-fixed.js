@@ -209,7 +209,7 @@ class WindowsSafeDeployment {
       
       // Test the service
       try {
-        const { stdout } = await execAsync('curl -f http://localhost:3001/api/config', { timeout: 10000 });
+        const { stdout } = await execAsync('curl -f http://localhost:3001/api/config/health', { timeout: 10000 });
         console.log('   ✅ Health check passed - service is running');
       } catch (error) {
         console.log('   ⚠️ Health check failed, but service may still be starting...');
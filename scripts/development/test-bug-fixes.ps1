@@ -1,6 +1,11 @@
 #!/usr/bin/env pwsh
 # Bug Fix Verification Script for NINA WebControlPanel
 # Tests all three fixes from the first user bug report
+# -Token (or $env:NWCP_TOKEN): API token for the backend check in the next steps
+
+param(
+    [string]$Token = $env:NWCP_TOKEN
+)
 
 Write-Host "`n========================================================" -ForegroundColor Cyan
 Write-Host "  NINA WebControlPanel - Bug Fix Verification Suite  " -ForegroundColor Cyan
@@ -114,7 +119,17 @@ if ($testsFailed -eq 0) {
     Write-Host "  1. Run 'npm start' to start development servers" -ForegroundColor Gray
     Write-Host "  2. Check console for clean startup (no errors/warnings)" -ForegroundColor Gray
     Write-Host "  3. Verify frontend loads at http://localhost:3000" -ForegroundColor Gray
-    Write-Host "  4. Verify backend API at http://localhost:3001/api/config" -ForegroundColor Gray
+    if ($Token) {
+        Write-Host "  4. Verify backend API at http://localhost:3001/api/config:" -ForegroundColor Gray
+        try {
+            Invoke-RestMethod -Uri "http://localhost:3001/api/config" -Headers @{ Authorization = "Bearer $Token" } | Out-Null
+            Write-Host "     backend answered" -ForegroundColor Green
+        } catch {
+            Write-Host "     $($_.Exception.Message)" -ForegroundColor Red
+        }
+    } else {
+        Write-Host "  4. Verify backend API at http://localhost:3001/api/config (log in first, or rerun with -Token <API token>)" -ForegroundColor Gray
+    }
 } else {
     Write-Host "`nSome tests failed. Please review the errors above." -ForegroundColor Yellow
 }
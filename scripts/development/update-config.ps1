@@ -1,7 +1,18 @@
 # PowerShell script to add SessionWidget to dashboard configuration
+# Needs an admin API token (created in the account dialog): -Token <token> or $env:NWCP_TOKEN
+
+param(
+    [string]$Token = $env:NWCP_TOKEN
+)
+
+if (-not $Token) {
+    Write-Host "Set NWCP_TOKEN or pass -Token with an admin API token" -ForegroundColor Red
+    exit 1
+}
+$headers = @{ Authorization = "Bearer $Token" }
 
 # Get current configuration
-$config = Invoke-RestMethod -Uri "http://localhost:3001/api/config" -Method GET
+$config = Invoke-RestMethod -Uri "http://localhost:3001/api/config" -Method GET -Headers $headers
 
 # Add SessionWidget to the widgets array
 $sessionWidget = @{
@@ -23,4 +34,4 @@ $config.layout.widgets += $sessionWidget
 
 # Convert to JSON and send back
 $body = $config | ConvertTo-Json -Depth 5
-Invoke-RestMethod -Uri "http://localhost:3001/api/config" -Method PUT -Body $body -ContentType "application/json"
+Invoke-RestMethod -Uri "http://localhost:3001/api/config" -Method PUT -Headers $headers -Body $body -ContentType "application/json"
@@ -99,7 +99,7 @@ class HealthMonitor {
       const startTime = Date.now();
       
       try {
-        await fetch.get('http://localhost:3001/api/system/status', { timeout: 5000 });
+        await fetch.get('http://localhost:3001/api/config/health', { timeout: 5000 });
         const responseTime = Date.now() - startTime;
         
         return {
@@ -1,12 +1,19 @@
 const WebSocket = require('ws');
 
+// /ws/unified needs an API token (created in the account dialog)
+const token = process.env.NWCP_TOKEN;
+if (!token) {
+  console.error('❌ Set NWCP_TOKEN to an API token to monitor /ws/unified');
+  process.exit(1);
+}
+
 console.log('🔍 Monitoring WebSocket for IMAGE-SAVE events...');
 
 const wsProtocol = 'ws';
 const wsUrl = `${wsProtocol}://localhost:3001/ws/unified`;
 
 let eventCount = 0;
-const ws = new WebSocket(wsUrl);
+const ws = new WebSocket(wsUrl, { headers: { Authorization: `Bearer ${token}` } });
 
 const timeout = setTimeout(() => {
   console.log(`⏰ Monitoring stopped after 5 minutes. IMAGE-SAVE events received: ${eventCount}`);
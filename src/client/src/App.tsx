@@ -1,28 +1,53 @@
 import React from 'react';
 import Dashboard from './components/Dashboard';
+import LoginScreen from './components/LoginScreen';
 import '@radix-ui/themes/styles.css';
 import '@fontsource/space-grotesk';
 import './styles/globals.css';
-import { Theme } from '@radix-ui/themes';
+import { Theme, Flex, Spinner } from '@radix-ui/themes';
 import { Toaster } from 'sonner';
 import { UnifiedStateProvider } from './contexts/UnifiedStateContext';
+import { AuthProvider, useAuth } from './contexts/AuthContext';
+
+// The dashboard (and its WebSocket) only starts once someone is logged in
+const AuthGate: React.FC = () => {
+  const { loading, user } = useAuth();
+
+  if (loading) {
+    return (
+      <Flex align="center" justify="center" style={{ minHeight: '100vh' }}>
+        <Spinner size="3" />
+      </Flex>
+    );
+  }
+
+  if (!user) {
+    return <LoginScreen />;
+  }
+
+  return (
+    <UnifiedStateProvider>
+      <Dashboard />
+    </UnifiedStateProvider>
+  );
+};
 
 const App: React.FC = () => {
   return (
-    <Theme 
-      accentColor="red" 
-      grayColor="mauve" 
-      radius="medium" 
-      appearance="dark" 
+    <Theme
+      accentColor="red"
+      grayColor="mauve"
+      radius="medium"
+      appearance="dark"
       hasBackground={false}
       scaling="100%"
     >
-      <UnifiedStateProvider>
+      <AuthProvider>
         <Toaster position="top-right" theme="dark" richColors />
-        <Dashboard />
-      </UnifiedStateProvider>
+        <AuthGate />
+      </AuthProvider>
     </Theme>
   );
 };
 
-export default App;
\ No newline at end of file
+export default App;
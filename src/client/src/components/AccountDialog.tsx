@@ -0,0 +1,186 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Dialog, Flex, Box, Text, Button, TextField, Table, Badge, Code, Callout, Separator, IconButton } from '@radix-ui/themes';
+import { PersonIcon, TrashIcon, CopyIcon, InfoCircledIcon } from '@radix-ui/react-icons';
+import { toast } from 'sonner';
+import * as authApi from '../services/authApi';
+import { useAuth } from '../contexts/AuthContext';
+import type { AccountDialogProps, ApiTokenInfo, CreatedApiToken } from '../interfaces/auth';
+
+/**
+ * Own account: change password and manage API tokens for scripts
+ */
+export const AccountDialog: React.FC<AccountDialogProps> = ({ open, onClose }) => {
+  const { user } = useAuth();
+  const [currentPassword, setCurrentPassword] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [savingPassword, setSavingPassword] = useState(false);
+  const [tokens, setTokens] = useState<ApiTokenInfo[]>([]);
+  const [tokenName, setTokenName] = useState('');
+  const [createdToken, setCreatedToken] = useState<CreatedApiToken | null>(null);
+
+  const loadTokens = useCallback(async () => {
+    try {
+      setTokens(await authApi.listApiTokens());
+    } catch (err) {
+      console.error('Error loading API tokens:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (open) {
+      loadTokens();
+      setCreatedToken(null);
+    }
+  }, [open, loadTokens]);
+
+  const handleChangePassword = async () => {
+    try {
+      setSavingPassword(true);
+      await authApi.changePassword(currentPassword, newPassword);
+      setCurrentPassword('');
+      setNewPassword('');
+      toast.success('Password changed', { description: 'Other logins for this account were signed out' });
+    } catch (err) {
+      toast.error('Password not changed', { description: err instanceof Error ? err.message : 'Unknown error' });
+    } finally {
+      setSavingPassword(false);
+    }
+  };
+
+  const handleCreateToken = async () => {
+    try {
+      setCreatedToken(await authApi.createApiToken(tokenName.trim()));
+      setTokenName('');
+      loadTokens();
+    } catch (err) {
+      toast.error('Token not created', { description: err instanceof Error ? err.message : 'Unknown error' });
+    }
+  };
+
+  const handleDeleteToken = async (token: ApiTokenInfo) => {
+    try {
+      await authApi.deleteApiToken(token.id);
+      loadTokens();
+    } catch (err) {
+      toast.error('Token not revoked', { description: err instanceof Error ? err.message : 'Unknown error' });
+    }
+  };
+
+  return (
+    <Dialog.Root open={open} onOpenChange={(isOpen: boolean) => !isOpen && onClose()}>
+      <Dialog.Content style={{ maxWidth: 560 }}>
+        <Dialog.Title>
+          <Flex align="center" gap="2">
+            <PersonIcon />
+            {user?.username}
+            <Badge color="gray">{user?.role}</Badge>
+          </Flex>
+        </Dialog.Title>
+
+        <Flex direction="column" gap="4" mt="4">
+          <Text size="2" weight="medium">Change Password</Text>
+          <Flex gap="2" wrap="wrap">
+            <Box style={{ flex: '1 1 160px' }}>
+              <TextField.Root
+                type="password"
+                placeholder="Current password"
+                value={currentPassword}
+                onChange={(e: React.ChangeEvent<HTMLInputElement>) => setCurrentPassword(e.target.value)}
+                autoComplete="current-password"
+              />
+            </Box>
+            <Box style={{ flex: '1 1 160px' }}>
+              <TextField.Root
+                type="password"
+                placeholder="New password (8+ characters)"
+                value={newPassword}
+                onChange={(e: React.ChangeEvent<HTMLInputElement>) => setNewPassword(e.target.value)}
+                autoComplete="new-password"
+              />
+            </Box>
+            <Button onClick={handleChangePassword} disabled={savingPassword || !currentPassword || newPassword.length < 8}>
+              Change
+            </Button>
+          </Flex>
+
+          <Separator size="4" />
+
+          <Text size="2" weight="medium">API Tokens</Text>
+          <Text size="1" color="gray">
+            For scripts and integrations: send <Code>Authorization: Bearer &lt;token&gt;</Code>, or <Code>?token=</Code> on WebSocket URLs. A token has the same role as your account.
+          </Text>
+
+          {createdToken && (
+            <Callout.Root color="green" size="1">
+              <Callout.Icon>
+                <InfoCircledIcon />
+              </Callout.Icon>
+              <Callout.Text>
+                Copy the token for "{createdToken.name}" now - it won't be shown again.
+              </Callout.Text>
+              <Flex align="center" gap="2">
+                <Code style={{ wordBreak: 'break-all' }}>{createdToken.token}</Code>
+                <IconButton
+                  size="1"
+                  variant="ghost"
+                  title="Copy token"
+                  onClick={() => navigator.clipboard?.writeText(createdToken.token).then(() => toast.success('Token copied'))}
+                >
+                  <CopyIcon />
+                </IconButton>
+              </Flex>
+            </Callout.Root>
+          )}
+
+          <Flex gap="2">
+            <Box style={{ flex: 1 }}>
+              <TextField.Root
+                placeholder="Token name, e.g. home-assistant"
+                value={tokenName}
+                onChange={(e: React.ChangeEvent<HTMLInputElement>) => setTokenName(e.target.value)}
+              />
+            </Box>
+            <Button variant="soft" onClick={handleCreateToken} disabled={!tokenName.trim()}>
+              Create Token
+            </Button>
+          </Flex>
+
+          {tokens.length > 0 && (
+            <Table.Root size="1">
+              <Table.Header>
+                <Table.Row>
+                  <Table.ColumnHeaderCell>Name</Table.ColumnHeaderCell>
+                  <Table.ColumnHeaderCell>Token</Table.ColumnHeaderCell>
+                  <Table.ColumnHeaderCell>Last used</Table.ColumnHeaderCell>
+                  <Table.ColumnHeaderCell />
+                </Table.Row>
+              </Table.Header>
+              <Table.Body>
+                {tokens.map(token => (
+                  <Table.Row key={token.id}>
+                    <Table.Cell>{token.name}</Table.Cell>
+                    <Table.Cell><Code>{token.prefix}…</Code></Table.Cell>
+                    <Table.Cell>{token.lastUsedAt ? new Date(token.lastUsedAt).toLocaleString() : 'Never'}</Table.Cell>
+                    <Table.Cell>
+                      <IconButton size="1" variant="ghost" color="red" title="Revoke token" onClick={() => handleDeleteToken(token)}>
+                        <TrashIcon />
+                      </IconButton>
+                    </Table.Cell>
+                  </Table.Row>
+                ))}
+              </Table.Body>
+            </Table.Root>
+          )}
+        </Flex>
+
+        <Flex justify="end" mt="5">
+          <Dialog.Close>
+            <Button variant="soft" color="gray">Close</Button>
+          </Dialog.Close>
+        </Flex>
+      </Dialog.Content>
+    </Dialog.Root>
+  );
+};
+
+export default AccountDialog;
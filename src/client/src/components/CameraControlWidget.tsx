@@ -0,0 +1,326 @@
+// Camera Control Widget - test exposures, cooler setpoint and warm-up
+// Shows cooler power and progress toward the setpoint from /api/nina/camera
+
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { AlertDialog, Badge, Button, Card, Flex, Grid, Progress, Select, Separator, Text, TextField } from '@radix-ui/themes';
+import {
+  CameraIcon,
+  CheckCircledIcon,
+  CrossCircledIcon,
+  ExclamationTriangleIcon,
+  ReloadIcon,
+  StopIcon
+} from '@radix-ui/react-icons';
+import { toast } from 'sonner';
+import { getApiUrl, apiFetch } from '../config/api';
+import { useAuth } from '../contexts/AuthContext';
+import { abortExposure, coolCamera, startCapture, warmCamera } from '../services/ninaControlApi';
+import type {
+  CameraBinning,
+  CameraControlWidgetProps,
+  CameraInfoResponse,
+  NINAActionResponse,
+  NINACameraInfo
+} from '../interfaces/nina';
+
+const BINNING_OPTIONS: CameraBinning[] = ['1x1', '2x2', '3x3', '4x4'];
+
+// Within this many degrees of the setpoint the sensor counts as settled
+const SETPOINT_TOLERANCE = 0.5;
+
+const CameraControlWidget: React.FC<CameraControlWidgetProps> = ({ hideHeader = false }) => {
+  const [camera, setCamera] = useState<NINACameraInfo | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [busy, setBusy] = useState(false);
+  const { hasRole } = useAuth();
+  // Viewers see the controls but can't use them
+  const locked = busy || !hasRole('operator');
+  const [confirmWarm, setConfirmWarm] = useState(false);
+  const [warming, setWarming] = useState(false);
+
+  const [duration, setDuration] = useState('5');
+  const [gain, setGain] = useState('');
+  const [binning, setBinning] = useState<CameraBinning>('1x1');
+  const [setpoint, setSetpoint] = useState('');
+  const [rampMinutes, setRampMinutes] = useState('');
+
+  // Temperature when the current setpoint was first seen, used as the 0% point for progress
+  const cooldownStart = useRef<{ target: number; start: number } | null>(null);
+
+  const fetchCameraInfo = useCallback(async () => {
+    try {
+      setError(null);
+      const response = await apiFetch(getApiUrl('nina/camera'));
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+
+      const result: CameraInfoResponse = await response.json();
+      const info = result.Response;
+      setCamera(info);
+
+      if (info?.CoolerOn && Number.isFinite(info.TargetTemp)) {
+        if (!cooldownStart.current || cooldownStart.current.target !== info.TargetTemp) {
+          cooldownStart.current = { target: info.TargetTemp, start: info.Temperature };
+        }
+      } else {
+        cooldownStart.current = null;
+        setWarming(false);
+      }
+    } catch (err) {
+      console.error('Error fetching camera info:', err);
+      setError(err instanceof Error ? err.message : 'Failed to fetch camera info');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchCameraInfo();
+    // Poll quickly so cooler power and exposure state stay current
+    const interval = setInterval(fetchCameraInfo, 5000);
+    return () => clearInterval(interval);
+  }, [fetchCameraInfo]);
+
+  const runAction = async (label: string, request: () => Promise<NINAActionResponse>): Promise<boolean> => {
+    setBusy(true);
+    try {
+      await request();
+      toast.success(label, { description: 'Command accepted by NINA', duration: 3000 });
+      fetchCameraInfo();
+      return true;
+    } catch (err) {
+      toast.error(`${label} failed`, {
+        description: err instanceof Error ? err.message : 'Unknown error',
+        duration: 6000
+      });
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleCapture = () => {
+    const seconds = parseFloat(duration);
+    const gainValue = gain.trim() ? parseInt(gain, 10) : undefined;
+    if (!Number.isFinite(seconds) || seconds <= 0 || (gainValue !== undefined && !Number.isInteger(gainValue))) {
+      toast.error('Invalid exposure settings', { description: 'Duration must be positive and gain a whole number', duration: 6000 });
+      return;
+    }
+    runAction(`${seconds}s exposure started`, () => startCapture({ duration: seconds, gain: gainValue, binning }));
+  };
+
+  const handleCool = () => {
+    const temperature = parseFloat(setpoint);
+    const minutes = rampMinutes.trim() ? parseFloat(rampMinutes) : undefined;
+    if (!Number.isFinite(temperature) || (minutes !== undefined && !Number.isFinite(minutes))) {
+      toast.error('Invalid setpoint', { description: 'Enter a temperature in °C', duration: 6000 });
+      return;
+    }
+    cooldownStart.current = null;
+    setWarming(false);
+    runAction(`Cooling to ${temperature}°C`, () => coolCamera(temperature, minutes));
+  };
+
+  const handleWarm = async () => {
+    setConfirmWarm(false);
+    const minutes = rampMinutes.trim() ? parseFloat(rampMinutes) : undefined;
+    if (await runAction('Warm-up started', () => warmCamera(minutes))) {
+      setWarming(true);
+    }
+  };
+
+  // Abort is a safety stop, so it runs immediately without a confirmation step
+  const handleAbort = () => runAction('Exposure aborted', abortExposure);
+
+  const getSetpointProgress = (info: NINACameraInfo): number => {
+    const delta = Math.abs(info.Temperature - info.TargetTemp);
+    if (delta <= SETPOINT_TOLERANCE) return 100;
+
+    const start = cooldownStart.current;
+    if (!start || Math.abs(start.start - start.target) <= SETPOINT_TOLERANCE) return 0;
+
+    const progress = (1 - delta / Math.abs(start.start - start.target)) * 100;
+    return Math.max(0, Math.min(100, progress));
+  };
+
+  const renderHeader = (badge?: React.ReactNode) => !hideHeader && (
+    <Flex justify="between" align="center">
+      <Flex align="center" gap="2">
+        <CameraIcon />
+        <Text size="3" weight="medium">Camera Control</Text>
+      </Flex>
+      {badge}
+    </Flex>
+  );
+
+  if (loading) {
+    return (
+      <Card>
+        <Flex direction="column" gap="3" p="4">
+          {renderHeader()}
+          <Flex align="center" justify="center" style={{ minHeight: hideHeader ? '150px' : '200px' }}>
+            <Flex direction="column" align="center" gap="2">
+              <ReloadIcon className="loading-spinner" />
+              <Text size="2" color="gray">Loading camera status...</Text>
+            </Flex>
+          </Flex>
+        </Flex>
+      </Card>
+    );
+  }
+
+  if (error || !camera) {
+    return (
+      <Card>
+        <Flex direction="column" gap="3" p="4">
+          {renderHeader()}
+          <Flex align="center" justify="center" style={{ minHeight: hideHeader ? '150px' : '200px' }}>
+            <Flex direction="column" align="center" gap="2">
+              <ExclamationTriangleIcon color="red" width="24" height="24" />
+              <Text size="2" color="red">Failed to load camera status</Text>
+              {error && <Text size="1" color="gray">{error}</Text>}
+            </Flex>
+          </Flex>
+        </Flex>
+      </Card>
+    );
+  }
+
+  const statusBadge = (
+    <Badge color={!camera.Connected ? 'red' : camera.IsExposing ? 'blue' : 'green'} size="2">
+      {camera.Connected ? <CheckCircledIcon width="12" height="12" /> : <CrossCircledIcon width="12" height="12" />}
+      {!camera.Connected ? 'Disconnected' : camera.IsExposing ? 'Exposing' : camera.CameraState || 'Idle'}
+    </Badge>
+  );
+
+  if (!camera.Connected) {
+    return (
+      <Card>
+        <Flex direction="column" gap="3" p="4">
+          {renderHeader(statusBadge)}
+          <Flex align="center" justify="center" style={{ minHeight: '100px' }}>
+            <Text size="2" color="gray">Camera not connected</Text>
+          </Flex>
+        </Flex>
+      </Card>
+    );
+  }
+
+  const progress = getSetpointProgress(camera);
+  const canCool = camera.CanSetTemperature !== false;
+
+  return (
+    <Card>
+      <Flex direction="column" gap="3" p="4">
+        {renderHeader(statusBadge)}
+
+        <Text size="1" color="gray">{camera.Name}</Text>
+
+        {/* Cooler status */}
+        <Grid columns="3" gap="3">
+          <Flex direction="column">
+            <Text size="1" color="gray">Sensor</Text>
+            <Text size="2" weight="medium">{Number.isFinite(camera.Temperature) ? `${camera.Temperature.toFixed(1)}°C` : 'N/A'}</Text>
+          </Flex>
+          <Flex direction="column">
+            <Text size="1" color="gray">Setpoint</Text>
+            <Text size="2" weight="medium">{camera.CoolerOn && Number.isFinite(camera.TargetTemp) ? `${camera.TargetTemp.toFixed(1)}°C` : 'Off'}</Text>
+          </Flex>
+          <Flex direction="column">
+            <Text size="1" color="gray">Cooler Power</Text>
+            <Text size="2" weight="medium" color={camera.CoolerOn && camera.CoolerPower > 90 ? 'red' : undefined}>
+              {camera.CoolerOn ? `${Math.round(camera.CoolerPower)}%` : 'Off'}
+            </Text>
+          </Flex>
+        </Grid>
+
+        {camera.CoolerOn && (
+          <Flex direction="column" gap="1">
+            <Flex justify="between">
+              <Text size="1" color="gray">{warming ? 'Warming up' : 'Progress to setpoint'}</Text>
+              {!warming && <Text size="1">{Math.round(progress)}%</Text>}
+            </Flex>
+            <Progress
+              value={warming ? undefined : progress}
+              size="1"
+              color={warming ? 'amber' : progress >= 100 ? 'green' : 'blue'}
+            />
+          </Flex>
+        )}
+
+        {canCool && (
+          <Flex gap="2" align="end" wrap="wrap">
+            <Flex direction="column" gap="1" style={{ width: '90px' }}>
+              <Text size="1" color="gray">Setpoint °C</Text>
+              <TextField.Root size="1" value={setpoint} onChange={(e) => setSetpoint(e.target.value)} placeholder="-10" />
+            </Flex>
+            <Flex direction="column" gap="1" style={{ width: '90px' }}>
+              <Text size="1" color="gray">Ramp (min)</Text>
+              <TextField.Root size="1" value={rampMinutes} onChange={(e) => setRampMinutes(e.target.value)} placeholder="0" />
+            </Flex>
+            <Button size="1" variant="soft" disabled={locked || !setpoint.trim()} onClick={handleCool}>
+              Cool
+            </Button>
+            <Button size="1" variant="soft" color="amber" disabled={locked || !camera.CoolerOn} onClick={() => setConfirmWarm(true)}>
+              Warm Up
+            </Button>
+          </Flex>
+        )}
+
+        <Separator size="4" />
+
+        {/* Test exposure */}
+        <Flex gap="2" align="end" wrap="wrap">
+          <Flex direction="column" gap="1" style={{ width: '80px' }}>
+            <Text size="1" color="gray">Duration (s)</Text>
+            <TextField.Root size="1" value={duration} onChange={(e) => setDuration(e.target.value)} />
+          </Flex>
+          <Flex direction="column" gap="1" style={{ width: '80px' }}>
+            <Text size="1" color="gray">Gain</Text>
+            <TextField.Root size="1" value={gain} onChange={(e) => setGain(e.target.value)} placeholder={String(camera.Gain ?? '')} />
+          </Flex>
+          <Flex direction="column" gap="1">
+            <Text size="1" color="gray">Binning</Text>
+            <Select.Root size="1" value={binning} onValueChange={(value) => setBinning(value as CameraBinning)}>
+              <Select.Trigger />
+              <Select.Content>
+                {BINNING_OPTIONS.map(option => (
+                  <Select.Item key={option} value={option}>{option}</Select.Item>
+                ))}
+              </Select.Content>
+            </Select.Root>
+          </Flex>
+          <Button size="1" variant="soft" disabled={locked || camera.IsExposing} onClick={handleCapture}>
+            <CameraIcon width="12" height="12" />
+            Capture
+          </Button>
+          <Button size="1" variant="solid" color="red" disabled={locked || !camera.IsExposing} onClick={handleAbort}>
+            <StopIcon width="12" height="12" />
+            Abort
+          </Button>
+        </Flex>
+      </Flex>
+
+      <AlertDialog.Root open={confirmWarm} onOpenChange={setConfirmWarm}>
+        <AlertDialog.Content style={{ maxWidth: '420px' }}>
+          <AlertDialog.Title>Warm up camera</AlertDialog.Title>
+          <AlertDialog.Description size="2">
+            Warm the sensor back to ambient{rampMinutes.trim() ? ` over ${rampMinutes} minutes` : ''}? Any running imaging will lose its temperature setpoint.
+          </AlertDialog.Description>
+          <Flex gap="3" mt="4" justify="end">
+            <AlertDialog.Cancel>
+              <Button variant="soft" color="gray">Cancel</Button>
+            </AlertDialog.Cancel>
+            <AlertDialog.Action>
+              <Button color="amber" onClick={handleWarm}>Warm Up</Button>
+            </AlertDialog.Action>
+          </Flex>
+        </AlertDialog.Content>
+      </AlertDialog.Root>
+    </Card>
+  );
+};
+
+export default CameraControlWidget;
@@ -1,9 +1,10 @@
 import React, { useState, useCallback, useEffect } from 'react';
-import { Flex, Box, Button, Badge, Heading, Text } from '@radix-ui/themes';
+import { Flex, Box, Button, Badge, Heading, Text, DropdownMenu } from '@radix-ui/themes';
 import { Responsive, WidthProvider, Layout } from 'react-grid-layout';
 import NINAStatus from './NINAStatus';
 import SystemStatusWidget from './SystemStatusWidget';
 import SchedulerWidget from './SchedulerWidget';
+import SequenceWidget from './SequenceWidget';
 import RTSPViewer from './RTSPViewer';
 import TimeAstronomicalWidget from './TimeAstronomicalWidget';
 import ImageViewerWidget from './ImageViewer';
@@ -13,12 +14,17 @@ import NINALogsWidget from './NINALogsWidget';
 import LiveStackWidget from './LiveStackWidget';
 import UnifiedStateWidget from './UnifiedStateWidget';
 import PegasusPowerWidget from './PegasusPowerWidget';
+import CameraControlWidget from './CameraControlWidget';
+import TargetVisibilityWidget from './TargetVisibilityWidget';
 import SafetyBanner from './SafetyBanner';
 import { SettingsModal } from './SettingsModal';
+import { SessionHistoryModal } from './SessionHistoryModal';
 import OnboardingFlow from './OnboardingFlow';
+import AccountDialog from './AccountDialog';
+import { useAuth } from '../contexts/AuthContext';
 import WidgetService, { WidgetConfig } from '../services/widgetService';
 import { useResponsive } from '../hooks/useResponsive';
-import { getApiUrl } from '../config/api';
+import { getApiUrl, apiFetch } from '../config/api';
 import {
   ReloadIcon,
   DotFilledIcon,
@@ -27,8 +33,11 @@ import {
   Pencil1Icon,
   CheckIcon,
   GearIcon,
+  CalendarIcon,
   EyeOpenIcon,
-  EyeClosedIcon
+  EyeClosedIcon,
+  PersonIcon,
+  ExitIcon
 } from '@radix-ui/react-icons';
 import type { NinaConnectionStatus } from '../interfaces/equipment';
 
@@ -74,6 +83,10 @@ const Dashboard: React.FC = () => {
   });
   const [isEditMode, setIsEditMode] = useState(false);
   const [settingsOpen, setSettingsOpen] = useState(false);
+  const [historyOpen, setHistoryOpen] = useState(false);
+  const [accountOpen, setAccountOpen] = useState(false);
+  const { user, hasRole, logout } = useAuth();
+  const isAdmin = hasRole('admin');
   const [onboardingOpen, setOnboardingOpen] = useState(false);
 
   // Pull-to-refresh state
@@ -90,7 +103,7 @@ const Dashboard: React.FC = () => {
   useEffect(() => {
     const checkOnboarding = async () => {
       try {
-        const response = await fetch(getApiUrl('config'));
+        const response = await apiFetch(getApiUrl('config'));
         const config = await response.json();
 
         const completed = config.onboarding?.completed || false;
@@ -99,8 +112,8 @@ const Dashboard: React.FC = () => {
         const urlParams = new URLSearchParams(window.location.search);
         const forceOnboarding = urlParams.get('onboarding') === 'true';
 
-        // Only show onboarding if forced via URL or not completed
-        if (forceOnboarding || !completed) {
+        // Only show onboarding if forced via URL or not completed - it saves config, so admins only
+        if (isAdmin && (forceOnboarding || !completed)) {
           setOnboardingOpen(true);
         }
       } catch (error) {
@@ -109,7 +122,7 @@ const Dashboard: React.FC = () => {
     };
 
     checkOnboarding();
-  }, []);
+  }, [isAdmin]);
 
   const handleOnboardingComplete = async () => {
     setOnboardingOpen(false);
@@ -151,23 +164,25 @@ const Dashboard: React.FC = () => {
   // Fetch config from backend API
   const fetchConfig = async () => {
     try {
-      const response = await fetch(getApiUrl('config'));
+      const response = await apiFetch(getApiUrl('config'));
       const config = await response.json();
 
       // Build feeds array, prioritizing local camera if configured
       const feeds: string[] = [];
 
+      const serverUrl = window.location.origin.replace(':3000', ':3001');
+
       // If local camera path is set, add it as the local camera endpoint
       if (config.streams?.localCameraPath) {
         // Use the server's local camera endpoint
-        const serverUrl = window.location.origin.replace(':3000', ':3001');
         feeds.push(`${serverUrl}/api/camera/local`);
       }
 
-      // Add other feeds
-      if (config.streams?.liveFeed1) feeds.push(config.streams.liveFeed1);
-      if (config.streams?.liveFeed2) feeds.push(config.streams.liveFeed2);
-      if (config.streams?.liveFeed3) feeds.push(config.streams.liveFeed3);
+      // Add other feeds - RTSP/RTMP can't play in a browser, so those go through the server restreamer
+      [config.streams?.liveFeed1, config.streams?.liveFeed2, config.streams?.liveFeed3].forEach((feed: string | undefined, index: number) => {
+        if (!feed) return;
+        feeds.push(/^(rtsps?|rtmp):\/\//i.test(feed) ? `${serverUrl}/api/streams/${index + 1}/mjpeg` : feed);
+      });
 
       setRtspFeeds(feeds);
     } catch (error) {
@@ -178,7 +193,7 @@ const Dashboard: React.FC = () => {
   // Fetch NINA connection status
   const fetchNinaConnectionStatus = async () => {
     try {
-      const response = await fetch(getApiUrl('nina/status'));
+      const response = await apiFetch(getApiUrl('nina/status'));
       const status = await response.json();
       setNinaConnectionStatus(status);
     } catch (error) {
@@ -356,6 +371,8 @@ const Dashboard: React.FC = () => {
         return <SystemStatusWidget key={config.id} hideHeader={true} />;
       case 'SchedulerWidget':
         return <SchedulerWidget key={config.id} hideHeader={true} />;
+      case 'SequenceWidget':
+        return <SequenceWidget key={config.id} onRefresh={handleRefresh} hideHeader={true} />;
       case 'RTSPViewer':
         return <RTSPViewer key={`${config.id}-${refreshTrigger}`} streams={rtspFeeds} isConnected={true} hideHeader={true} />;
       case 'TimeAstronomicalWidget':
@@ -375,6 +392,10 @@ const Dashboard: React.FC = () => {
         return <UnifiedStateWidget key={config.id} />;
       case 'PegasusPowerWidget':
         return <PegasusPowerWidget key={config.id} widgetId={config.id} />;
+      case 'CameraControlWidget':
+        return <CameraControlWidget key={config.id} onRefresh={handleRefresh} hideHeader={true} />;
+      case 'TargetVisibilityWidget':
+        return <TargetVisibilityWidget key={config.id} onRefresh={handleRefresh} hideHeader={true} />;
       default:
         return <div key={config.id}>Unknown widget: {config.component}</div>;
     }
@@ -443,14 +464,23 @@ const Dashboard: React.FC = () => {
             NINA Observatory Dashboard
           </Heading>
           <Flex gap="2" align="center">
+            {isAdmin && (
+              <Button
+                variant="soft"
+                onClick={() => setSettingsOpen(true)}
+              >
+                <GearIcon width="16" height="16" />
+                Settings
+              </Button>
+            )}
             <Button
               variant="soft"
-              onClick={() => setSettingsOpen(true)}
+              onClick={() => setHistoryOpen(true)}
             >
-              <GearIcon width="16" height="16" />
-              Settings
+              <CalendarIcon width="16" height="16" />
+              History
             </Button>
-            {!isMobile && (
+            {!isMobile && hasRole('operator') && (
               <Button
                 variant="soft"
                 onClick={handleEditToggle}
@@ -469,6 +499,27 @@ const Dashboard: React.FC = () => {
                 )}
               </Button>
             )}
+            <DropdownMenu.Root>
+              <DropdownMenu.Trigger>
+                <Button variant="soft" color="gray">
+                  <PersonIcon width="16" height="16" />
+                  {user?.username}
+                  <DropdownMenu.TriggerIcon />
+                </Button>
+              </DropdownMenu.Trigger>
+              <DropdownMenu.Content>
+                <DropdownMenu.Label>Signed in as {user?.role}</DropdownMenu.Label>
+                <DropdownMenu.Item onSelect={() => setAccountOpen(true)}>
+                  <PersonIcon />
+                  Account &amp; API tokens
+                </DropdownMenu.Item>
+                <DropdownMenu.Separator />
+                <DropdownMenu.Item color="red" onSelect={() => logout()}>
+                  <ExitIcon />
+                  Log out
+                </DropdownMenu.Item>
+              </DropdownMenu.Content>
+            </DropdownMenu.Root>
           </Flex>
         </Flex>
 
@@ -580,6 +631,18 @@ const Dashboard: React.FC = () => {
         onClose={() => setSettingsOpen(false)}
       />
 
+      {/* Account Dialog */}
+      <AccountDialog
+        open={accountOpen}
+        onClose={() => setAccountOpen(false)}
+      />
+
+      {/* Session History Modal */}
+      <SessionHistoryModal
+        open={historyOpen}
+        onClose={() => setHistoryOpen(false)}
+      />
+
       {/* Onboarding Flow */}
       <OnboardingFlow
         isOpen={onboardingOpen}
@@ -6,14 +6,15 @@ import React, { useState, useEffect, useMemo, useRef } from 'react';
 import { Chart as ChartJS, CategoryScale, LinearScale, PointElement, LineElement, BarElement, Title, Tooltip, Legend, TimeScale, LineController, BarController } from 'chart.js';
 import { Chart } from 'react-chartjs-2';
 import { Card, Flex, Text, Badge, Spinner, Callout, Button } from '@radix-ui/themes';
-import { UpdateIcon, ExclamationTriangleIcon, PlayIcon, StopIcon } from '@radix-ui/react-icons';
+import { UpdateIcon, ExclamationTriangleIcon, PlayIcon, StopIcon, CountdownTimerIcon } from '@radix-ui/react-icons';
 import { toast } from 'sonner';
 
 import { GuiderService, GuiderState, GuiderEventData } from '../services/guiderService';
 import { processGuideStepsForChart, getTimeBasedChartOptions, ChartTimeSettings } from '../utils/guiderChart';
-import { getApiUrl } from '../config/api';
+import { getApiUrl, apiFetch } from '../config/api';
 import { GuiderGraphWidgetProps } from '../interfaces/nina';
 import { useUnifiedState } from '../contexts/UnifiedStateContext';
+import { GuidingHistoryModal } from './GuidingHistoryModal';
 
 // Register Chart.js components
 ChartJS.register(
@@ -35,6 +36,7 @@ const GuiderGraphWidget: React.FC<GuiderGraphWidgetProps> = ({
     exposureDuration: 2.0
   });
   const [configLoaded, setConfigLoaded] = useState(false);
+  const [historyOpen, setHistoryOpen] = useState(false);
 
   // Listen to unified state for guiding events
   const { state: unifiedState, lastUpdate } = useUnifiedState();
@@ -48,7 +50,7 @@ const GuiderGraphWidget: React.FC<GuiderGraphWidgetProps> = ({
     const loadConfigAndInitialize = async () => {
       try {
         // Load configuration to get guider exposure duration
-        const response = await fetch(getApiUrl('config'));
+        const response = await apiFetch(getApiUrl('config'));
         let exposureDuration = 2.0;
         
         if (response.ok) {
@@ -342,11 +344,19 @@ const GuiderGraphWidget: React.FC<GuiderGraphWidgetProps> = ({
           <Text size="1" color="gray">
             History: {state.data.Response?.GuideSteps?.length || 0} steps
           </Text>
-          <Text size="1" color="gray">
-            Interval: {chartTimeSettings.exposureDuration}s | Scale: 2.99"/px
-          </Text>
+          <Flex align="center" gap="3">
+            <Text size="1" color="gray">
+              Interval: {chartTimeSettings.exposureDuration}s | Scale: 2.99"/px
+            </Text>
+            <Button size="1" variant="ghost" onClick={() => setHistoryOpen(true)}>
+              <CountdownTimerIcon />
+              Long-term
+            </Button>
+          </Flex>
         </Flex>
       </Flex>
+
+      <GuidingHistoryModal open={historyOpen} onClose={() => setHistoryOpen(false)} />
     </Card>
   );
 };
@@ -0,0 +1,324 @@
+// Guiding History Modal - long-term guiding RMS from the server's stored guide steps
+// RMS timeline with dither and settle markers, plus per-target and per-night RMS distributions
+
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { Chart as ChartJS, LinearScale, CategoryScale, PointElement, LineElement, BarElement, Tooltip, Legend } from 'chart.js';
+import { Line, Bar } from 'react-chartjs-2';
+import { Box, Button, Callout, Dialog, Flex, Grid, Select, Table, Text } from '@radix-ui/themes';
+import { ExclamationTriangleIcon, ReloadIcon, TargetIcon } from '@radix-ui/react-icons';
+import { getApiUrl, apiFetch } from '../config/api';
+import type {
+  GuidingHistoryModalProps,
+  GuidingHistoryResponse,
+  GuidingRmsDistribution
+} from '../interfaces/guidingHistory';
+import type { ValueStatistics } from '../interfaces/sessionHistory';
+
+ChartJS.register(LinearScale, CategoryScale, PointElement, LineElement, BarElement, Tooltip, Legend);
+
+const RANGES: Record<string, { label: string; hours: number }> = {
+  '12h': { label: 'Last 12 hours', hours: 12 },
+  '24h': { label: 'Last 24 hours', hours: 24 },
+  '7d': { label: 'Last 7 days', hours: 7 * 24 },
+  '30d': { label: 'Last 30 days', hours: 30 * 24 },
+  '90d': { label: 'Last 90 days', hours: 90 * 24 }
+};
+
+const MAX_POINTS = 600;
+
+const AXIS_COLOR = '#a1a1aa';
+const GRID_COLOR = 'rgba(255, 255, 255, 0.05)';
+
+const formatDateTime = (time: number | string): string =>
+  new Date(time).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+
+const formatNight = (nightDate: string): string =>
+  new Date(`${nightDate}T12:00:00`).toLocaleDateString([], { weekday: 'short', month: 'short', day: 'numeric' });
+
+const formatStats = (stats: ValueStatistics | null, unit: string): string =>
+  stats ? `Mean ${stats.mean}${unit} · Median ${stats.median}${unit} · P90 ${stats.p90}${unit}` : 'No data';
+
+const StatBlock: React.FC<{ label: string; value: string }> = ({ label, value }) => (
+  <Flex direction="column" gap="1">
+    <Text size="1" color="gray">{label}</Text>
+    <Text size="3" weight="medium">{value}</Text>
+  </Flex>
+);
+
+const DistributionTable: React.FC<{
+  title: string;
+  rows: Array<{ key: string; label: string; distribution: GuidingRmsDistribution }>;
+  selectedKey: string | null;
+  onSelect: (key: string) => void;
+}> = ({ title, rows, selectedKey, onSelect }) => (
+  <Flex direction="column" gap="2">
+    <Text size="2" weight="medium">{title}</Text>
+    <Table.Root size="1" variant="surface">
+      <Table.Header>
+        <Table.Row>
+          <Table.ColumnHeaderCell>{title.replace('By ', '')}</Table.ColumnHeaderCell>
+          <Table.ColumnHeaderCell>Guided</Table.ColumnHeaderCell>
+          <Table.ColumnHeaderCell>Mean</Table.ColumnHeaderCell>
+          <Table.ColumnHeaderCell>Median</Table.ColumnHeaderCell>
+          <Table.ColumnHeaderCell>P90</Table.ColumnHeaderCell>
+        </Table.Row>
+      </Table.Header>
+      <Table.Body>
+        {rows.map(({ key, label, distribution }) => (
+          <Table.Row
+            key={key}
+            onClick={() => onSelect(key)}
+            style={{ cursor: 'pointer', background: key === selectedKey ? 'var(--accent-a3)' : undefined }}
+          >
+            <Table.Cell>{label}</Table.Cell>
+            <Table.Cell>{distribution.minutes} min</Table.Cell>
+            <Table.Cell>{distribution.rms ? `${distribution.rms.mean}"` : '--'}</Table.Cell>
+            <Table.Cell>{distribution.rms ? `${distribution.rms.median}"` : '--'}</Table.Cell>
+            <Table.Cell>{distribution.rms ? `${distribution.rms.p90}"` : '--'}</Table.Cell>
+          </Table.Row>
+        ))}
+      </Table.Body>
+    </Table.Root>
+  </Flex>
+);
+
+const GuidingHistoryView: React.FC<{ history: GuidingHistoryResponse }> = ({ history }) => {
+  const [selectedKey, setSelectedKey] = useState<string | null>(null);
+
+  const markers = useMemo(() => ({
+    dither: history.events.filter(event => event.type === 'DITHER'),
+    settled: history.events.filter(event => event.type === 'SETTLED')
+  }), [history.events]);
+
+  const timelineData = useMemo(() => {
+    const toPoints = (key: 'rmsRa' | 'rmsDec' | 'rmsTotal') =>
+      history.points.map(point => ({ x: Date.parse(point.time), y: point[key] }));
+
+    return {
+      datasets: [
+        { label: 'Total', data: toPoints('rmsTotal'), borderColor: 'hsl(142, 70%, 45%)', backgroundColor: 'hsl(142, 70%, 45%)', pointRadius: 0, borderWidth: 1.5 },
+        { label: 'RA', data: toPoints('rmsRa'), borderColor: 'hsl(206, 100%, 55%)', backgroundColor: 'hsl(206, 100%, 55%)', pointRadius: 0, borderWidth: 1 },
+        { label: 'Dec', data: toPoints('rmsDec'), borderColor: 'hsl(358, 75%, 59%)', backgroundColor: 'hsl(358, 75%, 59%)', pointRadius: 0, borderWidth: 1 },
+        {
+          label: 'Dither',
+          data: markers.dither.map(event => ({ x: Date.parse(event.time), y: 0 })),
+          showLine: false,
+          pointStyle: 'triangle' as const,
+          pointRadius: 5,
+          borderColor: 'rgba(234, 179, 8, 1)',
+          backgroundColor: 'rgba(234, 179, 8, 0.6)'
+        },
+        {
+          label: 'Settled',
+          data: markers.settled.map(event => ({ x: Date.parse(event.time), y: 0 })),
+          showLine: false,
+          pointStyle: 'rectRot' as const,
+          pointRadius: 4,
+          borderColor: 'rgba(168, 85, 247, 1)',
+          backgroundColor: 'rgba(168, 85, 247, 0.6)'
+        }
+      ]
+    };
+  }, [history.points, markers]);
+
+  const timelineOptions = useMemo(() => ({
+    responsive: true,
+    maintainAspectRatio: false,
+    animation: false as const,
+    parsing: false as const,
+    plugins: {
+      legend: { labels: { color: AXIS_COLOR, boxWidth: 12 } },
+      tooltip: {
+        callbacks: {
+          title: (items: any[]) => items.length ? formatDateTime(items[0].parsed.x) : '',
+          label: (context: any) => {
+            const label = context.dataset.label;
+            if (label === 'Settled') {
+              const event = markers.settled[context.dataIndex];
+              return `Settled after ${event?.data?.settleSeconds ?? '?'}s`;
+            }
+            if (label === 'Dither') {
+              return `Dither${markers.dither[context.dataIndex]?.target ? ` (${markers.dither[context.dataIndex].target})` : ''}`;
+            }
+            return `${label}: ${context.parsed.y}"`;
+          }
+        }
+      }
+    },
+    scales: {
+      x: {
+        type: 'linear' as const,
+        min: Date.parse(history.from),
+        max: Date.parse(history.to),
+        ticks: { color: AXIS_COLOR, maxTicksLimit: 8, callback: (value: string | number) => formatDateTime(Number(value)) },
+        grid: { color: GRID_COLOR }
+      },
+      y: {
+        beginAtZero: true,
+        title: { display: true, text: 'RMS (")', color: AXIS_COLOR },
+        ticks: { color: AXIS_COLOR },
+        grid: { color: GRID_COLOR }
+      }
+    }
+  }), [history.from, history.to, markers]);
+
+  const targetRows = history.byTarget.map(group => ({ key: `target:${group.target}`, label: group.target, distribution: group }));
+  const nightRows = history.byNight.map(group => ({ key: `night:${group.night}`, label: formatNight(group.night), distribution: group }));
+  const selected = [...targetRows, ...nightRows].find(row => row.key === selectedKey) || targetRows[0] || null;
+
+  const histogramData = useMemo(() => {
+    const bin = history.histogramBinArcsec;
+    const counts = selected?.distribution.histogram || [];
+    return {
+      labels: counts.map((_, index) =>
+        index === counts.length - 1 ? `${(index * bin).toFixed(2)}+` : `${(index * bin).toFixed(2)}–${((index + 1) * bin).toFixed(2)}`
+      ),
+      datasets: [{
+        label: 'Minutes',
+        data: counts,
+        backgroundColor: 'rgba(59, 130, 246, 0.6)',
+        borderColor: 'rgba(59, 130, 246, 1)',
+        borderWidth: 1
+      }]
+    };
+  }, [selected, history.histogramBinArcsec]);
+
+  const histogramOptions = useMemo(() => ({
+    responsive: true,
+    maintainAspectRatio: false,
+    animation: false as const,
+    plugins: { legend: { display: false } },
+    scales: {
+      x: { title: { display: true, text: 'Total RMS per minute (")', color: AXIS_COLOR }, ticks: { color: AXIS_COLOR }, grid: { display: false } },
+      y: { title: { display: true, text: 'Minutes', color: AXIS_COLOR }, ticks: { color: AXIS_COLOR, precision: 0 }, grid: { color: GRID_COLOR } }
+    }
+  }), []);
+
+  if (history.points.length === 0) {
+    return <Text size="2" color="gray">No guide steps were recorded in this period.</Text>;
+  }
+
+  return (
+    <Flex direction="column" gap="4">
+      <Grid columns={{ initial: '2', sm: '4' }} gap="3">
+        <StatBlock label="Mean RMS" value={history.summary.overall ? `${history.summary.overall.mean}"` : '--'} />
+        <StatBlock label="P90 RMS" value={history.summary.overall ? `${history.summary.overall.p90}"` : '--'} />
+        <StatBlock label="Dithers" value={history.summary.ditherCount.toString()} />
+        <StatBlock label="Median settle" value={history.summary.settle ? `${history.summary.settle.median}s` : '--'} />
+      </Grid>
+
+      <Box style={{ height: '240px' }}>
+        <Line data={timelineData as any} options={timelineOptions} />
+      </Box>
+      <Text size="1" color="gray">
+        Each point covers {history.bucketSeconds < 60 ? `${Math.round(history.bucketSeconds)}s` : `${Math.round(history.bucketSeconds / 60)} min`} of guide steps · {formatStats(history.summary.overall, '"')}
+      </Text>
+
+      {selected && (
+        <Flex direction="column" gap="2">
+          <Text size="2" weight="medium">RMS distribution · {selected.label}</Text>
+          <Box style={{ height: '180px' }}>
+            <Bar data={histogramData} options={histogramOptions} />
+          </Box>
+        </Flex>
+      )}
+
+      <Grid columns={{ initial: '1', md: '2' }} gap="4">
+        <DistributionTable title="By Target" rows={targetRows} selectedKey={selected?.key || null} onSelect={setSelectedKey} />
+        <DistributionTable title="By Night" rows={nightRows} selectedKey={selected?.key || null} onSelect={setSelectedKey} />
+      </Grid>
+    </Flex>
+  );
+};
+
+export const GuidingHistoryModal: React.FC<GuidingHistoryModalProps> = ({ open, onClose }) => {
+  const [range, setRange] = useState('24h');
+  const [history, setHistory] = useState<GuidingHistoryResponse | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const fetchHistory = useCallback(async (rangeKey: string) => {
+    setLoading(true);
+    try {
+      setError(null);
+      const to = new Date();
+      const from = new Date(to.getTime() - RANGES[rangeKey].hours * 60 * 60 * 1000);
+      const params = new URLSearchParams({ from: from.toISOString(), to: to.toISOString(), maxPoints: MAX_POINTS.toString() });
+      const response = await apiFetch(getApiUrl(`guiding/history?${params}`));
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+      setHistory(await response.json());
+    } catch (err) {
+      console.error('Error fetching guiding history:', err);
+      setError(err instanceof Error ? err.message : 'Failed to load guiding history');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (open) {
+      fetchHistory(range);
+    }
+  }, [open, range, fetchHistory]);
+
+  return (
+    <Dialog.Root open={open} onOpenChange={onClose}>
+      <Dialog.Content style={{ maxWidth: '1000px', maxHeight: '85vh', overflowY: 'auto' }}>
+        <Dialog.Title>
+          <Flex align="center" gap="2">
+            <TargetIcon />
+            Guiding History
+          </Flex>
+        </Dialog.Title>
+
+        <Dialog.Description>
+          Guide steps are stored for every session. RMS values are in arcseconds.
+        </Dialog.Description>
+
+        <Flex align="center" gap="2" mt="4">
+          <Select.Root value={range} onValueChange={setRange}>
+            <Select.Trigger />
+            <Select.Content>
+              {Object.entries(RANGES).map(([key, { label }]) => (
+                <Select.Item key={key} value={key}>{label}</Select.Item>
+              ))}
+            </Select.Content>
+          </Select.Root>
+          <Button variant="soft" size="2" disabled={loading} onClick={() => fetchHistory(range)}>
+            <ReloadIcon className={loading ? 'loading-spinner' : undefined} />
+            Refresh
+          </Button>
+        </Flex>
+
+        {error && (
+          <Callout.Root color="red" mt="4">
+            <Callout.Icon>
+              <ExclamationTriangleIcon />
+            </Callout.Icon>
+            <Callout.Text>{error}</Callout.Text>
+          </Callout.Root>
+        )}
+
+        <Box mt="4">
+          {loading && !history && (
+            <Flex align="center" justify="center" gap="2" style={{ minHeight: '200px' }}>
+              <ReloadIcon className="loading-spinner" />
+              <Text size="2" color="gray">Loading guiding history...</Text>
+            </Flex>
+          )}
+          {history && <GuidingHistoryView history={history} />}
+        </Box>
+
+        <Flex gap="3" mt="4" justify="end">
+          <Dialog.Close>
+            <Button variant="soft" color="gray">Close</Button>
+          </Dialog.Close>
+        </Flex>
+      </Dialog.Content>
+    </Dialog.Root>
+  );
+};
+
+export default GuidingHistoryModal;
@@ -0,0 +1,194 @@
+import React, { useRef } from 'react';
+import { Flex, Box, Text, Button, TextField, Table, IconButton, Callout } from '@radix-ui/themes';
+import { TrashIcon, UploadIcon, PlusIcon, InfoCircledIcon } from '@radix-ui/react-icons';
+import { toast } from 'sonner';
+import { parseHorizonFile, sortHorizon } from '../utils/horizonProfile';
+import type { HorizonPoint } from '../interfaces/config';
+
+interface HorizonProfilePanelProps {
+  minimumAltitude: number;
+  horizon: HorizonPoint[];
+  onMinimumAltitudeChange: (value: number) => void;
+  onHorizonChange: (points: HorizonPoint[]) => void;
+}
+
+const PREVIEW_WIDTH = 360;
+const PREVIEW_HEIGHT = 90;
+const COMPASS = [
+  { azimuth: 0, label: 'N' },
+  { azimuth: 90, label: 'E' },
+  { azimuth: 180, label: 'S' },
+  { azimuth: 270, label: 'W' },
+  { azimuth: 360, label: 'N' }
+];
+
+// Profile outline across the full circle, closing the gap through north
+const outlinePoints = (horizon: HorizonPoint[]): HorizonPoint[] => {
+  if (horizon.length === 0) return [{ azimuth: 0, altitude: 0 }, { azimuth: 360, altitude: 0 }];
+  const first = horizon[0];
+  const last = horizon[horizon.length - 1];
+  const span = first.azimuth + 360 - last.azimuth;
+  const northAltitude = span > 0
+    ? last.altitude + (first.altitude - last.altitude) * ((360 - last.azimuth) / span)
+    : first.altitude;
+  return [{ azimuth: 0, altitude: northAltitude }, ...horizon, { azimuth: 360, altitude: northAltitude }];
+};
+
+/**
+ * Horizon tab of the settings dialog - the local horizon profile used for target visibility,
+ * moon rise/set and the daylight safety check. Saved with "Save Changes".
+ */
+const HorizonProfilePanel: React.FC<HorizonProfilePanelProps> = ({
+  minimumAltitude,
+  horizon,
+  onMinimumAltitudeChange,
+  onHorizonChange
+}) => {
+  const fileInput = useRef<HTMLInputElement>(null);
+
+  const handleImport = async (event: React.ChangeEvent<HTMLInputElement>) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    const { points, skippedLines } = parseHorizonFile(await file.text());
+    if (points.length < 2) {
+      toast.error('Horizon not imported', { description: `${file.name} has no azimuth/altitude pairs` });
+      return;
+    }
+
+    onHorizonChange(points);
+    toast.success(`Imported ${points.length} horizon points`, {
+      description: skippedLines > 0 ? `${skippedLines} unreadable lines skipped` : file.name
+    });
+  };
+
+  const updatePoint = (index: number, field: keyof HorizonPoint, value: string) => {
+    const number = parseFloat(value);
+    if (!Number.isFinite(number)) return;
+    onHorizonChange(sortHorizon(horizon.map((point, i) => (i === index ? { ...point, [field]: number } : point))));
+  };
+
+  const outline = outlinePoints(horizon)
+    .map(point => `${point.azimuth},${PREVIEW_HEIGHT - Math.max(0, point.altitude)}`)
+    .join(' ');
+
+  return (
+    <Flex direction="column" gap="4">
+      <Callout.Root color="blue" size="1">
+        <Callout.Icon>
+          <InfoCircledIcon />
+        </Callout.Icon>
+        <Callout.Text>
+          Trees and buildings block part of the sky. Targets count as visible once they clear both the horizon
+          profile and the minimum altitude; the moon rises and sets over the profile.
+        </Callout.Text>
+      </Callout.Root>
+
+      <Box>
+        <Text as="label" size="2" weight="medium" mb="1">
+          Minimum Altitude (degrees)
+        </Text>
+        <TextField.Root
+          type="number"
+          value={minimumAltitude.toString()}
+          onChange={(e: React.ChangeEvent<HTMLInputElement>) => onMinimumAltitudeChange(Math.min(89, Math.max(0, parseFloat(e.target.value) || 0)))}
+          placeholder="30"
+        />
+        <Text size="1" color="gray" mt="1">
+          Lowest altitude worth imaging at, in every direction (default: 30)
+        </Text>
+      </Box>
+
+      <Box style={{ backgroundColor: 'var(--gray-3)', borderRadius: '8px', padding: '8px' }}>
+        <svg viewBox={`0 0 ${PREVIEW_WIDTH} ${PREVIEW_HEIGHT + 12}`} width="100%" style={{ display: 'block' }}>
+          <polygon points={`0,${PREVIEW_HEIGHT} ${outline} ${PREVIEW_WIDTH},${PREVIEW_HEIGHT}`} fill="#4B5563" />
+          <line
+            x1="0"
+            y1={PREVIEW_HEIGHT - minimumAltitude}
+            x2={PREVIEW_WIDTH}
+            y2={PREVIEW_HEIGHT - minimumAltitude}
+            stroke="#F87171"
+            strokeDasharray="4,3"
+            strokeWidth="0.75"
+          />
+          {COMPASS.map(mark => (
+            <text key={mark.azimuth} x={mark.azimuth} y={PREVIEW_HEIGHT + 10} fontSize="8" fill="#a1a1aa" textAnchor="middle">
+              {mark.label}
+            </text>
+          ))}
+        </svg>
+      </Box>
+
+      <Flex gap="2" wrap="wrap">
+        <input ref={fileInput} type="file" accept=".hrz,.txt,.csv" style={{ display: 'none' }} onChange={handleImport} />
+        <Button variant="soft" onClick={() => fileInput.current?.click()}>
+          <UploadIcon />
+          Import .hrz / Stellarium file
+        </Button>
+        <Button
+          variant="soft"
+          color="gray"
+          onClick={() => onHorizonChange(sortHorizon([...horizon, { azimuth: 0, altitude: 0 }]))}
+        >
+          <PlusIcon />
+          Add Point
+        </Button>
+        <Button variant="soft" color="red" disabled={horizon.length === 0} onClick={() => onHorizonChange([])}>
+          Clear
+        </Button>
+      </Flex>
+
+      {horizon.length === 0 ? (
+        <Text size="1" color="gray">No horizon profile - the horizon is treated as flat.</Text>
+      ) : (
+        <Table.Root size="1">
+          <Table.Header>
+            <Table.Row>
+              <Table.ColumnHeaderCell>Azimuth (°)</Table.ColumnHeaderCell>
+              <Table.ColumnHeaderCell>Altitude (°)</Table.ColumnHeaderCell>
+              <Table.ColumnHeaderCell />
+            </Table.Row>
+          </Table.Header>
+          <Table.Body>
+            {horizon.map((point, index) => (
+              <Table.Row key={`${index}-${point.azimuth}`} align="center">
+                <Table.Cell>
+                  <TextField.Root
+                    size="1"
+                    type="number"
+                    defaultValue={point.azimuth.toString()}
+                    onBlur={(e: React.FocusEvent<HTMLInputElement>) => updatePoint(index, 'azimuth', e.target.value)}
+                  />
+                </Table.Cell>
+                <Table.Cell>
+                  <TextField.Root
+                    size="1"
+                    type="number"
+                    defaultValue={point.altitude.toString()}
+                    onBlur={(e: React.FocusEvent<HTMLInputElement>) => updatePoint(index, 'altitude', e.target.value)}
+                  />
+                </Table.Cell>
+                <Table.Cell>
+                  <Flex justify="end">
+                    <IconButton
+                      size="1"
+                      variant="ghost"
+                      color="red"
+                      title="Remove point"
+                      onClick={() => onHorizonChange(horizon.filter((_, i) => i !== index))}
+                    >
+                      <TrashIcon />
+                    </IconButton>
+                  </Flex>
+                </Table.Cell>
+              </Table.Row>
+            ))}
+          </Table.Body>
+        </Table.Root>
+      )}
+    </Flex>
+  );
+};
+
+export default HorizonProfilePanel;
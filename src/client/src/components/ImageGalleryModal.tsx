@@ -0,0 +1,285 @@
+// Image Gallery Modal - NINA's image history as a paged thumbnail grid
+// Filter by target, filter, frame type and date, compare two frames side by side, download originals
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { Badge, Box, Button, Callout, Dialog, Flex, Grid, IconButton, Select, Text, TextField } from '@radix-ui/themes';
+import {
+  ArrowLeftIcon,
+  ChevronLeftIcon,
+  ChevronRightIcon,
+  DownloadIcon,
+  ExclamationTriangleIcon,
+  ImageIcon,
+  ReloadIcon
+} from '@radix-ui/react-icons';
+import { getApiUrl, apiFetch } from '../config/api';
+import type { GalleryImage, GalleryPage, GalleryQuery, ImageGalleryModalProps } from '../interfaces/gallery';
+
+const PAGE_SIZE = 24;
+const ALL = 'all';
+
+const EMPTY_QUERY: GalleryQuery = { target: ALL, filter: ALL, imageType: ALL, fromDate: '', toDate: '' };
+
+const formatDateTime = (time: string | null): string =>
+  time ? new Date(time).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' }) : '--';
+
+// URLs carry the capture time so a reused NINA index never shows a browser-cached render of another frame
+const imageUrl = (image: GalleryImage, kind: 'thumbnail' | 'preview' | 'original'): string => {
+  const stamp = encodeURIComponent(image.date || '');
+  return kind === 'preview'
+    ? getApiUrl(`images/${image.index}?size=preview&t=${stamp}`)
+    : getApiUrl(`gallery/images/${image.index}/${kind}?t=${stamp}`);
+};
+
+const buildQueryString = (query: GalleryQuery, page: number): string => {
+  const params = new URLSearchParams({ page: String(page), pageSize: String(PAGE_SIZE) });
+  if (query.target !== ALL) params.set('target', query.target);
+  if (query.filter !== ALL) params.set('filter', query.filter);
+  if (query.imageType !== ALL) params.set('imageType', query.imageType);
+  // Whole local days: from midnight of the first to midnight after the last
+  if (query.fromDate) params.set('from', new Date(`${query.fromDate}T00:00:00`).toISOString());
+  if (query.toDate) {
+    const end = new Date(`${query.toDate}T00:00:00`);
+    end.setDate(end.getDate() + 1);
+    params.set('to', end.toISOString());
+  }
+  return params.toString();
+};
+
+const describeImage = (image: GalleryImage): string =>
+  [
+    image.filter,
+    image.exposureTime !== null ? `${image.exposureTime}s` : null,
+    image.hfr !== null ? `HFR ${image.hfr.toFixed(2)}` : null
+  ].filter(Boolean).join(' · ');
+
+const FilterSelect: React.FC<{
+  label: string;
+  value: string;
+  options: string[];
+  onChange: (value: string) => void;
+}> = ({ label, value, options, onChange }) => (
+  <Flex direction="column" gap="1">
+    <Text size="1" color="gray">{label}</Text>
+    <Select.Root size="1" value={value} onValueChange={onChange}>
+      <Select.Trigger style={{ minWidth: '120px' }} />
+      <Select.Content>
+        <Select.Item value={ALL}>All</Select.Item>
+        {options.map(option => (
+          <Select.Item key={option} value={option}>{option}</Select.Item>
+        ))}
+      </Select.Content>
+    </Select.Root>
+  </Flex>
+);
+
+const DownloadButton: React.FC<{ image: GalleryImage }> = ({ image }) => (
+  <IconButton size="1" variant="soft" color="gray" asChild title={`Download ${image.fileName}`}>
+    <a href={imageUrl(image, 'original')} download={image.fileName || undefined} onClick={(e) => e.stopPropagation()}>
+      <DownloadIcon />
+    </a>
+  </IconButton>
+);
+
+const ComparisonView: React.FC<{ images: GalleryImage[]; canDownload: boolean }> = ({ images, canDownload }) => (
+  <Grid columns={{ initial: '1', sm: '2' }} gap="3">
+    {images.map(image => (
+      <Flex key={image.index} direction="column" gap="2">
+        <Box style={{ background: 'var(--gray-2)', borderRadius: 'var(--radius-2)', overflow: 'hidden' }}>
+          <img
+            src={imageUrl(image, 'preview')}
+            alt={image.fileName || `Image ${image.index}`}
+            style={{ width: '100%', display: 'block' }}
+          />
+        </Box>
+        <Flex justify="between" align="center" gap="2">
+          <Flex direction="column" gap="1">
+            <Text size="2" weight="medium">{image.target || 'Unknown target'}</Text>
+            <Text size="1" color="gray">{formatDateTime(image.date)} · {describeImage(image)}</Text>
+            <Text size="1" color="gray">
+              Stars {image.stars ?? '--'} · Median {image.median ?? '--'} · Guiding {image.rmsText || '--'}
+            </Text>
+          </Flex>
+          {canDownload && image.fileName && <DownloadButton image={image} />}
+        </Flex>
+      </Flex>
+    ))}
+  </Grid>
+);
+
+export const ImageGalleryModal: React.FC<ImageGalleryModalProps> = ({ open, onClose }) => {
+  const [query, setQuery] = useState<GalleryQuery>(EMPTY_QUERY);
+  const [page, setPage] = useState(1);
+  const [result, setResult] = useState<GalleryPage | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [selected, setSelected] = useState<GalleryImage[]>([]);
+  const [comparing, setComparing] = useState(false);
+
+  const fetchPage = useCallback(async (currentQuery: GalleryQuery, currentPage: number) => {
+    setLoading(true);
+    try {
+      setError(null);
+      const response = await apiFetch(getApiUrl(`gallery/images?${buildQueryString(currentQuery, currentPage)}`));
+      const body = await response.json();
+      if (!response.ok) {
+        throw new Error(body.error || `HTTP ${response.status}: ${response.statusText}`);
+      }
+      setResult(body);
+    } catch (err) {
+      console.error('Error fetching image gallery:', err);
+      setError(err instanceof Error ? err.message : 'Failed to load images');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (open) {
+      fetchPage(query, page);
+    }
+  }, [open, query, page, fetchPage]);
+
+  const updateQuery = (changes: Partial<GalleryQuery>) => {
+    setQuery(previous => ({ ...previous, ...changes }));
+    setPage(1);
+  };
+
+  // Two frames at most; picking a third replaces the older pick
+  const toggleSelected = (image: GalleryImage) => {
+    setSelected(previous => previous.some(item => item.index === image.index)
+      ? previous.filter(item => item.index !== image.index)
+      : [...previous, image].slice(-2));
+  };
+
+  const canDownload = result?.originalsAvailable ?? false;
+
+  return (
+    <Dialog.Root open={open} onOpenChange={onClose}>
+      <Dialog.Content style={{ maxWidth: '1100px', maxHeight: '90vh' }}>
+        <Dialog.Title>
+          <Flex align="center" gap="2">
+            <ImageIcon />
+            Image Gallery
+          </Flex>
+        </Dialog.Title>
+
+        <Dialog.Description>
+          Every image in NINA's history, newest first. Select two images to compare them side by side.
+        </Dialog.Description>
+
+        {error && (
+          <Callout.Root color="red" mt="4">
+            <Callout.Icon>
+              <ExclamationTriangleIcon />
+            </Callout.Icon>
+            <Callout.Text>{error}</Callout.Text>
+          </Callout.Root>
+        )}
+
+        {comparing && selected.length === 2 ? (
+          <Flex direction="column" gap="3" mt="4">
+            <Flex>
+              <Button variant="soft" size="1" onClick={() => setComparing(false)}>
+                <ArrowLeftIcon />
+                Back to gallery
+              </Button>
+            </Flex>
+            <ComparisonView images={selected} canDownload={canDownload} />
+          </Flex>
+        ) : (
+          <Flex direction="column" gap="3" mt="4">
+            {/* Filters */}
+            <Flex gap="3" align="end" wrap="wrap">
+              <FilterSelect label="Target" value={query.target} options={result?.targets || []} onChange={target => updateQuery({ target })} />
+              <FilterSelect label="Filter" value={query.filter} options={result?.filters || []} onChange={filter => updateQuery({ filter })} />
+              <FilterSelect label="Frame type" value={query.imageType} options={result?.imageTypes || []} onChange={imageType => updateQuery({ imageType })} />
+              <Flex direction="column" gap="1">
+                <Text size="1" color="gray">From</Text>
+                <TextField.Root size="1" type="date" value={query.fromDate} onChange={(e) => updateQuery({ fromDate: e.target.value })} />
+              </Flex>
+              <Flex direction="column" gap="1">
+                <Text size="1" color="gray">To</Text>
+                <TextField.Root size="1" type="date" value={query.toDate} onChange={(e) => updateQuery({ toDate: e.target.value })} />
+              </Flex>
+              <Button variant="soft" size="1" disabled={loading} onClick={() => fetchPage(query, page)}>
+                <ReloadIcon className={loading ? 'loading-spinner' : undefined} />
+                Refresh
+              </Button>
+              <Button size="1" disabled={selected.length !== 2} onClick={() => setComparing(true)}>
+                Compare ({selected.length}/2)
+              </Button>
+            </Flex>
+
+            {/* Thumbnails */}
+            <Box style={{ maxHeight: '60vh', overflowY: 'auto' }}>
+              {result && result.images.length === 0 && !loading && (
+                <Text size="2" color="gray">No images match these filters</Text>
+              )}
+              <Grid columns={{ initial: '2', sm: '3', md: '4' }} gap="3">
+                {result?.images.map(image => {
+                  const isSelected = selected.some(item => item.index === image.index);
+                  return (
+                    <Flex
+                      key={`${image.index}-${image.date}`}
+                      direction="column"
+                      gap="1"
+                      onClick={() => toggleSelected(image)}
+                      style={{
+                        cursor: 'pointer',
+                        padding: '4px',
+                        borderRadius: 'var(--radius-2)',
+                        outline: isSelected ? '2px solid var(--accent-9)' : '1px solid var(--gray-a4)'
+                      }}
+                    >
+                      <Box style={{ aspectRatio: '4 / 3', background: 'var(--gray-2)', overflow: 'hidden', borderRadius: 'var(--radius-1)' }}>
+                        <img
+                          src={imageUrl(image, 'thumbnail')}
+                          alt={image.fileName || `Image ${image.index}`}
+                          loading="lazy"
+                          style={{ width: '100%', height: '100%', objectFit: 'cover', display: 'block' }}
+                        />
+                      </Box>
+                      <Flex justify="between" align="center" gap="1">
+                        <Text size="1" weight="medium" truncate>{image.target || 'Unknown target'}</Text>
+                        {image.imageType && image.imageType !== 'LIGHT' && <Badge size="1" color="gray">{image.imageType}</Badge>}
+                      </Flex>
+                      <Flex justify="between" align="center" gap="1">
+                        <Flex direction="column">
+                          <Text size="1" color="gray">{formatDateTime(image.date)}</Text>
+                          <Text size="1" color="gray">{describeImage(image) || '--'}</Text>
+                        </Flex>
+                        {canDownload && image.fileName && <DownloadButton image={image} />}
+                      </Flex>
+                    </Flex>
+                  );
+                })}
+              </Grid>
+            </Box>
+
+            {/* Pages */}
+            {result && (
+              <Flex justify="between" align="center">
+                <IconButton variant="soft" size="1" disabled={loading || result.page <= 1} onClick={() => setPage(result.page - 1)}>
+                  <ChevronLeftIcon />
+                </IconButton>
+                <Text size="1" color="gray">
+                  Page {result.page} of {result.pages} · {result.total} images
+                </Text>
+                <IconButton variant="soft" size="1" disabled={loading || result.page >= result.pages} onClick={() => setPage(result.page + 1)}>
+                  <ChevronRightIcon />
+                </IconButton>
+              </Flex>
+            )}
+          </Flex>
+        )}
+
+        <Flex gap="3" mt="4" justify="end">
+          <Dialog.Close>
+            <Button variant="soft" color="gray">Close</Button>
+          </Dialog.Close>
+        </Flex>
+      </Dialog.Content>
+    </Dialog.Root>
+  );
+};
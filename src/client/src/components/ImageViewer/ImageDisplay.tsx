@@ -1,32 +1,40 @@
 /**
  * Image Display Component
- * Handles the actual image rendering with error states and loading
+ * Handles the actual image rendering with error states and loading, with the plate solve of light frames beside it
  */
 
 import React, { useState } from 'react';
 import { Box, Flex, Text, Spinner, Callout, Badge } from '@radix-ui/themes';
 import { ExclamationTriangleIcon, ClockIcon } from '@radix-ui/react-icons';
 import ImageModal from '../ImageModal';
+import { PlateSolvePanel, FramingOverlay } from './PlateSolvePanel';
 import type { ImageStatistics } from '../../interfaces/image';
+import type { PlateSolveResult } from '../../interfaces/unifiedState';
 
 interface ImageDisplayProps {
   latestImage: string | null;
+  fullImage?: string | null;
   imageLoading: boolean;
   error: string | null;
   isImagingSession: boolean;
   nextRefreshIn?: number | null;
   imageStats?: ImageStatistics | null;
+  plateSolve?: PlateSolveResult | null; // Solve of the displayed frame, if there is one
 }
 
 export const ImageDisplay: React.FC<ImageDisplayProps> = ({
   latestImage,
+  fullImage,
   imageLoading,
   error,
   isImagingSession,
   nextRefreshIn,
-  imageStats
+  imageStats,
+  plateSolve = null
 }) => {
   const [isModalOpen, setIsModalOpen] = useState(false);
+  const [showFraming, setShowFraming] = useState(true);
+  const isLightFrame = !imageStats?.ImageType || imageStats.ImageType.toUpperCase() === 'LIGHT';
 
   // Determine image type badge color
   const getImageTypeBadgeColor = (imageType?: string) => {
@@ -108,8 +116,8 @@ export const ImageDisplay: React.FC<ImageDisplayProps> = ({
 
   // Image display
   return (
-    <>
-      <Box style={{ position: 'relative' }}>
+    <Flex gap="3" wrap="wrap" align="start">
+      <Box style={{ position: 'relative', flex: '3 1 320px', minWidth: 0 }}>
         <div
           onClick={(e) => {
             e.stopPropagation();
@@ -133,7 +141,8 @@ export const ImageDisplay: React.FC<ImageDisplayProps> = ({
               border: '1px solid var(--gray-6)',
               background: 'var(--gray-1)',
               userSelect: 'none',
-              pointerEvents: 'none'
+              pointerEvents: 'none',
+              display: 'block'
             }}
             onError={(e) => {
               console.error('📸 Image failed to load:', e);
@@ -142,6 +151,7 @@ export const ImageDisplay: React.FC<ImageDisplayProps> = ({
               // Image loaded successfully
             }}
           />
+          {showFraming && plateSolve && <FramingOverlay solve={plateSolve} />}
         </div>
         
         {/* Image type badge in bottom left corner */}
@@ -188,13 +198,19 @@ export const ImageDisplay: React.FC<ImageDisplayProps> = ({
         )}
       </Box>
 
+      {isLightFrame && (
+        <Box style={{ flex: '1 1 180px' }}>
+          <PlateSolvePanel solve={plateSolve} showFraming={showFraming} onShowFramingChange={setShowFraming} />
+        </Box>
+      )}
+
       {/* Full-screen image modal */}
       <ImageModal
         isOpen={isModalOpen}
         onClose={() => setIsModalOpen(false)}
-        imageSrc={latestImage}
+        imageSrc={fullImage || latestImage}
         imageAlt="Latest captured image - Full size"
       />
-    </>
+    </Flex>
   );
 };
@@ -5,7 +5,7 @@
 
 import React from 'react';
 import { Flex, Text, Badge, Button, Spinner } from '@radix-ui/themes';
-import { CameraIcon, ReloadIcon } from '@radix-ui/react-icons';
+import { CameraIcon, ReloadIcon, ImageIcon } from '@radix-ui/react-icons';
 
 interface ImageHeaderProps {
   hideHeader?: boolean;
@@ -13,6 +13,7 @@ interface ImageHeaderProps {
   imageLoading: boolean;
   sessionData: any;
   onRefresh: () => void;
+  onOpenGallery: () => void;
   nextRefreshIn?: number | null;
 }
 
@@ -22,6 +23,7 @@ export const ImageHeader: React.FC<ImageHeaderProps> = ({
   imageLoading,
   sessionData,
   onRefresh,
+  onOpenGallery,
   nextRefreshIn
 }) => {
   if (hideHeader) return null;
@@ -43,15 +45,21 @@ export const ImageHeader: React.FC<ImageHeaderProps> = ({
         )}
       </Flex>
       
-      <Button 
-        variant="soft" 
-        size="1" 
-        onClick={onRefresh}
-        disabled={imageLoading}
-      >
-        {imageLoading ? <Spinner size="1" /> : <ReloadIcon />}
-        Refresh
-      </Button>
+      <Flex gap="2">
+        <Button variant="soft" size="1" color="gray" onClick={onOpenGallery}>
+          <ImageIcon />
+          Gallery
+        </Button>
+        <Button 
+          variant="soft" 
+          size="1" 
+          onClick={onRefresh}
+          disabled={imageLoading}
+        >
+          {imageLoading ? <Spinner size="1" /> : <ReloadIcon />}
+          Refresh
+        </Button>
+      </Flex>
     </Flex>
   );
 };
@@ -0,0 +1,151 @@
+/**
+ * Plate Solve Components
+ * Solved centre, rotation and scale beside the image, plus an overlay of the intended target framing
+ */
+
+import React from 'react';
+import { Badge, Flex, Separator, Switch, Text } from '@radix-ui/themes';
+import { TargetIcon } from '@radix-ui/react-icons';
+import type { PlateSolveResult } from '../../interfaces/unifiedState';
+
+const RAD = Math.PI / 180;
+
+// Degrees to "05h 34m 31.9s"
+const formatRa = (degrees: number | null): string => {
+  if (degrees === null) return '--';
+  const totalSeconds = (Math.round(((degrees / 15 + 24) % 24) * 36000) / 10) % 86400;
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = (totalSeconds % 60).toFixed(1);
+  return `${String(hours).padStart(2, '0')}h ${String(minutes).padStart(2, '0')}m ${seconds.padStart(4, '0')}s`;
+};
+
+// Degrees to "+22° 00' 52""
+const formatDec = (degrees: number | null): string => {
+  if (degrees === null) return '--';
+  const sign = degrees < 0 ? '-' : '+';
+  const totalSeconds = Math.round(Math.abs(degrees) * 3600);
+  const wholeDegrees = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  return `${sign}${String(wholeDegrees).padStart(2, '0')}° ${String(minutes).padStart(2, '0')}' ${String(seconds).padStart(2, '0')}"`;
+};
+
+const formatValue = (value: number | null, unit: string, digits = 2): string =>
+  value === null ? '--' : `${value.toFixed(digits)}${unit}`;
+
+const Row: React.FC<{ label: string; value: string }> = ({ label, value }) => (
+  <Flex justify="between" align="center" gap="3">
+    <Text size="1" color="gray">{label}</Text>
+    <Text size="1" weight="medium" style={{ fontVariantNumeric: 'tabular-nums' }}>{value}</Text>
+  </Flex>
+);
+
+interface PlateSolvePanelProps {
+  solve: PlateSolveResult | null;
+  showFraming: boolean;
+  onShowFramingChange: (show: boolean) => void;
+}
+
+export const PlateSolvePanel: React.FC<PlateSolvePanelProps> = ({ solve, showFraming, onShowFramingChange }) => {
+  const hasTarget = !!solve && (solve.pointingError !== null || solve.rotationError !== null);
+
+  return (
+    <Flex direction="column" gap="2">
+      <Flex align="center" justify="between" gap="2">
+        <Flex align="center" gap="2">
+          <TargetIcon />
+          <Text size="2" weight="medium">Plate Solve</Text>
+        </Flex>
+        {solve && (
+          <Badge size="1" variant="soft" color={solve.success ? 'green' : 'red'}>
+            {solve.success ? 'Solved' : 'Failed'}
+          </Badge>
+        )}
+      </Flex>
+
+      {!solve && <Text size="1" color="gray">No plate solve for this frame</Text>}
+
+      {solve && !solve.success && <Text size="1" color="red">{solve.error || 'Plate solve failed'}</Text>}
+
+      {solve?.success && (
+        <>
+          <Row label="RA" value={formatRa(solve.ra)} />
+          <Row label="Dec" value={formatDec(solve.dec)} />
+          <Row label="Rotation" value={`${formatValue(solve.rotation, '°')}${solve.flipped ? ' (flipped)' : ''}`} />
+          <Row label="Pixel scale" value={formatValue(solve.pixelScale, '"/px')} />
+
+          <Separator size="4" />
+
+          {hasTarget ? (
+            <>
+              <Row label={`Off ${solve.targetName || 'target'}`} value={formatValue(solve.pointingError, "'")} />
+              <Row label="RA / Dec error" value={`${formatValue(solve.raError, "'", 1)} / ${formatValue(solve.decError, "'", 1)}`} />
+              <Row label="Rotation error" value={formatValue(solve.rotationError, '°')} />
+              <Text as="label" size="1" color="gray">
+                <Flex gap="2" align="center">
+                  <Switch size="1" checked={showFraming} onCheckedChange={onShowFramingChange} disabled={!solve.fieldWidth} />
+                  Show intended framing
+                </Flex>
+              </Text>
+              {!solve.fieldWidth && (
+                <Text size="1" color="gray">The overlay needs the camera's sensor size from NINA</Text>
+              )}
+            </>
+          ) : (
+            <Text size="1" color="gray">No target coordinates to compare with</Text>
+          )}
+        </>
+      )}
+    </Flex>
+  );
+};
+
+/**
+ * Intended framing drawn over the image, in arcmin with the solved centre at the origin.
+ * The sky offset is turned into image axes with the solved position angle (north up and east left at 0°),
+ * so it lines up with the image whenever the image keeps NINA's orientation
+ */
+export const FramingOverlay: React.FC<{ solve: PlateSolveResult }> = ({ solve }) => {
+  const width = solve.fieldWidth;
+  const height = solve.fieldHeight;
+  if (!solve.success || !width || !height) return null;
+
+  // Target centre relative to the solved centre: east and north in arcmin
+  const east = solve.raError !== null ? -solve.raError : 0;
+  const north = solve.decError !== null ? -solve.decError : 0;
+  const angle = (solve.rotation ?? 0) * RAD;
+  const mirror = solve.flipped ? -1 : 1;
+  const x = mirror * (north * Math.sin(angle) - east * Math.cos(angle));
+  const y = -(north * Math.cos(angle) + east * Math.sin(angle));
+  const rotation = mirror * (solve.rotationError ?? 0);
+  const stroke = Math.max(width, height) / 250;
+  const cross = Math.min(width, height) / 20;
+
+  return (
+    <svg
+      viewBox={`${-width / 2} ${-height / 2} ${width} ${height}`}
+      preserveAspectRatio="xMidYMid meet"
+      style={{ position: 'absolute', inset: 0, width: '100%', height: '100%', pointerEvents: 'none' }}
+    >
+      {/* Solved centre */}
+      <path d={`M ${-cross} 0 H ${cross} M 0 ${-cross} V ${cross}`} stroke="rgba(255, 255, 255, 0.6)" strokeWidth={stroke} />
+      <line x1={0} y1={0} x2={x} y2={y} stroke="rgba(250, 204, 21, 0.8)" strokeWidth={stroke} strokeDasharray={`${stroke * 3} ${stroke * 3}`} />
+
+      {/* Intended frame and centre */}
+      <g transform={`translate(${x} ${y}) rotate(${rotation})`}>
+        <rect
+          x={-width / 2}
+          y={-height / 2}
+          width={width}
+          height={height}
+          fill="none"
+          stroke="rgba(250, 204, 21, 0.9)"
+          strokeWidth={stroke * 1.5}
+          strokeDasharray={`${stroke * 8} ${stroke * 4}`}
+        />
+        <path d={`M ${-cross} 0 H ${cross} M 0 ${-cross} V ${cross}`} stroke="rgba(250, 204, 21, 0.9)" strokeWidth={stroke * 1.5} />
+      </g>
+    </svg>
+  );
+};
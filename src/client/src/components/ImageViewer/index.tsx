@@ -3,15 +3,17 @@
  * Clean, maintainable implementation using the modular architecture pattern
  */
 
-import React from 'react';
+import React, { useState } from 'react';
 import { Card, Flex } from '@radix-ui/themes';
 import type { ImageViewerProps } from '../../interfaces/dashboard';
 
 // Modular components
 import { useImageData } from './useImageData';
+import { usePlateSolve } from './usePlateSolve';
 import { ImageHeader } from './ImageHeader';
 import { ImageDisplay } from './ImageDisplay';
 import { ImageStats } from './ImageStats';
+import { ImageGalleryModal } from '../ImageGalleryModal';
 
 const ImageViewerWidget: React.FC<ImageViewerProps> = ({ 
   onRefresh, 
@@ -20,6 +22,8 @@ const ImageViewerWidget: React.FC<ImageViewerProps> = ({
   // Use the modular data hook
   const {
     latestImage,
+    fullImage,
+    imageIndex,
     imageStats,
     imageLoading,
     error,
@@ -29,6 +33,11 @@ const ImageViewerWidget: React.FC<ImageViewerProps> = ({
     nextRefreshIn,
     isExpired
   } = useImageData();
+  const lastSolve = usePlateSolve();
+  const [galleryOpen, setGalleryOpen] = useState(false);
+
+  // Solves arrive a few seconds after the frame; an older solve stays off a newer image
+  const plateSolve = lastSolve && lastSolve.imageIndex === imageIndex ? lastSolve : null;
 
   // Handle refresh with callback
   const handleRefresh = async () => {
@@ -46,17 +55,20 @@ const ImageViewerWidget: React.FC<ImageViewerProps> = ({
           imageLoading={imageLoading}
           sessionData={sessionData}
           onRefresh={handleRefresh}
+          onOpenGallery={() => setGalleryOpen(true)}
           nextRefreshIn={isExpired ? null : nextRefreshIn}
         />
 
         {/* Main image display */}
         <ImageDisplay
           latestImage={latestImage}
+          fullImage={fullImage}
           imageLoading={imageLoading}
           error={error}
           isImagingSession={isImagingSession}
           nextRefreshIn={isExpired ? null : nextRefreshIn}
           imageStats={imageStats}
+          plateSolve={plateSolve}
         />
 
         {/* Image statistics panel */}
@@ -66,6 +78,8 @@ const ImageViewerWidget: React.FC<ImageViewerProps> = ({
           nextRefreshIn={isExpired ? null : nextRefreshIn}
         />
       </Flex>
+
+      <ImageGalleryModal open={galleryOpen} onClose={() => setGalleryOpen(false)} />
     </Card>
   );
 };
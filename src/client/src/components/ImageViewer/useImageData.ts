@@ -2,7 +2,7 @@
  * Image Viewer Data Hook with Exposure-Based Refresh
  * Implements exposure time + 25 second refresh cycle for continuous image updates
  * ENHANCED: Listens to unified state WebSocket for IMAGE-SAVE events to trigger immediate refresh
- * 1. On first load: Fetch latest image and metadata from NINA
+ * 1. On first load: Fetch latest image metadata; the image itself is loaded from the server's image cache (/api/images/:index)
  * 2. Schedule next refresh based on ExposureTime + 25 seconds
  * 3. Listen for IMAGE-SAVE WebSocket events for instant updates
  * 4. Continue refreshing while component is mounted and active
@@ -11,9 +11,12 @@
 import { useState, useEffect, useCallback, useRef } from 'react';
 import type { ImageStatistics } from '../../interfaces/image';
 import { useUnifiedState } from '../../contexts/UnifiedStateContext';
+import { apiFetch } from '../../config/api';
 
 export interface UseImageDataReturn {
-  latestImage: string | null;
+  latestImage: string | null; // Preview-size render URL
+  fullImage: string | null; // Full-size render URL for the modal
+  imageIndex: number | null; // NINA image history index of the displayed frame
   imageStats: ImageStatistics | null;
   imageLoading: boolean;
   error: string | null;
@@ -26,6 +29,8 @@ export interface UseImageDataReturn {
 
 export const useImageData = (): UseImageDataReturn => {
   const [latestImage, setLatestImage] = useState<string | null>(null);
+  const [fullImage, setFullImage] = useState<string | null>(null);
+  const [imageIndex, setImageIndex] = useState<number | null>(null);
   const [imageStats, setImageStats] = useState<ImageStatistics | null>(null);
   const [imageLoading, setImageLoading] = useState(false);
   const [error, setError] = useState<string | null>(null);
@@ -63,14 +68,6 @@ export const useImageData = (): UseImageDataReturn => {
     }
   }, [lastUpdate, state?.currentSession?.imaging?.lastImage?.at]);
 
-  // Clean up blob URLs
-  const cleanupImageUrl = useCallback((url: string) => {
-    if (url && url.startsWith('blob:')) {
-      URL.revokeObjectURL(url);
-      // Cleaned up blob URL
-    }
-  }, []);
-
   // Clear all timers
   const clearTimers = useCallback(() => {
     if (refreshTimer.current) {
@@ -94,7 +91,7 @@ export const useImageData = (): UseImageDataReturn => {
     setError(null);
     
     try {
-      const response = await fetch('/api/nina/latest-image');
+      const response = await apiFetch('/api/nina/latest-image');
       
       if (!response.ok) {
         throw new Error(`HTTP ${response.status}: ${response.statusText}`);
@@ -105,69 +102,47 @@ export const useImageData = (): UseImageDataReturn => {
 
       if (!isMounted.current) return;
       
-      // Clean up previous image URL
-      if (latestImage) {
-        cleanupImageUrl(latestImage);
-      }
-      
-      if (result.Success && result.imageBase64) {
-        // Convert base64 to blob URL
-        try {
-          const binaryString = atob(result.imageBase64);
-          const bytes = new Uint8Array(binaryString.length);
-          
-          for (let i = 0; i < binaryString.length; i++) {
-            bytes[i] = binaryString.charCodeAt(i);
-          }
-          
-          const imageBlob = new Blob([bytes], { type: result.imageContentType || 'image/jpeg' });
-          const imageUrl = URL.createObjectURL(imageBlob);
-          
-          setLatestImage(imageUrl);
-          setImageStats(result.imageStats);
-          setIsImagingSession(true);
-          setError(null);
-          
-          // Image loaded successfully
+      if (result.Success && result.imageUrl) {
+        // Numbered render URLs - the browser and the server cache keep them, so only new frames are downloaded.
+        // They carry the capture time because NINA numbers images from 0 again every session
+        setLatestImage(result.imageUrl);
+        setFullImage(`/api/images/${result.imageIndex}?size=full&t=${encodeURIComponent(result.imageStats?.Date || '')}`);
+        setImageIndex(result.imageIndex ?? null);
+        setImageStats(result.imageStats);
+        setIsImagingSession(true);
+        setError(null);
+        
+        // Check if image is expired (over 30 minutes old)
+        const imageDate = result.imageStats?.Date ? new Date(result.imageStats.Date) : new Date();
+        const now = new Date();
+        const timeSinceCapture = Math.floor((now.getTime() - imageDate.getTime()) / 1000); // seconds
+        const thirtyMinutesInSeconds = 30 * 60; // 1800 seconds
+        
+        if (timeSinceCapture > thirtyMinutesInSeconds) {
+          // Image is over 30 minutes old - mark as expired
+          setIsExpired(true);
+          clearTimers();
+          setNextRefreshIn(null); // Hide countdown for expired images
+          console.log('📸 Image expired (>30min old), waiting for WebSocket updates');
+        } else {
+          // Image is recent - schedule next refresh
+          setIsExpired(false);
           
-          // Check if image is expired (over 30 minutes old)
-          const imageDate = result.imageStats?.Date ? new Date(result.imageStats.Date) : new Date();
-          const now = new Date();
-          const timeSinceCapture = Math.floor((now.getTime() - imageDate.getTime()) / 1000); // seconds
-          const thirtyMinutesInSeconds = 30 * 60; // 1800 seconds
+          // Schedule next refresh based on last capture time + exposure time + 25s
+          const exposureTime = result.ExposureTime || 30; // Default to 30s
           
-          if (timeSinceCapture > thirtyMinutesInSeconds) {
-            // Image is over 30 minutes old - mark as expired
-            setIsExpired(true);
-            clearTimers();
-            setNextRefreshIn(null); // Hide countdown for expired images
-            console.log('📸 Image expired (>30min old), waiting for WebSocket updates');
-          } else {
-            // Image is recent - schedule next refresh
-            setIsExpired(false);
-            
-            // Schedule next refresh based on last capture time + exposure time + 25s
-            const exposureTime = result.ExposureTime || 30; // Default to 30s
-            
-            // Calculate time remaining: (exposure + 25) - time since capture
-            const totalCycleTime = exposureTime + 25;
-            const timeRemaining = Math.max(totalCycleTime - timeSinceCapture, 10); // Minimum 10 seconds
-            const refreshDelay = Math.min(timeRemaining * 1000, 300000); // Cap at 5 minutes
-            
-            // Schedule next refresh based on smart timing calculation
-            scheduleNextRefresh(refreshDelay);
-          }
+          // Calculate time remaining: (exposure + 25) - time since capture
+          const totalCycleTime = exposureTime + 25;
+          const timeRemaining = Math.max(totalCycleTime - timeSinceCapture, 10); // Minimum 10 seconds
+          const refreshDelay = Math.min(timeRemaining * 1000, 300000); // Cap at 5 minutes
           
-        } catch (blobError) {
-          console.error('❌ Error creating blob URL:', blobError);
-          setError('Failed to process image data');
-          setLatestImage(null);
-          setImageStats(null);
-          setIsImagingSession(false);
+          // Schedule next refresh based on smart timing calculation
+          scheduleNextRefresh(refreshDelay);
         }
       } else if (result.Success && result.StatusCode === 204) {
         // No images available
         setLatestImage(null);
+        setFullImage(null);
         setImageStats(null);
         setIsImagingSession(false);
         setError(null);
@@ -177,6 +152,7 @@ export const useImageData = (): UseImageDataReturn => {
       } else {
         // Error response
         setLatestImage(null);
+        setFullImage(null);
         setImageStats(null);
         setIsImagingSession(false);
         setError(result.Error || result.message || 'Failed to get image');
@@ -189,6 +165,7 @@ export const useImageData = (): UseImageDataReturn => {
       if (isMounted.current) {
         setError(fetchError instanceof Error ? fetchError.message : 'Unknown error');
         setLatestImage(null);
+        setFullImage(null);
         setImageStats(null);
         setIsImagingSession(false);
         setNextRefreshIn(null); // Hide countdown on network error
@@ -199,7 +176,7 @@ export const useImageData = (): UseImageDataReturn => {
         setImageLoading(false);
       }
     }
-  }, [latestImage, cleanupImageUrl]);
+  }, []);
 
   // Schedule countdown display (no auto-refresh - WebSocket handles updates)
   const scheduleNextRefresh = useCallback((delayMs: number) => {
@@ -254,25 +231,13 @@ export const useImageData = (): UseImageDataReturn => {
       // Cleaning up Image Viewer
       isMounted.current = false;
       clearTimers();
-      
-      // Cleanup blob URL on unmount
-      if (latestImage) {
-        cleanupImageUrl(latestImage);
-      }
     };
   }, []); // Empty dependency array - only run on mount/unmount
 
-  // Cleanup effect for blob URLs when they change
-  useEffect(() => {
-    return () => {
-      if (latestImage) {
-        cleanupImageUrl(latestImage);
-      }
-    };
-  }, [latestImage, cleanupImageUrl]);
-
   return {
     latestImage,
+    fullImage,
+    imageIndex,
     imageStats,
     imageLoading,
     error,
@@ -0,0 +1,36 @@
+/**
+ * Plate Solve Hook
+ * Latest light frame solve: fetched once on mount, then kept current by 'image-solved' unified state updates
+ */
+
+import { useState, useEffect } from 'react';
+import type { PlateSolveResult } from '../../interfaces/unifiedState';
+import { useUnifiedState } from '../../contexts/UnifiedStateContext';
+import { apiFetch } from '../../config/api';
+
+export const usePlateSolve = (): PlateSolveResult | null => {
+  const [storedSolve, setStoredSolve] = useState<PlateSolveResult | null>(null);
+  const { state } = useUnifiedState();
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchLatestSolve = async () => {
+      try {
+        const response = await apiFetch('/api/platesolve/latest');
+        if (!response.ok) return;
+        const result = await response.json();
+        if (!cancelled) setStoredSolve(result.solve);
+      } catch (error) {
+        console.error('❌ Error fetching plate solve:', error);
+      }
+    };
+
+    fetchLatestSolve();
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  return state?.currentSession?.imaging?.lastSolve ?? storedSolve;
+};
@@ -25,6 +25,7 @@ import {
 } from '@radix-ui/react-icons';
 import ImageModal from './ImageModal';
 import { useUnifiedState } from '../contexts/UnifiedStateContext';
+import { apiFetch } from '../config/api';
 
 interface LiveStackOption {
   Filter: string;
@@ -134,7 +135,7 @@ const LiveStackWidget: React.FC<LiveStackWidgetProps> = ({
     try {
       console.log('📋 Fetching LiveStack available options...');
 
-      const response = await fetch('/api/nina/livestack/options');
+      const response = await apiFetch('/api/nina/livestack/options');
       const data: LiveStackOptionsResponse = await response.json();
 
       if (data.Success && Array.isArray(data.Response)) {
@@ -195,7 +196,7 @@ const LiveStackWidget: React.FC<LiveStackWidgetProps> = ({
       console.log(`📸 Fetching LiveStack image: ${selectedTarget} - ${selectedFilter}`);
 
       // Fetch image info
-      const infoResponse = await fetch(`/api/nina/livestack/info/${encodeURIComponent(selectedTarget)}/${encodeURIComponent(selectedFilter)}`);
+      const infoResponse = await apiFetch(`/api/nina/livestack/info/${encodeURIComponent(selectedTarget)}/${encodeURIComponent(selectedFilter)}`);
       const infoData: LiveStackResponse = await infoResponse.json();
 
       if (!infoData.Success) {
@@ -217,7 +218,7 @@ const LiveStackWidget: React.FC<LiveStackWidgetProps> = ({
 
       // Test the endpoint first to ensure it returns proper content type
       try {
-        const testResponse = await fetch(imageUrl, { method: 'HEAD' });
+        const testResponse = await apiFetch(imageUrl, { method: 'HEAD' });
         console.log('🧪 Stream endpoint test:', {
           status: testResponse.status,
           contentType: testResponse.headers.get('content-type'),
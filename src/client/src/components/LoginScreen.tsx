@@ -0,0 +1,133 @@
+import React, { useState } from 'react';
+import { Flex, Card, Heading, Text, TextField, Button, Callout, Spinner } from '@radix-ui/themes';
+import { LockClosedIcon, ExclamationTriangleIcon, InfoCircledIcon } from '@radix-ui/react-icons';
+import { useAuth } from '../contexts/AuthContext';
+
+/**
+ * Login form, or "create the admin account" on a fresh install
+ */
+const LoginScreen: React.FC = () => {
+  const { status, login, setup } = useAuth();
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const setupRequired = status?.setupRequired === true;
+  const setupBlocked = setupRequired && status?.setupAllowed === false;
+
+  const handleSubmit = async (event: React.FormEvent) => {
+    event.preventDefault();
+    setError(null);
+
+    if (setupRequired && password !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      if (setupRequired) {
+        await setup(username.trim(), password);
+      } else {
+        await login(username.trim(), password);
+      }
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Login failed');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Flex align="center" justify="center" style={{ minHeight: '100vh', padding: '16px' }}>
+      <Card size="3" style={{ width: '100%', maxWidth: '400px' }}>
+        <form onSubmit={handleSubmit}>
+          <Flex direction="column" gap="4">
+            <Flex align="center" gap="2">
+              <LockClosedIcon width="20" height="20" />
+              <Heading size="5">
+                {setupRequired ? 'Create Admin Account' : 'NINA Observatory Dashboard'}
+              </Heading>
+            </Flex>
+
+            {setupBlocked && (
+              <Callout.Root color="orange" size="1">
+                <Callout.Icon>
+                  <ExclamationTriangleIcon />
+                </Callout.Icon>
+                <Callout.Text>
+                  The admin account can only be created on the observatory computer. Open the dashboard at
+                  http://localhost there, or run <code>node scripts/database/manage-users.js add &lt;username&gt; admin</code>.
+                </Callout.Text>
+              </Callout.Root>
+            )}
+
+            {setupRequired && !setupBlocked && (
+              <Callout.Root color="blue" size="1">
+                <Callout.Icon>
+                  <InfoCircledIcon />
+                </Callout.Icon>
+                <Callout.Text>
+                  No users exist yet. This account gets full admin rights; more users can be added under Settings.
+                </Callout.Text>
+              </Callout.Root>
+            )}
+
+            {error && (
+              <Callout.Root color="red" size="1">
+                <Callout.Icon>
+                  <ExclamationTriangleIcon />
+                </Callout.Icon>
+                <Callout.Text>{error}</Callout.Text>
+              </Callout.Root>
+            )}
+
+            <Flex direction="column" gap="1">
+              <Text as="label" size="2" weight="medium">Username</Text>
+              <TextField.Root
+                value={username}
+                onChange={(e: React.ChangeEvent<HTMLInputElement>) => setUsername(e.target.value)}
+                autoComplete="username"
+                autoFocus
+              />
+            </Flex>
+
+            <Flex direction="column" gap="1">
+              <Text as="label" size="2" weight="medium">Password</Text>
+              <TextField.Root
+                type="password"
+                value={password}
+                onChange={(e: React.ChangeEvent<HTMLInputElement>) => setPassword(e.target.value)}
+                autoComplete={setupRequired ? 'new-password' : 'current-password'}
+              />
+              {setupRequired && (
+                <Text size="1" color="gray">At least 8 characters</Text>
+              )}
+            </Flex>
+
+            {setupRequired && (
+              <Flex direction="column" gap="1">
+                <Text as="label" size="2" weight="medium">Confirm Password</Text>
+                <TextField.Root
+                  type="password"
+                  value={confirmPassword}
+                  onChange={(e: React.ChangeEvent<HTMLInputElement>) => setConfirmPassword(e.target.value)}
+                  autoComplete="new-password"
+                />
+              </Flex>
+            )}
+
+            <Button type="submit" size="3" disabled={submitting || setupBlocked || !username || !password}>
+              {submitting && <Spinner size="1" />}
+              {setupRequired ? 'Create Account' : 'Log In'}
+            </Button>
+          </Flex>
+        </form>
+      </Card>
+    </Flex>
+  );
+};
+
+export default LoginScreen;
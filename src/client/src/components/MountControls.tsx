@@ -0,0 +1,226 @@
+// Mount Controls - park, unpark, home, slew, tracking mode and abort for the NINA Status mount row
+// Every movement asks for confirmation first; results are reported as toasts
+
+import React, { useState } from 'react';
+import { AlertDialog, Button, Flex, Select, Text, TextField } from '@radix-ui/themes';
+import { HomeIcon, LockClosedIcon, LockOpen1Icon, StopIcon, TargetIcon } from '@radix-ui/react-icons';
+import { toast } from 'sonner';
+import {
+  abortSlew,
+  homeMount,
+  parkMount,
+  setTrackingMode,
+  slewMount,
+  unparkMount
+} from '../services/ninaControlApi';
+import type { MountTrackingMode, NINAActionResponse } from '../interfaces/nina';
+
+type MountAction = 'park' | 'unpark' | 'home' | 'slew' | 'tracking';
+
+interface PendingAction {
+  action: MountAction;
+  title: string;
+  description: string;
+  trackingMode?: MountTrackingMode;
+}
+
+const TRACKING_MODE_LABELS: Record<MountTrackingMode, string> = {
+  sidereal: 'Sidereal',
+  lunar: 'Lunar',
+  solar: 'Solar',
+  king: 'King',
+  stopped: 'Stop Tracking'
+};
+
+// Parse "HH:MM:SS" / "DD:MM:SS" or a plain decimal into a decimal number
+const parseSexagesimal = (value: string): number => {
+  const trimmed = value.trim();
+  if (!trimmed.includes(':')) {
+    return parseFloat(trimmed);
+  }
+
+  const negative = trimmed.startsWith('-');
+  const [first, minutes = '0', seconds = '0'] = trimmed.replace(/^[-+]/, '').split(':');
+  const decimal = parseFloat(first) + parseFloat(minutes) / 60 + parseFloat(seconds) / 3600;
+  return negative ? -decimal : decimal;
+};
+
+const MountControls: React.FC = () => {
+  const [pending, setPending] = useState<PendingAction | null>(null);
+  const [busy, setBusy] = useState(false);
+  const [raInput, setRaInput] = useState('');
+  const [decInput, setDecInput] = useState('');
+  const [slewError, setSlewError] = useState<string | null>(null);
+
+  const runAction = async (label: string, request: () => Promise<NINAActionResponse>) => {
+    setBusy(true);
+    try {
+      await request();
+      toast.success(label, { description: 'Command accepted by NINA', duration: 3000 });
+    } catch (err) {
+      toast.error(`${label} failed`, {
+        description: err instanceof Error ? err.message : 'Unknown error',
+        duration: 6000
+      });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleConfirm = async (event: React.MouseEvent) => {
+    if (!pending) return;
+    const { action, title, trackingMode } = pending;
+
+    // Invalid coordinates keep the dialog open with the error so they can be corrected
+    const raHours = parseSexagesimal(raInput);
+    const dec = parseSexagesimal(decInput);
+    if (action === 'slew' && (!Number.isFinite(raHours) || raHours < 0 || raHours >= 24 || !Number.isFinite(dec) || dec < -90 || dec > 90)) {
+      event.preventDefault();
+      setSlewError('RA must be 0-24h and Dec between -90° and +90°');
+      return;
+    }
+    setPending(null);
+
+    switch (action) {
+      case 'park':
+        await runAction(title, parkMount);
+        break;
+      case 'unpark':
+        await runAction(title, unparkMount);
+        break;
+      case 'home':
+        await runAction(title, homeMount);
+        break;
+      case 'tracking':
+        if (trackingMode) {
+          await runAction(title, () => setTrackingMode(trackingMode));
+        }
+        break;
+      case 'slew':
+        await runAction(title, () => slewMount(raHours * 15, dec));
+        break;
+    }
+  };
+
+  // Abort is a safety stop, so it runs immediately without a confirmation step
+  const handleAbort = () => runAction('Slew aborted', abortSlew);
+
+  const slewInvalid = pending?.action === 'slew' && (!raInput.trim() || !decInput.trim());
+
+  return (
+    <Flex direction="column" gap="2" mt="1">
+      <Flex gap="2" wrap="wrap">
+        <Button
+          size="1"
+          variant="soft"
+          disabled={busy}
+          onClick={() => setPending({ action: 'park', title: 'Mount parked', description: 'Park the mount? Any running exposure or guiding will be disrupted.' })}
+        >
+          <LockClosedIcon width="12" height="12" />
+          Park
+        </Button>
+        <Button
+          size="1"
+          variant="soft"
+          disabled={busy}
+          onClick={() => setPending({ action: 'unpark', title: 'Mount unparked', description: 'Unpark the mount? Tracking may start immediately.' })}
+        >
+          <LockOpen1Icon width="12" height="12" />
+          Unpark
+        </Button>
+        <Button
+          size="1"
+          variant="soft"
+          disabled={busy}
+          onClick={() => setPending({ action: 'home', title: 'Mount homed', description: 'Send the mount to its home position?' })}
+        >
+          <HomeIcon width="12" height="12" />
+          Home
+        </Button>
+        <Button
+          size="1"
+          variant="soft"
+          disabled={busy}
+          onClick={() => setPending({ action: 'slew', title: 'Slew started', description: 'Slew the mount to these J2000 coordinates?' })}
+        >
+          <TargetIcon width="12" height="12" />
+          Slew
+        </Button>
+        <Button size="1" variant="solid" color="red" disabled={busy} onClick={handleAbort}>
+          <StopIcon width="12" height="12" />
+          Abort
+        </Button>
+      </Flex>
+
+      <Select.Root
+        size="1"
+        value=""
+        disabled={busy}
+        onValueChange={(value) => {
+          const mode = value as MountTrackingMode;
+          setPending({
+            action: 'tracking',
+            title: `Tracking: ${TRACKING_MODE_LABELS[mode]}`,
+            description: mode === 'stopped'
+              ? 'Stop tracking? Stars will drift out of the field.'
+              : `Switch tracking to ${TRACKING_MODE_LABELS[mode]} rate?`,
+            trackingMode: mode
+          });
+        }}
+      >
+        <Select.Trigger placeholder="Tracking mode..." />
+        <Select.Content>
+          {(Object.keys(TRACKING_MODE_LABELS) as MountTrackingMode[]).map(mode => (
+            <Select.Item key={mode} value={mode}>{TRACKING_MODE_LABELS[mode]}</Select.Item>
+          ))}
+        </Select.Content>
+      </Select.Root>
+
+      <AlertDialog.Root
+        open={pending !== null}
+        onOpenChange={(open) => {
+          if (!open) {
+            setPending(null);
+            setSlewError(null);
+          }
+        }}
+      >
+        <AlertDialog.Content style={{ maxWidth: '420px' }}>
+          <AlertDialog.Title>Confirm mount command</AlertDialog.Title>
+          <AlertDialog.Description size="2">
+            {pending?.description}
+          </AlertDialog.Description>
+
+          {pending?.action === 'slew' && (
+            <Flex direction="column" gap="2" mt="3">
+              <Text size="1" color="gray">RA (hours, e.g. 00:42:44 or 0.712)</Text>
+              <TextField.Root
+                value={raInput}
+                onChange={(e) => { setRaInput(e.target.value); setSlewError(null); }}
+                placeholder="HH:MM:SS"
+              />
+              <Text size="1" color="gray">Dec (degrees, e.g. +41:16:09 or 41.27)</Text>
+              <TextField.Root
+                value={decInput}
+                onChange={(e) => { setDecInput(e.target.value); setSlewError(null); }}
+                placeholder="±DD:MM:SS"
+              />
+              {slewError && <Text size="1" color="red">{slewError}</Text>}
+            </Flex>
+          )}
+
+          <Flex gap="3" mt="4" justify="end">
+            <AlertDialog.Cancel>
+              <Button variant="soft" color="gray">Cancel</Button>
+            </AlertDialog.Cancel>
+            <AlertDialog.Action>
+              <Button color="red" disabled={slewInvalid} onClick={handleConfirm}>Confirm</Button>
+            </AlertDialog.Action>
+          </Flex>
+        </AlertDialog.Content>
+      </AlertDialog.Root>
+    </Flex>
+  );
+};
+
+export default MountControls;
@@ -23,6 +23,7 @@ import {
   ExclamationTriangleIcon,
   CrossCircledIcon
 } from '@radix-ui/react-icons';
+import { apiFetch } from '../config/api';
 
 interface LogEntry {
   Line: string;
@@ -70,7 +71,7 @@ const NINALogsWidget: React.FC<NINALogsWidgetProps> = ({
     try {
       console.log(`📋 Fetching NINA logs: ${count} lines`);
       
-      const response = await fetch(`/api/nina/logs?lineCount=${count}`);
+      const response = await apiFetch(`/api/nina/logs?lineCount=${count}`);
       const data: LogsResponse = await response.json();
       
       if (data.Success && Array.isArray(data.Response)) {
@@ -7,9 +7,12 @@ import {
   CrossCircledIcon,
   ExclamationTriangleIcon
 } from '@radix-ui/react-icons';
-import { getApiUrl } from '../config/api';
+import { getApiUrl, apiFetch } from '../config/api';
 import type { Equipment, EquipmentResponse, NINAStatusProps } from '../interfaces/nina';
+import type { EquipmentDevice } from '../interfaces/unifiedState';
 import { useUnifiedState } from '../contexts/UnifiedStateContext';
+import { useAuth } from '../contexts/AuthContext';
+import MountControls from './MountControls';
 
 // Fixed equipment types that will always be displayed
 // These names MUST match the backend ninaService.js equipment names exactly
@@ -27,6 +30,44 @@ const EQUIPMENT_TYPES = [
   'Safety Monitor'
 ];
 
+// One-line status of an ASCOM Alpaca device from its unified state details
+const describeAlpacaDevice = (device: EquipmentDevice): string => {
+  const d = device.details;
+  if (d.error) return d.error;
+  if (!device.connected) return 'Not connected';
+
+  const parts: Array<string | null> = [];
+  switch (d.deviceType?.toLowerCase()) {
+    case 'dome':
+      parts.push(d.shutter ? `Shutter ${d.shutter}` : null);
+      parts.push(d.azimuth !== null && d.azimuth !== undefined ? `Az ${Math.round(d.azimuth)}°` : null);
+      parts.push(d.slewing ? 'slewing' : d.atPark ? 'parked' : d.atHome ? 'home' : null);
+      break;
+    case 'safetymonitor':
+      parts.push(d.isSafe === true ? 'Safe' : d.isSafe === false ? 'Unsafe' : null);
+      break;
+    case 'observingconditions':
+      parts.push(d.temperature !== null && d.temperature !== undefined ? `${d.temperature.toFixed(1)}°C` : null);
+      parts.push(d.humidity !== null && d.humidity !== undefined ? `${Math.round(d.humidity)}% RH` : null);
+      parts.push(d.cloudCover !== null && d.cloudCover !== undefined ? `${Math.round(d.cloudCover)}% cloud` : null);
+      parts.push(d.skyQuality !== null && d.skyQuality !== undefined ? `${d.skyQuality.toFixed(2)} mag/arcsec²` : null);
+      break;
+    case 'switch': {
+      const switches: Array<{ on: boolean | null }> = d.switches || [];
+      parts.push(`${switches.filter(sw => sw.on).length}/${switches.length} on`);
+      break;
+    }
+    case 'focuser':
+      parts.push(d.position !== null && d.position !== undefined ? `Position ${d.position}` : null);
+      parts.push(d.temperature !== null && d.temperature !== undefined ? `${d.temperature.toFixed(1)}°C` : null);
+      parts.push(d.isMoving ? 'moving' : null);
+      break;
+  }
+
+  const text = parts.filter(Boolean).join(' · ');
+  return text || 'Connected';
+};
+
 const NINAStatus: React.FC<NINAStatusProps> = ({ onRefresh, hideHeader = false }) => {
   const [data, setData] = useState<EquipmentResponse | null>(null);
   const [loading, setLoading] = useState(true);
@@ -34,14 +75,16 @@ const NINAStatus: React.FC<NINAStatusProps> = ({ onRefresh, hideHeader = false }
   const [error, setError] = useState<string | null>(null);
 
   // Listen to unified state for equipment events
-  const { lastUpdate } = useUnifiedState();
+  const { state, lastUpdate } = useUnifiedState();
+  const alpacaDevices = (state?.equipment || []).filter(device => device.details?.source === 'alpaca');
+  const { hasRole } = useAuth();
   const lastEquipmentUpdate = useRef<string | null>(null);
 
   const fetchEquipmentStatus = useCallback(async () => {
     try {
       setError(null);
       
-      const response = await fetch(getApiUrl('nina/equipment'));
+      const response = await apiFetch(getApiUrl('nina/equipment'));
       if (!response.ok) {
         throw new Error(`HTTP ${response.status}: ${response.statusText}`);
       }
@@ -75,6 +118,10 @@ const NINAStatus: React.FC<NINAStatusProps> = ({ onRefresh, hideHeader = false }
         lastUpdate?.timestamp !== lastEquipmentUpdate.current) {
       
       lastEquipmentUpdate.current = lastUpdate.timestamp;
+
+      // Alpaca devices come straight from unified state - nothing to refetch from NINA
+      if (lastUpdate.changed?.meta?.source === 'alpaca') return;
+
       const equipmentId = lastUpdate.changed?.meta?.equipmentId || 'unknown';
       const status = lastUpdate.changed?.meta?.status || lastUpdate.updateReason;
       
@@ -196,6 +243,9 @@ const NINAStatus: React.FC<NINAStatusProps> = ({ onRefresh, hideHeader = false }
                       {equipment?.deviceName || 'Not configured'}
                     </Text>
                   )}
+                  {equipmentType === 'Mount' && equipment?.connected && !data.mockMode && hasRole('operator') && (
+                    <MountControls />
+                  )}
                 </Flex>
                 {refreshing ? (
                   <Skeleton><Badge size="1">Connected</Badge></Skeleton>
@@ -216,6 +266,34 @@ const NINAStatus: React.FC<NINAStatusProps> = ({ onRefresh, hideHeader = false }
             );
           })}
         </Flex>
+
+        {/* ASCOM Alpaca devices outside NINA */}
+        {alpacaDevices.length > 0 && (
+          <Flex direction="column" gap="3">
+            <Text size="1" weight="bold" color="gray">ASCOM Alpaca</Text>
+            {alpacaDevices.map(device => (
+              <Flex key={device.id} justify="between" align="center">
+                <Flex direction="column" gap="1" style={{ flex: 1 }}>
+                  <Text size="2" weight="medium">{device.name}</Text>
+                  <Text size="1" color={device.details.isSafe === false || device.status === 'error' ? 'orange' : 'gray'}>
+                    {device.details.deviceType} · {describeAlpacaDevice(device)}
+                  </Text>
+                </Flex>
+                <Badge 
+                  color={device.connected ? 'green' : 'red'} 
+                  size="1"
+                >
+                  {device.connected ? (
+                    <CheckCircledIcon width="12" height="12" />
+                  ) : (
+                    <CrossCircledIcon width="12" height="12" />
+                  )}
+                  {device.connected ? 'Connected' : 'Disconnected'}
+                </Badge>
+              </Flex>
+            ))}
+          </Flex>
+        )}
       </Flex>
     </Card>
   );
@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { Dialog, Button, Flex, Text, Box, Card, TextField, Badge, Callout, Code, Separator, Heading, Switch } from '@radix-ui/themes';
 import { CheckIcon, CrossCircledIcon, ReloadIcon, InfoCircledIcon, RocketIcon } from '@radix-ui/react-icons';
+import { getApiUrl, apiFetch } from '../config/api';
 
 interface OnboardingFlowProps {
     isOpen: boolean;
@@ -43,7 +44,7 @@ const OnboardingFlow: React.FC<OnboardingFlowProps> = ({ isOpen, onComplete }) =
 
     const loadExistingConfig = async () => {
         try {
-            const response = await fetch('http://localhost:3001/api/config');
+            const response = await apiFetch(getApiUrl('config'));
             const config = await response.json();
 
             // Populate fields with existing values if they exist
@@ -90,7 +91,7 @@ const OnboardingFlow: React.FC<OnboardingFlowProps> = ({ isOpen, onComplete }) =
     const testNINAConnection = async () => {
         setTestingConnection(true);
         try {
-            const response = await fetch('http://localhost:3001/api/nina/test-connection', {
+            const response = await apiFetch(getApiUrl('nina/test-connection'), {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({ ip: ninaIp, port: parseInt(ninaPort) })
@@ -109,7 +110,7 @@ const OnboardingFlow: React.FC<OnboardingFlowProps> = ({ isOpen, onComplete }) =
         setCheckingFile(true);
         setSchedulerFileExists(null);
         try {
-            const response = await fetch('http://localhost:3001/api/scheduler/check-file', {
+            const response = await apiFetch(getApiUrl('scheduler/check-file'), {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({ path: schedulerPath })
@@ -170,7 +171,7 @@ const OnboardingFlow: React.FC<OnboardingFlowProps> = ({ isOpen, onComplete }) =
                 }
             };
 
-            await fetch('http://localhost:3001/api/config', {
+            await apiFetch(getApiUrl('config'), {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify(config)
@@ -0,0 +1,183 @@
+// Pegasus History Sparklines - the last 24 hours of sampled voltage, current and power,
+// tonight's energy use per device and port, and low-voltage/over-current events
+
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { Chart as ChartJS, LinearScale, PointElement, LineElement, Tooltip } from 'chart.js';
+import { Line } from 'react-chartjs-2';
+import { Badge, Box, Flex, Grid, Text, Tooltip as HoverTip } from '@radix-ui/themes';
+import { ExclamationTriangleIcon } from '@radix-ui/react-icons';
+import { getHistory } from '../services/pegasusApi';
+import type { PegasusHistoryPoint, PegasusHistoryResponse, PegasusPowerEvent } from '../interfaces/pegasus';
+
+ChartJS.register(LinearScale, PointElement, LineElement, Tooltip);
+
+const HISTORY_HOURS = 24;
+const MAX_POINTS = 144; // 10-minute buckets over 24 hours
+const REFRESH_INTERVAL_MS = 60 * 1000; // Matches the server's sampling interval
+
+// Bucket values per sparkline - voltage shows the bucket minimum so short sags stay visible
+const selectVoltage = (point: PegasusHistoryPoint) => point.minVoltage;
+const selectCurrent = (point: PegasusHistoryPoint) => point.current;
+const selectPower = (point: PegasusHistoryPoint) => point.power;
+
+const formatTime = (time: number | string): string =>
+  new Date(time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+const describeEvent = (event: PegasusPowerEvent): string => {
+  const what = event.type === 'LOW_VOLTAGE'
+    ? `Low voltage${event.value !== null ? ` (${event.value}V)` : ''}`
+    : `Over current${event.label ? ` on ${event.label}` : ''}${event.value !== null ? ` (${event.value}A)` : ''}`;
+  return `${formatTime(event.startedAt)}${event.endedAt ? `–${formatTime(event.endedAt)}` : ' (ongoing)'} ${what}`;
+};
+
+const Sparkline: React.FC<{
+  label: string;
+  unit: string;
+  points: PegasusHistoryPoint[];
+  select: (point: PegasusHistoryPoint) => number | null;
+  color: string;
+  threshold?: number;
+}> = ({ label, unit, points, select, color, threshold }) => {
+  const series = useMemo(
+    () => points
+      .map(point => ({ x: Date.parse(point.time), y: select(point) }))
+      .filter((point): point is { x: number; y: number } => point.y !== null),
+    [points, select]
+  );
+
+  const data = useMemo(() => ({
+    datasets: [
+      { label, data: series, borderColor: color, backgroundColor: color, pointRadius: 0, borderWidth: 1.5 },
+      ...(threshold !== undefined && series.length > 1 ? [{
+        label: 'Low voltage',
+        data: [{ x: series[0].x, y: threshold }, { x: series[series.length - 1].x, y: threshold }],
+        borderColor: 'rgba(239, 68, 68, 0.6)',
+        borderDash: [3, 3],
+        pointRadius: 0,
+        borderWidth: 1
+      }] : [])
+    ]
+  }), [label, series, color, threshold]);
+
+  const options = useMemo(() => ({
+    responsive: true,
+    maintainAspectRatio: false,
+    animation: false as const,
+    parsing: false as const,
+    plugins: {
+      legend: { display: false },
+      tooltip: {
+        intersect: false,
+        mode: 'index' as const,
+        callbacks: {
+          title: (items: any[]) => items.length ? formatTime(items[0].parsed.x) : '',
+          label: (context: any) => `${context.dataset.label}: ${context.parsed.y}${unit}`
+        }
+      }
+    },
+    scales: {
+      x: { type: 'linear' as const, display: false },
+      y: { display: false, grace: '10%' }
+    }
+  }), [unit]);
+
+  const latest = series.length ? series[series.length - 1].y : null;
+  const values = series.map(point => point.y);
+
+  return (
+    <Flex direction="column" gap="1">
+      <Flex justify="between" align="baseline">
+        <Text size="1" color="gray">{label}</Text>
+        <Text size="1" weight="medium">{latest !== null ? `${latest}${unit}` : '--'}</Text>
+      </Flex>
+      <Box style={{ height: '36px' }}>
+        <Line data={data} options={options} />
+      </Box>
+      {values.length > 0 && (
+        <Text size="1" color="gray">{Math.min(...values)}–{Math.max(...values)}{unit}</Text>
+      )}
+    </Flex>
+  );
+};
+
+const PegasusHistorySparklines: React.FC<{ uniqueKey: string }> = ({ uniqueKey }) => {
+  const [history, setHistory] = useState<PegasusHistoryResponse | null>(null);
+
+  const fetchHistory = useCallback(async () => {
+    try {
+      setHistory(await getHistory(uniqueKey, HISTORY_HOURS, MAX_POINTS));
+    } catch (err) {
+      console.error('Error fetching Pegasus history:', err);
+    }
+  }, [uniqueKey]);
+
+  useEffect(() => {
+    fetchHistory();
+    const interval = setInterval(fetchHistory, REFRESH_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [fetchHistory]);
+
+  if (!history) return null;
+
+  if (history.points.length === 0) {
+    return (
+      <Text size="1" color="gray">
+        No telemetry history yet - the server records a sample every {history.sampleIntervalSeconds}s
+      </Text>
+    );
+  }
+
+  const tonight = history.byNight[history.byNight.length - 1];
+  const topPorts = [...history.byPort].sort((a, b) => b.wattHours - a.wattHours).slice(0, 4);
+  const lowVoltage = history.events.filter(event => event.type === 'LOW_VOLTAGE');
+  const overCurrent = history.events.filter(event => event.type === 'OVER_CURRENT');
+
+  return (
+    <Flex direction="column" gap="3">
+      <Flex align="center" justify="between" gap="2" wrap="wrap">
+        <Text size="2" weight="bold" color="gray">Last {HISTORY_HOURS} Hours</Text>
+        <Flex gap="2">
+          {[{ events: lowVoltage, label: 'low voltage' }, { events: overCurrent, label: 'over current' }]
+            .filter(group => group.events.length > 0)
+            .map(group => (
+              <HoverTip key={group.label} content={group.events.slice(-5).map(describeEvent).join(' · ')}>
+                <Badge color="red" size="1">
+                  <ExclamationTriangleIcon /> {group.events.length} {group.label}
+                </Badge>
+              </HoverTip>
+            ))}
+        </Flex>
+      </Flex>
+
+      <Grid columns="3" gap="3">
+        <Sparkline label="Voltage (min)" unit="V" points={history.points} select={selectVoltage} color="hsl(142, 70%, 45%)" threshold={history.lowVoltage} />
+        <Sparkline label="Current" unit="A" points={history.points} select={selectCurrent} color="hsl(206, 100%, 55%)" />
+        <Sparkline label="Power" unit="W" points={history.points} select={selectPower} color="hsl(45, 95%, 55%)" />
+      </Grid>
+
+      <Flex direction="column" gap="1">
+        {tonight && (
+          <Flex justify="between">
+            <Text size="1" color="gray">Tonight ({tonight.hoursRecorded}h recorded)</Text>
+            <Text size="1" weight="medium">{tonight.wattHours} Wh · {tonight.ampHours} Ah</Text>
+          </Flex>
+        )}
+        {history.summary && (
+          <Flex justify="between">
+            <Text size="1" color="gray">Last {HISTORY_HOURS} hours</Text>
+            <Text size="1" weight="medium">{history.summary.wattHours} Wh · {history.summary.ampHours} Ah</Text>
+          </Flex>
+        )}
+        {topPorts.length > 0 && <Text size="1" color="gray" mt="1">By port, last {HISTORY_HOURS} hours</Text>}
+        {topPorts.map(port => (
+          <Flex key={port.portId} justify="between">
+            <Text size="1" color="gray">{port.label}</Text>
+            <Text size="1">{port.wattHours} Wh · {port.ampHours} Ah</Text>
+          </Flex>
+        ))}
+      </Flex>
+    </Flex>
+  );
+};
+
+export default PegasusHistorySparklines;
@@ -0,0 +1,250 @@
+// Pegasus Port Controls - switch 12V/USB ports, set dew heater duty cycles and auto-dew, rename ports
+// Turning a port off asks for confirmation first; results are reported as toasts
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { AlertDialog, Badge, Box, Button, Flex, IconButton, Slider, Switch, Text, TextField } from '@radix-ui/themes';
+import { CheckIcon, Cross2Icon, ExclamationTriangleIcon, Pencil1Icon } from '@radix-ui/react-icons';
+import { toast } from 'sonner';
+import { getPorts, savePortLabels, setAutoDew, setDewHeater, switchPort } from '../services/pegasusApi';
+import type { PegasusDewHeater, PegasusPort, PegasusPortsResponse } from '../interfaces/pegasus';
+
+interface PegasusPortControlsProps {
+  deviceType: string;
+  uniqueKey: string;
+  refreshKey: unknown; // Ports are re-read whenever this changes (each widget poll)
+}
+
+const PortLabel: React.FC<{
+  port: PegasusPort | PegasusDewHeater;
+  onSave: (label: string) => Promise<void>;
+}> = ({ port, onSave }) => {
+  const [draft, setDraft] = useState<string | null>(null);
+
+  const save = async () => {
+    if (draft === null) return;
+    await onSave(draft);
+    setDraft(null);
+  };
+
+  if (draft !== null) {
+    return (
+      <Flex align="center" gap="1">
+        <TextField.Root
+          size="1"
+          value={draft}
+          placeholder={port.defaultLabel}
+          maxLength={40}
+          autoFocus
+          onChange={(e) => setDraft(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') save();
+            if (e.key === 'Escape') setDraft(null);
+          }}
+          style={{ width: '140px' }}
+        />
+        <IconButton size="1" variant="soft" onClick={save} title="Save label">
+          <CheckIcon />
+        </IconButton>
+        <IconButton size="1" variant="ghost" color="gray" onClick={() => setDraft(null)} title="Cancel">
+          <Cross2Icon />
+        </IconButton>
+      </Flex>
+    );
+  }
+
+  return (
+    <Flex align="center" gap="1" style={{ minWidth: 0 }}>
+      <Text size="2" weight="medium" truncate title={port.label !== port.defaultLabel ? port.defaultLabel : undefined}>
+        {port.label}
+      </Text>
+      <IconButton size="1" variant="ghost" color="gray" onClick={() => setDraft(port.label)} title="Rename port">
+        <Pencil1Icon />
+      </IconButton>
+    </Flex>
+  );
+};
+
+const PegasusPortControls: React.FC<PegasusPortControlsProps> = ({ deviceType, uniqueKey, refreshKey }) => {
+  const [ports, setPorts] = useState<PegasusPortsResponse | null>(null);
+  const [busy, setBusy] = useState<string | null>(null);
+  const [pendingOff, setPendingOff] = useState<PegasusPort | null>(null);
+  const [dewDrafts, setDewDrafts] = useState<Record<string, number>>({});
+
+  const fetchPorts = useCallback(async () => {
+    try {
+      setPorts(await getPorts(deviceType, uniqueKey));
+    } catch (err) {
+      console.error('Error fetching Pegasus ports:', err);
+    }
+  }, [deviceType, uniqueKey]);
+
+  useEffect(() => {
+    fetchPorts();
+  }, [fetchPorts, refreshKey]);
+
+  const runCommand = async (id: string, label: string, request: () => Promise<unknown>) => {
+    setBusy(id);
+    try {
+      await request();
+      toast.success(label, { duration: 3000 });
+      await fetchPorts();
+    } catch (err) {
+      toast.error(`${label} failed`, {
+        description: err instanceof Error ? err.message : 'Unknown error',
+        duration: 6000
+      });
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleToggle = (port: PegasusPort, on: boolean) => {
+    if (!on) {
+      setPendingOff(port);
+      return;
+    }
+    runCommand(port.id, `${port.label} switched on`, () => switchPort(deviceType, uniqueKey, port.id, true));
+  };
+
+  const handleConfirmOff = () => {
+    if (!pendingOff) return;
+    const port = pendingOff;
+    setPendingOff(null);
+    runCommand(port.id, `${port.label} switched off`, () => switchPort(deviceType, uniqueKey, port.id, false));
+  };
+
+  const handleDewCommit = (heater: PegasusDewHeater, power: number) => {
+    runCommand(heater.id, `${heater.label} set to ${power}%`, async () => {
+      try {
+        await setDewHeater(deviceType, uniqueKey, heater.number, power);
+      } finally {
+        setDewDrafts(({ [heater.id]: _committed, ...rest }) => rest);
+      }
+    });
+  };
+
+  const handleSaveLabel = async (port: PegasusPort | PegasusDewHeater, label: string) => {
+    try {
+      await savePortLabels({ [port.id]: label });
+      await fetchPorts();
+    } catch (err) {
+      toast.error('Could not rename port', {
+        description: err instanceof Error ? err.message : 'Unknown error',
+        duration: 6000
+      });
+    }
+  };
+
+  if (!ports || (ports.ports.length === 0 && ports.dewHeaters.length === 0)) {
+    return null;
+  }
+
+  return (
+    <Flex direction="column" gap="3">
+      {/* 12V and USB outputs */}
+      {ports.ports.length > 0 && (
+        <Box>
+          <Text size="2" weight="bold" color="gray" mb="2" as="div">Ports</Text>
+          <Flex direction="column" gap="2">
+            {ports.ports.map(port => (
+              <Flex key={port.id} align="center" justify="between" gap="2">
+                <Flex align="center" gap="2" style={{ minWidth: 0 }}>
+                  <Badge size="1" variant="soft" color={port.kind === 'usb' ? 'blue' : 'orange'}>
+                    {port.kind === 'usb' ? 'USB' : '12V'}
+                  </Badge>
+                  <PortLabel port={port} onSave={(label) => handleSaveLabel(port, label)} />
+                </Flex>
+                <Flex align="center" gap="2">
+                  {port.overCurrent && (
+                    <Badge color="red" size="1"><ExclamationTriangleIcon /> Over current</Badge>
+                  )}
+                  {port.current !== null && <Text size="1" color="gray">{port.current.toFixed(2)} A</Text>}
+                  <Switch
+                    size="1"
+                    checked={port.on}
+                    disabled={busy === port.id}
+                    onCheckedChange={(checked: boolean) => handleToggle(port, checked)}
+                  />
+                </Flex>
+              </Flex>
+            ))}
+          </Flex>
+        </Box>
+      )}
+
+      {/* Dew heaters */}
+      {ports.dewHeaters.length > 0 && (
+        <Box>
+          <Flex align="center" justify="between" mb="2">
+            <Text size="2" weight="bold" color="gray">Dew Heaters</Text>
+            <Text as="label" size="1" color="gray">
+              <Flex gap="2" align="center">
+                Auto-dew
+                <Switch
+                  size="1"
+                  checked={ports.autoDew === true}
+                  disabled={busy === 'auto-dew'}
+                  onCheckedChange={(checked: boolean) =>
+                    runCommand('auto-dew', `Auto-dew ${checked ? 'on' : 'off'}`, () => setAutoDew(deviceType, uniqueKey, checked))
+                  }
+                />
+              </Flex>
+            </Text>
+          </Flex>
+          <Flex direction="column" gap="3">
+            {ports.dewHeaters.map(heater => {
+              const value = dewDrafts[heater.id] ?? heater.power;
+              return (
+                <Flex key={heater.id} direction="column" gap="1">
+                  <Flex align="center" justify="between" gap="2">
+                    <PortLabel port={heater} onSave={(label) => handleSaveLabel(heater, label)} />
+                    <Flex align="center" gap="2">
+                      {heater.overCurrent && (
+                        <Badge color="red" size="1"><ExclamationTriangleIcon /> Over current</Badge>
+                      )}
+                      <Text size="1" color="gray">
+                        {value}%{heater.current !== null ? ` · ${heater.current.toFixed(2)} A` : ''}
+                      </Text>
+                    </Flex>
+                  </Flex>
+                  <Slider
+                    size="1"
+                    min={0}
+                    max={100}
+                    step={5}
+                    value={[value]}
+                    disabled={ports.autoDew === true || busy === heater.id}
+                    onValueChange={([power]: number[]) => setDewDrafts(previous => ({ ...previous, [heater.id]: power }))}
+                    onValueCommit={([power]: number[]) => handleDewCommit(heater, power)}
+                  />
+                </Flex>
+              );
+            })}
+            {ports.autoDew === true && (
+              <Text size="1" color="gray">Turn auto-dew off to set heaters by hand</Text>
+            )}
+          </Flex>
+        </Box>
+      )}
+
+      <AlertDialog.Root open={pendingOff !== null} onOpenChange={(open) => !open && setPendingOff(null)}>
+        <AlertDialog.Content style={{ maxWidth: '420px' }}>
+          <AlertDialog.Title>Turn off {pendingOff?.label}?</AlertDialog.Title>
+          <AlertDialog.Description size="2">
+            Everything powered from this port loses power immediately. A camera or mount in the middle of an exposure or slew will stop.
+          </AlertDialog.Description>
+          <Flex gap="3" mt="4" justify="end">
+            <AlertDialog.Cancel>
+              <Button variant="soft" color="gray">Cancel</Button>
+            </AlertDialog.Cancel>
+            <AlertDialog.Action>
+              <Button color="red" onClick={handleConfirmOff}>Turn off</Button>
+            </AlertDialog.Action>
+          </Flex>
+        </AlertDialog.Content>
+      </AlertDialog.Root>
+    </Flex>
+  );
+};
+
+export default PegasusPortControls;
@@ -10,8 +10,10 @@ import {
   TimerIcon
 } from '@radix-ui/react-icons';
 import { getDeviceReport, checkPegasusStatus } from '../services/pegasusApi';
+import PegasusPortControls from './PegasusPortControls';
+import PegasusHistorySparklines from './PegasusHistorySparklines';
 import type { PegasusPowerWidgetProps, AggregateReportMessage } from '../interfaces/pegasus';
-import { getApiUrl } from '../config/api';
+import { getApiUrl, apiFetch } from '../config/api';
 import type { ConfigData } from '../interfaces/config';
 
 const PegasusPowerWidget: React.FC<PegasusPowerWidgetProps> = memo(({ widgetId }) => {
@@ -25,7 +27,7 @@ const PegasusPowerWidget: React.FC<PegasusPowerWidgetProps> = memo(({ widgetId }
   // Auto-detect connected power device
   const detectDevice = useCallback(async () => {
     try {
-      const response = await fetch(getApiUrl('pegasus/devices'));
+      const response = await apiFetch(getApiUrl('pegasus/devices'));
       if (!response.ok) {
         throw new Error('Pegasus Unity Platform not responding');
       }
@@ -54,7 +56,7 @@ const PegasusPowerWidget: React.FC<PegasusPowerWidgetProps> = memo(({ widgetId }
   // Fetch configuration
   const fetchConfig = useCallback(async () => {
     try {
-      const response = await fetch(getApiUrl('config'));
+      const response = await apiFetch(getApiUrl('config'));
       if (!response.ok) throw new Error('Failed to fetch configuration');
       const data = await response.json();
       setConfig(data);
@@ -99,7 +101,7 @@ const PegasusPowerWidget: React.FC<PegasusPowerWidgetProps> = memo(({ widgetId }
       setIsConnected(status.connected);
 
       if (!status.connected) {
-        throw new Error('Pegasus Unity Platform not running on localhost:32000');
+        throw new Error(status.error || 'Pegasus Unity Platform not running');
       }
 
       // Fetch device report using auto-detected device
@@ -314,6 +316,14 @@ const PegasusPowerWidget: React.FC<PegasusPowerWidgetProps> = memo(({ widgetId }
           </Flex>
         </Box>
 
+        {/* Sampled history - voltage, current and power sparklines with energy totals */}
+        {deviceInfo && (
+          <>
+            <Separator size="4" />
+            <PegasusHistorySparklines uniqueKey={deviceInfo.uniqueKey} />
+          </>
+        )}
+
         <Separator size="4" />
 
         {/* Environmental Metrics */}
@@ -365,50 +375,22 @@ const PegasusPowerWidget: React.FC<PegasusPowerWidgetProps> = memo(({ widgetId }
             <Text size="2" color="gray">Uptime: {formatUptime(reportData.upTime)}</Text>
           </Flex>
           
-          {/* Port Status Badges */}
-          <Flex gap="2" wrap="wrap">
-            <Badge color={reportData.powerHubStatus.state === 'ON' ? 'green' : 'gray'} size="1">
-              Power Hub: {reportData.powerHubStatus.state}
+          {reportData.isOverCurrent && (
+            <Badge color="red" size="1">
+              <ExclamationTriangleIcon /> OVER CURRENT
             </Badge>
-            
-            {reportData.powerVariablePortStatus && (
-              <Badge color={reportData.powerVariablePortStatus.state === 'ON' ? 'green' : 'gray'} size="1">
-                Var Port: {reportData.powerVariablePortStatus.state}
-              </Badge>
-            )}
-            
-            {reportData.ppbA_DualUSB2Status && (
-              <Badge color={reportData.ppbA_DualUSB2Status.state === 'ON' ? 'green' : 'gray'} size="1">
-                USB2: {reportData.ppbA_DualUSB2Status.state}
-              </Badge>
-            )}
-            
-            {reportData.isOverCurrent && (
-              <Badge color="red" size="1">
-                <ExclamationTriangleIcon /> OVER CURRENT
-              </Badge>
-            )}
-          </Flex>
+          )}
         </Flex>
 
-        {/* Dew Heater Ports (if available) */}
-        {reportData.dewHubStatus?.hub && reportData.dewHubStatus.hub.length > 0 && (
+        {/* Port switching, dew heaters and labels */}
+        {deviceInfo && (
           <>
             <Separator size="4" />
-            <Box>
-              <Text size="2" weight="bold" color="gray" mb="2">Dew Heater Ports</Text>
-              <Flex gap="2" wrap="wrap">
-                {reportData.dewHubStatus.hub.map((port, index) => (
-                  <Badge
-                    key={index}
-                    color={port.port.power > 0 ? 'blue' : 'gray'}
-                    size="2"
-                  >
-                    Port {port.port.number}: {port.port.power}% ({port.current.value.toFixed(2)}A)
-                  </Badge>
-                ))}
-              </Flex>
-            </Box>
+            <PegasusPortControls
+              deviceType={deviceInfo.type}
+              uniqueKey={deviceInfo.uniqueKey}
+              refreshKey={reportData}
+            />
           </>
         )}
       </Flex>
@@ -1,8 +1,9 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { Button, Badge, Flex, Box, Text, AspectRatio, Card } from '@radix-ui/themes';
 import { VideoIcon, ReloadIcon, ExclamationTriangleIcon } from '@radix-ui/react-icons';
-import type { RTSPViewerProps } from '../interfaces/dashboard';
+import type { RTSPViewerProps, StreamHealth } from '../interfaces/dashboard';
 import ImageModal from './ImageModal';
+import { apiFetch } from '../config/api';
 
 const RTSPViewer: React.FC<RTSPViewerProps> = ({ streams, isConnected, hideHeader = false, stats }) => {
   const [activeStream, setActiveStream] = useState(0);
@@ -13,28 +14,58 @@ const RTSPViewer: React.FC<RTSPViewerProps> = ({ streams, isConnected, hideHeade
   const [naturalDimensions, setNaturalDimensions] = useState<{width: number, height: number} | null>(null);
   const [isModalOpen, setIsModalOpen] = useState(false);
   const [fileAge, setFileAge] = useState<number | null>(null);
+  const [fileStale, setFileStale] = useState(false);
+  const [streamHealth, setStreamHealth] = useState<StreamHealth | null>(null);
   const imgRef = useRef<HTMLImageElement>(null);
 
   // Update image source and check file age when streams change
   useEffect(() => {
     if (streams.length > 0 && streams[activeStream]) {
+      const streamUrl = streams[activeStream];
+
+      // Restreamed RTSP/MJPEG feeds are a continuous stream - connect once and poll health instead
+      if (streamUrl.includes('/api/streams/')) {
+        setImgSrc(streamUrl);
+        setFileAge(null);
+        setFileStale(false);
+
+        const updateHealth = async () => {
+          try {
+            const response = await apiFetch(streamUrl.replace(/\/mjpeg$/, ''));
+            if (response.ok) {
+              setStreamHealth(await response.json());
+            }
+          } catch (error) {
+            console.error('Failed to check stream health:', error);
+          }
+        };
+
+        updateHealth();
+        const interval = setInterval(updateHealth, 10000);
+        return () => clearInterval(interval);
+      }
+
+      setStreamHealth(null);
+
       const updateImg = async () => {
-        const streamUrl = streams[activeStream];
         setImgSrc(`${streamUrl}?t=${Date.now()}`);
         
         // Check file age for local camera endpoint
         if (streamUrl.includes('/api/camera/local')) {
           try {
-            const response = await fetch(streamUrl, { method: 'HEAD' });
+            const response = await apiFetch(streamUrl, { method: 'HEAD' });
             const ageHeader = response.headers.get('X-File-Age');
             if (ageHeader) {
               setFileAge(parseInt(ageHeader, 10));
             }
+            // The server decides staleness from streams.localCameraStaleAfter
+            setFileStale(response.headers.get('X-File-Stale') === 'true');
           } catch (error) {
             console.error('Failed to check file age:', error);
           }
         } else {
           setFileAge(null); // Not a local file
+          setFileStale(false);
         }
       };
       
@@ -329,8 +360,27 @@ const RTSPViewer: React.FC<RTSPViewerProps> = ({ streams, isConnected, hideHeade
             LIVE
           </Badge>
 
+          {/* Restream Reconnecting - Top Right */}
+          {streamHealth && streamHealth.status !== 'streaming' && streamHealth.status !== 'idle' && (
+            <Badge 
+              color="orange" 
+              size="1" 
+              title={streamHealth.lastError || undefined}
+              style={{
+                position: 'absolute',
+                top: '8px',
+                right: '8px',
+                zIndex: 10
+              }}
+            >
+              {streamHealth.reconnectAttempts > 0
+                ? `Reconnecting (attempt ${streamHealth.reconnectAttempts})`
+                : 'Connecting...'}
+            </Badge>
+          )}
+
           {/* File Age Warning - Top Right */}
-          {fileAge !== null && fileAge > 1800 && (
+          {fileAge !== null && fileStale && (
             <Badge 
               color="orange" 
               size="1" 
@@ -1,58 +1,27 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { Callout, Flex, Text, Button } from '@radix-ui/themes';
 import { ExclamationTriangleIcon, CrossCircledIcon } from '@radix-ui/react-icons';
-import { getApiUrl } from '../config/api';
-import type { FlatPanelResponse, ObservatoryStatus, SafetyBannerProps } from '../interfaces/weather';
+import { getApiUrl, apiFetch } from '../config/api';
+import { useUnifiedState } from '../contexts/UnifiedStateContext';
+import type { SafetyBannerProps, SafetyStatus } from '../interfaces/weather';
 
 const SafetyBanner: React.FC<SafetyBannerProps> = ({ onDismiss }) => {
-  const [status, setStatus] = useState<ObservatoryStatus | null>(null);
+  const [status, setStatus] = useState<SafetyStatus | null>(null);
   const [error, setError] = useState<string | null>(null);
-  const [dismissed, setDismissed] = useState(false);
+  // Alerts the user dismissed - the banner comes back when the set of alerts changes
+  const [dismissedKey, setDismissedKey] = useState<string | null>(null);
 
-  const fetchFlatPanelStatus = async (): Promise<FlatPanelResponse | null> => {
+  const { state } = useUnifiedState();
+
+  const fetchSafetyStatus = useCallback(async () => {
     try {
-      const response = await fetch(`${getApiUrl('')}nina/flat-panel`, {
-        method: 'GET',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-      });
-      
+      const response = await apiFetch(getApiUrl('safety'));
       if (!response.ok) {
         throw new Error(`HTTP ${response.status}: ${response.statusText}`);
       }
-      
-      const data = await response.json();
-      
-      if (data.Response) {
-        return data;
-      }
-      
-      return null;
-    } catch (err) {
-      console.error('Error fetching flat panel status:', err);
-      return null;
-    }
-  };
 
-  const fetchSafetyStatus = useCallback(async () => {
-    try {
-      const currentHour = new Date().getHours();
-      const isDaytime = currentHour >= 6 && currentHour < 20;
-      
-      // For now, assume dome/roof is closed since we don't have a reliable endpoint
-      // This should be updated when proper dome/safety monitoring is available
-      const roofOpen = false;
-      
-      // Get flat panel data
-      const flatPanelData = await fetchFlatPanelStatus();
-      
-      setStatus({
-        roofOpen,
-        flatPanelLightOn: flatPanelData?.Response?.LightOn || false,
-        isDaytime
-      });
-      
+      setStatus(await response.json());
+      setError(null);
     } catch (err) {
       console.error('Error fetching safety status:', err);
       setError(err instanceof Error ? err.message : 'Failed to fetch safety status');
@@ -61,48 +30,62 @@ const SafetyBanner: React.FC<SafetyBannerProps> = ({ onDismiss }) => {
 
   useEffect(() => {
     fetchSafetyStatus();
-    // Refresh safety status every minute
+    // Changes are pushed over the unified WebSocket; poll as a fallback every minute
     const interval = setInterval(fetchSafetyStatus, 60000);
     return () => clearInterval(interval);
   }, [fetchSafetyStatus]);
 
-  // Don't render if dismissed, no status, or error
-  if (dismissed || !status || error) {
+  // Safety changes pushed through unified state
+  useEffect(() => {
+    if (state?.safety) {
+      setStatus(state.safety);
+      setError(null);
+    }
+  }, [state?.safety]);
+
+  if (!status || error || status.level === 'safe' || status.alerts.length === 0) {
     return null;
   }
 
-  // Only show banner if there's a critical safety condition
-  const showCriticalWarning = status.roofOpen && status.flatPanelLightOn;
-  
-  if (!showCriticalWarning) {
+  const alertKey = status.alerts.map(alert => alert.id).join(',');
+  if (alertKey === dismissedKey) {
     return null;
   }
 
+  const isCritical = status.level === 'critical';
+
   const handleDismissClick = () => {
-    setDismissed(true);
+    setDismissedKey(alertKey);
     if (onDismiss) {
       onDismiss();
     }
   };
 
   return (
-    <Callout.Root color="red" role="alert" style={{ marginBottom: '16px' }}>
+    <Callout.Root color={isCritical ? 'red' : 'amber'} role="alert" style={{ marginBottom: '16px' }}>
       <Callout.Icon>
         <ExclamationTriangleIcon />
       </Callout.Icon>
       <Flex justify="between" align="center" width="100%">
         <Flex direction="column" gap="1">
           <Callout.Text weight="bold">
-            🚨 CRITICAL SAFETY WARNING
+            {isCritical ? 'CRITICAL SAFETY WARNING' : 'Safety warning'}
           </Callout.Text>
-          <Text size="2">
-            Observatory roof is OPEN with flat panel light ON during {status.isDaytime ? 'daytime' : 'nighttime'}! 
-            This creates a serious fire hazard and may damage equipment.
-          </Text>
+          {status.alerts.map(alert => (
+            <Text key={alert.id} size="2">
+              {alert.message}
+            </Text>
+          ))}
+          {status.sun && (
+            <Text size="1" color="gray">
+              Sun altitude {status.sun.altitude.toFixed(1)}° ({status.sun.phase})
+              {status.dome.connected && status.dome.shutter && ` · Shutter ${status.dome.shutter}`}
+            </Text>
+          )}
         </Flex>
-        <Button 
-          size="1" 
-          variant="ghost" 
+        <Button
+          size="1"
+          variant="ghost"
           color="gray"
           onClick={handleDismissClick}
           title="Dismiss this warning"
@@ -0,0 +1,127 @@
+// Scheduler Project Editor - pause/resume, priority and desired exposure counts for one Target Scheduler project
+// Every change is backed up and audit-logged on the server before NINA sees it
+
+import React, { useState } from 'react';
+import { Flex, Box, Text, IconButton, Popover, Select, Separator, Switch, TextField, Heading } from '@radix-ui/themes';
+import { Pencil1Icon } from '@radix-ui/react-icons';
+import { toast } from 'sonner';
+import { updateSchedulerExposurePlan, updateSchedulerProject } from '../services/schedulerApi';
+import type { SchedulerWriteResult } from '../interfaces/dashboard';
+
+interface SchedulerProjectEditorProps {
+  project: any;
+  onChanged: () => void;
+}
+
+const PRIORITY_LABELS = ['Low', 'Normal', 'High'];
+
+const SchedulerProjectEditor: React.FC<SchedulerProjectEditorProps> = ({ project, onChanged }) => {
+  const [busy, setBusy] = useState(false);
+
+  const runChange = async (label: string, change: () => Promise<SchedulerWriteResult>) => {
+    setBusy(true);
+    try {
+      const result = await change();
+      if (result.changed) {
+        toast.success(label, { description: `${project.name} updated - backup taken first`, duration: 3000 });
+        onChanged();
+      }
+    } catch (err) {
+      toast.error(`${label} failed`, {
+        description: err instanceof Error ? err.message : 'Unknown error',
+        duration: 6000
+      });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const saveDesired = (filter: any, value: string) => {
+    const desired = parseInt(value, 10);
+    if (!Number.isInteger(desired) || desired < 0 || desired === filter.desired) return;
+    runChange(`${filter.filtername} set to ${desired} exposures`, () =>
+      updateSchedulerExposurePlan(project.id, filter.id, desired)
+    );
+  };
+
+  return (
+    <Popover.Root>
+      <Popover.Trigger>
+        <IconButton size="1" variant="ghost" color="gray" title="Edit project">
+          <Pencil1Icon />
+        </IconButton>
+      </Popover.Trigger>
+      <Popover.Content size="2" style={{ width: '340px', maxWidth: '340px' }}>
+        <Flex direction="column" gap="3">
+          <Heading size="2">{project.name}</Heading>
+
+          <Flex justify="between" align="center">
+            <Text size="2">Active</Text>
+            <Switch
+              checked={project.state === 1}
+              disabled={busy}
+              onCheckedChange={(checked: boolean) => runChange(
+                checked ? 'Project resumed' : 'Project paused',
+                () => updateSchedulerProject(project.id, { state: checked ? 1 : 2 })
+              )}
+            />
+          </Flex>
+
+          <Flex justify="between" align="center">
+            <Text size="2">Priority</Text>
+            <Select.Root
+              size="1"
+              value={String(project.priority)}
+              disabled={busy}
+              onValueChange={(value: string) => runChange(
+                `Priority set to ${PRIORITY_LABELS[Number(value)]}`,
+                () => updateSchedulerProject(project.id, { priority: Number(value) as 0 | 1 | 2 })
+              )}
+            >
+              <Select.Trigger />
+              <Select.Content>
+                {PRIORITY_LABELS.map((label, value) => (
+                  <Select.Item key={label} value={String(value)}>{label}</Select.Item>
+                ))}
+              </Select.Content>
+            </Select.Root>
+          </Flex>
+
+          <Separator size="4" />
+          <Text size="1" color="gray">Desired exposures (saved when the field loses focus)</Text>
+
+          {project.targets?.map((target: any) => (
+            <Box key={target.id}>
+              {project.targets.length > 1 && (
+                <Text size="1" weight="medium" mb="1" as="div">{target.name}</Text>
+              )}
+              <Flex direction="column" gap="1">
+                {target.filters?.map((filter: any) => (
+                  <Flex key={filter.id} justify="between" align="center" gap="2">
+                    <Text size="1" style={{ flex: 1 }}>{filter.filtername}</Text>
+                    <Text size="1" color="gray">{filter.accepted} accepted</Text>
+                    <TextField.Root
+                      key={`${filter.id}-${filter.desired}`}
+                      size="1"
+                      type="number"
+                      min="0"
+                      disabled={busy}
+                      defaultValue={String(filter.desired)}
+                      style={{ width: '72px' }}
+                      onBlur={(e: React.FocusEvent<HTMLInputElement>) => saveDesired(filter, e.target.value)}
+                      onKeyDown={(e: React.KeyboardEvent<HTMLInputElement>) => {
+                        if (e.key === 'Enter') e.currentTarget.blur();
+                      }}
+                    />
+                  </Flex>
+                ))}
+              </Flex>
+            </Box>
+          ))}
+        </Flex>
+      </Popover.Content>
+    </Popover.Root>
+  );
+};
+
+export default SchedulerProjectEditor;
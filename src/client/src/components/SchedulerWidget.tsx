@@ -9,9 +9,44 @@ import {
   ImageIcon,
   ClockIcon
 } from '@radix-ui/react-icons';
-import { getApiUrl } from '../config/api';
-import type { TargetSchedulerProps } from '../interfaces/dashboard';
+import { getApiUrl, apiFetch } from '../config/api';
+import type { SchedulerForecast, SchedulerProjectForecast, TargetSchedulerProps } from '../interfaces/dashboard';
 import { useUnifiedState } from '../contexts/UnifiedStateContext';
+import { useAuth } from '../contexts/AuthContext';
+import SchedulerProjectEditor from './SchedulerProjectEditor';
+
+// One-line completion forecast for a project card
+const describeForecast = (forecast: SchedulerProjectForecast): string => {
+  switch (forecast.status) {
+    case 'complete':
+      return 'Exposure plans complete';
+    case 'not-visible':
+      return 'Not visible in the coming year';
+    case 'beyond-horizon':
+      return 'More than a year to go';
+    default: {
+      const date = new Date(`${forecast.completionDate}T12:00:00`)
+        .toLocaleDateString([], { month: 'short', day: 'numeric', year: 'numeric' });
+      const nights = forecast.clearNights === 1 ? '1 clear night' : `~${forecast.clearNights} clear nights`;
+      return `${nights} left • done around ${date}`;
+    }
+  }
+};
+
+const forecastDetails = (forecast: SchedulerProjectForecast): string => {
+  const rate = forecast.rateSource === 'history'
+    ? `${forecast.hoursPerNight}h per imaging night so far`
+    : 'no imaging history yet - assumes all visible dark time';
+  const moonBlocked = forecast.filters
+    .filter(filter => filter.nightsBlockedByMoon > 0)
+    .map(filter => `${filter.filtername} waits out ${filter.nightsBlockedByMoon} nights for the moon`);
+  return [
+    `${forecast.remainingHours}h of exposures left`,
+    rate,
+    forecast.acceptanceRate < 1 ? `${Math.round(forecast.acceptanceRate * 100)}% of frames accepted` : null,
+    ...moonBlocked
+  ].filter(Boolean).join('\n');
+};
 
 export const TargetSchedulerWidget: React.FC<TargetSchedulerProps> = ({ onRefresh, hideHeader = false }) => {
   const [data, setData] = useState<any>(null);
@@ -20,10 +55,13 @@ export const TargetSchedulerWidget: React.FC<TargetSchedulerProps> = ({ onRefres
   const [lastApiCall, setLastApiCall] = useState<number>(0);
   const [openFilterCard, setOpenFilterCard] = useState<string | null>(null);
   const [openProgressCard, setOpenProgressCard] = useState<string | null>(null);
+  const [forecast, setForecast] = useState<SchedulerForecast | null>(null);
 
   // Get current target from unified state
   const { state: unifiedState } = useUnifiedState();
   const currentTargetName = unifiedState?.currentSession?.target?.targetName || null;
+  const { hasRole } = useAuth();
+  const canEdit = hasRole('operator');
 
   const fetchData = useCallback(async (reason = 'manual') => {
     // Throttle API calls - minimum 3 seconds between calls
@@ -39,11 +77,18 @@ export const TargetSchedulerWidget: React.FC<TargetSchedulerProps> = ({ onRefres
       setLastApiCall(now);
       
       console.log(`📊 Scheduler API call: ${reason}`);
-      const response = await fetch(getApiUrl('scheduler/progress'));
+      // Paused projects are listed too so they can be resumed from here
+      const response = await apiFetch(getApiUrl('scheduler/progress?includeInactive=true'));
       if (!response.ok) throw new Error('Failed to fetch');
       
       const result = await response.json();
       setData(result);
+
+      // The forecast is cached on the server, and the widget still works without it
+      const forecastResponse = await apiFetch(getApiUrl('scheduler/forecast'));
+      if (forecastResponse.ok) {
+        setForecast(await forecastResponse.json());
+      }
     } catch (err) {
       setError(err instanceof Error ? err.message : 'API Error');
     } finally {
@@ -135,7 +180,7 @@ export const TargetSchedulerWidget: React.FC<TargetSchedulerProps> = ({ onRefres
 
         <Flex direction="column" gap="3">
           {data?.projects?.map((project: any) => (
-            <Card key={project.id} variant="surface">
+            <Card key={project.id} variant="surface" style={project.state === 2 ? { opacity: 0.6 } : undefined}>
               <Box p="3">
                 <Flex justify="between" align="center" mb="2">
                   <Flex align="center" gap="2">
@@ -271,13 +316,21 @@ export const TargetSchedulerWidget: React.FC<TargetSchedulerProps> = ({ onRefres
                         Currently Shooting
                       </Badge>
                     )}
+                    {project.state === 2 && (
+                      <Badge variant="outline" color="gray" size="1">Paused</Badge>
+                    )}
+                  </Flex>
+                  <Flex align="center" gap="2">
+                    <Badge 
+                      variant="soft" 
+                      color={project.priority === 2 ? 'red' : project.priority === 1 ? 'amber' : 'gray'}
+                    >
+                      {project.priority === 2 ? 'High' : project.priority === 1 ? 'Normal' : 'Low'}
+                    </Badge>
+                    {canEdit && (
+                      <SchedulerProjectEditor project={project} onChanged={() => fetchData('manual')} />
+                    )}
                   </Flex>
-                  <Badge 
-                    variant="soft" 
-                    color={project.priority === 2 ? 'red' : project.priority === 1 ? 'amber' : 'gray'}
-                  >
-                    {project.priority === 2 ? 'High' : project.priority === 1 ? 'Normal' : 'Low'}
-                  </Badge>
                 </Flex>
                 
                 <Flex justify="between" align="center" mb="2">
@@ -440,6 +493,18 @@ export const TargetSchedulerWidget: React.FC<TargetSchedulerProps> = ({ onRefres
                     return actualCompletion > 50 ? 'green' : 'amber';
                   })()}
                 />
+
+                {(() => {
+                  // Paused projects are left out of the forecast
+                  const projectForecast = forecast?.projects.find(f => f.projectId === project.id);
+                  if (!projectForecast) return null;
+                  return (
+                    <Flex align="center" gap="2" mt="2" title={forecastDetails(projectForecast)}>
+                      <ClockIcon width="12" height="12" />
+                      <Text size="1" color="gray">{describeForecast(projectForecast)}</Text>
+                    </Flex>
+                  );
+                })()}
               </Box>
             </Card>
           )) || <Text size="2" color="gray">No projects found</Text>}
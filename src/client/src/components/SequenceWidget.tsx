@@ -0,0 +1,367 @@
+// Sequence Widget - NINA advanced sequence tree with start, stop, skip and reset controls
+// Refreshes on sequence updates from the unified state WebSocket
+
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { AlertDialog, Badge, Box, Button, Card, Flex, Select, Text } from '@radix-ui/themes';
+import {
+  CheckCircledIcon,
+  CircleIcon,
+  CrossCircledIcon,
+  ExclamationTriangleIcon,
+  ListBulletIcon,
+  PlayIcon,
+  ReloadIcon,
+  ResetIcon,
+  StopIcon,
+  TrackNextIcon
+} from '@radix-ui/react-icons';
+import { toast } from 'sonner';
+import { getApiUrl, apiFetch } from '../config/api';
+import { useUnifiedState } from '../contexts/UnifiedStateContext';
+import { useAuth } from '../contexts/AuthContext';
+import {
+  loadSequence,
+  resetSequence,
+  skipSequenceItem,
+  startSequence,
+  stopSequence
+} from '../services/ninaControlApi';
+import type {
+  NINAActionResponse,
+  SequenceItemStatus,
+  SequenceListResponse,
+  SequenceNode,
+  SequenceStateResponse,
+  SequenceWidgetProps
+} from '../interfaces/nina';
+
+type SequenceAction = 'start' | 'stop' | 'skip' | 'reset' | 'load';
+
+interface PendingAction {
+  action: SequenceAction;
+  title: string;
+  description: string;
+  sequenceName?: string;
+}
+
+// Unified state updates that change what the sequence is doing
+const SEQUENCE_UPDATE_REASONS = ['sequence-started', 'sequence-completed', 'sequence-item-failed', 'target-changed'];
+
+const STATUS_COLORS: Record<SequenceItemStatus, 'blue' | 'green' | 'red' | 'gray' | 'amber'> = {
+  RUNNING: 'blue',
+  FINISHED: 'green',
+  FAILED: 'red',
+  SKIPPED: 'amber',
+  DISABLED: 'gray',
+  CREATED: 'gray'
+};
+
+const StatusIcon: React.FC<{ status: SequenceItemStatus }> = ({ status }) => {
+  const color = `var(--${STATUS_COLORS[status] || 'gray'}-9)`;
+  switch (status) {
+    case 'RUNNING':
+      return <PlayIcon width="12" height="12" color={color} />;
+    case 'FINISHED':
+      return <CheckCircledIcon width="12" height="12" color={color} />;
+    case 'FAILED':
+      return <CrossCircledIcon width="12" height="12" color={color} />;
+    case 'SKIPPED':
+      return <TrackNextIcon width="12" height="12" color={color} />;
+    default:
+      return <CircleIcon width="12" height="12" color={color} />;
+  }
+};
+
+const SequenceTreeNode: React.FC<{ node: SequenceNode; depth: number }> = ({ node, depth }) => {
+  const isRunning = node.status === 'RUNNING';
+  // Finished containers are collapsed so the running part of the tree stays visible
+  const showChildren = node.children.length > 0 && node.status !== 'FINISHED' && node.status !== 'SKIPPED';
+
+  return (
+    <Box>
+      <Flex align="center" gap="2" style={{ paddingLeft: `${depth * 14}px`, opacity: node.status === 'DISABLED' ? 0.5 : 1 }}>
+        <StatusIcon status={node.status} />
+        <Text size="1" weight={isRunning || node.isContainer ? 'medium' : 'regular'} color={isRunning ? 'blue' : undefined}>
+          {node.name}
+        </Text>
+        {node.isContainer && node.children.length > 0 && !showChildren && (
+          <Text size="1" color="gray">({node.children.length})</Text>
+        )}
+      </Flex>
+      {showChildren && node.children.map((child, index) => (
+        <SequenceTreeNode key={`${child.name}-${index}`} node={child} depth={depth + 1} />
+      ))}
+    </Box>
+  );
+};
+
+const SequenceWidget: React.FC<SequenceWidgetProps> = ({ hideHeader = false }) => {
+  const [data, setData] = useState<SequenceStateResponse | null>(null);
+  const [sequenceFiles, setSequenceFiles] = useState<string[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [busy, setBusy] = useState(false);
+  const { hasRole } = useAuth();
+  // Viewers see the controls but can't use them
+  const locked = busy || !hasRole('operator');
+  const [pending, setPending] = useState<PendingAction | null>(null);
+
+  const { lastUpdate } = useUnifiedState();
+  const lastSequenceUpdate = useRef<string | null>(null);
+
+  const fetchSequence = useCallback(async () => {
+    try {
+      setError(null);
+      const response = await apiFetch(getApiUrl('nina/sequence'));
+      const result: SequenceStateResponse = await response.json();
+      if (!response.ok || !result.success) {
+        throw new Error(result.error || `HTTP ${response.status}: ${response.statusText}`);
+      }
+      setData(result);
+    } catch (err) {
+      console.error('Error fetching sequence state:', err);
+      setError(err instanceof Error ? err.message : 'Failed to fetch sequence');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const fetchSequenceFiles = useCallback(async () => {
+    try {
+      const response = await apiFetch(getApiUrl('nina/sequence/list'));
+      const result: SequenceListResponse = await response.json();
+      if (response.ok && result.success) {
+        setSequenceFiles(result.sequences);
+      }
+    } catch (err) {
+      console.error('Error fetching sequence list:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchSequence();
+    fetchSequenceFiles();
+    // Auto-refresh every 30 seconds
+    const interval = setInterval(fetchSequence, 30000);
+    return () => clearInterval(interval);
+  }, [fetchSequence, fetchSequenceFiles]);
+
+  // Refresh immediately when the unified state reports a sequence change or a saved image
+  useEffect(() => {
+    if (!lastUpdate || lastUpdate.timestamp === lastSequenceUpdate.current) return;
+
+    const isSequenceUpdate = lastUpdate.updateKind === 'session' && SEQUENCE_UPDATE_REASONS.includes(lastUpdate.updateReason);
+    if (isSequenceUpdate || lastUpdate.updateKind === 'image') {
+      lastSequenceUpdate.current = lastUpdate.timestamp;
+      fetchSequence();
+    }
+  }, [lastUpdate, fetchSequence]);
+
+  const runAction = async (label: string, request: () => Promise<NINAActionResponse>) => {
+    setBusy(true);
+    try {
+      await request();
+      toast.success(label, { description: 'Command accepted by NINA', duration: 3000 });
+      fetchSequence();
+    } catch (err) {
+      toast.error(`${label} failed`, {
+        description: err instanceof Error ? err.message : 'Unknown error',
+        duration: 6000
+      });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleConfirm = async () => {
+    if (!pending) return;
+    const { action, title, sequenceName } = pending;
+    setPending(null);
+
+    switch (action) {
+      case 'start':
+        await runAction(title, () => startSequence());
+        break;
+      case 'stop':
+        await runAction(title, stopSequence);
+        break;
+      case 'skip':
+        await runAction(title, skipSequenceItem);
+        break;
+      case 'reset':
+        await runAction(title, resetSequence);
+        break;
+      case 'load':
+        if (sequenceName) {
+          await runAction(title, () => loadSequence(sequenceName));
+        }
+        break;
+    }
+  };
+
+  const header = !hideHeader && (
+    <Flex justify="between" align="center">
+      <Flex align="center" gap="2">
+        <ListBulletIcon />
+        <Text size="3" weight="medium">Sequence</Text>
+      </Flex>
+      {data && (
+        <Badge color={data.isRunning ? 'blue' : 'gray'} size="2">
+          {data.isRunning ? <PlayIcon width="12" height="12" /> : <StopIcon width="12" height="12" />}
+          {data.isRunning ? 'Running' : 'Idle'}
+        </Badge>
+      )}
+    </Flex>
+  );
+
+  if (loading) {
+    return (
+      <Card>
+        <Flex direction="column" gap="3" p="4">
+          {header}
+          <Flex align="center" justify="center" style={{ minHeight: hideHeader ? '150px' : '200px' }}>
+            <Flex direction="column" align="center" gap="2">
+              <ReloadIcon className="loading-spinner" />
+              <Text size="2" color="gray">Loading sequence...</Text>
+            </Flex>
+          </Flex>
+        </Flex>
+      </Card>
+    );
+  }
+
+  const isRunning = data?.isRunning ?? false;
+
+  return (
+    <Card>
+      <Flex direction="column" gap="3" p="4">
+        {header}
+
+        {/* Controls */}
+        <Flex gap="2" wrap="wrap">
+          <Button
+            size="1"
+            variant="soft"
+            color="green"
+            disabled={locked || isRunning || !data}
+            onClick={() => setPending({ action: 'start', title: 'Sequence started', description: 'Start the loaded sequence in NINA?' })}
+          >
+            <PlayIcon width="12" height="12" />
+            Start
+          </Button>
+          <Button
+            size="1"
+            variant="soft"
+            color="red"
+            disabled={locked || !isRunning}
+            onClick={() => setPending({ action: 'stop', title: 'Sequence stopped', description: 'Stop the running sequence? The current exposure will be interrupted.' })}
+          >
+            <StopIcon width="12" height="12" />
+            Stop
+          </Button>
+          <Button
+            size="1"
+            variant="soft"
+            disabled={locked || !isRunning}
+            onClick={() => setPending({
+              action: 'skip',
+              title: 'Sequence item skipped',
+              description: `Skip ${data?.currentInstruction ? `"${data.currentInstruction.name}"` : 'the current item'} and continue with the next one?`
+            })}
+          >
+            <TrackNextIcon width="12" height="12" />
+            Skip
+          </Button>
+          <Button
+            size="1"
+            variant="soft"
+            color="gray"
+            disabled={locked || isRunning || !data}
+            onClick={() => setPending({ action: 'reset', title: 'Sequence reset', description: 'Reset the sequence? Every item will be marked to run again.' })}
+          >
+            <ResetIcon width="12" height="12" />
+            Reset
+          </Button>
+        </Flex>
+
+        {sequenceFiles.length > 0 && (
+          <Select.Root
+            size="1"
+            value=""
+            disabled={locked || isRunning}
+            onValueChange={(name) => setPending({
+              action: 'load',
+              title: `Loaded ${name}`,
+              description: `Load "${name}"? It replaces the sequence currently open in NINA.`,
+              sequenceName: name
+            })}
+          >
+            <Select.Trigger placeholder="Load sequence file..." />
+            <Select.Content>
+              {sequenceFiles.map(name => (
+                <Select.Item key={name} value={name}>{name}</Select.Item>
+              ))}
+            </Select.Content>
+          </Select.Root>
+        )}
+
+        {error && (
+          <Flex align="center" justify="center" style={{ minHeight: '100px' }}>
+            <Flex direction="column" align="center" gap="2">
+              <ExclamationTriangleIcon color="red" width="24" height="24" />
+              <Text size="2" color="red">Failed to load sequence</Text>
+              <Text size="1" color="gray">{error}</Text>
+            </Flex>
+          </Flex>
+        )}
+
+        {!error && data && (
+          <>
+            {/* Current instruction */}
+            <Flex direction="column" gap="1">
+              <Text size="1" color="gray">Current instruction</Text>
+              {data.currentInstruction ? (
+                <>
+                  <Text size="2" weight="medium" color="blue">{data.currentInstruction.name}</Text>
+                  {data.currentInstruction.path.length > 0 && (
+                    <Text size="1" color="gray">{data.currentInstruction.path.join(' › ')}</Text>
+                  )}
+                </>
+              ) : (
+                <Text size="2" color="gray">Nothing running</Text>
+              )}
+            </Flex>
+
+            {/* Sequence tree */}
+            <Box style={{ maxHeight: '260px', overflowY: 'auto' }}>
+              <Flex direction="column" gap="1">
+                {data.tree.map((node, index) => (
+                  <SequenceTreeNode key={`${node.name}-${index}`} node={node} depth={0} />
+                ))}
+              </Flex>
+            </Box>
+          </>
+        )}
+      </Flex>
+
+      <AlertDialog.Root open={pending !== null} onOpenChange={(open) => !open && setPending(null)}>
+        <AlertDialog.Content style={{ maxWidth: '420px' }}>
+          <AlertDialog.Title>Confirm sequence command</AlertDialog.Title>
+          <AlertDialog.Description size="2">
+            {pending?.description}
+          </AlertDialog.Description>
+          <Flex gap="3" mt="4" justify="end">
+            <AlertDialog.Cancel>
+              <Button variant="soft" color="gray">Cancel</Button>
+            </AlertDialog.Cancel>
+            <AlertDialog.Action>
+              <Button color="red" onClick={handleConfirm}>Confirm</Button>
+            </AlertDialog.Action>
+          </Flex>
+        </AlertDialog.Content>
+      </AlertDialog.Root>
+    </Card>
+  );
+};
+
+export default SequenceWidget;
@@ -0,0 +1,550 @@
+// Session History Modal - archived observing nights with a per-night report
+// Targets, filters, integration, guiding statistics, frame quality trend with grading, gaps and failures
+
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { Chart as ChartJS, CategoryScale, LinearScale, PointElement, LineElement, Tooltip, Legend } from 'chart.js';
+import { Line } from 'react-chartjs-2';
+import { Badge, Box, Button, Callout, Dialog, Flex, Grid, Separator, Table, Text } from '@radix-ui/themes';
+import {
+  CalendarIcon,
+  CountdownTimerIcon,
+  CrossCircledIcon,
+  ExclamationTriangleIcon,
+  MinusCircledIcon,
+  ReloadIcon
+} from '@radix-ui/react-icons';
+import { getApiUrl, apiFetch } from '../config/api';
+import type {
+  HfrTrendPoint,
+  NightSessionSummary,
+  PointingPoint,
+  SessionHistoryModalProps,
+  SessionListResponse,
+  SessionReport,
+  ValueStatistics
+} from '../interfaces/sessionHistory';
+
+ChartJS.register(CategoryScale, LinearScale, PointElement, LineElement, Tooltip, Legend);
+
+const PAGE_SIZE = 30;
+
+const formatIntegration = (seconds: number): string => {
+  const totalMinutes = Math.round(seconds / 60);
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+};
+
+const formatTime = (time: string | null): string =>
+  time ? new Date(time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : '--';
+
+const formatNight = (nightDate: string): string =>
+  new Date(`${nightDate}T12:00:00`).toLocaleDateString([], { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' });
+
+const StatBlock: React.FC<{ label: string; value: string }> = ({ label, value }) => (
+  <Flex direction="column" gap="1">
+    <Text size="1" color="gray">{label}</Text>
+    <Text size="3" weight="medium">{value}</Text>
+  </Flex>
+);
+
+const StatisticsRow: React.FC<{ label: string; stats: ValueStatistics | null; unit: string }> = ({ label, stats, unit }) => (
+  <Flex direction="column" gap="1">
+    <Text size="2" weight="medium">{label}</Text>
+    {stats ? (
+      <Text size="1" color="gray">
+        Mean {stats.mean}{unit} · Median {stats.median}{unit} · P90 {stats.p90}{unit} · Range {stats.min}–{stats.max}{unit} ({stats.samples} frames)
+      </Text>
+    ) : (
+      <Text size="1" color="gray">No data recorded</Text>
+    )}
+  </Flex>
+);
+
+const AXIS_COLOR = '#a1a1aa';
+const GRID_COLOR = 'rgba(255, 255, 255, 0.05)';
+const REJECTED_COLOR = 'rgba(239, 68, 68, 1)';
+
+// Plate-solved pointing error (arcmin) and rotation error (degrees) through the night
+const PointingDriftChart: React.FC<{ points: PointingPoint[] }> = ({ points }) => {
+  const data = useMemo(() => {
+    const toPoints = (valueOf: (point: PointingPoint) => number | null) =>
+      points.map(point => ({ x: Date.parse(point.time), y: valueOf(point) }));
+
+    return {
+      datasets: [
+        {
+          label: 'Pointing error',
+          data: toPoints(point => point.pointingError),
+          borderColor: 'rgba(34, 197, 94, 1)',
+          backgroundColor: 'rgba(34, 197, 94, 0.2)',
+          pointRadius: 2,
+          tension: 0.2,
+          yAxisID: 'y'
+        },
+        {
+          label: 'RA error',
+          data: toPoints(point => point.raError),
+          borderColor: 'rgba(59, 130, 246, 0.8)',
+          backgroundColor: 'rgba(59, 130, 246, 0.2)',
+          pointRadius: 0,
+          borderDash: [4, 4],
+          yAxisID: 'y'
+        },
+        {
+          label: 'Dec error',
+          data: toPoints(point => point.decError),
+          borderColor: 'rgba(239, 68, 68, 0.8)',
+          backgroundColor: 'rgba(239, 68, 68, 0.2)',
+          pointRadius: 0,
+          borderDash: [4, 4],
+          yAxisID: 'y'
+        },
+        {
+          label: 'Rotation error',
+          data: toPoints(point => point.rotationError),
+          borderColor: 'rgba(168, 85, 247, 0.8)',
+          backgroundColor: 'rgba(168, 85, 247, 0.2)',
+          pointRadius: 0,
+          borderWidth: 1,
+          yAxisID: 'rotation'
+        }
+      ]
+    };
+  }, [points]);
+
+  const options = useMemo(() => ({
+    responsive: true,
+    maintainAspectRatio: false,
+    animation: false as const,
+    parsing: false as const,
+    plugins: {
+      legend: { labels: { color: AXIS_COLOR, boxWidth: 12 } },
+      tooltip: {
+        callbacks: {
+          title: (items: any[]) => items.length ? formatTime(new Date(items[0].parsed.x).toISOString()) : '',
+          label: (context: any) => `${context.dataset.label}: ${context.parsed.y}${context.dataset.yAxisID === 'rotation' ? '°' : "'"}`,
+          afterLabel: (context: any) => context.datasetIndex === 0 ? points[context.dataIndex]?.target || '' : ''
+        }
+      }
+    },
+    scales: {
+      x: {
+        type: 'linear' as const,
+        ticks: { color: AXIS_COLOR, maxTicksLimit: 8, callback: (value: string | number) => formatTime(new Date(Number(value)).toISOString()) },
+        grid: { color: GRID_COLOR }
+      },
+      y: { position: 'left' as const, title: { display: true, text: 'arcmin', color: AXIS_COLOR }, ticks: { color: AXIS_COLOR }, grid: { color: GRID_COLOR } },
+      rotation: { position: 'right' as const, title: { display: true, text: 'Rotation (°)', color: AXIS_COLOR }, ticks: { color: AXIS_COLOR }, grid: { display: false } }
+    }
+  }), [points]);
+
+  return (
+    <Box style={{ height: '200px' }}>
+      <Line data={data} options={options} />
+    </Box>
+  );
+};
+
+const SessionReportView: React.FC<{ report: SessionReport }> = ({ report }) => {
+  // HFR, stars and background over the night on a time axis, rejected frames in red, focus changes along the bottom
+  const chartData = useMemo(() => {
+    const toPoints = (valueOf: (point: HfrTrendPoint) => number | null) =>
+      report.hfrTrend.map(point => ({ x: Date.parse(point.time), y: valueOf(point) }));
+    const rejected = report.hfrTrend.map(point => point.grade === 'rejected');
+
+    return {
+      datasets: [
+        {
+          label: 'HFR',
+          data: toPoints(point => point.hfr),
+          borderColor: 'rgba(59, 130, 246, 1)',
+          backgroundColor: 'rgba(59, 130, 246, 0.2)',
+          pointBackgroundColor: rejected.map(isRejected => (isRejected ? REJECTED_COLOR : 'rgba(59, 130, 246, 1)')),
+          pointBorderColor: rejected.map(isRejected => (isRejected ? REJECTED_COLOR : 'rgba(59, 130, 246, 1)')),
+          pointRadius: rejected.map(isRejected => (isRejected ? 4 : 2)),
+          tension: 0.2,
+          yAxisID: 'y'
+        },
+        {
+          label: 'Stars',
+          data: toPoints(point => point.stars),
+          borderColor: 'rgba(234, 179, 8, 0.8)',
+          backgroundColor: 'rgba(234, 179, 8, 0.2)',
+          pointRadius: 0,
+          borderDash: [4, 4],
+          yAxisID: 'stars'
+        },
+        {
+          label: 'Background',
+          data: toPoints(point => point.background),
+          borderColor: 'rgba(148, 163, 184, 0.8)',
+          backgroundColor: 'rgba(148, 163, 184, 0.2)',
+          pointRadius: 0,
+          borderWidth: 1,
+          yAxisID: 'background'
+        },
+        {
+          label: 'Focus',
+          data: report.focusChanges.map(event => ({ x: Date.parse(event.time), y: 0.04 })),
+          showLine: false,
+          pointStyle: 'triangle' as const,
+          pointRadius: 5,
+          borderColor: 'rgba(168, 85, 247, 1)',
+          backgroundColor: 'rgba(168, 85, 247, 0.6)',
+          yAxisID: 'markers'
+        }
+      ]
+    };
+  }, [report.hfrTrend, report.focusChanges]);
+
+  const chartOptions = useMemo(() => ({
+    responsive: true,
+    maintainAspectRatio: false,
+    animation: false as const,
+    parsing: false as const,
+    plugins: {
+      legend: { labels: { color: AXIS_COLOR, boxWidth: 12 } },
+      tooltip: {
+        callbacks: {
+          title: (items: any[]) => items.length ? formatTime(new Date(items[0].parsed.x).toISOString()) : '',
+          label: (context: any) => {
+            const label = context.dataset.label;
+            if (label === 'Focus') {
+              const event = report.focusChanges[context.dataIndex];
+              return event?.data?.summary || event?.type || 'Focus change';
+            }
+            return `${label}: ${context.parsed.y}`;
+          },
+          afterLabel: (context: any) => {
+            if (context.dataset.label !== 'HFR') return '';
+            const point = report.hfrTrend[context.dataIndex];
+            if (!point) return '';
+            const lines = [`${point.target || 'Unknown'} · ${point.filter || 'No filter'}`];
+            if (point.grade === 'rejected') lines.push(...point.reasons.map(reason => `Rejected: ${reason}`));
+            return lines;
+          }
+        }
+      }
+    },
+    scales: {
+      x: {
+        type: 'linear' as const,
+        ticks: { color: AXIS_COLOR, maxTicksLimit: 8, callback: (value: string | number) => formatTime(new Date(Number(value)).toISOString()) },
+        grid: { color: GRID_COLOR }
+      },
+      y: { position: 'left' as const, title: { display: true, text: 'HFR', color: AXIS_COLOR }, ticks: { color: AXIS_COLOR }, grid: { color: GRID_COLOR } },
+      stars: { position: 'right' as const, title: { display: true, text: 'Stars', color: AXIS_COLOR }, ticks: { color: AXIS_COLOR }, grid: { display: false } },
+      background: { position: 'right' as const, title: { display: true, text: 'Background', color: AXIS_COLOR }, ticks: { color: AXIS_COLOR }, grid: { display: false } },
+      markers: { display: false, min: 0, max: 1 }
+    }
+  }), [report.hfrTrend, report.focusChanges]);
+
+  const { summary } = report;
+
+  if (summary.totalFrames === 0 && report.events.length === 0) {
+    return <Text size="2" color="gray">Nothing was recorded for this night.</Text>;
+  }
+
+  return (
+    <Flex direction="column" gap="4">
+      {/* Summary */}
+      <Grid columns={{ initial: '2', sm: '4' }} gap="3">
+        <StatBlock label="Integration" value={formatIntegration(summary.integrationSeconds)} />
+        <StatBlock label="Light frames" value={`${summary.lightFrames} / ${summary.totalFrames}`} />
+        <StatBlock
+          label="Rejected"
+          value={summary.rejectedFrames > 0 ? `${summary.rejectedFrames} (${formatIntegration(summary.rejectedSeconds)})` : 'None'}
+        />
+        <StatBlock label="Targets" value={summary.targetCount.toString()} />
+        <StatBlock label="Imaging window" value={`${formatTime(summary.firstFrameAt)} – ${formatTime(summary.lastFrameAt)}`} />
+      </Grid>
+
+      {/* Targets */}
+      {report.targets.length > 0 && (
+        <Flex direction="column" gap="2">
+          <Text size="2" weight="medium">Targets</Text>
+          <Table.Root size="1" variant="surface">
+            <Table.Header>
+              <Table.Row>
+                <Table.ColumnHeaderCell>Target</Table.ColumnHeaderCell>
+                <Table.ColumnHeaderCell>Frames</Table.ColumnHeaderCell>
+                <Table.ColumnHeaderCell>Integration</Table.ColumnHeaderCell>
+                <Table.ColumnHeaderCell>Filters</Table.ColumnHeaderCell>
+                <Table.ColumnHeaderCell>Time</Table.ColumnHeaderCell>
+              </Table.Row>
+            </Table.Header>
+            <Table.Body>
+              {report.targets.map(target => (
+                <Table.Row key={target.targetName}>
+                  <Table.Cell>
+                    <Text size="1" weight="medium">{target.targetName}</Text>
+                    {target.projectName && target.projectName !== target.targetName && (
+                      <Text size="1" color="gray" as="div">{target.projectName}</Text>
+                    )}
+                  </Table.Cell>
+                  <Table.Cell>{target.frames}</Table.Cell>
+                  <Table.Cell>{formatIntegration(target.integrationSeconds)}</Table.Cell>
+                  <Table.Cell>
+                    <Flex gap="1" wrap="wrap">
+                      {target.filters.map(filter => (
+                        <Badge key={filter.filter} size="1" variant="soft">
+                          {filter.filter} × {filter.frames}
+                        </Badge>
+                      ))}
+                    </Flex>
+                  </Table.Cell>
+                  <Table.Cell>{formatTime(target.firstFrameAt)} – {formatTime(target.lastFrameAt)}</Table.Cell>
+                </Table.Row>
+              ))}
+            </Table.Body>
+          </Table.Root>
+        </Flex>
+      )}
+
+      {/* Filter breakdown */}
+      {report.filters.length > 0 && (
+        <Flex direction="column" gap="2">
+          <Text size="2" weight="medium">Filters</Text>
+          <Flex gap="2" wrap="wrap">
+            {report.filters.map(filter => (
+              <Badge key={filter.filter} size="2" variant="soft" color="blue">
+                {filter.filter}: {filter.frames} frames · {formatIntegration(filter.integrationSeconds)}
+                {filter.rejected > 0 && ` · ${filter.rejected} rejected`}
+              </Badge>
+            ))}
+          </Flex>
+        </Flex>
+      )}
+
+      <Separator size="4" />
+
+      {/* Guiding and focus statistics */}
+      <StatisticsRow label="Guiding RMS (total)" stats={report.guiding} unit={'"'} />
+      <StatisticsRow label="HFR" stats={report.hfr} unit="" />
+      {report.hfr && (
+        <Text size="1" color={report.hfr.change > 0.3 ? 'amber' : 'gray'}>
+          HFR went from {report.hfr.first} to {report.hfr.last} ({report.hfr.change > 0 ? '+' : ''}{report.hfr.change}) over the night
+        </Text>
+      )}
+
+      {report.hfrTrend.length > 1 && (
+        <Box style={{ height: '220px' }}>
+          <Line data={chartData} options={chartOptions} />
+        </Box>
+      )}
+
+      {/* Pointing drift from plate solves */}
+      {report.pointing.length > 0 && (
+        <Flex direction="column" gap="2">
+          <Text size="2" weight="medium">Pointing ({report.pointing.length} solved frames)</Text>
+          <Text size="1" color="gray">
+            Off target by {report.pointing[0].pointingError ?? '--'}' at {formatTime(report.pointing[0].time)} and
+            {' '}{report.pointing[report.pointing.length - 1].pointingError ?? '--'}' at {formatTime(report.pointing[report.pointing.length - 1].time)}
+          </Text>
+          {report.pointing.length > 1 && <PointingDriftChart points={report.pointing} />}
+        </Flex>
+      )}
+
+      {/* Rejected frames */}
+      {report.rejectedFrames.length > 0 && (
+        <Flex direction="column" gap="2">
+          <Flex align="center" gap="2">
+            <MinusCircledIcon color="var(--red-9)" />
+            <Text size="2" weight="medium">Rejected frames ({report.rejectedFrames.length})</Text>
+          </Flex>
+          {report.rejectedFrames.map((frame, index) => (
+            <Text key={`${frame.time}-${index}`} size="1" color="gray" style={{ paddingLeft: '16px' }} title={frame.filePath || undefined}>
+              {formatTime(frame.time)} {frame.target || 'Unknown'} · {frame.filter || 'No filter'} – {frame.reasons.join('; ')}
+            </Text>
+          ))}
+        </Flex>
+      )}
+
+      {/* Gaps */}
+      {report.gaps.length > 0 && (
+        <Flex direction="column" gap="2">
+          <Flex align="center" gap="2">
+            <CountdownTimerIcon />
+            <Text size="2" weight="medium">Gaps ({report.gaps.length})</Text>
+          </Flex>
+          {report.gaps.map(gap => (
+            <Flex key={gap.start} direction="column" gap="1" pl="4">
+              <Text size="1">
+                {formatTime(gap.start)} – {formatTime(gap.end)} · {gap.durationMinutes} min without frames
+              </Text>
+              {gap.events.map((event, index) => (
+                <Text key={`${event.time}-${index}`} size="1" color="gray" style={{ paddingLeft: '8px' }}>
+                  {formatTime(event.time)} {event.data?.summary || event.type}
+                </Text>
+              ))}
+            </Flex>
+          ))}
+        </Flex>
+      )}
+
+      {/* Failures */}
+      {report.failures.length > 0 && (
+        <Flex direction="column" gap="2">
+          <Flex align="center" gap="2">
+            <CrossCircledIcon color="var(--red-9)" />
+            <Text size="2" weight="medium">Failures ({report.failures.length})</Text>
+          </Flex>
+          {report.failures.map((failure, index) => (
+            <Text key={`${failure.time}-${index}`} size="1" color="red" style={{ paddingLeft: '16px' }}>
+              {formatTime(failure.time)} {failure.data?.summary || failure.type}
+            </Text>
+          ))}
+        </Flex>
+      )}
+    </Flex>
+  );
+};
+
+export const SessionHistoryModal: React.FC<SessionHistoryModalProps> = ({ open, onClose }) => {
+  const [sessions, setSessions] = useState<NightSessionSummary[]>([]);
+  const [total, setTotal] = useState(0);
+  const [selectedUuid, setSelectedUuid] = useState<string | null>(null);
+  const [report, setReport] = useState<SessionReport | null>(null);
+  const [loadingList, setLoadingList] = useState(false);
+  const [loadingReport, setLoadingReport] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const fetchSessions = useCallback(async (offset: number) => {
+    setLoadingList(true);
+    try {
+      setError(null);
+      const response = await apiFetch(getApiUrl(`sessions?limit=${PAGE_SIZE}&offset=${offset}`));
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+      const result: SessionListResponse = await response.json();
+      setTotal(result.total);
+      setSessions(previous => offset === 0 ? result.sessions : [...previous, ...result.sessions]);
+      if (offset === 0) {
+        setSelectedUuid(current => current ?? result.sessions[0]?.uuid ?? null);
+      }
+    } catch (err) {
+      console.error('Error fetching session history:', err);
+      setError(err instanceof Error ? err.message : 'Failed to load session history');
+    } finally {
+      setLoadingList(false);
+    }
+  }, []);
+
+  const fetchReport = useCallback(async (uuid: string) => {
+    setLoadingReport(true);
+    try {
+      setError(null);
+      const response = await apiFetch(getApiUrl(`sessions/${uuid}/report`));
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+      setReport(await response.json());
+    } catch (err) {
+      console.error('Error fetching session report:', err);
+      setError(err instanceof Error ? err.message : 'Failed to load session report');
+      setReport(null);
+    } finally {
+      setLoadingReport(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (open) {
+      fetchSessions(0);
+    }
+  }, [open, fetchSessions]);
+
+  useEffect(() => {
+    if (open && selectedUuid) {
+      fetchReport(selectedUuid);
+    }
+  }, [open, selectedUuid, fetchReport]);
+
+  return (
+    <Dialog.Root open={open} onOpenChange={onClose}>
+      <Dialog.Content style={{ maxWidth: '1000px', maxHeight: '85vh' }}>
+        <Dialog.Title>
+          <Flex align="center" gap="2">
+            <CalendarIcon />
+            Session History
+          </Flex>
+        </Dialog.Title>
+
+        <Dialog.Description>
+          Every observing night is archived automatically. Select a night to see its report.
+        </Dialog.Description>
+
+        {error && (
+          <Callout.Root color="red" mt="4">
+            <Callout.Icon>
+              <ExclamationTriangleIcon />
+            </Callout.Icon>
+            <Callout.Text>{error}</Callout.Text>
+          </Callout.Root>
+        )}
+
+        <Flex gap="4" mt="4" direction={{ initial: 'column', sm: 'row' }}>
+          {/* Night list */}
+          <Box style={{ minWidth: '220px', maxHeight: '60vh', overflowY: 'auto' }}>
+            <Flex direction="column" gap="1">
+              {sessions.length === 0 && !loadingList && (
+                <Text size="2" color="gray">No nights recorded yet</Text>
+              )}
+              {sessions.map(session => (
+                <Button
+                  key={session.uuid}
+                  variant={session.uuid === selectedUuid ? 'solid' : 'ghost'}
+                  color={session.uuid === selectedUuid ? undefined : 'gray'}
+                  onClick={() => setSelectedUuid(session.uuid)}
+                  style={{ justifyContent: 'space-between', height: 'auto', padding: '6px 10px' }}
+                >
+                  <Flex direction="column" align="start" gap="1">
+                    <Text size="2" weight="medium">{formatNight(session.nightDate)}</Text>
+                    <Text size="1">
+                      {formatIntegration(session.integrationSeconds)} · {session.frameCount} frames
+                    </Text>
+                  </Flex>
+                  <Flex gap="1">
+                    {session.isActive && <Badge size="1" color="green">Live</Badge>}
+                    {session.failureCount > 0 && <Badge size="1" color="red">{session.failureCount}</Badge>}
+                  </Flex>
+                </Button>
+              ))}
+              {sessions.length < total && (
+                <Button variant="soft" size="1" mt="2" disabled={loadingList} onClick={() => fetchSessions(sessions.length)}>
+                  Load older nights
+                </Button>
+              )}
+              {loadingList && (
+                <Flex justify="center" p="2">
+                  <ReloadIcon className="loading-spinner" />
+                </Flex>
+              )}
+            </Flex>
+          </Box>
+
+          {/* Report */}
+          <Box style={{ flex: 1, maxHeight: '60vh', overflowY: 'auto' }}>
+            {loadingReport && !report && (
+              <Flex align="center" justify="center" gap="2" style={{ minHeight: '200px' }}>
+                <ReloadIcon className="loading-spinner" />
+                <Text size="2" color="gray">Loading report...</Text>
+              </Flex>
+            )}
+            {report && <SessionReportView report={report} />}
+          </Box>
+        </Flex>
+
+        <Flex gap="3" mt="4" justify="end">
+          <Dialog.Close>
+            <Button variant="soft" color="gray">Close</Button>
+          </Dialog.Close>
+        </Flex>
+      </Dialog.Content>
+    </Dialog.Root>
+  );
+};
+
+export default SessionHistoryModal;
@@ -11,7 +11,9 @@ import {
   Callout,
   Spinner,
   TextField,
-  Switch
+  Switch,
+  Select,
+  TextArea
 } from '@radix-ui/themes';
 import {
   GearIcon,
@@ -21,7 +23,10 @@ import {
   FileTextIcon,
   TrashIcon
 } from '@radix-ui/react-icons';
-import { getApiUrl } from '../config/api';
+import { toast } from 'sonner';
+import { getApiUrl, apiFetch } from '../config/api';
+import UserManagementPanel from './UserManagementPanel';
+import HorizonProfilePanel from './HorizonProfilePanel';
 import type { SettingsModalProps } from '../interfaces/dashboard';
 import type { ConfigData } from '../interfaces/config';
 
@@ -46,6 +51,7 @@ export const SettingsModal: React.FC<SettingsModalProps> = ({ open, onClose }) =
   const [error, setError] = useState<string | null>(null);
   const [success, setSuccess] = useState(false);
   const [browserSupportsFilePicker, setBrowserSupportsFilePicker] = useState(false);
+  const [testingAlerts, setTestingAlerts] = useState(false);
 
   // Check browser support on mount
   useEffect(() => {
@@ -64,7 +70,7 @@ export const SettingsModal: React.FC<SettingsModalProps> = ({ open, onClose }) =
       setLoading(true);
       setError(null);
       
-      const response = await fetch(getApiUrl('config'));
+      const response = await apiFetch(getApiUrl('config'));
       if (!response.ok) {
         throw new Error(`Failed to load configuration: ${response.status}`);
       }
@@ -86,7 +92,7 @@ export const SettingsModal: React.FC<SettingsModalProps> = ({ open, onClose }) =
       setSaving(true);
       setError(null);
       
-      const response = await fetch(getApiUrl('config'), {
+      const response = await apiFetch(getApiUrl('config'), {
         method: 'PUT',
         headers: {
           'Content-Type': 'application/json'
@@ -131,6 +137,36 @@ export const SettingsModal: React.FC<SettingsModalProps> = ({ open, onClose }) =
     setConfig(newConfig);
   };
 
+  // Uses the saved configuration - save first when channels were just changed
+  const sendTestAlert = async () => {
+    try {
+      setTestingAlerts(true);
+      const response = await apiFetch(getApiUrl('alerts/test'), { method: 'POST' });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || `HTTP ${response.status}`);
+      }
+
+      const failed = data.results.filter((result: { ok: boolean }) => !result.ok);
+      if (failed.length === 0) {
+        toast.success('Test notification sent', {
+          description: data.results.map((result: { channel: string }) => result.channel).join(', ')
+        });
+      } else {
+        toast.error('Some channels failed', {
+          description: failed.map((result: { channel: string; error: string }) => `${result.channel}: ${result.error}`).join('; ')
+        });
+      }
+    } catch (err) {
+      toast.error('Test notification failed', {
+        description: err instanceof Error ? err.message : 'Unknown error'
+      });
+    } finally {
+      setTestingAlerts(false);
+    }
+  };
+
   const openDirectoryPicker = async (configPath: string) => {
     try {
       // Check if File System Access API is supported
@@ -294,6 +330,11 @@ export const SettingsModal: React.FC<SettingsModalProps> = ({ open, onClose }) =
               <Tabs.Trigger value="database">Database</Tabs.Trigger>
               <Tabs.Trigger value="streams">Live Feeds</Tabs.Trigger>
               <Tabs.Trigger value="pegasus">Power Devices</Tabs.Trigger>
+              <Tabs.Trigger value="alpaca">Alpaca</Tabs.Trigger>
+              <Tabs.Trigger value="horizon">Horizon</Tabs.Trigger>
+              <Tabs.Trigger value="grading">Grading</Tabs.Trigger>
+              <Tabs.Trigger value="alerts">Alerts</Tabs.Trigger>
+              <Tabs.Trigger value="users">Users</Tabs.Trigger>
             </Tabs.List>
 
             {/* NINA Connection Tab */}
@@ -594,10 +635,42 @@ export const SettingsModal: React.FC<SettingsModalProps> = ({ open, onClose }) =
                             <InfoCircledIcon />
                           </Callout.Icon>
                           <Callout.Text>
-                            Path to a local image file that updates automatically (e.g., AllSky camera). 
+                            Path to a local image file that updates automatically (e.g., AllSky camera), or a folder of images. 
                             Will be served as a camera stream at: http://YOUR_SERVER_IP:3001/api/camera/local
                           </Callout.Text>
                         </Callout.Root>
+                        <Flex align="center" gap="2" mt="3">
+                          <Switch
+                            checked={config?.streams.localCameraMode === 'directory'}
+                            onCheckedChange={(checked: boolean) => updateConfig('streams.localCameraMode', checked ? 'directory' : 'file')}
+                          />
+                          <Box>
+                            <Text as="label" size="2" weight="medium">
+                              Serve newest image in this folder
+                            </Text>
+                            <Text size="1" color="gray" as="div">
+                              Treat the path as a directory and always serve the most recently written image
+                            </Text>
+                          </Box>
+                        </Flex>
+                      </Box>
+
+                      <Box>
+                        <Text as="label" size="2" weight="medium" mb="1">
+                          Local Image Stale After (minutes)
+                        </Text>
+                        <TextField.Root
+                          type="number"
+                          value={config?.streams.localCameraStaleAfter !== undefined ? Math.round(config.streams.localCameraStaleAfter / 60).toString() : ''}
+                          onChange={(e: React.ChangeEvent<HTMLInputElement>) => {
+                            const minutes = parseInt(e.target.value);
+                            updateConfig('streams.localCameraStaleAfter', (Number.isFinite(minutes) && minutes >= 0 ? minutes : 30) * 60);
+                          }}
+                          placeholder="30"
+                        />
+                        <Text size="1" color="gray" mt="1">
+                          Older images are flagged as stale in the live view; 0 never flags them
+                        </Text>
                       </Box>
 
                       <Separator />
@@ -660,6 +733,22 @@ export const SettingsModal: React.FC<SettingsModalProps> = ({ open, onClose }) =
 
                       <Separator />
 
+                      <Box>
+                        <Text as="label" size="2" weight="medium" mb="1">
+                          Unity Platform URL
+                        </Text>
+                        <TextField.Root
+                          value={config?.pegasus?.unityBaseUrl || ''}
+                          onChange={(e: React.ChangeEvent<HTMLInputElement>) => updateConfig('pegasus.unityBaseUrl', e.target.value)}
+                          placeholder="http://localhost:32000"
+                        />
+                        <Text size="1" color="gray" mt="1">
+                          Where Pegasus Unity Platform runs; changes apply without restarting the server
+                        </Text>
+                      </Box>
+
+                      <Separator />
+
                       <Box>
                         <Text as="label" size="2" weight="medium" mb="1">
                           Refresh Interval (ms)
@@ -691,11 +780,466 @@ export const SettingsModal: React.FC<SettingsModalProps> = ({ open, onClose }) =
                           Device current rating: 10A (PPBAdvance), 20A (UPBv3). Max power = 15V × this value.
                         </Text>
                       </Box>
+
+                      <Separator />
+
+                      <Box>
+                        <Text as="label" size="2" weight="medium" mb="1">
+                          Low Voltage (V)
+                        </Text>
+                        <TextField.Root
+                          type="number"
+                          step="0.1"
+                          value={config?.pegasus?.lowVoltage?.toString() || ''}
+                          onChange={(e: React.ChangeEvent<HTMLInputElement>) => updateConfig('pegasus.lowVoltage', parseFloat(e.target.value) || 11.5)}
+                          placeholder="11.5"
+                        />
+                        <Text size="1" color="gray" mt="1">
+                          The power history records a low-voltage event when the input drops below this (default: 11.5V)
+                        </Text>
+                      </Box>
                     </Flex>
                   </Box>
                 </Card>
               </Box>
             </Tabs.Content>
+
+            {/* ASCOM Alpaca Tab */}
+            <Tabs.Content value="alpaca">
+              <Box pt="4">
+                <Card>
+                  <Box p="4">
+                    <Flex direction="column" gap="4">
+                      <Callout.Root color="blue" size="2">
+                        <Callout.Icon>
+                          <InfoCircledIcon />
+                        </Callout.Icon>
+                        <Callout.Text>
+                          Shows the status of ASCOM Alpaca devices that NINA doesn't connect to (Dome, Safety Monitor,
+                          Observing Conditions, Switch and Focuser) next to NINA's equipment. Devices are only read, never controlled.
+                        </Callout.Text>
+                      </Callout.Root>
+
+                      <Box>
+                        <Flex align="center" gap="2">
+                          <Switch
+                            checked={config?.alpaca?.enabled === true}
+                            onCheckedChange={(checked: boolean) => updateConfig('alpaca.enabled', checked)}
+                          />
+                          <Box>
+                            <Text as="label" size="2" weight="medium">
+                              Enable Alpaca Devices
+                            </Text>
+                            <Text size="1" color="gray" style={{ display: 'block' }}>
+                              Poll Alpaca servers and add their devices to the equipment status
+                            </Text>
+                          </Box>
+                        </Flex>
+                      </Box>
+
+                      <Separator />
+
+                      <Box>
+                        <Flex align="center" gap="2">
+                          <Switch
+                            checked={config?.alpaca?.discovery !== false}
+                            onCheckedChange={(checked: boolean) => updateConfig('alpaca.discovery', checked)}
+                          />
+                          <Box>
+                            <Text as="label" size="2" weight="medium">
+                              Discover Servers
+                            </Text>
+                            <Text size="1" color="gray" style={{ display: 'block' }}>
+                              Find Alpaca servers on the local network by UDP broadcast (port 32227)
+                            </Text>
+                          </Box>
+                        </Flex>
+                      </Box>
+
+                      <Separator />
+
+                      <Box>
+                        <Text as="label" size="2" weight="medium" mb="1">
+                          Additional Servers
+                        </Text>
+                        <TextArea
+                          rows={3}
+                          value={(config?.alpaca?.servers || []).join('\n')}
+                          onChange={(e: React.ChangeEvent<HTMLTextAreaElement>) => updateConfig('alpaca.servers', e.target.value.split('\n'))}
+                          placeholder="192.168.1.50:11111"
+                        />
+                        <Text size="1" color="gray" mt="1">
+                          One host:port per line, for servers on another subnet or with discovery turned off
+                        </Text>
+                      </Box>
+
+                      <Separator />
+
+                      <Box>
+                        <Text as="label" size="2" weight="medium" mb="1">
+                          Poll Interval (ms)
+                        </Text>
+                        <TextField.Root
+                          type="number"
+                          value={config?.alpaca?.pollInterval?.toString() || ''}
+                          onChange={(e: React.ChangeEvent<HTMLInputElement>) => updateConfig('alpaca.pollInterval', parseInt(e.target.value) || 10000)}
+                          placeholder="10000"
+                        />
+                        <Text size="1" color="gray" mt="1">
+                          How often device status is read (default: 10000ms, minimum 2000ms)
+                        </Text>
+                      </Box>
+                    </Flex>
+                  </Box>
+                </Card>
+              </Box>
+            </Tabs.Content>
+
+            {/* Horizon Tab */}
+            <Tabs.Content value="horizon">
+              <Box pt="4">
+                <Card>
+                  <Box p="4">
+                    <HorizonProfilePanel
+                      minimumAltitude={config?.observatory?.minimumAltitude ?? 30}
+                      horizon={config?.observatory?.horizon || []}
+                      onMinimumAltitudeChange={(value) => updateConfig('observatory.minimumAltitude', value)}
+                      onHorizonChange={(points) => updateConfig('observatory.horizon', points)}
+                    />
+                  </Box>
+                </Card>
+              </Box>
+            </Tabs.Content>
+
+            {/* Image Grading Tab */}
+            <Tabs.Content value="grading">
+              <Box pt="4">
+                <Card>
+                  <Box p="4">
+                    <Flex direction="column" gap="4">
+                      <Flex align="center" gap="2">
+                        <Switch
+                          checked={config?.imageGrading?.enabled !== false}
+                          onCheckedChange={(checked: boolean) => updateConfig('imageGrading.enabled', checked)}
+                        />
+                        <Box>
+                          <Text as="label" size="2" weight="medium">
+                            Grade Light Frames
+                          </Text>
+                          <Text size="1" color="gray" style={{ display: 'block' }}>
+                            Each saved light frame is compared with the night's median for the same target and filter
+                          </Text>
+                        </Box>
+                      </Flex>
+
+                      <Separator />
+
+                      <Text size="2" weight="medium">Reject a frame when</Text>
+                      <Flex gap="3" wrap="wrap">
+                        {[
+                          { key: 'maxHfrRatio', label: 'HFR above (× median)', fallback: 1.5 },
+                          { key: 'maxStarDropPercent', label: 'Stars drop by (%)', fallback: 50 },
+                          { key: 'maxGuidingRms', label: 'Guiding RMS above (")', fallback: 2 }
+                        ].map(({ key, label, fallback }) => (
+                          <Box key={key} style={{ flex: '1 1 180px' }}>
+                            <Text as="label" size="1" color="gray">{label}</Text>
+                            <TextField.Root
+                              type="number"
+                              value={config?.imageGrading?.[key]?.toString() ?? ''}
+                              onChange={(e: React.ChangeEvent<HTMLInputElement>) => {
+                                const value = parseFloat(e.target.value);
+                                updateConfig(`imageGrading.${key}`, Number.isFinite(value) && value >= 0 ? value : fallback);
+                              }}
+                              placeholder={fallback.toString()}
+                            />
+                          </Box>
+                        ))}
+                      </Flex>
+                      <Text size="1" color="gray">
+                        Set a limit to 0 to switch that rule off. HFR and star rules start once three frames of the
+                        same target and filter have been taken that night; frames already graded keep their grade.
+                      </Text>
+                    </Flex>
+                  </Box>
+                </Card>
+              </Box>
+            </Tabs.Content>
+
+            {/* Alerts Tab */}
+            <Tabs.Content value="alerts">
+              <Box pt="4">
+                <Card>
+                  <Box p="4">
+                    <Flex direction="column" gap="4">
+                      <Flex align="center" gap="2">
+                        <Switch
+                          checked={config?.notifications?.enabled !== false}
+                          onCheckedChange={(checked: boolean) => updateConfig('notifications.enabled', checked)}
+                        />
+                        <Box>
+                          <Text as="label" size="2" weight="medium">
+                            Send Alert Notifications
+                          </Text>
+                          <Text size="1" color="gray" style={{ display: 'block' }}>
+                            Alerts are still listed at /api/alerts when sending is off
+                          </Text>
+                        </Box>
+                      </Flex>
+
+                      <Separator />
+
+                      <Text size="2" weight="medium">Thresholds</Text>
+                      <Flex gap="3" wrap="wrap">
+                        {[
+                          { key: 'guidingLostMinutes', label: 'Guiding lost (min)', fallback: 5 },
+                          { key: 'rmsArcsec', label: 'Guiding RMS (")', fallback: 2 },
+                          { key: 'temperatureWarning', label: 'Camera drift warning (°C)', fallback: 5 },
+                          { key: 'temperatureCritical', label: 'Camera drift critical (°C)', fallback: 15 },
+                          { key: 'connectionTimeout', label: 'NINA offline (s)', fallback: 30 },
+                          { key: 'diskUsagePercent', label: 'Disk usage (%)', fallback: 90 }
+                        ].map(({ key, label, fallback }) => (
+                          <Box key={key} style={{ flex: '1 1 180px' }}>
+                            <Text as="label" size="1" color="gray">{label}</Text>
+                            <TextField.Root
+                              type="number"
+                              value={(config?.notifications?.alertThresholds as any)?.[key]?.toString() ?? ''}
+                              onChange={(e: React.ChangeEvent<HTMLInputElement>) => updateConfig(`notifications.alertThresholds.${key}`, parseFloat(e.target.value) || fallback)}
+                              placeholder={fallback.toString()}
+                            />
+                          </Box>
+                        ))}
+                      </Flex>
+
+                      <Box>
+                        <Text as="label" size="2" weight="medium" mb="1">
+                          Cooldown (minutes)
+                        </Text>
+                        <TextField.Root
+                          type="number"
+                          value={config?.notifications?.cooldownMinutes?.toString() ?? ''}
+                          onChange={(e: React.ChangeEvent<HTMLInputElement>) => updateConfig('notifications.cooldownMinutes', parseInt(e.target.value) || 30)}
+                          placeholder="30"
+                        />
+                        <Text size="1" color="gray" mt="1">
+                          An alert that keeps firing is repeated at most this often (sooner if it becomes critical)
+                        </Text>
+                      </Box>
+
+                      <Separator />
+
+                      <Flex align="center" gap="2">
+                        <Switch
+                          checked={config?.notifications?.quietHours?.enabled === true}
+                          onCheckedChange={(checked: boolean) => updateConfig('notifications.quietHours.enabled', checked)}
+                        />
+                        <Text as="label" size="2" weight="medium">
+                          Quiet Hours
+                        </Text>
+                      </Flex>
+                      {config?.notifications?.quietHours?.enabled && (
+                        <Flex direction="column" gap="3">
+                          <Flex gap="3">
+                            <Box style={{ flex: 1 }}>
+                              <Text as="label" size="1" color="gray">From (observatory time)</Text>
+                              <TextField.Root
+                                type="time"
+                                value={config.notifications.quietHours.start || '08:00'}
+                                onChange={(e: React.ChangeEvent<HTMLInputElement>) => updateConfig('notifications.quietHours.start', e.target.value)}
+                              />
+                            </Box>
+                            <Box style={{ flex: 1 }}>
+                              <Text as="label" size="1" color="gray">Until</Text>
+                              <TextField.Root
+                                type="time"
+                                value={config.notifications.quietHours.end || '18:00'}
+                                onChange={(e: React.ChangeEvent<HTMLInputElement>) => updateConfig('notifications.quietHours.end', e.target.value)}
+                              />
+                            </Box>
+                          </Flex>
+                          <Flex align="center" gap="2">
+                            <Switch
+                              checked={config.notifications.quietHours.allowCritical !== false}
+                              onCheckedChange={(checked: boolean) => updateConfig('notifications.quietHours.allowCritical', checked)}
+                            />
+                            <Text size="2">Still send critical alerts</Text>
+                          </Flex>
+                        </Flex>
+                      )}
+
+                      <Separator />
+
+                      <Flex align="center" gap="2">
+                        <Switch
+                          checked={config?.notifications?.pushNotifications === true}
+                          onCheckedChange={(checked: boolean) => updateConfig('notifications.pushNotifications', checked)}
+                        />
+                        <Text as="label" size="2" weight="medium">
+                          Push Notifications
+                        </Text>
+                      </Flex>
+                      {config?.notifications?.pushNotifications && (
+                        <Flex direction="column" gap="3">
+                          <Flex gap="3">
+                            <Select.Root
+                              value={config.notifications.push?.service || 'ntfy'}
+                              onValueChange={(value: string) => updateConfig('notifications.push.service', value)}
+                            >
+                              <Select.Trigger />
+                              <Select.Content>
+                                <Select.Item value="ntfy">ntfy</Select.Item>
+                                <Select.Item value="gotify">Gotify</Select.Item>
+                              </Select.Content>
+                            </Select.Root>
+                            <Box style={{ flex: 1 }}>
+                              <TextField.Root
+                                value={config.notifications.push?.url ?? ''}
+                                onChange={(e: React.ChangeEvent<HTMLInputElement>) => updateConfig('notifications.push.url', e.target.value)}
+                                placeholder="https://ntfy.sh"
+                              />
+                            </Box>
+                          </Flex>
+                          <Flex gap="3">
+                            {config.notifications.push?.service !== 'gotify' && (
+                              <Box style={{ flex: 1 }}>
+                                <TextField.Root
+                                  value={config.notifications.push?.topic ?? ''}
+                                  onChange={(e: React.ChangeEvent<HTMLInputElement>) => updateConfig('notifications.push.topic', e.target.value)}
+                                  placeholder="Topic"
+                                />
+                              </Box>
+                            )}
+                            <Box style={{ flex: 1 }}>
+                              <TextField.Root
+                                type="password"
+                                value={config.notifications.push?.token ?? ''}
+                                onChange={(e: React.ChangeEvent<HTMLInputElement>) => updateConfig('notifications.push.token', e.target.value)}
+                                placeholder={config.notifications.push?.service === 'gotify' ? 'App token' : 'Access token (optional)'}
+                              />
+                            </Box>
+                          </Flex>
+                        </Flex>
+                      )}
+
+                      <Flex align="center" gap="2">
+                        <Switch
+                          checked={config?.notifications?.webhook?.enabled === true}
+                          onCheckedChange={(checked: boolean) => updateConfig('notifications.webhook.enabled', checked)}
+                        />
+                        <Text as="label" size="2" weight="medium">
+                          Webhook
+                        </Text>
+                      </Flex>
+                      {config?.notifications?.webhook?.enabled && (
+                        <Box>
+                          <TextField.Root
+                            value={config.notifications.webhook.url ?? ''}
+                            onChange={(e: React.ChangeEvent<HTMLInputElement>) => updateConfig('notifications.webhook.url', e.target.value)}
+                            placeholder="https://example.com/hooks/observatory"
+                          />
+                          <Text size="1" color="gray" mt="1">
+                            Receives a JSON POST with observatory, severity, title, message and time
+                          </Text>
+                        </Box>
+                      )}
+
+                      <Flex align="center" gap="2">
+                        <Switch
+                          checked={config?.notifications?.emailAlerts === true}
+                          onCheckedChange={(checked: boolean) => updateConfig('notifications.emailAlerts', checked)}
+                        />
+                        <Text as="label" size="2" weight="medium">
+                          Email (SMTP)
+                        </Text>
+                      </Flex>
+                      {config?.notifications?.emailAlerts && (
+                        <Flex direction="column" gap="3">
+                          <Flex gap="3">
+                            <Box style={{ flex: 3 }}>
+                              <TextField.Root
+                                value={config.notifications.email?.host ?? ''}
+                                onChange={(e: React.ChangeEvent<HTMLInputElement>) => updateConfig('notifications.email.host', e.target.value)}
+                                placeholder="smtp.example.com"
+                              />
+                            </Box>
+                            <Box style={{ flex: 1 }}>
+                              <TextField.Root
+                                type="number"
+                                value={config.notifications.email?.port?.toString() ?? ''}
+                                onChange={(e: React.ChangeEvent<HTMLInputElement>) => updateConfig('notifications.email.port', parseInt(e.target.value) || 587)}
+                                placeholder="587"
+                              />
+                            </Box>
+                          </Flex>
+                          <Flex align="center" gap="2">
+                            <Switch
+                              checked={config.notifications.email?.secure === true}
+                              onCheckedChange={(checked: boolean) => updateConfig('notifications.email.secure', checked)}
+                            />
+                            <Text size="2">Use TLS from the start (port 465); otherwise STARTTLS when offered</Text>
+                          </Flex>
+                          <Flex gap="3">
+                            <Box style={{ flex: 1 }}>
+                              <TextField.Root
+                                value={config.notifications.email?.username ?? ''}
+                                onChange={(e: React.ChangeEvent<HTMLInputElement>) => updateConfig('notifications.email.username', e.target.value)}
+                                placeholder="Username"
+                              />
+                            </Box>
+                            <Box style={{ flex: 1 }}>
+                              <TextField.Root
+                                type="password"
+                                value={config.notifications.email?.password ?? ''}
+                                onChange={(e: React.ChangeEvent<HTMLInputElement>) => updateConfig('notifications.email.password', e.target.value)}
+                                placeholder="Password"
+                              />
+                            </Box>
+                          </Flex>
+                          <Flex gap="3">
+                            <Box style={{ flex: 1 }}>
+                              <TextField.Root
+                                value={config.notifications.email?.from ?? ''}
+                                onChange={(e: React.ChangeEvent<HTMLInputElement>) => updateConfig('notifications.email.from', e.target.value)}
+                                placeholder="From"
+                              />
+                            </Box>
+                            <Box style={{ flex: 1 }}>
+                              <TextField.Root
+                                value={config.notifications.email?.to ?? ''}
+                                onChange={(e: React.ChangeEvent<HTMLInputElement>) => updateConfig('notifications.email.to', e.target.value)}
+                                placeholder="To (comma separated)"
+                              />
+                            </Box>
+                          </Flex>
+                        </Flex>
+                      )}
+
+                      <Separator />
+
+                      <Flex justify="between" align="center">
+                        <Text size="1" color="gray">
+                          Save changes before sending a test
+                        </Text>
+                        <Button variant="soft" onClick={sendTestAlert} disabled={testingAlerts}>
+                          {testingAlerts && <Spinner size="1" />}
+                          Send Test Notification
+                        </Button>
+                      </Flex>
+                    </Flex>
+                  </Box>
+                </Card>
+              </Box>
+            </Tabs.Content>
+
+            {/* Users Tab */}
+            <Tabs.Content value="users">
+              <Box pt="4">
+                <Card>
+                  <Box p="4">
+                    <UserManagementPanel />
+                  </Box>
+                </Card>
+              </Box>
+            </Tabs.Content>
           </Tabs.Root>
         </Box>
 
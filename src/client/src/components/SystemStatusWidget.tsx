@@ -11,7 +11,7 @@ import {
   CrossCircledIcon,
   ReloadIcon
 } from '@radix-ui/react-icons';
-import { getApiUrl } from '../config/api';
+import { getApiUrl, apiFetch } from '../config/api';
 import { SystemStatusAPI, SystemStatusProps } from '../interfaces/system';
 
 const SystemStatusWidget: React.FC<SystemStatusProps> = memo(({ hideHeader = false }) => {
@@ -26,7 +26,7 @@ const SystemStatusWidget: React.FC<SystemStatusProps> = memo(({ hideHeader = fal
       // Use lite endpoint for performance, full endpoint every 5th call or initial load
       const endpoint = useLite ? 'system/status/lite' : 'system/status';
       console.log(`🔍 SystemStatusWidget fetching: ${endpoint} (useLite: ${useLite})`);
-      const response = await fetch(getApiUrl(endpoint));
+      const response = await apiFetch(getApiUrl(endpoint));
       if (!response.ok) {
         throw new Error(`HTTP ${response.status}: ${response.statusText}`);
       }
@@ -0,0 +1,369 @@
+// Target Visibility Widget - tonight's altitude curves for the active Target Scheduler targets
+// Tonight's twilight phases are shown on the astronomical timeline above the curves
+
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { Badge, Box, Card, Flex, Select, Table, Text } from '@radix-ui/themes';
+import { ExclamationTriangleIcon, MoonIcon, ReloadIcon, StarIcon } from '@radix-ui/react-icons';
+import { getApiUrl, apiFetch } from '../config/api';
+import { TimelineRenderer, PHASE_COLORS } from '../services/astronomical';
+import type { PlannerCurvePoint, TargetVisibilityWidgetProps, TonightPlan } from '../interfaces/planner';
+import type { TimePhase } from '../interfaces/system';
+
+const REFRESH_INTERVAL_MS = 10 * 60 * 1000;
+
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 200;
+const PLOT = { left: 28, right: 8, top: 8, bottom: 22 };
+const PLOT_WIDTH = CHART_WIDTH - PLOT.left - PLOT.right;
+const PLOT_HEIGHT = CHART_HEIGHT - PLOT.top - PLOT.bottom;
+
+const TARGET_COLORS = ['#22D3EE', '#F472B6', '#A3E635', '#FBBF24', '#C084FC', '#FB7185', '#34D399', '#60A5FA'];
+
+// Twilight phases for the timeline, indexed from civil twilight to night
+const TWILIGHT_LEVELS = [
+  { dusk: 'Civil Dusk', dawn: 'Civil Dawn', color: PHASE_COLORS.civil, description: 'Sun 0-6° below the horizon' },
+  { dusk: 'Nautical Dusk', dawn: 'Nautical Dawn', color: PHASE_COLORS.nautical, description: 'Sun 6-12° below the horizon' },
+  { dusk: 'Astronomical Dusk', dawn: 'Astronomical Dawn', color: PHASE_COLORS.astronomical, description: 'Sun 12-18° below the horizon' },
+  { dusk: 'Night', dawn: 'Night', color: PHASE_COLORS.night, description: 'Complete darkness' }
+];
+
+const DUSK_KEYS = ['sunset', 'civilDusk', 'nauticalDusk', 'astronomicalDusk'] as const;
+const DAWN_KEYS = ['astronomicalDawn', 'nauticalDawn', 'civilDawn', 'sunrise'] as const;
+
+const HORIZON_OPTIONS = ['default', '20', '30', '40', '50'];
+
+const TargetVisibilityWidget: React.FC<TargetVisibilityWidgetProps> = ({ hideHeader = false }) => {
+  const [plan, setPlan] = useState<TonightPlan | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [horizon, setHorizon] = useState('default');
+  const [selectedTarget, setSelectedTarget] = useState<number | null>(null);
+  const [now, setNow] = useState(() => Date.now());
+
+  const fetchPlan = useCallback(async () => {
+    try {
+      setError(null);
+      const query = horizon === 'default' ? '' : `?minAltitude=${horizon}`;
+      const response = await apiFetch(getApiUrl(`planner/tonight${query}`));
+      if (!response.ok) {
+        const body = await response.json().catch(() => ({}));
+        throw new Error(body.error || `HTTP ${response.status}`);
+      }
+      setPlan(await response.json());
+      setNow(Date.now());
+    } catch (err) {
+      console.error('Error loading target plan:', err);
+      setError(err instanceof Error ? err.message : 'Unknown error');
+    } finally {
+      setLoading(false);
+    }
+  }, [horizon]);
+
+  useEffect(() => {
+    fetchPlan();
+    const interval = setInterval(fetchPlan, REFRESH_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [fetchPlan]);
+
+  // Keep the "now" marker moving between refreshes
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), 60 * 1000);
+    return () => clearInterval(interval);
+  }, []);
+
+  const windowStart = plan ? Date.parse(plan.window.start) : 0;
+  const windowEnd = plan ? Date.parse(plan.window.end) : 1;
+
+  const xFor = useCallback((time: number) =>
+    PLOT.left + ((time - windowStart) / (windowEnd - windowStart)) * PLOT_WIDTH, [windowStart, windowEnd]);
+  const yFor = (altitude: number) => PLOT.top + (1 - altitude / 90) * PLOT_HEIGHT;
+
+  const formatTime = useCallback((time: string | number | null) => {
+    if (time === null) return '--';
+    return new Date(time).toLocaleTimeString([], {
+      hour: 'numeric',
+      minute: '2-digit',
+      timeZone: plan?.location.timezone
+    });
+  }, [plan?.location.timezone]);
+
+  // Twilight phases between consecutive phase times; a missing phase (e.g. no astronomical night) widens its neighbour
+  const phases = useMemo((): TimePhase[] => {
+    if (!plan) return [];
+    const boundaries = [
+      ...DUSK_KEYS.map((key, index) => ({ time: plan.phases[key], level: index, dusk: true })),
+      ...DAWN_KEYS.map((key, index) => ({ time: plan.phases[key], level: DAWN_KEYS.length - 1 - index, dusk: false }))
+    ].filter(boundary => boundary.time !== null);
+
+    return boundaries.slice(0, -1).map((boundary, index) => {
+      const next = boundaries[index + 1];
+      const { dusk, dawn, color, description } = TWILIGHT_LEVELS[boundary.dusk ? boundary.level : next.level];
+      const start = new Date(boundary.time as string);
+      const end = new Date(next.time as string);
+      return { name: boundary.dusk ? dusk : dawn, start, end, color, description, realStart: start, realEnd: end };
+    }).filter(phase => phase.end > phase.start);
+  }, [plan]);
+
+  // SVG path through a curve; visibleOnly leaves gaps where the local horizon hides the object
+  const pathFor = useCallback((curve: PlannerCurvePoint[], visibleOnly = false) => {
+    let penDown = false;
+    return curve
+      .map(point => {
+        if (visibleOnly && point.altitude < point.horizon) {
+          penDown = false;
+          return '';
+        }
+        const command = penDown ? 'L' : 'M';
+        penDown = true;
+        return `${command}${xFor(Date.parse(point.time)).toFixed(1)},${yFor(point.altitude).toFixed(1)}`;
+      })
+      .filter(Boolean)
+      .join(' ');
+  }, [xFor]);
+
+  // Local horizon along a target's path across the sky, filled down to the bottom of the plot
+  const horizonAreaFor = useCallback((curve: PlannerCurvePoint[]) => {
+    if (curve.length === 0) return '';
+    const bottom = (PLOT.top + PLOT_HEIGHT).toFixed(1);
+    const outline = curve.map(point => `L${xFor(Date.parse(point.time)).toFixed(1)},${yFor(point.horizon).toFixed(1)}`);
+    return `M${xFor(Date.parse(curve[0].time)).toFixed(1)},${bottom} ${outline.join(' ')} L${xFor(Date.parse(curve[curve.length - 1].time)).toFixed(1)},${bottom} Z`;
+  }, [xFor]);
+
+  // Tick marks on the whole hours of the observatory's time zone (which may sit on a UTC half hour)
+  const ticks = useMemo(() => {
+    if (!plan) return [];
+    const result: number[] = [];
+    const quarter = 15 * 60 * 1000;
+    for (let time = Math.ceil(windowStart / quarter) * quarter; time <= windowEnd; time += quarter) {
+      const minutes = new Date(time).toLocaleString('en-US', { minute: 'numeric', timeZone: plan.location.timezone });
+      if (Number(minutes) === 0) result.push(time);
+    }
+    return result;
+  }, [plan, windowStart, windowEnd]);
+
+  const header = (
+    <Flex align="center" gap="2">
+      <StarIcon />
+      <Text size="3" weight="medium">Target Visibility</Text>
+    </Flex>
+  );
+
+  if (loading) {
+    return (
+      <Card>
+        <Flex direction="column" gap="3" p="4">
+          {!hideHeader && header}
+          <Flex align="center" justify="center" style={{ minHeight: hideHeader ? '150px' : '200px' }}>
+            <Flex direction="column" align="center" gap="2">
+              <ReloadIcon className="loading-spinner" />
+              <Text size="2" color="gray">Planning tonight...</Text>
+            </Flex>
+          </Flex>
+        </Flex>
+      </Card>
+    );
+  }
+
+  if (error || !plan) {
+    return (
+      <Card>
+        <Flex direction="column" gap="3" p="4">
+          {!hideHeader && header}
+          <Flex align="center" justify="center" style={{ minHeight: hideHeader ? '150px' : '200px' }}>
+            <Flex direction="column" align="center" gap="2">
+              <ExclamationTriangleIcon color="red" width="24" height="24" />
+              <Text size="2" color="red">Failed to load target plan</Text>
+              <Text size="1" color="gray">{error}</Text>
+            </Flex>
+          </Flex>
+        </Flex>
+      </Card>
+    );
+  }
+
+  const horizonY = yFor(plan.minimumAltitude);
+  const nowVisible = now >= windowStart && now <= windowEnd;
+  const colorFor = (index: number) => TARGET_COLORS[index % TARGET_COLORS.length];
+  const hasHorizon = plan.horizon.length > 0;
+  const selected = plan.targets.find(target => target.targetId === selectedTarget) || null;
+
+  return (
+    <Card>
+      <Flex direction="column" gap="3" p="4">
+        <Flex justify="between" align="center" gap="2" wrap="wrap">
+          {!hideHeader && header}
+          <Flex align="center" gap="2">
+            <Badge
+              color="gray"
+              size="1"
+              title={`Moon ${hasHorizon ? 'clears the local horizon' : 'rises'} ${formatTime(plan.moon.rise)}, sets ${formatTime(plan.moon.set)}`}
+            >
+              <MoonIcon width="12" height="12" />
+              {plan.moon.illumination}%
+            </Badge>
+            <Badge color={plan.dark ? 'indigo' : 'orange'} size="1">
+              {plan.dark
+                ? `${plan.dark.type === 'astronomical' ? 'Dark' : 'Nautical dark'} ${formatTime(plan.dark.start)} - ${formatTime(plan.dark.end)}`
+                : 'No dark time tonight'}
+            </Badge>
+            <Select.Root size="1" value={horizon} onValueChange={setHorizon}>
+              <Select.Trigger title="Minimum altitude" />
+              <Select.Content>
+                {HORIZON_OPTIONS.map(option => (
+                  <Select.Item key={option} value={option}>
+                    {option === 'default' ? `Horizon ${plan.minimumAltitude}°` : `Horizon ${option}°`}
+                  </Select.Item>
+                ))}
+              </Select.Content>
+            </Select.Root>
+          </Flex>
+        </Flex>
+
+        <TimelineRenderer
+          phases={phases}
+          currentTime={new Date(now)}
+          formatTime12Hour={date => formatTime(date.getTime())}
+          windowStart={new Date(windowStart)}
+          windowEnd={new Date(windowEnd)}
+          description="Tonight from sunset to sunrise (hover for details)"
+        />
+
+        <Box style={{ backgroundColor: 'var(--gray-3)', borderRadius: '8px', padding: '8px' }}>
+          <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} width="100%" style={{ display: 'block' }}>
+            <defs>
+              <clipPath id="target-visibility-plot">
+                <rect x={PLOT.left} y={PLOT.top} width={PLOT_WIDTH} height={PLOT_HEIGHT} />
+              </clipPath>
+            </defs>
+
+            {/* Altitude grid */}
+            {[0, 30, 60, 90].map(altitude => (
+              <g key={`grid-${altitude}`}>
+                <line x1={PLOT.left} y1={yFor(altitude)} x2={CHART_WIDTH - PLOT.right} y2={yFor(altitude)} stroke="rgba(255, 255, 255, 0.08)" />
+                <text x={PLOT.left - 4} y={yFor(altitude) + 3} fontSize="9" fill="#a1a1aa" textAnchor="end">{altitude}°</text>
+              </g>
+            ))}
+
+            {ticks.map(time => (
+              <g key={`tick-${time}`}>
+                <line x1={xFor(time)} y1={PLOT.top + PLOT_HEIGHT} x2={xFor(time)} y2={PLOT.top + PLOT_HEIGHT + 4} stroke="#666" />
+                <text x={xFor(time)} y={CHART_HEIGHT - 6} fontSize="9" fill="#a1a1aa" textAnchor="middle">
+                  {new Date(time).toLocaleTimeString([], { hour: 'numeric', timeZone: plan.location.timezone })}
+                </text>
+              </g>
+            ))}
+
+            {/* Minimum altitude */}
+            <line x1={PLOT.left} y1={horizonY} x2={CHART_WIDTH - PLOT.right} y2={horizonY} stroke="#F87171" strokeDasharray="4,3" />
+
+            {/* Moon and targets; below-horizon parts are clipped off */}
+            <g clipPath="url(#target-visibility-plot)">
+              {selected && hasHorizon && (
+                <path d={horizonAreaFor(selected.curve)} fill="#4B5563" opacity={0.6}>
+                  <title>{`Local horizon towards ${selected.name}`}</title>
+                </path>
+              )}
+
+              <path d={pathFor(plan.moon.curve, true)} fill="none" stroke="#E5E7EB" strokeWidth="1.5" strokeDasharray="2,3" opacity={0.7}>
+                <title>{`Moon (${plan.moon.illumination}% illuminated)`}</title>
+              </path>
+
+              {/* Faint full curve, solid where the target clears the local horizon */}
+              {plan.targets.map((target, index) => {
+                const emphasis = selectedTarget === null || selectedTarget === target.targetId ? 1 : 0.25;
+                return (
+                  <g key={target.targetId} stroke={colorFor(index)} fill="none">
+                    <path d={pathFor(target.curve)} strokeWidth="1" opacity={0.3 * emphasis} />
+                    <path
+                      d={pathFor(target.curve, true)}
+                      strokeWidth={selectedTarget === target.targetId ? 3 : 1.75}
+                      opacity={emphasis}
+                    >
+                      <title>{`${target.name} - transit ${formatTime(target.transit.time)} at ${target.transit.altitude}°`}</title>
+                    </path>
+                  </g>
+                );
+              })}
+            </g>
+
+            {/* Current time, matching the astronomical timeline marker */}
+            {nowVisible && (
+              <line x1={xFor(now)} y1={PLOT.top} x2={xFor(now)} y2={PLOT.top + PLOT_HEIGHT} stroke="#DC2626" strokeWidth="2" strokeDasharray="2,2" />
+            )}
+          </svg>
+          <Flex justify="between" px="1">
+            <Text size="1" color="gray">Sunset {formatTime(plan.phases.sunset)}</Text>
+            <Text size="1" color="gray">Sunrise {formatTime(plan.phases.sunrise)}</Text>
+          </Flex>
+        </Box>
+
+        {plan.targets.length === 0 ? (
+          <Flex align="center" justify="center" style={{ minHeight: '60px' }}>
+            <Text size="2" color="gray">
+              {plan.schedulerConnected ? 'No active Target Scheduler targets' : 'Target Scheduler database not available'}
+            </Text>
+          </Flex>
+        ) : (
+          <Table.Root size="1" variant="surface">
+            <Table.Header>
+              <Table.Row>
+                <Table.ColumnHeaderCell>Target</Table.ColumnHeaderCell>
+                <Table.ColumnHeaderCell>{hasHorizon ? 'Clears / hidden' : 'Rise / set'}</Table.ColumnHeaderCell>
+                <Table.ColumnHeaderCell>Transit</Table.ColumnHeaderCell>
+                <Table.ColumnHeaderCell>Max</Table.ColumnHeaderCell>
+                <Table.ColumnHeaderCell>{hasHorizon ? `Above horizon & ${plan.minimumAltitude}°` : `Above ${plan.minimumAltitude}°`}</Table.ColumnHeaderCell>
+                <Table.ColumnHeaderCell>Moon</Table.ColumnHeaderCell>
+              </Table.Row>
+            </Table.Header>
+            <Table.Body>
+              {plan.targets.map((target, index) => (
+                <Table.Row
+                  key={target.targetId}
+                  onClick={() => setSelectedTarget(selectedTarget === target.targetId ? null : target.targetId)}
+                  style={{ cursor: 'pointer', background: selectedTarget === target.targetId ? 'var(--accent-a3)' : undefined }}
+                >
+                  <Table.Cell>
+                    <Flex align="center" gap="2">
+                      <Box style={{ width: '10px', height: '10px', borderRadius: '2px', background: colorFor(index), flexShrink: 0 }} />
+                      <Flex direction="column">
+                        <Text size="1" weight="medium">{target.name}</Text>
+                        <Text size="1" color="gray">{target.projectName}</Text>
+                      </Flex>
+                    </Flex>
+                  </Table.Cell>
+                  <Table.Cell>
+                    <Text size="1">
+                      {target.rise || target.set
+                        ? `${formatTime(target.rise)} / ${formatTime(target.set)}`
+                        : target.curve[0] && target.curve[0].altitude >= target.curve[0].horizon ? 'Up all night' : 'Not up'}
+                    </Text>
+                  </Table.Cell>
+                  <Table.Cell>
+                    <Text size="1" color={target.transit.duringDark ? undefined : 'gray'}>
+                      {formatTime(target.transit.time)}
+                    </Text>
+                  </Table.Cell>
+                  <Table.Cell>{target.maxAltitude}°</Table.Cell>
+                  <Table.Cell>
+                    <Text size="1" color={target.hoursAboveHorizon > 0 ? undefined : 'gray'}>
+                      {target.hoursAboveHorizon > 0
+                        ? `${target.hoursAboveHorizon.toFixed(1)}h (${formatTime(target.aboveFrom)} - ${formatTime(target.aboveUntil)})`
+                        : 'Not tonight'}
+                    </Text>
+                  </Table.Cell>
+                  <Table.Cell>
+                    <Text size="1" color={target.moonSeparation !== null && target.moonSeparation < 30 ? 'orange' : undefined}>
+                      {target.moonSeparation !== null ? `${Math.round(target.moonSeparation)}°` : '--'}
+                    </Text>
+                  </Table.Cell>
+                </Table.Row>
+              ))}
+            </Table.Body>
+          </Table.Root>
+        )}
+      </Flex>
+    </Card>
+  );
+};
+
+export default TargetVisibilityWidget;
@@ -226,6 +226,20 @@ const TimeAstronomicalWidget: React.FC<TimeAstronomicalWidgetProps> = ({
                 <Text size="1">
                   {getMoonPhaseDescription(data.astronomical.moonPhase.phase, data.astronomical.moonPhase.illumination)}
                 </Text>
+                {data.astronomical.moon && (
+                  <Text size="1" color="gray" as="div">
+                    Rise {data.astronomical.moon.rise ? astronomicalService.formatTimeShort12Hour(data.astronomical.moon.rise) : '--'}
+                    {' · '}Set {data.astronomical.moon.set ? astronomicalService.formatTimeShort12Hour(data.astronomical.moon.set) : '--'}
+                    {' · '}Altitude {data.astronomical.moon.altitude}°
+                  </Text>
+                )}
+                {data.astronomical.moon?.aboveHorizon !== undefined && (
+                  <Text size="1" color="gray" as="div">
+                    Local horizon: clears {data.astronomical.moon.horizonRise ? astronomicalService.formatTimeShort12Hour(data.astronomical.moon.horizonRise) : '--'}
+                    {' · '}behind {data.astronomical.moon.horizonSet ? astronomicalService.formatTimeShort12Hour(data.astronomical.moon.horizonSet) : '--'}
+                    {' · '}{data.astronomical.moon.aboveHorizon ? 'in view now' : 'hidden now'}
+                  </Text>
+                )}
               </HoverCard.Content>
             </HoverCard.Root>
           </Flex>
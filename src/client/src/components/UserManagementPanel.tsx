@@ -0,0 +1,164 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Flex, Box, Text, Button, TextField, Table, Select, IconButton, Callout } from '@radix-ui/themes';
+import { TrashIcon, LockClosedIcon, InfoCircledIcon } from '@radix-ui/react-icons';
+import { toast } from 'sonner';
+import * as authApi from '../services/authApi';
+import { useAuth } from '../contexts/AuthContext';
+import type { AuthUser, UserRole } from '../interfaces/auth';
+
+const ROLE_DESCRIPTIONS: Record<UserRole, string> = {
+  viewer: 'Watch the dashboard',
+  operator: 'Also control equipment and sequences, edit the layout',
+  admin: 'Also change settings and manage users'
+};
+
+/**
+ * Users tab of the settings dialog (admin only) - changes apply immediately, not on "Save Changes"
+ */
+const UserManagementPanel: React.FC = () => {
+  const { user: currentUser } = useAuth();
+  const [users, setUsers] = useState<AuthUser[]>([]);
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [role, setRole] = useState<UserRole>('viewer');
+
+  const loadUsers = useCallback(async () => {
+    try {
+      setUsers(await authApi.listUsers());
+    } catch (err) {
+      console.error('Error loading users:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadUsers();
+  }, [loadUsers]);
+
+  const runAction = async (action: () => Promise<unknown>, failureTitle: string) => {
+    try {
+      await action();
+      loadUsers();
+    } catch (err) {
+      toast.error(failureTitle, { description: err instanceof Error ? err.message : 'Unknown error' });
+    }
+  };
+
+  const handleCreate = () => runAction(async () => {
+    await authApi.createUser(username.trim(), password, role);
+    setUsername('');
+    setPassword('');
+    toast.success(`User ${username.trim()} created`);
+  }, 'User not created');
+
+  const handleResetPassword = (target: AuthUser) => {
+    const newPassword = window.prompt(`New password for ${target.username} (8+ characters)`);
+    if (!newPassword) return;
+    runAction(async () => {
+      await authApi.updateUser(target.id, { password: newPassword });
+      toast.success(`Password for ${target.username} reset`);
+    }, 'Password not reset');
+  };
+
+  const handleDelete = (target: AuthUser) => {
+    if (!window.confirm(`Delete user ${target.username}? Their API tokens stop working too.`)) return;
+    runAction(() => authApi.deleteUser(target.id), 'User not deleted');
+  };
+
+  return (
+    <Flex direction="column" gap="4">
+      <Callout.Root color="blue" size="1">
+        <Callout.Icon>
+          <InfoCircledIcon />
+        </Callout.Icon>
+        <Callout.Text>
+          Viewers can watch, operators can also control equipment, admins can also change settings and users.
+          User changes are saved immediately.
+        </Callout.Text>
+      </Callout.Root>
+
+      <Table.Root size="1">
+        <Table.Header>
+          <Table.Row>
+            <Table.ColumnHeaderCell>User</Table.ColumnHeaderCell>
+            <Table.ColumnHeaderCell>Role</Table.ColumnHeaderCell>
+            <Table.ColumnHeaderCell>Last login</Table.ColumnHeaderCell>
+            <Table.ColumnHeaderCell />
+          </Table.Row>
+        </Table.Header>
+        <Table.Body>
+          {users.map(user => (
+            <Table.Row key={user.id} align="center">
+              <Table.Cell>{user.username}{user.id === currentUser?.id && ' (you)'}</Table.Cell>
+              <Table.Cell>
+                <Select.Root
+                  size="1"
+                  value={user.role}
+                  onValueChange={(value: string) => runAction(() => authApi.updateUser(user.id, { role: value as UserRole }), 'Role not changed')}
+                >
+                  <Select.Trigger />
+                  <Select.Content>
+                    <Select.Item value="viewer">Viewer</Select.Item>
+                    <Select.Item value="operator">Operator</Select.Item>
+                    <Select.Item value="admin">Admin</Select.Item>
+                  </Select.Content>
+                </Select.Root>
+              </Table.Cell>
+              <Table.Cell>{user.lastLoginAt ? new Date(user.lastLoginAt).toLocaleString() : 'Never'}</Table.Cell>
+              <Table.Cell>
+                <Flex gap="3" justify="end">
+                  <IconButton size="1" variant="ghost" title="Reset password" onClick={() => handleResetPassword(user)}>
+                    <LockClosedIcon />
+                  </IconButton>
+                  <IconButton
+                    size="1"
+                    variant="ghost"
+                    color="red"
+                    title="Delete user"
+                    disabled={user.id === currentUser?.id}
+                    onClick={() => handleDelete(user)}
+                  >
+                    <TrashIcon />
+                  </IconButton>
+                </Flex>
+              </Table.Cell>
+            </Table.Row>
+          ))}
+        </Table.Body>
+      </Table.Root>
+
+      <Text size="2" weight="medium">Add User</Text>
+      <Flex gap="2" wrap="wrap" align="end">
+        <Box style={{ flex: '1 1 140px' }}>
+          <TextField.Root
+            placeholder="Username"
+            value={username}
+            onChange={(e: React.ChangeEvent<HTMLInputElement>) => setUsername(e.target.value)}
+          />
+        </Box>
+        <Box style={{ flex: '1 1 140px' }}>
+          <TextField.Root
+            type="password"
+            placeholder="Password (8+ characters)"
+            value={password}
+            onChange={(e: React.ChangeEvent<HTMLInputElement>) => setPassword(e.target.value)}
+            autoComplete="new-password"
+          />
+        </Box>
+        <Select.Root value={role} onValueChange={(value: string) => setRole(value as UserRole)}>
+          <Select.Trigger />
+          <Select.Content>
+            <Select.Item value="viewer">Viewer</Select.Item>
+            <Select.Item value="operator">Operator</Select.Item>
+            <Select.Item value="admin">Admin</Select.Item>
+          </Select.Content>
+        </Select.Root>
+        <Button variant="soft" onClick={handleCreate} disabled={!username.trim() || password.length < 8}>
+          Add
+        </Button>
+      </Flex>
+      <Text size="1" color="gray">{ROLE_DESCRIPTIONS[role]}</Text>
+    </Flex>
+  );
+};
+
+export default UserManagementPanel;
@@ -0,0 +1,177 @@
+// Weather Trend Charts - dew point depression, sky quality and sky temperature over the last 12 or 24 hours
+// from the server's weather history, with "clouds increasing" and "approaching dew point" indicators
+
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { Chart as ChartJS, LinearScale, PointElement, LineElement, Tooltip } from 'chart.js';
+import { Line } from 'react-chartjs-2';
+import { Badge, Box, Flex, Grid, Select, Text, Tooltip as HoverTip } from '@radix-ui/themes';
+import { ExclamationTriangleIcon } from '@radix-ui/react-icons';
+import { getApiUrl, apiFetch } from '../config/api';
+import type { WeatherHistoryPoint, WeatherHistoryResponse } from '../interfaces/weather';
+
+ChartJS.register(LinearScale, PointElement, LineElement, Tooltip);
+
+const RANGES: Record<string, { label: string; hours: number }> = {
+  '12h': { label: '12 hours', hours: 12 },
+  '24h': { label: '24 hours', hours: 24 }
+};
+const MAX_POINTS = 144;
+const REFRESH_INTERVAL_MS = 60 * 1000; // Matches the server's sampling interval
+const DEW_POINT_MARGIN = 2; // °C - same margin the server's dew point trend uses
+
+const selectDepression = (point: WeatherHistoryPoint) => point.dewPointDepression;
+const selectSkyQuality = (point: WeatherHistoryPoint) => point.skyQuality;
+const selectSkyTemperature = (point: WeatherHistoryPoint) => point.skyTemperature;
+
+const formatTime = (time: number | string): string =>
+  new Date(time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+const formatRate = (rate: number | null, unit: string): string =>
+  (rate === null ? '' : `${rate > 0 ? '+' : ''}${rate}${unit}/h`);
+
+const TrendChart: React.FC<{
+  label: string;
+  unit: string;
+  points: WeatherHistoryPoint[];
+  select: (point: WeatherHistoryPoint) => number | null;
+  color: string;
+  threshold?: number;
+}> = ({ label, unit, points, select, color, threshold }) => {
+  const series = useMemo(
+    () => points
+      .map(point => ({ x: Date.parse(point.time), y: select(point) }))
+      .filter((point): point is { x: number; y: number } => point.y !== null),
+    [points, select]
+  );
+
+  const data = useMemo(() => ({
+    datasets: [
+      { label, data: series, borderColor: color, backgroundColor: color, pointRadius: 0, borderWidth: 1.5 },
+      ...(threshold !== undefined && series.length > 1 ? [{
+        label: 'Dew point margin',
+        data: [{ x: series[0].x, y: threshold }, { x: series[series.length - 1].x, y: threshold }],
+        borderColor: 'rgba(239, 68, 68, 0.6)',
+        borderDash: [3, 3],
+        pointRadius: 0,
+        borderWidth: 1
+      }] : [])
+    ]
+  }), [label, series, color, threshold]);
+
+  const options = useMemo(() => ({
+    responsive: true,
+    maintainAspectRatio: false,
+    animation: false as const,
+    parsing: false as const,
+    plugins: {
+      legend: { display: false },
+      tooltip: {
+        intersect: false,
+        mode: 'index' as const,
+        callbacks: {
+          title: (items: any[]) => items.length ? formatTime(items[0].parsed.x) : '',
+          label: (context: any) => `${context.dataset.label}: ${context.parsed.y}${unit}`
+        }
+      }
+    },
+    scales: {
+      x: { type: 'linear' as const, display: false },
+      y: { display: false, grace: '10%' }
+    }
+  }), [unit]);
+
+  if (series.length === 0) return null;
+
+  const latest = series[series.length - 1].y;
+  const values = series.map(point => point.y);
+
+  return (
+    <Flex direction="column" gap="1">
+      <Flex justify="between" align="baseline">
+        <Text size="1" color="gray">{label}</Text>
+        <Text size="1" weight="medium">{latest}{unit}</Text>
+      </Flex>
+      <Box style={{ height: '40px' }}>
+        <Line data={data} options={options} />
+      </Box>
+      <Text size="1" color="gray">{Math.min(...values)}–{Math.max(...values)}{unit}</Text>
+    </Flex>
+  );
+};
+
+const WeatherTrendCharts: React.FC = () => {
+  const [range, setRange] = useState('12h');
+  const [history, setHistory] = useState<WeatherHistoryResponse | null>(null);
+
+  const fetchHistory = useCallback(async () => {
+    try {
+      const from = new Date(Date.now() - RANGES[range].hours * 60 * 60 * 1000).toISOString();
+      const response = await apiFetch(getApiUrl(`weather/history?from=${encodeURIComponent(from)}&maxPoints=${MAX_POINTS}`));
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+      setHistory(await response.json());
+    } catch (err) {
+      console.error('Error fetching weather history:', err);
+    }
+  }, [range]);
+
+  useEffect(() => {
+    fetchHistory();
+    const interval = setInterval(fetchHistory, REFRESH_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [fetchHistory]);
+
+  if (!history) return null;
+
+  const { cloudsIncreasing, approachingDewPoint } = history.trends;
+
+  return (
+    <Flex direction="column" gap="3">
+      <Flex align="center" justify="between" gap="2" wrap="wrap">
+        <Flex align="center" gap="2" wrap="wrap">
+          <Text size="2" weight="bold" color="gray">Trends</Text>
+          {cloudsIncreasing.active && (
+            <HoverTip content={cloudsIncreasing.basis === 'cloudCover'
+              ? `Cloud cover ${formatRate(cloudsIncreasing.ratePerHour, '%')} over the last ${history.trends.windowMinutes} minutes`
+              : `Sky ${formatRate(cloudsIncreasing.ratePerHour, '°C')} warmer against ambient over the last ${history.trends.windowMinutes} minutes`}
+            >
+              <Badge color="orange" size="1">
+                <ExclamationTriangleIcon /> Clouds increasing
+              </Badge>
+            </HoverTip>
+          )}
+          {approachingDewPoint.active && (
+            <HoverTip content={`${approachingDewPoint.depression}°C above the dew point${approachingDewPoint.ratePerHour !== null ? `, ${formatRate(approachingDewPoint.ratePerHour, '°C')}` : ''}${approachingDewPoint.hoursToDewPoint !== null ? `, about ${approachingDewPoint.hoursToDewPoint}h to reach it` : ''}`}>
+              <Badge color="red" size="1">
+                <ExclamationTriangleIcon /> Approaching dew point
+              </Badge>
+            </HoverTip>
+          )}
+        </Flex>
+        <Select.Root size="1" value={range} onValueChange={setRange}>
+          <Select.Trigger variant="soft" />
+          <Select.Content>
+            {Object.entries(RANGES).map(([key, { label }]) => (
+              <Select.Item key={key} value={key}>{label}</Select.Item>
+            ))}
+          </Select.Content>
+        </Select.Root>
+      </Flex>
+
+      {history.points.length === 0 ? (
+        <Text size="1" color="gray">
+          No weather history yet - the server records a sample every {history.sampleIntervalSeconds}s while a weather device is connected
+        </Text>
+      ) : (
+        <Grid columns="3" gap="3">
+          <TrendChart label="Dew point depression" unit="°C" points={history.points} select={selectDepression} color="hsl(206, 100%, 55%)" threshold={DEW_POINT_MARGIN} />
+          <TrendChart label="Sky quality" unit=" mag" points={history.points} select={selectSkyQuality} color="hsl(270, 70%, 65%)" />
+          <TrendChart label="Sky temperature" unit="°C" points={history.points} select={selectSkyTemperature} color="hsl(190, 80%, 50%)" />
+        </Grid>
+      )}
+    </Flex>
+  );
+};
+
+export default WeatherTrendCharts;
@@ -9,8 +9,11 @@ import {
   MoonIcon
 } from '@radix-ui/react-icons';
 import { WiDaySunny } from 'weather-icons-react';
-import { getApiUrl } from '../config/api';
+import { getApiUrl, apiFetch } from '../config/api';
 import type { WeatherResponse, WeatherWidgetProps } from '../interfaces/weather';
+import WeatherTrendCharts from './WeatherTrendCharts';
+
+const REFRESH_INTERVAL_MS = 60 * 1000;
 
 const WeatherWidget: React.FC<WeatherWidgetProps> = ({ onRefresh, hideHeader = false }) => {
   const [data, setData] = useState<WeatherResponse | null>(null);
@@ -19,10 +22,9 @@ const WeatherWidget: React.FC<WeatherWidgetProps> = ({ onRefresh, hideHeader = f
 
   const fetchWeatherData = async () => {
     try {
-      setLoading(true);
       setError(null);
       
-      const response = await fetch(getApiUrl('nina/weather'));
+      const response = await apiFetch(getApiUrl('nina/weather'));
       if (!response.ok) {
         throw new Error(`HTTP ${response.status}: ${response.statusText}`);
       }
@@ -39,6 +41,8 @@ const WeatherWidget: React.FC<WeatherWidgetProps> = ({ onRefresh, hideHeader = f
 
   useEffect(() => {
     fetchWeatherData();
+    const interval = setInterval(fetchWeatherData, REFRESH_INTERVAL_MS);
+    return () => clearInterval(interval);
   }, []);
 
   const formatTemp = (temp: number | null) => {
@@ -61,7 +65,8 @@ const WeatherWidget: React.FC<WeatherWidgetProps> = ({ onRefresh, hideHeader = f
     return <MoonIcon width="20" height="20" color="gray" />;
   };
 
-  if (loading) {
+  // Loading state (initial load only)
+  if (loading && !data) {
     return (
       <Card>
         <Flex direction="column" gap="3" p="4">
@@ -203,6 +208,9 @@ const WeatherWidget: React.FC<WeatherWidgetProps> = ({ onRefresh, hideHeader = f
             <Text size="2" color="gray">Weather station not connected</Text>
           </Flex>
         )}
+
+        <Separator size="4" />
+        <WeatherTrendCharts />
       </Flex>
     </Card>
   );
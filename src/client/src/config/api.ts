@@ -27,6 +27,22 @@ export const getApiUrl = (endpoint: string): string => {
   return `${API_BASE_URL}/api/${cleanEndpoint}`;
 };
 
+// Fired when the API answers 401, so the app can drop back to the login screen
+export const AUTH_EXPIRED_EVENT = 'nwcp:auth-expired';
+
+/**
+ * fetch for dashboard API requests - always sends the session cookie (in development the dashboard
+ * runs on :3000 and the API on :3001, which is cross-origin, so fetch would leave it off otherwise)
+ * and announces an expired login. Use it instead of fetch for every /api request
+ */
+export const apiFetch = async (url: string, init?: RequestInit): Promise<Response> => {
+  const response = await fetch(url, { credentials: 'include', ...init });
+  if (response.status === 401 && !url.includes('/api/auth/') && typeof window !== 'undefined') {
+    window.dispatchEvent(new Event(AUTH_EXPIRED_EVENT));
+  }
+  return response;
+};
+
 // Debug logging for development
 if (process.env.NODE_ENV === 'development') {
   console.log('🔧 Dynamic API Configuration:', {
@@ -39,7 +55,8 @@ if (process.env.NODE_ENV === 'development') {
 const apiConfig = {
   API_BASE_URL,
   getApiUrl,
-  getBaseApiUrl
+  getBaseApiUrl,
+  apiFetch
 };
 
 export default apiConfig;
@@ -0,0 +1,73 @@
+// AuthContext - Logged-in user and role for the whole dashboard
+// Checks /api/auth/status on load and drops back to the login screen when the API answers 401
+
+import React, { createContext, useContext, useState, useEffect, useCallback, ReactNode } from 'react';
+import * as authApi from '../services/authApi';
+import type { AuthContextValue, AuthStatus, UserRole } from '../interfaces/auth';
+
+const ROLE_ORDER: UserRole[] = ['viewer', 'operator', 'admin'];
+
+const AuthContext = createContext<AuthContextValue | null>(null);
+
+export const AuthProvider: React.FC<{ children: ReactNode }> = ({ children }) => {
+  const [status, setStatus] = useState<AuthStatus | null>(null);
+  const [loading, setLoading] = useState(true);
+
+  const refresh = useCallback(async () => {
+    try {
+      setStatus(await authApi.getAuthStatus());
+    } catch (err) {
+      console.error('❌ Error checking login status:', err);
+      setStatus({ setupRequired: false, setupAllowed: false, authenticated: false, user: null, method: null });
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+
+    // A 401 from any API call means the session expired or was revoked
+    const handleExpired = () => refresh();
+    window.addEventListener(authApi.AUTH_EXPIRED_EVENT, handleExpired);
+    return () => window.removeEventListener(authApi.AUTH_EXPIRED_EVENT, handleExpired);
+  }, [refresh]);
+
+  const login = useCallback(async (username: string, password: string) => {
+    await authApi.login(username, password);
+    await refresh();
+  }, [refresh]);
+
+  const setup = useCallback(async (username: string, password: string) => {
+    await authApi.setupAdmin(username, password);
+    await refresh();
+  }, [refresh]);
+
+  const logout = useCallback(async () => {
+    try {
+      await authApi.logout();
+    } finally {
+      await refresh();
+    }
+  }, [refresh]);
+
+  const user = status?.authenticated ? status.user : null;
+
+  const hasRole = useCallback((role: UserRole) => {
+    return !!user && ROLE_ORDER.indexOf(user.role) >= ROLE_ORDER.indexOf(role);
+  }, [user]);
+
+  return (
+    <AuthContext.Provider value={{ status, user, loading, hasRole, login, setup, logout, refresh }}>
+      {children}
+    </AuthContext.Provider>
+  );
+};
+
+export const useAuth = (): AuthContextValue => {
+  const context = useContext(AuthContext);
+  if (!context) {
+    throw new Error('useAuth must be used within an AuthProvider');
+  }
+  return context;
+};
@@ -3,6 +3,7 @@
 
 import React, { createContext, useContext, useState, useEffect, useCallback, useRef, ReactNode } from 'react';
 import { UnifiedState, UnifiedWsMessage } from '../interfaces/unifiedState';
+import { apiFetch } from '../config/api';
 
 interface UnifiedStateContextValue {
   state: UnifiedState | null;
@@ -57,7 +58,7 @@ export const UnifiedStateProvider: React.FC<UnifiedStateProviderProps> = ({
       setLoading(true);
       setError(null);
 
-      const response = await fetch(`${API_BASE}/api/state`);
+      const response = await apiFetch(`${API_BASE}/api/state`);
       if (!response.ok) {
         throw new Error(`HTTP ${response.status}: ${response.statusText}`);
       }
@@ -108,6 +109,12 @@ export const UnifiedStateProvider: React.FC<UnifiedStateProviderProps> = ({
       ws.onmessage = (event) => {
         try {
           const message: UnifiedWsMessage = JSON.parse(event.data);
+
+          // Connection and heartbeat messages carry no state
+          if (!message.updateKind || !message.state) {
+            return;
+          }
+
           console.log(`📨 Unified state update (singleton): ${message.updateKind} - ${message.updateReason}`);
           
           setState(message.state);
@@ -4,6 +4,7 @@
 
 import { useState, useEffect, useCallback, useRef } from 'react';
 import { UnifiedState, UnifiedWsMessage, UpdateKind } from '../interfaces/unifiedState';
+import { apiFetch } from '../config/api';
 
 interface UseUnifiedStateOptions {
   autoConnect?: boolean;
@@ -51,7 +52,7 @@ export const useUnifiedState = (options: UseUnifiedStateOptions = {}): UseUnifie
       setLoading(true);
       setError(null);
 
-      const response = await fetch(`${API_BASE}/api/state`);
+      const response = await apiFetch(`${API_BASE}/api/state`);
       if (!response.ok) {
         throw new Error(`HTTP ${response.status}: ${response.statusText}`);
       }
@@ -104,6 +105,11 @@ export const useUnifiedState = (options: UseUnifiedStateOptions = {}): UseUnifie
       ws.onmessage = (event) => {
         try {
           const message: UnifiedWsMessage = JSON.parse(event.data);
+
+          // Connection and heartbeat messages carry no state
+          if (!message.updateKind || !message.state) {
+            return;
+          }
           
           // Apply filter if specified
           if (filterUpdateKinds && !filterUpdateKinds.includes(message.updateKind)) {
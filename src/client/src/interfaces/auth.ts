@@ -0,0 +1,53 @@
+/**
+ * Authentication interfaces - local users, roles and API tokens
+ */
+
+// viewer < operator < admin
+export type UserRole = 'viewer' | 'operator' | 'admin';
+
+export interface AuthUser {
+  id: number;
+  username: string;
+  role: UserRole;
+  createdAt?: string;
+  lastLoginAt?: string | null;
+}
+
+export interface AuthStatus {
+  setupRequired: boolean;
+  setupAllowed: boolean; // setup only works from the server machine itself
+  authenticated: boolean;
+  user: AuthUser | null;
+  method: 'session' | 'token' | null;
+}
+
+export interface ApiTokenInfo {
+  id: number;
+  name: string;
+  prefix: string; // first characters, to tell tokens apart
+  createdAt: string;
+  lastUsedAt: string | null;
+}
+
+// Returned once when a token is created - the token itself can't be retrieved later
+export interface CreatedApiToken {
+  id: number;
+  name: string;
+  token: string;
+}
+
+export interface AuthContextValue {
+  status: AuthStatus | null;
+  user: AuthUser | null;
+  loading: boolean;
+  hasRole: (role: UserRole) => boolean;
+  login: (username: string, password: string) => Promise<void>;
+  setup: (username: string, password: string) => Promise<void>;
+  logout: () => Promise<void>;
+  refresh: () => Promise<void>;
+}
+
+export interface AccountDialogProps {
+  open: boolean;
+  onClose: () => void;
+}
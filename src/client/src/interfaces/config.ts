@@ -14,11 +14,16 @@ export interface DatabaseConfig {
   backupInterval: number; // hours
 }
 
+// 'file' serves localCameraPath as-is, 'directory' serves the newest image inside it
+export type LocalCameraMode = 'file' | 'directory';
+
 export interface StreamsConfig {
   liveFeed1: string;
   liveFeed2: string;
   liveFeed3: string;
   localCameraPath: string; // Local file path for third camera stream
+  localCameraMode: LocalCameraMode;
+  localCameraStaleAfter: number; // seconds before the image is flagged as stale
   defaultStream: number;
   connectionTimeout: number; // milliseconds
 }
@@ -41,6 +46,38 @@ export interface NotificationThresholds {
   temperatureWarning: number; // degrees C
   temperatureCritical: number; // degrees C
   connectionTimeout: number; // seconds
+  guidingLostMinutes: number;
+  rmsArcsec: number; // total guiding RMS
+  diskUsagePercent: number;
+}
+
+export interface QuietHoursConfig {
+  enabled: boolean;
+  start: string; // HH:mm observatory local time
+  end: string; // HH:mm, may be earlier than start to span midnight
+  allowCritical: boolean; // critical alerts still go out during quiet hours
+}
+
+export interface EmailAlertConfig {
+  host: string;
+  port: number;
+  secure: boolean; // implicit TLS, otherwise STARTTLS when offered
+  username: string;
+  password: string;
+  from: string;
+  to: string; // comma separated
+}
+
+export interface WebhookAlertConfig {
+  enabled: boolean;
+  url: string;
+}
+
+export interface PushAlertConfig {
+  service: 'ntfy' | 'gotify';
+  url: string;
+  topic: string; // ntfy only
+  token: string; // ntfy access token or Gotify app token
 }
 
 export interface NotificationsConfig {
@@ -48,6 +85,11 @@ export interface NotificationsConfig {
   emailAlerts: boolean;
   pushNotifications: boolean;
   alertThresholds: NotificationThresholds;
+  cooldownMinutes: number;
+  quietHours: QuietHoursConfig;
+  email: EmailAlertConfig;
+  webhook: WebhookAlertConfig;
+  push: PushAlertConfig;
 }
 
 export interface ObservatoryLocation {
@@ -57,8 +99,16 @@ export interface ObservatoryLocation {
   timezone: string;
 }
 
+// One point of the local horizon profile; altitudes between points are interpolated
+export interface HorizonPoint {
+  azimuth: number; // degrees from north through east
+  altitude: number; // degrees
+}
+
 export interface ObservatoryConfig {
   name: string;
+  minimumAltitude: number; // degrees - lowest altitude worth imaging at
+  horizon: HorizonPoint[]; // local horizon (trees, buildings); empty for a flat horizon
   location: ObservatoryLocation;
 }
 
@@ -69,10 +119,28 @@ export interface AdvancedConfig {
   corsEnabled: boolean;
 }
 
+// Accept/reject rules for saved light frames; a limit of 0 switches that rule off
+export interface ImageGradingConfig {
+  enabled: boolean;
+  maxHfrRatio: number; // reject above this multiple of the night's median HFR (same target and filter)
+  maxStarDropPercent: number; // reject when stars fall this far below the night's median star count
+  maxGuidingRms: number; // arcsec - total guiding RMS during the exposure
+}
+
 export interface PegasusConfig {
   enabled: boolean;
+  unityBaseUrl: string;            // Pegasus Unity Platform address, default http://localhost:32000
   refreshInterval: number;        // Default: 5000ms
   maxCurrent: number;              // Maximum current rating in Amps (10A for PPBAdvance, 20A for UPBv3)
+  lowVoltage: number;              // Volts - the telemetry history records a low-voltage event below this
+  portLabels: Record<string, string>; // Port id (power-hub, usb-2, dew-1...) to user label
+}
+
+export interface AlpacaConfig {
+  enabled: boolean;
+  discovery: boolean;              // Find Alpaca servers by UDP broadcast on port 32227
+  servers: string[];               // Extra server addresses (host:port) that discovery can't reach
+  pollInterval: number;            // Default: 10000ms
 }
 
 export interface AppConfig {
@@ -84,7 +152,9 @@ export interface AppConfig {
   notifications: NotificationsConfig;
   observatory: ObservatoryConfig;
   advanced: AdvancedConfig;
+  imageGrading: ImageGradingConfig;
   pegasus: PegasusConfig;
+  alpaca: AlpacaConfig;
 }
 
 // Default configuration values
@@ -106,6 +176,8 @@ export const DEFAULT_CONFIG: AppConfig = {
     liveFeed2: "rtsp://192.168.1.101:554/stream2", 
     liveFeed3: "rtsp://192.168.1.102:554/stream3",
     localCameraPath: "C:\\Astrophotography\\AllSkEye\\AllSkEye\\LatestImage\\Latest_image.jpg",
+    localCameraMode: 'file',
+    localCameraStaleAfter: 1800,
     defaultStream: 1,
     connectionTimeout: 10000
   },
@@ -128,11 +200,42 @@ export const DEFAULT_CONFIG: AppConfig = {
     alertThresholds: {
       temperatureWarning: 5,
       temperatureCritical: 15,
-      connectionTimeout: 30
+      connectionTimeout: 30,
+      guidingLostMinutes: 5,
+      rmsArcsec: 2,
+      diskUsagePercent: 90
+    },
+    cooldownMinutes: 30,
+    quietHours: {
+      enabled: false,
+      start: '08:00',
+      end: '18:00',
+      allowCritical: true
+    },
+    email: {
+      host: '',
+      port: 587,
+      secure: false,
+      username: '',
+      password: '',
+      from: '',
+      to: ''
+    },
+    webhook: {
+      enabled: false,
+      url: ''
+    },
+    push: {
+      service: 'ntfy',
+      url: 'https://ntfy.sh',
+      topic: '',
+      token: ''
     }
   },
   observatory: {
     name: "My Remote Observatory",
+    minimumAltitude: 30,
+    horizon: [],
     location: {
       latitude: 40.7128,
       longitude: -74.0060,
@@ -146,10 +249,25 @@ export const DEFAULT_CONFIG: AppConfig = {
     enableMockData: true,
     corsEnabled: true
   },
+  imageGrading: {
+    enabled: true,
+    maxHfrRatio: 1.5,
+    maxStarDropPercent: 50,
+    maxGuidingRms: 2
+  },
   pegasus: {
     enabled: false,
+    unityBaseUrl: 'http://localhost:32000',
     refreshInterval: 5000,
-    maxCurrent: 10
+    maxCurrent: 10,
+    lowVoltage: 11.5,
+    portLabels: {}
+  },
+  alpaca: {
+    enabled: false,
+    discovery: true,
+    servers: [],
+    pollInterval: 10000
   }
 };
 
@@ -171,6 +289,8 @@ export interface ConfigData {
     liveFeed2: string;
     liveFeed3: string;
     localCameraPath: string;
+    localCameraMode?: LocalCameraMode;
+    localCameraStaleAfter?: number;
     defaultStream: number;
     connectionTimeout: number;
   };
@@ -59,6 +59,26 @@ export interface RTSPViewerProps {
   }[];
 }
 
+// Health of a server-side restreamed feed (GET /api/streams/:index)
+export type StreamStatus = 'idle' | 'connecting' | 'streaming' | 'reconnecting' | 'backoff';
+
+export interface StreamHealth {
+  index: number;
+  configured: boolean;
+  source: string | null;
+  protocol: string | null;
+  status: StreamStatus;
+  viewers: number;
+  fps: number;
+  totalFrames: number;
+  lastFrameAt: string | null;
+  frameAgeMs: number | null;
+  uptimeSeconds: number;
+  reconnectAttempts: number;
+  nextRetryAt: string | null;
+  lastError: string | null;
+}
+
 export interface ImageViewerProps {
   images?: ImageData[];
   isLoading?: boolean;
@@ -80,4 +100,58 @@ export interface SettingsModalProps {
 export interface TargetSchedulerProps {
   onRefresh?: () => void;
   hideHeader?: boolean;
+}
+
+// One changed field from a Target Scheduler write (state/priority of a project, desired count of an exposure plan)
+export interface SchedulerChange {
+  projectId: number;
+  projectName: string;
+  targetName: string | null;
+  exposurePlanId: number | null;
+  filterName: string | null;
+  field: 'state' | 'priority' | 'desired';
+  oldValue: string | null;
+  newValue: string | null;
+}
+
+export interface SchedulerWriteResult {
+  changed: boolean;
+  changes: SchedulerChange[];
+  backupFile: string | null;
+}
+
+// Completion forecast from /api/scheduler/forecast
+export type SchedulerForecastStatus = 'forecast' | 'complete' | 'not-visible' | 'beyond-horizon';
+
+export interface SchedulerFilterForecast {
+  target: string;
+  filtername: string;
+  moonAvoidance: number; // degrees at full moon, 0 = no moon avoidance
+  moonAvoidanceWidth: number; // days either side of full moon where the angle has halved
+  nightsBlockedByMoon: number;
+}
+
+export interface SchedulerProjectForecast {
+  projectId: number;
+  name: string;
+  priority: number;
+  status: SchedulerForecastStatus;
+  remainingExposures: number;
+  remainingHours: number; // Exposure time still to take, allowing for rejected frames
+  acceptanceRate: number;
+  hoursPerNight: number | null; // Average on nights the project was imaged; null without enough history
+  rateSource: 'history' | 'visibility';
+  clearNights: number | null;
+  completionDate: string | null; // Local date the finishing night starts on (YYYY-MM-DD)
+  filters: SchedulerFilterForecast[];
+}
+
+export interface SchedulerForecast {
+  generatedAt: string;
+  historyDays: number;
+  imagingNights: number;
+  clearNightFraction: number | null; // Share of recent nights with any imaging; null without history
+  minimumAltitude: number;
+  projects: SchedulerProjectForecast[];
+  schedulerConnected: boolean;
 }
\ No newline at end of file
@@ -0,0 +1,44 @@
+/**
+ * Image gallery interfaces - NINA's image history, paged and filtered
+ * Served by /api/gallery/images
+ */
+
+export interface GalleryImage {
+  index: number; // Position in NINA's image history, used for the thumbnail, preview and original URLs
+  date: string | null;
+  target: string | null;
+  filter: string | null;
+  imageType: string | null;
+  exposureTime: number | null;
+  hfr: number | null;
+  stars: number | null;
+  median: number | null;
+  temperature: number | null;
+  rmsText: string | null;
+  fileName: string | null;
+}
+
+export interface GalleryPage {
+  images: GalleryImage[];
+  total: number;
+  page: number;
+  pageSize: number;
+  pages: number;
+  targets: string[];
+  filters: string[];
+  imageTypes: string[];
+  originalsAvailable: boolean; // directories.capturedImagesDirectory is set
+}
+
+export interface GalleryQuery {
+  target: string;
+  filter: string;
+  imageType: string;
+  fromDate: string; // YYYY-MM-DD, local
+  toDate: string;
+}
+
+export interface ImageGalleryModalProps {
+  open: boolean;
+  onClose: () => void;
+}
@@ -0,0 +1,68 @@
+/**
+ * Guiding history interfaces - stored guide steps and RMS distributions
+ * Served by /api/guiding/history
+ */
+
+import type { ValueStatistics } from './sessionHistory';
+
+// One downsampled bucket of guide steps; RMS and peaks are in arcseconds
+export interface GuidingHistoryPoint {
+  time: string;
+  samples: number;
+  rmsRa: number | null;
+  rmsDec: number | null;
+  rmsTotal: number | null;
+  peakRa: number | null;
+  peakDec: number | null;
+  starMass: number | null;
+  snr: number | null;
+  dither: boolean;
+}
+
+export type GuidingEventType = 'STARTED' | 'STOPPED' | 'DISCONNECTED' | 'DITHER' | 'SETTLED';
+
+export interface GuidingHistoryEvent {
+  time: string;
+  type: GuidingEventType;
+  target: string | null;
+  data: {
+    settleSeconds?: number;
+    [key: string]: any;
+  } | null;
+}
+
+// Per-minute total RMS statistics and histogram (histogramBinArcsec wide bins, last bin is overflow)
+export interface GuidingRmsDistribution {
+  minutes: number;
+  rms: ValueStatistics | null;
+  histogram: number[];
+}
+
+export interface GuidingTargetDistribution extends GuidingRmsDistribution {
+  target: string;
+}
+
+export interface GuidingNightDistribution extends GuidingRmsDistribution {
+  night: string; // YYYY-MM-DD of the evening the night started
+}
+
+export interface GuidingHistoryResponse {
+  from: string;
+  to: string;
+  bucketSeconds: number;
+  points: GuidingHistoryPoint[];
+  events: GuidingHistoryEvent[];
+  summary: {
+    overall: ValueStatistics | null;
+    ditherCount: number;
+    settle: ValueStatistics | null;
+  };
+  histogramBinArcsec: number;
+  byTarget: GuidingTargetDistribution[];
+  byNight: GuidingNightDistribution[];
+}
+
+export interface GuidingHistoryModalProps {
+  open: boolean;
+  onClose: () => void;
+}
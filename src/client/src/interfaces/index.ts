@@ -29,3 +29,18 @@ export * from './weather';
 
 // Unified WebSocket State interfaces
 export * from './unifiedState';
+
+// Session history (per-night archive) interfaces
+export * from './sessionHistory';
+
+// Authentication interfaces
+export * from './auth';
+
+// Guiding history (stored guide steps) interfaces
+export * from './guidingHistory';
+
+// Target planner (tonight's visibility) interfaces
+export * from './planner';
+
+// Image gallery (NINA image history) interfaces
+export * from './gallery';
@@ -194,4 +194,87 @@ export interface GuiderGraphData extends GuiderGraphResponse {
 export interface GuiderGraphWidgetProps {
   onRefresh?: () => void;
   hideHeader?: boolean;
-}
\ No newline at end of file
+}
+// Equipment Control Interfaces
+export type MountTrackingMode = 'sidereal' | 'lunar' | 'solar' | 'king' | 'stopped';
+
+export interface NINAActionResponse {
+  Response: any;
+  Success: boolean;
+  Error: string | null;
+  StatusCode: number;
+  Type: string;
+}
+
+export type CameraBinning = '1x1' | '2x2' | '3x3' | '4x4';
+
+export interface CameraCaptureOptions {
+  duration: number;      // Seconds
+  gain?: number;
+  binning?: CameraBinning;
+}
+
+// Subset of NINA's /equipment/camera/info response used by the camera controls
+export interface NINACameraInfo {
+  Connected: boolean;
+  Name: string;
+  Temperature: number;
+  TargetTemp: number;
+  CoolerOn: boolean;
+  CoolerPower: number;   // Percent
+  CanSetTemperature?: boolean;
+  TemperatureSetPointReached?: boolean;
+  AtTargetTemp?: boolean;
+  Gain: number;
+  Offset?: number;
+  BinX?: number;
+  BinY?: number;
+  CameraState: string;
+  IsExposing: boolean;
+  ExposureEndTime: string;
+}
+
+export interface CameraInfoResponse extends Omit<NINAActionResponse, 'Response'> {
+  Response: NINACameraInfo;
+}
+
+export interface CameraControlWidgetProps {
+  onRefresh?: () => void;
+  hideHeader?: boolean;
+}
+
+// Advanced Sequence Interfaces
+export type SequenceItemStatus = 'CREATED' | 'RUNNING' | 'FINISHED' | 'FAILED' | 'SKIPPED' | 'DISABLED';
+
+export interface SequenceNode {
+  name: string;
+  status: SequenceItemStatus;
+  isContainer: boolean;
+  conditions: string[];
+  children: SequenceNode[];
+}
+
+export interface SequenceInstruction {
+  name: string;
+  path: string[];        // Names of the containers above the instruction
+}
+
+export interface SequenceStateResponse {
+  success: boolean;
+  tree: SequenceNode[];
+  isRunning: boolean;
+  currentInstruction: SequenceInstruction | null;
+  lastUpdate: string;
+  error?: string;
+}
+
+export interface SequenceListResponse {
+  success: boolean;
+  sequences: string[];
+  error?: string;
+}
+
+export interface SequenceWidgetProps {
+  onRefresh?: () => void;
+  hideHeader?: boolean;
+}
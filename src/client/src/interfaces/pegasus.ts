@@ -151,6 +151,97 @@ export interface PegasusPowerConsumptionReport {
   };
 }
 
+// ==================== Port Control ====================
+
+// Ids are stable (power-hub, power-variable, power-<n>, usb-hub, usb-<n>, dew-<n>) so labels stay attached
+export interface PegasusPort {
+  id: string;
+  kind: 'power' | 'usb';
+  number: number | null;  // null for a hub switched as one
+  label: string;          // User label, or defaultLabel
+  defaultLabel: string;
+  on: boolean;
+  current: number | null; // Amps, when the device reports it per port
+  overCurrent: boolean;
+}
+
+export interface PegasusDewHeater {
+  id: string;
+  kind: 'dew';
+  number: number;
+  label: string;
+  defaultLabel: string;
+  power: number;          // Duty cycle 0-100%
+  current: number | null;
+  overCurrent: boolean;
+}
+
+export interface PegasusPortsResponse {
+  ports: PegasusPort[];
+  dewHeaters: PegasusDewHeater[];
+  autoDew: boolean | null; // null when the device doesn't report it
+}
+
+// ==================== Telemetry History ====================
+
+export interface PegasusHistoryPoint {
+  time: string;               // First sample in the bucket
+  samples: number;
+  voltage: number | null;     // Bucket averages...
+  minVoltage: number | null;
+  current: number | null;
+  maxCurrent: number | null;
+  power: number | null;
+  temperature: number | null;
+  humidity: number | null;
+  dewPoint: number | null;
+}
+
+export interface PegasusEnergyTotals {
+  wattHours: number;
+  ampHours: number;
+}
+
+export interface PegasusPortEnergy extends PegasusEnergyTotals {
+  portId: string;
+  label: string;
+  meanCurrent: number;
+  maxCurrent: number;
+}
+
+export interface PegasusNightEnergy extends PegasusEnergyTotals {
+  night: string;              // YYYY-MM-DD of the evening the night started
+  hoursRecorded: number;
+  minVoltage: number | null;
+}
+
+export interface PegasusPowerEvent {
+  type: 'LOW_VOLTAGE' | 'OVER_CURRENT';
+  portId: string | null;      // null for the whole device
+  label: string | null;
+  startedAt: string;
+  endedAt: string | null;     // null while it's still going on
+  value: number | null;       // Lowest voltage or highest current during the event
+}
+
+export interface PegasusHistoryResponse {
+  from: string;
+  to: string;
+  bucketSeconds: number;
+  sampleIntervalSeconds: number;
+  lowVoltage: number;
+  device: { uniqueKey: string; deviceType: string; name: string } | null;
+  points: PegasusHistoryPoint[];
+  byPort: PegasusPortEnergy[];
+  byNight: PegasusNightEnergy[];
+  events: PegasusPowerEvent[];
+  summary: (PegasusEnergyTotals & {
+    hoursRecorded: number;
+    meanPower: number | null;
+    minVoltage: number | null;
+  }) | null;
+}
+
 // ==================== Widget Props ====================
 
 export interface PegasusPowerWidgetProps {
@@ -0,0 +1,80 @@
+/**
+ * Target planner interfaces - tonight's visibility of the active Target Scheduler targets
+ * Served by /api/planner/tonight
+ */
+
+import type { HorizonPoint } from './config';
+
+// Altitude and azimuth in degrees; azimuth from north through east
+export interface PlannerCurvePoint {
+  time: string;
+  altitude: number;
+  azimuth: number;
+  horizon: number; // Local horizon profile altitude towards this azimuth (0 without a profile)
+}
+
+export interface PlannerTarget {
+  projectId: number;
+  projectName: string;
+  projectPriority: number;
+  targetId: number;
+  name: string;
+  ra: number; // J2000 degrees
+  dec: number; // J2000 degrees
+  completion: number;
+  transit: {
+    time: string;
+    altitude: number;
+    duringDark: boolean;
+  };
+  maxAltitude: number; // Highest altitude during the dark window
+  rise: string | null; // Clears the local horizon between sunset and sunrise
+  set: string | null; // Drops behind the local horizon between sunset and sunrise
+  hoursAboveHorizon: number; // Dark-window hours above both the local horizon and the minimum altitude
+  aboveFrom: string | null;
+  aboveUntil: string | null;
+  moonSeparation: number | null; // Closest approach to the moon during the dark window, degrees
+  curve: PlannerCurvePoint[];
+}
+
+export interface PlannerNightPhases {
+  sunset: string | null;
+  civilDusk: string | null;
+  nauticalDusk: string | null;
+  astronomicalDusk: string | null;
+  astronomicalDawn: string | null;
+  nauticalDawn: string | null;
+  civilDawn: string | null;
+  sunrise: string | null;
+}
+
+export interface TonightPlan {
+  date: string; // Local date the night starts on
+  generatedAt: string;
+  location: {
+    latitude: number;
+    longitude: number;
+    elevation: number;
+    timezone: string;
+  };
+  minimumAltitude: number;
+  horizon: HorizonPoint[]; // Empty for a flat horizon
+  sampleMinutes: number;
+  window: { start: string; end: string }; // Sunset to sunrise
+  dark: { start: string; end: string; type: 'astronomical' | 'nautical' } | null;
+  phases: PlannerNightPhases;
+  moon: {
+    illumination: number;
+    isWaxing: boolean;
+    rise: string | null; // Over the local horizon, between sunset and sunrise
+    set: string | null;
+    curve: PlannerCurvePoint[];
+  };
+  targets: PlannerTarget[];
+  schedulerConnected: boolean;
+}
+
+export interface TargetVisibilityWidgetProps {
+  onRefresh?: () => void;
+  hideHeader?: boolean;
+}
@@ -0,0 +1,139 @@
+/**
+ * Session history interfaces - archived observing nights and their reports
+ * Served by /api/sessions and /api/sessions/:uuid/report
+ */
+
+export interface NightSessionSummary {
+  uuid: string;
+  nightDate: string; // YYYY-MM-DD of the evening the night started
+  startedAt: string;
+  endedAt: string | null;
+  isActive: boolean;
+  frameCount: number;
+  integrationSeconds: number;
+  targetCount: number;
+  failureCount: number;
+}
+
+export interface SessionListResponse {
+  total: number;
+  limit: number;
+  offset: number;
+  sessions: NightSessionSummary[];
+}
+
+export interface FilterBreakdown {
+  filter: string;
+  frames: number;
+  rejected: number;
+  integrationSeconds: number;
+}
+
+// accepted/rejected by the imageGrading rules; ungraded until enough frames of the target and filter exist
+export type FrameGrade = 'accepted' | 'rejected' | 'ungraded';
+
+export interface TargetBreakdown {
+  targetName: string;
+  projectName: string | null;
+  frames: number;
+  integrationSeconds: number;
+  firstFrameAt: string;
+  lastFrameAt: string;
+  filters: FilterBreakdown[];
+}
+
+export interface ValueStatistics {
+  samples: number;
+  mean: number;
+  median: number;
+  p90: number;
+  min: number;
+  max: number;
+}
+
+export interface HfrStatistics extends ValueStatistics {
+  first: number;
+  last: number;
+  change: number;
+}
+
+export interface HfrTrendPoint {
+  time: string;
+  hfr: number;
+  stars: number | null;
+  background: number | null; // Median ADU of the frame
+  filter: string | null;
+  target: string | null;
+  grade: FrameGrade | null; // null for frames saved before grading, or with grading off
+  reasons: string[];
+}
+
+export interface RejectedFrame {
+  time: string;
+  target: string | null;
+  filter: string | null;
+  filePath: string | null;
+  reasons: string[];
+}
+
+export interface PointingPoint {
+  time: string;
+  target: string | null;
+  pointingError: number | null; // arcmin from the target centre
+  raError: number | null;
+  decError: number | null;
+  rotationError: number | null; // degrees
+}
+
+export interface SessionHistoryEvent {
+  time: string;
+  type: string;
+  data: {
+    summary?: string;
+    [key: string]: any;
+  } | null;
+}
+
+export interface SessionGap {
+  start: string;
+  end: string;
+  durationMinutes: number;
+  events: SessionHistoryEvent[];
+}
+
+export interface SessionReport {
+  session: {
+    uuid: string;
+    nightDate: string;
+    startedAt: string;
+    endedAt: string | null;
+    isActive: boolean;
+  };
+  summary: {
+    totalFrames: number;
+    lightFrames: number;
+    rejectedFrames: number;
+    integrationSeconds: number;
+    rejectedSeconds: number;
+    firstFrameAt: string | null;
+    lastFrameAt: string | null;
+    targetCount: number;
+  };
+  targets: TargetBreakdown[];
+  filters: FilterBreakdown[];
+  frameTypes: Record<string, number>;
+  guiding: ValueStatistics | null;
+  hfr: HfrStatistics | null;
+  hfrTrend: HfrTrendPoint[];
+  rejectedFrames: RejectedFrame[];
+  focusChanges: SessionHistoryEvent[]; // Finished autofocus runs and manual focuser moves
+  pointing: PointingPoint[]; // Solved light frames, for pointing drift
+  gaps: SessionGap[];
+  failures: SessionHistoryEvent[];
+  events: SessionHistoryEvent[];
+}
+
+export interface SessionHistoryModalProps {
+  open: boolean;
+  onClose: () => void;
+}
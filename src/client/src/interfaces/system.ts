@@ -206,6 +206,20 @@ export interface MoonPhase {
   name: string;
 }
 
+// Local HH:MM:SS times; null when the moon doesn't rise, set or transit that day
+export interface MoonData {
+  rise: string | null;
+  set: string | null;
+  transit: string | null;
+  altitude: number; // degrees, topocentric
+  azimuth: number;
+  illumination: number; // percent
+  // Only with a horizon profile configured: clearing and dropping behind the local horizon
+  horizonRise?: string | null;
+  horizonSet?: string | null;
+  aboveHorizon?: boolean;
+}
+
 export interface AstronomicalDataAPI {
   sunrise: string;
   sunset: string;
@@ -217,6 +231,7 @@ export interface AstronomicalDataAPI {
   astronomicalTwilightEnd: string;
   currentPhase: 'night' | 'astronomical' | 'nautical' | 'civil' | 'daylight';
   moonPhase: MoonPhase;
+  moon?: MoonData;
   // Multi-day data for 8-hour window handling
   multiDay?: {
     yesterday: {
@@ -1,6 +1,8 @@
 // Unified WebSocket State Interfaces
 // TypeScript definitions for the unified state system
 
+import type { SafetyStatus } from './weather';
+
 /**
  * Equipment status values
  */
@@ -44,6 +46,7 @@ export type UpdateKind =
   | 'image'
   | 'stack'
   | 'events'
+  | 'safety'
   | 'fullSync'
   | 'heartbeat';
 
@@ -58,6 +61,7 @@ export interface TargetInfo {
   panelIndex: number | null;
   rotationDeg: number | null;
   rotation: number | null;
+  endTime?: string | null; // UTC ISO time the Target Scheduler plans to stop this target
 }
 
 /**
@@ -78,6 +82,38 @@ export interface LastImage {
   hfr: number | null;
 }
 
+/**
+ * Plate solve of a light frame against the intended framing
+ * RA/Dec in degrees; pointing errors in arcmin, rotation error in degrees
+ */
+export interface PlateSolveResult {
+  id: number;
+  capturedAt: string;
+  solvedAt: string;
+  imageIndex: number | null;
+  filePath: string | null;
+  targetName: string | null;
+  filter: string | null;
+  success: boolean;
+  error: string | null;
+  ra: number | null;
+  dec: number | null;
+  rotation: number | null;
+  pixelScale: number | null; // arcsec per pixel
+  flipped: boolean;
+  fieldWidth: number | null; // arcmin
+  fieldHeight: number | null;
+  target: {
+    ra: number | null;
+    dec: number | null;
+    rotation: number | null;
+  };
+  pointingError: number | null;
+  raError: number | null; // East on the sky
+  decError: number | null; // North
+  rotationError: number | null;
+}
+
 /**
  * Imaging information
  */
@@ -88,6 +124,7 @@ export interface ImagingInfo {
   sequenceName: string | null;
   progress: ImageProgress | null;
   lastImage: LastImage | null;
+  lastSolve?: PlateSolveResult | null;
 }
 
 /**
@@ -101,6 +138,15 @@ export interface GuidingInfo {
   lastUpdate: string | null;
 }
 
+/**
+ * Last failed sequence item (SEQUENCE-ENTITY-FAILED)
+ */
+export interface SequenceFailure {
+  entity: string | null;
+  error: string | null;
+  at: string;
+}
+
 /**
  * Current session data
  */
@@ -110,6 +156,7 @@ export interface CurrentSession {
   target: TargetInfo;
   imaging: ImagingInfo;
   guiding: GuidingInfo;
+  lastFailure?: SequenceFailure;
 }
 
 /**
@@ -142,6 +189,7 @@ export interface UnifiedState {
   currentSession: CurrentSession | null;
   equipment: EquipmentDevice[];
   recentEvents: RecentEvent[];
+  safety?: SafetyStatus | null;
 }
 
 /**
@@ -34,6 +34,50 @@ export interface WeatherResponse {
   Type: string;
 }
 
+// Weather history (/api/weather/history) - bucketed samples of NINA's weather device
+export interface WeatherHistoryPoint {
+  time: string;
+  samples: number;
+  temperature: number | null; // °C
+  humidity: number | null; // %
+  dewPoint: number | null; // °C
+  dewPointDepression: number | null; // °C above the dew point
+  minDewPointDepression: number | null;
+  pressure: number | null; // hPa
+  cloudCover: number | null; // %
+  rainRate: number | null;
+  skyQuality: number | null; // mag/arcsec²
+  skyTemperature: number | null; // °C
+  starFwhm: number | null;
+  windSpeed: number | null;
+  windGust: number | null;
+}
+
+// Trends over the newest samples; rates are per hour
+export interface WeatherTrends {
+  windowMinutes: number;
+  cloudsIncreasing: {
+    active: boolean;
+    basis: 'cloudCover' | 'skyTemperature' | null; // sky temperature against ambient without a cloud sensor
+    ratePerHour: number | null;
+  };
+  approachingDewPoint: {
+    active: boolean;
+    depression: number | null;
+    ratePerHour: number | null;
+    hoursToDewPoint: number | null;
+  };
+}
+
+export interface WeatherHistoryResponse {
+  from: string;
+  to: string;
+  bucketSeconds: number;
+  sampleIntervalSeconds: number;
+  points: WeatherHistoryPoint[];
+  trends: WeatherTrends;
+}
+
 export interface WeatherWidgetProps {
   onRefresh?: () => void;
   hideHeader?: boolean;
@@ -65,10 +109,54 @@ export interface FlatPanelResponse {
   Type: string;
 }
 
-export interface ObservatoryStatus {
-  roofOpen: boolean;
+// Aggregated observatory safety from /api/safety (also pushed as unified state `safety`)
+export type SafetyLevel = 'safe' | 'warning' | 'critical';
+
+export type ShutterState = 'open' | 'closed' | 'opening' | 'closing' | 'error' | 'none';
+
+export type SunPhase = 'daylight' | 'civil' | 'nautical' | 'astronomical' | 'night';
+
+export interface SafetyAlert {
+  id: string;
+  severity: 'warning' | 'critical';
+  message: string;
+}
+
+export interface SafetyStatus {
+  level: SafetyLevel;
+  isSafe: boolean | null; // null when no safety monitor is connected
+  roofOpen: boolean | null; // null when no dome/roof is connected
   flatPanelLightOn: boolean;
-  isDaytime: boolean;
+  isDaytime: boolean | null;
+  safetyMonitor: {
+    connected: boolean;
+    name: string | null;
+    isSafe: boolean | null;
+  };
+  dome: {
+    connected: boolean;
+    name: string | null;
+    shutter: ShutterState | null;
+    isOpen: boolean | null;
+    atPark: boolean | null;
+    azimuth: number | null;
+  };
+  flatPanel: {
+    connected: boolean;
+    name: string | null;
+    lightOn: boolean;
+    brightness: number | null;
+    coverState: string | null;
+  };
+  sun: {
+    altitude: number;
+    azimuth: number;
+    phase: SunPhase;
+    horizonAltitude: number; // Local horizon profile towards the sun (0 without a profile)
+    aboveLocalHorizon: boolean;
+  } | null;
+  alerts: SafetyAlert[];
+  lastUpdate: string;
 }
 
 export interface SafetyBannerProps {
@@ -4,7 +4,7 @@
  */
 
 import type { TimeAstronomicalData } from '../../interfaces/system';
-import { getApiUrl } from '../../config/api';
+import { getApiUrl, apiFetch } from '../../config/api';
 
 export class AstronomicalService {
   private serverTimeOffset: number = 0;
@@ -24,7 +24,7 @@ export class AstronomicalService {
     }
 
     try {
-      const response = await fetch(getApiUrl('time/astronomical'));
+      const response = await apiFetch(getApiUrl('time/astronomical'));
       if (!response.ok) {
         throw new Error(`HTTP ${response.status}: ${response.statusText}`);
       }
@@ -5,6 +5,15 @@
 
 import type { TimeAstronomicalData, TimePhase } from '../../interfaces/system';
 
+// Timeline colours for each phase, shared by the dusk and dawn halves of a twilight
+export const PHASE_COLORS = {
+  daylight: '#FFD700',
+  civil: '#FFA500',
+  nautical: '#4169E1',
+  astronomical: '#4C1D95', // Lighter purple for better contrast
+  night: '#1E3A8A' // Brighter blue for better contrast
+};
+
 export class PhaseCalculator {
   /**
    * Generate 8-hour window phases using multi-day astronomical data
@@ -72,7 +81,7 @@ export class PhaseCalculator {
         yesterday.civilTwilightEnd ? createDate(yesterday.date, yesterday.civilTwilightEnd) : 
           new Date(createDate(yesterday.date, yesterday.sunset).getTime() + 60*60*1000),
         'Civil Dusk',
-        '#FFA500',
+        PHASE_COLORS.civil,
         'Golden hour after sunset'
       );
     }
@@ -82,7 +91,7 @@ export class PhaseCalculator {
         createDate(yesterday.date, yesterday.civilTwilightEnd),
         createDate(yesterday.date, yesterday.nauticalTwilightEnd),
         'Nautical Dusk',
-        '#4169E1',
+        PHASE_COLORS.nautical,
         'Deep blue twilight'
       );
     }
@@ -92,7 +101,7 @@ export class PhaseCalculator {
         createDate(yesterday.date, yesterday.nauticalTwilightEnd),
         createDate(yesterday.date, yesterday.astronomicalTwilightEnd),
         'Astronomical Dusk',
-        '#4C1D95', // Lighter purple for better contrast
+        PHASE_COLORS.astronomical,
         'Last light of day'
       );
     }
@@ -109,7 +118,7 @@ export class PhaseCalculator {
         createDate(today.date, today.astronomicalTwilightBegin) : 
         new Date(nightStart.getTime() + 8*60*60*1000);
       
-      addPhaseIfVisible(nightStart, nightEnd, 'Night', '#1E3A8A', 'Complete darkness'); // Brighter blue for better contrast
+      addPhaseIfVisible(nightStart, nightEnd, 'Night', PHASE_COLORS.night, 'Complete darkness');
     }
 
     // Dawn phases
@@ -118,7 +127,7 @@ export class PhaseCalculator {
         createDate(today.date, today.astronomicalTwilightBegin),
         createDate(today.date, today.nauticalTwilightBegin),
         'Astronomical Dawn',
-        '#4C1D95', // Lighter purple for better contrast
+        PHASE_COLORS.astronomical,
         'First light of dawn'
       );
     }
@@ -128,7 +137,7 @@ export class PhaseCalculator {
         createDate(today.date, today.nauticalTwilightBegin),
         createDate(today.date, today.civilTwilightBegin),
         'Nautical Dawn',
-        '#4169E1',
+        PHASE_COLORS.nautical,
         'Early morning twilight'
       );
     }
@@ -138,7 +147,7 @@ export class PhaseCalculator {
         createDate(today.date, today.civilTwilightBegin),
         createDate(today.date, today.sunrise),
         'Civil Dawn',
-        '#FFA500',
+        PHASE_COLORS.civil,
         'Golden hour before sunrise'
       );
     }
@@ -149,7 +158,7 @@ export class PhaseCalculator {
         createDate(today.date, today.sunrise),
         createDate(today.date, today.sunset),
         'Daylight',
-        '#FFD700',
+        PHASE_COLORS.daylight,
         'Full daylight'
       );
     }
@@ -160,7 +169,7 @@ export class PhaseCalculator {
         createDate(today.date, today.sunset),
         createDate(today.date, today.civilTwilightEnd),
         'Civil Dusk',
-        '#FFA500',
+        PHASE_COLORS.civil,
         'Golden hour after sunset'
       );
     }
@@ -170,7 +179,7 @@ export class PhaseCalculator {
         createDate(today.date, today.civilTwilightEnd),
         createDate(today.date, today.nauticalTwilightEnd),
         'Nautical Dusk',
-        '#4169E1',
+        PHASE_COLORS.nautical,
         'Deep blue twilight'
       );
     }
@@ -180,7 +189,7 @@ export class PhaseCalculator {
         createDate(today.date, today.nauticalTwilightEnd),
         createDate(today.date, today.astronomicalTwilightEnd),
         'Astronomical Dusk',
-        '#4C1D95', // Lighter purple for better contrast
+        PHASE_COLORS.astronomical,
         'Last light of day'
       );
     }
@@ -192,7 +201,7 @@ export class PhaseCalculator {
         createDate(tomorrow.date, tomorrow.astronomicalTwilightBegin) : 
         new Date(nightStart.getTime() + 8*60*60*1000);
       
-      addPhaseIfVisible(nightStart, nightEnd, 'Night', '#1E3A8A', 'Complete darkness'); // Brighter blue for better contrast
+      addPhaseIfVisible(nightStart, nightEnd, 'Night', PHASE_COLORS.night, 'Complete darkness');
     }
   }
 
@@ -205,7 +214,7 @@ export class PhaseCalculator {
         createDate(tomorrow.date, tomorrow.astronomicalTwilightBegin),
         createDate(tomorrow.date, tomorrow.nauticalTwilightBegin),
         'Astronomical Dawn',
-        '#4C1D95', // Lighter purple for better contrast
+        PHASE_COLORS.astronomical,
         'First light of dawn'
       );
     }
@@ -215,7 +224,7 @@ export class PhaseCalculator {
         createDate(tomorrow.date, tomorrow.nauticalTwilightBegin),
         createDate(tomorrow.date, tomorrow.civilTwilightBegin),
         'Nautical Dawn',
-        '#4169E1',
+        PHASE_COLORS.nautical,
         'Early morning twilight'
       );
     }
@@ -225,7 +234,7 @@ export class PhaseCalculator {
         createDate(tomorrow.date, tomorrow.civilTwilightBegin),
         createDate(tomorrow.date, tomorrow.sunrise),
         'Civil Dawn',
-        '#FFA500',
+        PHASE_COLORS.civil,
         'Golden hour before sunrise'
       );
     }
@@ -12,12 +12,19 @@ interface TimelineRendererProps {
   phases: TimePhase[];
   currentTime: Date;
   formatTime12Hour: (date: Date) => string;
+  // Fixed window (e.g. sunset to sunrise) instead of 4 hours either side of the current time
+  windowStart?: Date;
+  windowEnd?: Date;
+  description?: string;
 }
 
 export const TimelineRenderer: React.FC<TimelineRendererProps> = ({ 
   phases, 
   currentTime, 
-  formatTime12Hour 
+  formatTime12Hour,
+  windowStart: fixedStart,
+  windowEnd: fixedEnd,
+  description = '8-hour astronomical timeline (hover for details)'
 }) => {
   if (phases.length === 0) {
     return (
@@ -27,13 +34,15 @@ export const TimelineRenderer: React.FC<TimelineRendererProps> = ({
     );
   }
 
-  // Calculate 8-hour window
-  const windowStart = new Date(currentTime.getTime() - 4 * 60 * 60 * 1000);
-  const windowEnd = new Date(currentTime.getTime() + 4 * 60 * 60 * 1000);
+  // Calculate 8-hour window, unless the caller fixed one
+  const fixedWindow = fixedStart && fixedEnd ? { start: fixedStart, end: fixedEnd } : null;
+  const windowStart = fixedWindow?.start ?? new Date(currentTime.getTime() - 4 * 60 * 60 * 1000);
+  const windowEnd = fixedWindow?.end ?? new Date(currentTime.getTime() + 4 * 60 * 60 * 1000);
   const totalDuration = windowEnd.getTime() - windowStart.getTime();
 
   // Calculate current time position as percentage
   const currentTimePosition = ((currentTime.getTime() - windowStart.getTime()) / totalDuration) * 100;
+  const showCurrentTime = currentTimePosition >= 0 && currentTimePosition <= 100;
 
   // Calculate phase positions and widths
   const phaseElements = phases.map((phase, index) => {
@@ -99,47 +108,55 @@ export const TimelineRenderer: React.FC<TimelineRendererProps> = ({
         ))}
         
         {/* Current time indicator */}
-        <g>
-          <line
-            x1={`${currentTimePosition}%`}
-            y1="30"
-            x2={`${currentTimePosition}%`}
-            y2="90"
-            stroke="#DC2626"
-            strokeWidth="3"
-            strokeDasharray="2,2"
-          />
-          <circle
-            cx={`${currentTimePosition}%`}
-            cy="60"
-            r="6"
-            fill="#DC2626"
-            stroke="white"
-            strokeWidth="2"
-          />
-        </g>
+        {showCurrentTime && (
+          <g>
+            <line
+              x1={`${currentTimePosition}%`}
+              y1="30"
+              x2={`${currentTimePosition}%`}
+              y2="90"
+              stroke="#DC2626"
+              strokeWidth="3"
+              strokeDasharray="2,2"
+            />
+            <circle
+              cx={`${currentTimePosition}%`}
+              cy="60"
+              r="6"
+              fill="#DC2626"
+              stroke="white"
+              strokeWidth="2"
+            />
+          </g>
+        )}
         
         {/* Time markers */}
         <g>
-          {/* -4hr marker */}
+          {/* -4hr (or window start) marker */}
           <line x1="0" y1="70" x2="0" y2="80" stroke="#666" strokeWidth="1"/>
-          <text x="5%" y="95" fontSize="10" fill="#666" textAnchor="start">-4hr</text>
+          <text x="5%" y="95" fontSize="10" fill="#666" textAnchor="start">
+            {fixedWindow ? formatTime12Hour(windowStart) : '-4hr'}
+          </text>
           
           {/* Current time marker */}
-          <text 
-            x={`${currentTimePosition}%`} 
-            y="25" 
-            textAnchor="middle" 
-            fontSize="10" 
-            fill="white"
-            fontWeight="bold"
-          >
-            NOW
-          </text>
+          {showCurrentTime && (
+            <text 
+              x={`${currentTimePosition}%`} 
+              y="25" 
+              textAnchor="middle" 
+              fontSize="10" 
+              fill="white"
+              fontWeight="bold"
+            >
+              NOW
+            </text>
+          )}
           
-          {/* +4hr marker */}
+          {/* +4hr (or window end) marker */}
           <line x1="100%" y1="70" x2="100%" y2="80" stroke="#666" strokeWidth="1"/>
-          <text x="95%" y="95" fontSize="10" fill="#666" textAnchor="end">+4hr</text>
+          <text x="95%" y="95" fontSize="10" fill="#666" textAnchor="end">
+            {fixedWindow ? formatTime12Hour(windowEnd) : '+4hr'}
+          </text>
         </g>
       </svg>
 
@@ -187,7 +204,7 @@ export const TimelineRenderer: React.FC<TimelineRendererProps> = ({
         transform: 'translateX(-50%)',
         textAlign: 'center'
       }}>
-        <Text size="1" color="gray">8-hour astronomical timeline (hover for details)</Text>
+        <Text size="1" color="gray">{description}</Text>
       </Box>
     </Box>
     </Card>
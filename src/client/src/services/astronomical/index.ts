@@ -3,6 +3,6 @@
  */
 
 export { astronomicalService } from './AstronomicalService';
-export { phaseCalculator } from './PhaseCalculator';
+export { phaseCalculator, PHASE_COLORS } from './PhaseCalculator';
 export { TimelineRenderer } from './TimelineRenderer';
 export { getMoonIcon, getMoonPhaseName, getMoonPhaseDescription } from './MoonPhaseUtils';
@@ -0,0 +1,92 @@
+/**
+ * Authentication API Service
+ * Login/logout, first-run setup, user management and API tokens under /api/auth
+ */
+
+import { getApiUrl, apiFetch } from '../config/api';
+import type { ApiTokenInfo, AuthStatus, AuthUser, CreatedApiToken, UserRole } from '../interfaces/auth';
+
+export { AUTH_EXPIRED_EVENT } from '../config/api';
+
+/**
+ * Send a JSON request and throw with the server's error text on failure
+ */
+async function request<T>(endpoint: string, method = 'GET', body?: Record<string, unknown>): Promise<T> {
+  const response = await apiFetch(getApiUrl(endpoint), {
+    method,
+    headers: body ? { 'Content-Type': 'application/json' } : undefined,
+    body: body ? JSON.stringify(body) : undefined,
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(data.error || `HTTP ${response.status}`);
+  }
+  return data as T;
+}
+
+/**
+ * Current login, and whether the admin account still has to be created
+ */
+export function getAuthStatus(): Promise<AuthStatus> {
+  return request<AuthStatus>('auth/status');
+}
+
+export async function login(username: string, password: string): Promise<AuthUser> {
+  const { user } = await request<{ user: AuthUser }>('auth/login', 'POST', { username, password });
+  return user;
+}
+
+/**
+ * Create the first admin account (only allowed while no users exist) and log it in
+ */
+export async function setupAdmin(username: string, password: string): Promise<AuthUser> {
+  const { user } = await request<{ user: AuthUser }>('auth/setup', 'POST', { username, password });
+  return user;
+}
+
+export async function logout(): Promise<void> {
+  await request('auth/logout', 'POST');
+}
+
+export async function changePassword(currentPassword: string, newPassword: string): Promise<void> {
+  await request('auth/password', 'POST', { currentPassword, newPassword });
+}
+
+/**
+ * Users (admin only)
+ */
+export async function listUsers(): Promise<AuthUser[]> {
+  const { users } = await request<{ users: AuthUser[] }>('auth/users');
+  return users;
+}
+
+export async function createUser(username: string, password: string, role: UserRole): Promise<AuthUser> {
+  const { user } = await request<{ user: AuthUser }>('auth/users', 'POST', { username, password, role });
+  return user;
+}
+
+export async function updateUser(id: number, changes: { role?: UserRole; password?: string }): Promise<AuthUser> {
+  const { user } = await request<{ user: AuthUser }>(`auth/users/${id}`, 'PUT', changes);
+  return user;
+}
+
+export async function deleteUser(id: number): Promise<void> {
+  await request(`auth/users/${id}`, 'DELETE');
+}
+
+/**
+ * API tokens of the logged-in user
+ */
+export async function listApiTokens(): Promise<ApiTokenInfo[]> {
+  const { tokens } = await request<{ tokens: ApiTokenInfo[] }>('auth/tokens');
+  return tokens;
+}
+
+export function createApiToken(name: string): Promise<CreatedApiToken> {
+  return request<CreatedApiToken>('auth/tokens', 'POST', { name });
+}
+
+export async function deleteApiToken(id: number): Promise<void> {
+  await request(`auth/tokens/${id}`, 'DELETE');
+}
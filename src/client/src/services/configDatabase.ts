@@ -62,6 +62,8 @@ export class ConfigDatabase {
         liveFeed2: "https://live.starfront.tools/b8/",
         liveFeed3: "",
         localCameraPath: "C:\\Astrophotography\\AllSkEye\\AllSkEye\\LatestImage\\Latest_image.jpg",
+        localCameraMode: 'file',
+        localCameraStaleAfter: 1800,
         defaultStream: 1,
         connectionTimeout: 10000
       },
@@ -84,11 +86,42 @@ export class ConfigDatabase {
         alertThresholds: {
           temperatureWarning: 5,
           temperatureCritical: 15,
-          connectionTimeout: 30
+          connectionTimeout: 30,
+          guidingLostMinutes: 5,
+          rmsArcsec: 2,
+          diskUsagePercent: 90
+        },
+        cooldownMinutes: 30,
+        quietHours: {
+          enabled: false,
+          start: '08:00',
+          end: '18:00',
+          allowCritical: true
+        },
+        email: {
+          host: '',
+          port: 587,
+          secure: false,
+          username: '',
+          password: '',
+          from: '',
+          to: ''
+        },
+        webhook: {
+          enabled: false,
+          url: ''
+        },
+        push: {
+          service: 'ntfy',
+          url: 'https://ntfy.sh',
+          topic: '',
+          token: ''
         }
       },
       observatory: {
         name: "My Remote Observatory",
+        minimumAltitude: 30,
+        horizon: [],
         location: {
           latitude: 40.7128,
           longitude: -74.0060,
@@ -102,10 +135,25 @@ export class ConfigDatabase {
         enableMockData: true,
         corsEnabled: true
       },
+      imageGrading: {
+        enabled: true,
+        maxHfrRatio: 1.5,
+        maxStarDropPercent: 50,
+        maxGuidingRms: 2
+      },
       pegasus: {
         enabled: false,
+        unityBaseUrl: 'http://localhost:32000',
         refreshInterval: 5000,
-        maxCurrent: 10
+        maxCurrent: 10,
+        lowVoltage: 11.5,
+        portLabels: {}
+      },
+      alpaca: {
+        enabled: false,
+        discovery: true,
+        servers: [],
+        pollInterval: 10000
       }
     };
 
@@ -179,6 +227,9 @@ export class ConfigDatabase {
 
       // Advanced configuration
       this.setConfigValue('advanced', config.advanced, 'advanced');
+
+      // Image grading rules
+      this.setConfigValue('imageGrading', config.imageGrading, 'imageGrading');
     });
 
     transaction();
@@ -204,6 +255,8 @@ export class ConfigDatabase {
         liveFeed2: this.getConfigValue('streams.liveFeed2', 'https://live.starfront.tools/b8/'),
         liveFeed3: this.getConfigValue('streams.liveFeed3', ''),
         localCameraPath: this.getConfigValue('streams.localCameraPath', 'C:\\Astrophotography\\AllSkEye\\AllSkEye\\LatestImage\\Latest_image.jpg'),
+        localCameraMode: this.getConfigValue('streams.localCameraMode', 'file'),
+        localCameraStaleAfter: this.getConfigValue('streams.localCameraStaleAfter', 1800),
         defaultStream: this.getConfigValue('streams.defaultStream', 1),
         connectionTimeout: this.getConfigValue('streams.connectionTimeout', 10000)
       },
@@ -226,11 +279,42 @@ export class ConfigDatabase {
         alertThresholds: {
           temperatureWarning: 5,
           temperatureCritical: 15,
-          connectionTimeout: 30
+          connectionTimeout: 30,
+          guidingLostMinutes: 5,
+          rmsArcsec: 2,
+          diskUsagePercent: 90
+        },
+        cooldownMinutes: 30,
+        quietHours: {
+          enabled: false,
+          start: '08:00',
+          end: '18:00',
+          allowCritical: true
+        },
+        email: {
+          host: '',
+          port: 587,
+          secure: false,
+          username: '',
+          password: '',
+          from: '',
+          to: ''
+        },
+        webhook: {
+          enabled: false,
+          url: ''
+        },
+        push: {
+          service: 'ntfy',
+          url: 'https://ntfy.sh',
+          topic: '',
+          token: ''
         }
       }),
       observatory: this.getConfigValue('observatory', {
         name: "My Remote Observatory",
+        minimumAltitude: 30,
+        horizon: [],
         location: {
           latitude: 40.7128,
           longitude: -74.0060,
@@ -244,10 +328,25 @@ export class ConfigDatabase {
         enableMockData: true,
         corsEnabled: true
       }),
+      imageGrading: this.getConfigValue('imageGrading', {
+        enabled: true,
+        maxHfrRatio: 1.5,
+        maxStarDropPercent: 50,
+        maxGuidingRms: 2
+      }),
       pegasus: this.getConfigValue('pegasus', {
         enabled: false,
+        unityBaseUrl: 'http://localhost:32000',
         refreshInterval: 5000,
-        maxCurrent: 10
+        maxCurrent: 10,
+        lowVoltage: 11.5,
+        portLabels: {}
+      }),
+      alpaca: this.getConfigValue('alpaca', {
+        enabled: false,
+        discovery: true,
+        servers: [],
+        pollInterval: 10000
       })
     };
   }
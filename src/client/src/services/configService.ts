@@ -26,6 +26,8 @@ export class ConfigService {
         liveFeed2: "https://live.starfront.tools/b8/",
         liveFeed3: "",
         localCameraPath: "C:\\Astrophotography\\AllSkEye\\AllSkEye\\LatestImage\\Latest_image.jpg",
+        localCameraMode: 'file',
+        localCameraStaleAfter: 1800,
         defaultStream: 1,
         connectionTimeout: 10000
       },
@@ -48,11 +50,42 @@ export class ConfigService {
         alertThresholds: {
           temperatureWarning: 5,
           temperatureCritical: 15,
-          connectionTimeout: 30
+          connectionTimeout: 30,
+          guidingLostMinutes: 5,
+          rmsArcsec: 2,
+          diskUsagePercent: 90
+        },
+        cooldownMinutes: 30,
+        quietHours: {
+          enabled: false,
+          start: '08:00',
+          end: '18:00',
+          allowCritical: true
+        },
+        email: {
+          host: '',
+          port: 587,
+          secure: false,
+          username: '',
+          password: '',
+          from: '',
+          to: ''
+        },
+        webhook: {
+          enabled: false,
+          url: ''
+        },
+        push: {
+          service: 'ntfy',
+          url: 'https://ntfy.sh',
+          topic: '',
+          token: ''
         }
       },
       observatory: {
         name: "My Remote Observatory",
+        minimumAltitude: 30,
+        horizon: [],
         location: {
           latitude: 40.7128,
           longitude: -74.0060,
@@ -66,10 +99,25 @@ export class ConfigService {
         enableMockData: true,
         corsEnabled: true
       },
+      imageGrading: {
+        enabled: true,
+        maxHfrRatio: 1.5,
+        maxStarDropPercent: 50,
+        maxGuidingRms: 2
+      },
       pegasus: {
         enabled: false,
+        unityBaseUrl: 'http://localhost:32000',
         refreshInterval: 5000,
-        maxCurrent: 10
+        maxCurrent: 10,
+        lowVoltage: 11.5,
+        portLabels: {}
+      },
+      alpaca: {
+        enabled: false,
+        discovery: true,
+        servers: [],
+        pollInterval: 10000
       }
     };
   }
@@ -2,7 +2,7 @@
 // Data is fetched via manual refresh or periodic polling intervals
 
 import { GuiderGraphResponse } from '../interfaces/nina';
-import { getApiUrl } from '../config/api';
+import { getApiUrl, apiFetch } from '../config/api';
 
 export interface GuiderState {
   data: GuiderGraphResponse | null;
@@ -100,7 +100,7 @@ export class GuiderService {
       this.state.error = null;
       
       console.log('📡 Fetching guider data from API');
-      const response = await fetch(getApiUrl('nina/guider-graph'));
+      const response = await apiFetch(getApiUrl('nina/guider-graph'));
       if (!response.ok) {
         throw new Error(`HTTP ${response.status}: ${response.statusText}`);
       }
@@ -168,7 +168,7 @@ export class GuiderService {
     // First, check current session state to get initial guiding status
     try {
       console.log('📡 GuiderService: Fetching initial session state...');
-      const sessionResponse = await fetch(getApiUrl('nina/session-state'));
+      const sessionResponse = await apiFetch(getApiUrl('nina/session-state'));
       if (!sessionResponse.ok) {
         throw new Error(`HTTP ${sessionResponse.status}: ${sessionResponse.statusText}`);
       }
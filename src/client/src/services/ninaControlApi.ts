@@ -0,0 +1,138 @@
+/**
+ * NINA Equipment Control API Service
+ * Frontend service for the POST action endpoints under /api/nina
+ */
+
+import { getApiUrl, apiFetch } from '../config/api';
+import type { CameraCaptureOptions, MountTrackingMode, NINAActionResponse } from '../interfaces/nina';
+
+/**
+ * POST an action to the backend and throw with NINA's error text on failure
+ */
+async function postAction(endpoint: string, body?: Record<string, unknown>): Promise<NINAActionResponse> {
+  const response = await apiFetch(getApiUrl(endpoint), {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+
+  // A proxy error page (502/504) or an empty body isn't JSON - report the status instead
+  const isJson = (response.headers.get('content-type') || '').includes('application/json');
+  const result: (NINAActionResponse & { error?: string }) | null = isJson
+    ? await response.json().catch(() => null)
+    : null;
+
+  if (!response.ok || !result?.Success) {
+    // Auth failures (401/403) come back as { error } rather than NINA's envelope
+    throw new Error(result?.Error || result?.error || `HTTP ${response.status}`);
+  }
+
+  return result;
+}
+
+/**
+ * Park the mount
+ */
+export function parkMount(): Promise<NINAActionResponse> {
+  return postAction('nina/mount/park');
+}
+
+/**
+ * Unpark the mount
+ */
+export function unparkMount(): Promise<NINAActionResponse> {
+  return postAction('nina/mount/unpark');
+}
+
+/**
+ * Send the mount to its home position
+ */
+export function homeMount(): Promise<NINAActionResponse> {
+  return postAction('nina/mount/home');
+}
+
+/**
+ * Slew to J2000 coordinates (both in degrees)
+ */
+export function slewMount(ra: number, dec: number): Promise<NINAActionResponse> {
+  return postAction('nina/mount/slew', { ra, dec });
+}
+
+/**
+ * Abort a slew in progress
+ */
+export function abortSlew(): Promise<NINAActionResponse> {
+  return postAction('nina/mount/abort-slew');
+}
+
+/**
+ * Set the mount tracking mode ('stopped' stops tracking)
+ */
+export function setTrackingMode(mode: MountTrackingMode): Promise<NINAActionResponse> {
+  return postAction('nina/mount/tracking', { mode });
+}
+
+/**
+ * Start a single test exposure (optionally setting binning first)
+ */
+export function startCapture(options: CameraCaptureOptions): Promise<NINAActionResponse> {
+  return postAction('nina/camera/capture', { ...options });
+}
+
+/**
+ * Abort the exposure in progress
+ */
+export function abortExposure(): Promise<NINAActionResponse> {
+  return postAction('nina/camera/abort');
+}
+
+/**
+ * Set the cooler setpoint in °C, optionally ramping over a number of minutes
+ */
+export function coolCamera(temperature: number, minutes?: number): Promise<NINAActionResponse> {
+  return postAction('nina/camera/cool', { temperature, minutes });
+}
+
+/**
+ * Start a controlled warm-up, optionally over a number of minutes
+ */
+export function warmCamera(minutes?: number): Promise<NINAActionResponse> {
+  return postAction('nina/camera/warm', { minutes });
+}
+
+/**
+ * Load a sequence file by name (as returned by /nina/sequence/list)
+ */
+export function loadSequence(sequenceName: string): Promise<NINAActionResponse> {
+  return postAction('nina/sequence/load', { sequenceName });
+}
+
+/**
+ * Start the loaded advanced sequence
+ */
+export function startSequence(skipValidation = false): Promise<NINAActionResponse> {
+  return postAction('nina/sequence/start', { skipValidation });
+}
+
+/**
+ * Stop the running sequence
+ */
+export function stopSequence(): Promise<NINAActionResponse> {
+  return postAction('nina/sequence/stop');
+}
+
+/**
+ * Skip the running item and continue with the next one
+ */
+export function skipSequenceItem(): Promise<NINAActionResponse> {
+  return postAction('nina/sequence/skip');
+}
+
+/**
+ * Reset the sequence so every item runs again
+ */
+export function resetSequence(): Promise<NINAActionResponse> {
+  return postAction('nina/sequence/reset');
+}
@@ -10,8 +10,11 @@ import type {
   PegasusTelemetryResponse,
   PegasusPowerReport,
   PegasusPowerConsumptionReport,
-  PegasusConnectedDevice
+  PegasusConnectedDevice,
+  PegasusPortsResponse,
+  PegasusHistoryResponse
 } from '../interfaces/pegasus';
+import { apiFetch } from '../config/api';
 
 const API_BASE = '/api/pegasus';
 
@@ -26,7 +29,7 @@ export async function checkPegasusStatus(): Promise<{
   error?: string;
 }> {
   try {
-    const response = await fetch(`${API_BASE}/status`);
+    const response = await apiFetch(`${API_BASE}/status`);
     return await response.json();
   } catch (error) {
     return {
@@ -47,7 +50,7 @@ export async function getConnectedDevices(): Promise<{
   totalCount: number;
   error?: string;
 }> {
-  const response = await fetch(`${API_BASE}/devices`);
+  const response = await apiFetch(`${API_BASE}/devices`);
   
   if (!response.ok) {
     const error = await response.json();
@@ -64,7 +67,7 @@ export async function getDeviceReport(
   deviceType: string,
   uniqueKey: string
 ): Promise<PegasusAggregateReport> {
-  const response = await fetch(
+  const response = await apiFetch(
     `${API_BASE}/report?deviceType=${encodeURIComponent(deviceType)}&uniqueKey=${encodeURIComponent(uniqueKey)}`
   );
   
@@ -83,7 +86,7 @@ export async function getPowerMetrics(
   deviceType: string,
   uniqueKey: string
 ): Promise<PegasusPowerReport> {
-  const response = await fetch(
+  const response = await apiFetch(
     `${API_BASE}/power?deviceType=${encodeURIComponent(deviceType)}&uniqueKey=${encodeURIComponent(uniqueKey)}`
   );
   
@@ -102,7 +105,7 @@ export async function getPowerConsumption(
   deviceType: string,
   uniqueKey: string
 ): Promise<PegasusPowerConsumptionReport> {
-  const response = await fetch(
+  const response = await apiFetch(
     `${API_BASE}/consumption?deviceType=${encodeURIComponent(deviceType)}&uniqueKey=${encodeURIComponent(uniqueKey)}`
   );
   
@@ -118,7 +121,7 @@ export async function getPowerConsumption(
  * Get telemetry data for session monitoring
  */
 export async function getTelemetryData(): Promise<PegasusTelemetryResponse> {
-  const response = await fetch(`${API_BASE}/telemetry`);
+  const response = await apiFetch(`${API_BASE}/telemetry`);
   
   if (!response.ok) {
     const error = await response.json();
@@ -127,3 +130,85 @@ export async function getTelemetryData(): Promise<PegasusTelemetryResponse> {
   
   return await response.json();
 }
+
+/**
+ * Get switchable ports and dew heaters with their labels
+ */
+export async function getPorts(
+  deviceType: string,
+  uniqueKey: string
+): Promise<PegasusPortsResponse> {
+  const response = await apiFetch(
+    `${API_BASE}/ports?deviceType=${encodeURIComponent(deviceType)}&uniqueKey=${encodeURIComponent(uniqueKey)}`
+  );
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error || `HTTP ${response.status}`);
+  }
+
+  return await response.json();
+}
+
+async function sendControl<T>(method: 'POST' | 'PUT', path: string, body: object): Promise<T> {
+  const response = await apiFetch(`${API_BASE}/${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(result.error || `HTTP ${response.status}`);
+  }
+  return result;
+}
+
+/**
+ * Switch a 12V or USB port on or off
+ */
+export function switchPort(deviceType: string, uniqueKey: string, portId: string, on: boolean): Promise<{ success: boolean }> {
+  return sendControl('POST', `ports/${encodeURIComponent(portId)}/switch`, { deviceType, uniqueKey, on });
+}
+
+/**
+ * Set a dew heater's duty cycle (0-100%)
+ */
+export function setDewHeater(deviceType: string, uniqueKey: string, number: number, power: number): Promise<{ success: boolean }> {
+  return sendControl('POST', `dew/${number}`, { deviceType, uniqueKey, power });
+}
+
+/**
+ * Turn automatic dew heater control on or off
+ */
+export function setAutoDew(deviceType: string, uniqueKey: string, enabled: boolean): Promise<{ success: boolean }> {
+  return sendControl('POST', 'dew/auto', { deviceType, uniqueKey, enabled });
+}
+
+/**
+ * Save port labels - a blank label restores the default name
+ */
+export function savePortLabels(labels: Record<string, string>): Promise<{ labels: Record<string, string> }> {
+  return sendControl('PUT', 'labels', { labels });
+}
+
+/**
+ * Get sampled telemetry history, energy totals and power events for a device
+ */
+export async function getHistory(
+  uniqueKey: string,
+  hours = 24,
+  maxPoints = 600
+): Promise<PegasusHistoryResponse> {
+  const from = new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+  const response = await apiFetch(
+    `${API_BASE}/history?uniqueKey=${encodeURIComponent(uniqueKey)}&from=${encodeURIComponent(from)}&maxPoints=${maxPoints}`
+  );
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error || `HTTP ${response.status}`);
+  }
+
+  return await response.json();
+}
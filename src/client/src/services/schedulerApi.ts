@@ -0,0 +1,49 @@
+/**
+ * Target Scheduler API Service
+ * Frontend service for the guarded write endpoints under /api/scheduler/project
+ */
+
+import { getApiUrl, apiFetch } from '../config/api';
+import type { SchedulerWriteResult } from '../interfaces/dashboard';
+
+/**
+ * PUT a change and throw with the server's error text on failure
+ */
+async function putChange(endpoint: string, body: Record<string, unknown>): Promise<SchedulerWriteResult> {
+  const response = await apiFetch(getApiUrl(endpoint), {
+    method: 'PUT',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(body),
+  });
+
+  const result = await response.json();
+
+  if (!response.ok) {
+    throw new Error(result.error || `HTTP ${response.status}`);
+  }
+
+  return result as SchedulerWriteResult;
+}
+
+/**
+ * Pause (state 2) or resume (state 1) a project, and/or set its priority (0 low, 1 normal, 2 high)
+ */
+export function updateSchedulerProject(
+  projectId: number,
+  changes: { state?: 1 | 2; priority?: 0 | 1 | 2 }
+): Promise<SchedulerWriteResult> {
+  return putChange(`scheduler/project/${projectId}`, changes);
+}
+
+/**
+ * Set how many exposures of one of the project's exposure plans the scheduler should collect
+ */
+export function updateSchedulerExposurePlan(
+  projectId: number,
+  planId: number,
+  desired: number
+): Promise<SchedulerWriteResult> {
+  return putChange(`scheduler/project/${projectId}/exposureplan/${planId}`, { desired });
+}
@@ -1,5 +1,5 @@
 // Widget Service - Manages widgets using the dashboard_widgets table
-import { API_BASE_URL } from '../config/api';
+import { API_BASE_URL, apiFetch } from '../config/api';
 
 interface WidgetLayout {
   i: string;
@@ -34,7 +34,7 @@ export class WidgetService {
    */
   static async loadWidgets(): Promise<WidgetConfig[]> {
     try {
-      const response = await fetch(`${API_BASE}/dashboard-widgets`);
+      const response = await apiFetch(`${API_BASE}/dashboard-widgets`);
       if (!response.ok) {
         throw new Error(`HTTP ${response.status}: ${response.statusText}`);
       }
@@ -52,7 +52,7 @@ export class WidgetService {
    */
   static async loadAllWidgets(): Promise<WidgetConfig[]> {
     try {
-      const response = await fetch(`${API_BASE}/dashboard-widgets/all`);
+      const response = await apiFetch(`${API_BASE}/dashboard-widgets/all`);
       if (!response.ok) {
         throw new Error(`HTTP ${response.status}: ${response.statusText}`);
       }
@@ -70,7 +70,7 @@ export class WidgetService {
    */
   static async saveWidgetLayout(widgets: WidgetConfig[]): Promise<void> {
     try {
-      const response = await fetch(`${API_BASE}/dashboard-widgets/layout`, {
+      const response = await apiFetch(`${API_BASE}/dashboard-widgets/layout`, {
         method: 'PUT',
         headers: {
           'Content-Type': 'application/json',
@@ -98,7 +98,7 @@ export class WidgetService {
    */
   static async addWidget(widget: WidgetConfig): Promise<string> {
     try {
-      const response = await fetch(`${API_BASE}/dashboard-widgets`, {
+      const response = await apiFetch(`${API_BASE}/dashboard-widgets`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -151,7 +151,7 @@ export class WidgetService {
         if (updates.layout.minH !== undefined) updateData.minH = updates.layout.minH;
       }
 
-      const response = await fetch(`${API_BASE}/dashboard-widgets/${id}`, {
+      const response = await apiFetch(`${API_BASE}/dashboard-widgets/${id}`, {
         method: 'PUT',
         headers: {
           'Content-Type': 'application/json',
@@ -179,7 +179,7 @@ export class WidgetService {
    */
   static async removeWidget(id: string): Promise<void> {
     try {
-      const response = await fetch(`${API_BASE}/dashboard-widgets/${id}`, {
+      const response = await apiFetch(`${API_BASE}/dashboard-widgets/${id}`, {
         method: 'DELETE',
       });
 
@@ -203,7 +203,7 @@ export class WidgetService {
    */
   static async toggleWidgetVisibility(id: string, enabled: boolean): Promise<void> {
     try {
-      const response = await fetch(`${API_BASE}/dashboard-widgets/${id}`, {
+      const response = await apiFetch(`${API_BASE}/dashboard-widgets/${id}`, {
         method: 'PUT',
         headers: {
           'Content-Type': 'application/json',
@@ -14,6 +14,8 @@ module.exports = function (app) {
     createProxyMiddleware({
       target: 'http://127.0.0.1:3001',
       changeOrigin: true,
+      // Pass the browser's address on, so the server only allows first-run setup from this machine
+      xfwd: true,
       // Set secure to false for local development with self-signed certs
       secure: false,
     })
@@ -0,0 +1,46 @@
+// Horizon Profile Utilities - reading NINA .hrz and Stellarium horizon files
+// Both are plain text with one "azimuth altitude" pair (degrees) per line
+
+import type { HorizonPoint } from '../interfaces/config';
+
+export interface ParsedHorizon {
+  points: HorizonPoint[];
+  skippedLines: number;
+}
+
+/**
+ * Parse a horizon file into points sorted by azimuth
+ * Accepts space, tab, comma or semicolon separators and #, ; or // comment lines. Stellarium's
+ * polygonal horizon lists must use the default azimuth/altitude-in-degrees mode.
+ * Azimuths are wrapped into 0-360; when two points share an azimuth the higher altitude wins.
+ */
+export function parseHorizonFile(text: string): ParsedHorizon {
+  const byAzimuth = new Map<number, number>();
+  let skippedLines = 0;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#') || line.startsWith(';') || line.startsWith('//')) continue;
+
+    const values = line.split(/[\s,;]+/).map(Number);
+    if (values.length < 2 || !Number.isFinite(values[0]) || !Number.isFinite(values[1])) {
+      skippedLines++;
+      continue;
+    }
+
+    const azimuth = Math.round((((values[0] % 360) + 360) % 360) * 100) / 100;
+    const altitude = Math.max(-90, Math.min(90, values[1]));
+    byAzimuth.set(azimuth, Math.max(altitude, byAzimuth.get(azimuth) ?? -90));
+  }
+
+  const points = Array.from(byAzimuth.entries())
+    .map(([azimuth, altitude]) => ({ azimuth, altitude }))
+    .sort((a, b) => a.azimuth - b.azimuth);
+
+  return { points, skippedLines };
+}
+
+// Same point order as the server uses for interpolation
+export function sortHorizon(points: HorizonPoint[]): HorizonPoint[] {
+  return [...points].sort((a, b) => a.azimuth - b.azimuth);
+}
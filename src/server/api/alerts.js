@@ -0,0 +1,36 @@
+// Alert API routes - active alerts, delivery history and test notifications
+const { requireRole } = require('../middleware/auth');
+
+class AlertRoutes {
+  constructor(alertEngine) {
+    this.alertEngine = alertEngine;
+  }
+
+  register(app) {
+    // Currently firing alerts and the most recent fired/resolved/suppressed entries
+    app.get('/api/alerts', (req, res) => {
+      try {
+        res.json({
+          active: this.alertEngine.getActiveAlerts(),
+          history: this.alertEngine.getHistory()
+        });
+      } catch (error) {
+        console.error('Error getting alerts:', error);
+        res.status(500).json({ error: 'Failed to get alerts', details: error.message });
+      }
+    });
+
+    // Send a test notification through every enabled channel
+    app.post('/api/alerts/test', requireRole('admin'), async (req, res) => {
+      try {
+        const results = await this.alertEngine.sendTest();
+        res.json({ success: results.every(result => result.ok), results });
+      } catch (error) {
+        console.error('Error sending test notification:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
+      }
+    });
+  }
+}
+
+module.exports = AlertRoutes;
@@ -0,0 +1,32 @@
+// ASCOM Alpaca API routes - discovered servers and the read-only status of their devices
+
+const { requireRole } = require('../middleware/auth');
+const { handleError } = require('../utils/routeHelpers');
+
+class AlpacaRoutes {
+  constructor(alpacaService) {
+    this.alpacaService = alpacaService;
+  }
+
+  register(app) {
+    // Alpaca servers (discovered and from alpaca.servers) and the last status of each device
+    app.get('/api/alpaca/devices', (req, res) => {
+      try {
+        res.json(this.alpacaService.getStatus());
+      } catch (error) {
+        handleError(res, error, 'Failed to get Alpaca devices');
+      }
+    });
+
+    // Run discovery and reread every server's device list now instead of at the next refresh
+    app.post('/api/alpaca/discover', requireRole('operator'), async (req, res) => {
+      try {
+        res.json(await this.alpacaService.rediscover());
+      } catch (error) {
+        handleError(res, error, 'Failed to discover Alpaca devices');
+      }
+    });
+  }
+}
+
+module.exports = AlpacaRoutes;
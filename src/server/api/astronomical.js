@@ -47,14 +47,16 @@ class AstronomicalRoutes {
         
         console.log(`🌅 Fetching astronomical data for location: ${location.latitude}, ${location.longitude}`);
         
-        // Get real astronomical data from sunrise-sunset.org API
+        // Sun, moon and twilight times computed locally for the observatory
         const astronomicalData = await this.astronomicalService.getComprehensiveAstronomicalData(
           location.latitude,
           location.longitude,
-          location.timezone
+          location.timezone,
+          location.elevation || 0,
+          config.observatory?.horizon || []
         );
         
-        // Add current phase using real astronomical data instead of hardcoded times
+        // Add current phase using the computed twilight times instead of hardcoded times
         astronomicalData.currentPhase = this.astronomicalService.getCurrentPhase(now, astronomicalData);
         astronomicalData.moonPhase = this.astronomicalService.getMoonPhase(now);
         
@@ -0,0 +1,142 @@
+// Authentication API routes - login/logout, first-run setup, user management and API tokens
+const { requireRole, isLocalRequest, setSessionCookie, clearSessionCookie } = require('../middleware/auth');
+const { handleError } = require('../utils/routeHelpers');
+
+class AuthRoutes {
+  constructor(authService) {
+    this.authService = authService;
+  }
+
+  register(app) {
+    // Who is logged in, and whether the admin account still has to be created
+    app.get('/api/auth/status', (req, res) => {
+      res.json({
+        setupRequired: this.authService.isSetupRequired(),
+        setupAllowed: isLocalRequest(req),
+        authenticated: Boolean(req.auth),
+        user: req.auth ? req.auth.user : null,
+        method: req.auth ? req.auth.method : null
+      });
+    });
+
+    // Create the first admin account and log it in - refused once any user exists, and from any
+    // machine but the server itself so nobody else on the network can claim an upgraded install
+    app.post('/api/auth/setup', (req, res) => {
+      try {
+        if (!isLocalRequest(req)) {
+          return res.status(403).json({
+            error: 'Create the admin account on the observatory computer (http://localhost) or with scripts/database/manage-users.js'
+          });
+        }
+        const { username, password } = req.body || {};
+        this.authService.setup(username, password);
+        const session = this.authService.login(username, password, {
+          clientAddress: req.ip,
+          userAgent: req.headers['user-agent']
+        });
+        setSessionCookie(req, res, session.token);
+        res.status(201).json({ user: session.user });
+      } catch (error) {
+        handleError(res, error, 'Failed to complete setup');
+      }
+    });
+
+    app.post('/api/auth/login', (req, res) => {
+      try {
+        const { username, password } = req.body || {};
+        const session = this.authService.login(username, password, {
+          clientAddress: req.ip,
+          userAgent: req.headers['user-agent']
+        });
+        setSessionCookie(req, res, session.token);
+        res.json({ user: session.user, expiresAt: session.expiresAt });
+      } catch (error) {
+        handleError(res, error, 'Failed to log in');
+      }
+    });
+
+    app.post('/api/auth/logout', (req, res) => {
+      this.authService.logout(req.sessionToken);
+      clearSessionCookie(req, res);
+      res.json({ success: true });
+    });
+
+    // Change own password - other sessions of this user are logged out
+    app.post('/api/auth/password', requireRole('viewer'), (req, res) => {
+      try {
+        const { currentPassword, newPassword } = req.body || {};
+        this.authService.changePassword(req.auth.user.id, currentPassword, newPassword, req.auth.tokenHash);
+        res.json({ success: true });
+      } catch (error) {
+        handleError(res, error, 'Failed to change password');
+      }
+    });
+
+    // User management (admin)
+    app.get('/api/auth/users', requireRole('admin'), (req, res) => {
+      try {
+        res.json({ users: this.authService.listUsers() });
+      } catch (error) {
+        handleError(res, error, 'Failed to list users');
+      }
+    });
+
+    app.post('/api/auth/users', requireRole('admin'), (req, res) => {
+      try {
+        const { username, password, role } = req.body || {};
+        const user = this.authService.createUser(username, password, role);
+        res.status(201).json({ user });
+      } catch (error) {
+        handleError(res, error, 'Failed to create user');
+      }
+    });
+
+    app.put('/api/auth/users/:id', requireRole('admin'), (req, res) => {
+      try {
+        const { role, password } = req.body || {};
+        const user = this.authService.updateUser(parseInt(req.params.id, 10), { role, password }, req.auth.user.id);
+        res.json({ user });
+      } catch (error) {
+        handleError(res, error, 'Failed to update user');
+      }
+    });
+
+    app.delete('/api/auth/users/:id', requireRole('admin'), (req, res) => {
+      try {
+        this.authService.deleteUser(parseInt(req.params.id, 10), req.auth.user.id);
+        res.json({ success: true });
+      } catch (error) {
+        handleError(res, error, 'Failed to delete user');
+      }
+    });
+
+    // API tokens of the logged-in user; a token has its owner's role
+    app.get('/api/auth/tokens', requireRole('viewer'), (req, res) => {
+      try {
+        res.json({ tokens: this.authService.listApiTokens(req.auth.user.id) });
+      } catch (error) {
+        handleError(res, error, 'Failed to list API tokens');
+      }
+    });
+
+    app.post('/api/auth/tokens', requireRole('viewer'), (req, res) => {
+      try {
+        const token = this.authService.createApiToken(req.auth.user.id, req.body?.name);
+        res.status(201).json(token);
+      } catch (error) {
+        handleError(res, error, 'Failed to create API token');
+      }
+    });
+
+    app.delete('/api/auth/tokens/:id', requireRole('viewer'), (req, res) => {
+      try {
+        this.authService.deleteApiToken(req.auth.user.id, parseInt(req.params.id, 10));
+        res.json({ success: true });
+      } catch (error) {
+        handleError(res, error, 'Failed to delete API token');
+      }
+    });
+  }
+}
+
+module.exports = AuthRoutes;
@@ -0,0 +1,145 @@
+// Local camera image API routes (e.g. AllSky camera writing JPEGs to disk)
+const fs = require('fs');
+const path = require('path');
+const { ApiError } = require('../utils/routeHelpers');
+
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif', '.bmp', '.webp'];
+
+const CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.bmp': 'image/bmp',
+  '.webp': 'image/webp'
+};
+
+class CameraRoutes {
+  constructor(configDatabase) {
+    this.configDatabase = configDatabase;
+  }
+
+  // Resolve the image to serve from streams.localCameraPath
+  // Mode 'file' serves the configured file, 'directory' serves the newest image in that folder
+  async resolveLocalImage() {
+    const streams = this.configDatabase.getConfig().streams;
+    const configuredPath = (streams.localCameraPath || '').trim();
+
+    if (!configuredPath) {
+      throw new ApiError('No local camera path configured', 404);
+    }
+
+    const staleAfter = streams.localCameraStaleAfter ?? 1800; // 0 = never stale
+
+    if (streams.localCameraMode !== 'directory') {
+      const stats = await fs.promises.stat(configuredPath);
+      return { filePath: configuredPath, stats, staleAfter };
+    }
+
+    const entries = await fs.promises.readdir(configuredPath, { withFileTypes: true });
+    let newest = null;
+
+    for (const entry of entries) {
+      if (!entry.isFile() || !IMAGE_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+        continue;
+      }
+
+      const filePath = path.join(configuredPath, entry.name);
+      let stats;
+      try {
+        stats = await fs.promises.stat(filePath);
+      } catch (error) {
+        if (error.code === 'ENOENT') continue; // Removed after readdir, e.g. by software that keeps only the newest image
+        throw error;
+      }
+      if (!newest || stats.mtimeMs > newest.stats.mtimeMs) {
+        newest = { filePath, stats };
+      }
+    }
+
+    if (!newest) {
+      throw new ApiError(`No images found in ${configuredPath}`, 404);
+    }
+
+    return { ...newest, staleAfter };
+  }
+
+  // Describe the resolved image: age in seconds, stale flag and a weak ETag from size + mtime
+  describeImage({ filePath, stats, staleAfter }) {
+    const ageSeconds = Math.max(0, Math.floor((Date.now() - stats.mtimeMs) / 1000));
+    return {
+      filePath,
+      fileName: path.basename(filePath),
+      size: stats.size,
+      modified: stats.mtime.toISOString(),
+      ageSeconds,
+      stale: staleAfter > 0 && ageSeconds > staleAfter,
+      staleAfter,
+      etag: `W/"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`
+    };
+  }
+
+  sendError(res, error) {
+    const statusCode = error.statusCode || (error.code === 'ENOENT' ? 404 : 500);
+    if (statusCode === 500) {
+      console.error('❌ Local camera image error:', error.message);
+    }
+    res.status(statusCode).json({ error: error.message });
+  }
+
+  register(app) {
+    // Image metadata without the image body
+    app.get('/api/camera/local/info', async (req, res) => {
+      try {
+        const info = this.describeImage(await this.resolveLocalImage());
+        res.json({
+          fileName: info.fileName,
+          size: info.size,
+          modified: info.modified,
+          ageSeconds: info.ageSeconds,
+          stale: info.stale,
+          staleAfter: info.staleAfter
+        });
+      } catch (error) {
+        this.sendError(res, error);
+      }
+    });
+
+    // Latest local camera image - also answers HEAD requests (used by RTSPViewer for the file age)
+    app.get('/api/camera/local', async (req, res) => {
+      try {
+        const info = this.describeImage(await this.resolveLocalImage());
+
+        res.set({
+          'ETag': info.etag,
+          'Last-Modified': new Date(info.modified).toUTCString(),
+          'Cache-Control': 'no-cache',
+          'X-File-Age': info.ageSeconds.toString(),
+          'X-File-Stale': info.stale ? 'true' : 'false',
+          'X-File-Name': encodeURIComponent(info.fileName),
+          'Access-Control-Expose-Headers': 'X-File-Age, X-File-Stale, X-File-Name, ETag'
+        });
+
+        const ifNoneMatch = req.headers['if-none-match'];
+        if (ifNoneMatch && ifNoneMatch.split(',').map(tag => tag.trim()).includes(info.etag)) {
+          return res.status(304).end();
+        }
+
+        const contentType = CONTENT_TYPES[path.extname(info.filePath).toLowerCase()];
+        if (contentType) {
+          res.type(contentType);
+        }
+
+        res.sendFile(path.resolve(info.filePath), { etag: false, lastModified: false, cacheControl: false }, (error) => {
+          if (error && !res.headersSent) {
+            this.sendError(res, error);
+          }
+        });
+      } catch (error) {
+        this.sendError(res, error);
+      }
+    });
+  }
+}
+
+module.exports = CameraRoutes;
@@ -1,5 +1,9 @@
 // Configuration API routes
 const express = require('express');
+const { requireRole } = require('../middleware/auth');
+
+// Top-level sections setConfig() understands - imports must contain at least one
+const CONFIG_SECTIONS = ['nina', 'database', 'streams', 'directories', 'dashboard', 'notifications', 'observatory', 'layout', 'advanced', 'imageGrading', 'pegasus', 'onboarding'];
 
 class ConfigRoutes {
   constructor(configDatabase, sessionStateManager = null) {
@@ -7,6 +11,15 @@ class ConfigRoutes {
     this.sessionStateManager = sessionStateManager; // Add sessionStateManager access
   }
 
+  // Credentials in the config are only shown to admins
+  redactSecrets(config) {
+    const redacted = JSON.parse(JSON.stringify(config));
+    if (redacted.notifications?.email?.password) redacted.notifications.email.password = '';
+    if (redacted.notifications?.push?.token) redacted.notifications.push.token = '';
+    if (redacted.notifications?.webhook?.url) redacted.notifications.webhook.url = ''; // Slack/Discord URLs embed their secret
+    return redacted;
+  }
+
   register(app) {
     // Enhanced health check endpoint with backend status
     app.get('/api/config/health', (req, res) => {
@@ -39,7 +52,7 @@ class ConfigRoutes {
     app.get('/api/config', (req, res) => {
       try {
         const config = this.configDatabase.getConfig();
-        res.json(config);
+        res.json(req.auth?.user.role === 'admin' ? config : this.redactSecrets(config));
       } catch (error) {
         console.error('Error getting config:', error);
         res.status(500).json({ error: 'Failed to get configuration' });
@@ -47,7 +60,7 @@ class ConfigRoutes {
     });
 
     // Update configuration (PUT)
-    app.put('/api/config', (req, res) => {
+    app.put('/api/config', requireRole('admin'), (req, res) => {
       try {
         this.configDatabase.setConfig(req.body);
         const updatedConfig = this.configDatabase.getConfig();
@@ -60,7 +73,7 @@ class ConfigRoutes {
     });
 
     // Update configuration (POST) - for compatibility with onboarding
-    app.post('/api/config', (req, res) => {
+    app.post('/api/config', requireRole('admin'), (req, res) => {
       try {
         this.configDatabase.setConfig(req.body);
         const updatedConfig = this.configDatabase.getConfig();
@@ -73,7 +86,7 @@ class ConfigRoutes {
     });
 
     // Export configuration
-    app.get('/api/config/export', (req, res) => {
+    app.get('/api/config/export', requireRole('admin'), (req, res) => {
       try {
         const config = this.configDatabase.getConfig();
         res.setHeader('Content-Type', 'application/json');
@@ -86,9 +99,17 @@ class ConfigRoutes {
     });
 
     // Import configuration
-    app.post('/api/config/import', (req, res) => {
+    app.post('/api/config/import', requireRole('admin'), (req, res) => {
       try {
-        this.configDatabase.setConfig(req.body);
+        const body = req.body;
+        const isConfig = body && typeof body === 'object' && !Array.isArray(body) &&
+          CONFIG_SECTIONS.some(section => body[section] && typeof body[section] === 'object');
+        if (!isConfig) {
+          return res.status(400).json({ error: 'Not a configuration export' });
+        }
+
+        this.configDatabase.setConfig(body);
+        console.log(`📥 Configuration imported by ${req.auth.user.username}`);
         const importedConfig = this.configDatabase.getConfig();
         res.json({
           success: true,
@@ -1,5 +1,6 @@
 // Dashboard widget management API routes
 const express = require('express');
+const { requireRole } = require('../middleware/auth');
 
 class DashboardRoutes {
   constructor(configDatabase) {
@@ -30,7 +31,7 @@ class DashboardRoutes {
     });
 
     // Add new widget
-    app.post('/api/dashboard-widgets', (req, res) => {
+    app.post('/api/dashboard-widgets', requireRole('operator'), (req, res) => {
       try {
         const widget = req.body;
         this.configDatabase.addWidget(widget);
@@ -42,7 +43,7 @@ class DashboardRoutes {
     });
 
     // Bulk widget layout update for drag-and-drop operations (MUST be before /:id route)
-    app.put('/api/dashboard-widgets/layout', (req, res) => {
+    app.put('/api/dashboard-widgets/layout', requireRole('operator'), (req, res) => {
       try {
         const { widgets } = req.body;
         
@@ -70,7 +71,7 @@ class DashboardRoutes {
     });
 
     // Update individual widget configuration
-    app.put('/api/dashboard-widgets/:id', (req, res) => {
+    app.put('/api/dashboard-widgets/:id', requireRole('operator'), (req, res) => {
       try {
         const id = req.params.id;
         const updates = req.body;
@@ -108,7 +109,7 @@ class DashboardRoutes {
     });
 
     // Delete widget
-    app.delete('/api/dashboard-widgets/:id', (req, res) => {
+    app.delete('/api/dashboard-widgets/:id', requireRole('operator'), (req, res) => {
       try {
         const id = req.params.id;
         this.configDatabase.removeWidget(id);
@@ -0,0 +1,60 @@
+// Image gallery API routes - paged NINA image history, cached thumbnails and original downloads
+// Larger renders for the comparison view come from /api/images/:index
+
+const { handleError } = require('../utils/routeHelpers');
+
+class GalleryRoutes {
+  constructor(imageGalleryService) {
+    this.imageGalleryService = imageGalleryService;
+  }
+
+  parseIndex(req, res) {
+    const index = Number(req.params.index);
+    if (!Number.isInteger(index) || index < 0) {
+      res.status(400).json({ error: 'index must be a non-negative integer' });
+      return null;
+    }
+    return index;
+  }
+
+  register(app) {
+    // Newest first - query: page, pageSize (1-100, default 24), target, filter, imageType, from, to (ISO times)
+    app.get('/api/gallery/images', async (req, res) => {
+      try {
+        res.json(await this.imageGalleryService.listImages(req.query));
+      } catch (error) {
+        handleError(res, error, 'Failed to list gallery images');
+      }
+    });
+
+    // Thumbnail JPEG - the URL carries the capture time, so browsers may keep it for a day
+    app.get('/api/gallery/images/:index/thumbnail', async (req, res) => {
+      const index = this.parseIndex(req, res);
+      if (index === null) return;
+
+      try {
+        const file = await this.imageGalleryService.getThumbnail(index);
+        res.set('Cache-Control', 'private, max-age=86400');
+        res.sendFile(file);
+      } catch (error) {
+        handleError(res, error, 'Failed to get thumbnail');
+      }
+    });
+
+    // Original file (FITS/XISF/TIFF) from directories.capturedImagesDirectory
+    app.get('/api/gallery/images/:index/original', async (req, res) => {
+      const index = this.parseIndex(req, res);
+      if (index === null) return;
+
+      try {
+        const original = await this.imageGalleryService.getOriginal(index);
+        console.log(`💾 Gallery download: ${original.filePath} (${req.auth?.user?.username || 'unknown user'})`);
+        res.download(original.filePath, original.fileName);
+      } catch (error) {
+        handleError(res, error, 'Failed to download original');
+      }
+    });
+  }
+}
+
+module.exports = GalleryRoutes;
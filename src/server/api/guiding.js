@@ -0,0 +1,27 @@
+// Guiding history API routes - stored guide steps, markers and RMS distributions
+
+const { handleError } = require('../utils/routeHelpers');
+const { parseTimeRange, parseMaxPoints } = require('../utils/timeRange');
+
+const DEFAULT_RANGE_HOURS = 12;
+const MAX_RANGE_DAYS = 180; // Everything guidingHistoryService keeps
+
+class GuidingRoutes {
+  constructor(guidingHistoryService) {
+    this.guidingHistoryService = guidingHistoryService;
+  }
+
+  register(app) {
+    // Downsampled guiding history - query: from, to (ISO times, default the last 12 hours), maxPoints (10-5000, default 600)
+    app.get('/api/guiding/history', (req, res) => {
+      try {
+        const { from, to } = parseTimeRange(req.query, { defaultHours: DEFAULT_RANGE_HOURS, maxDays: MAX_RANGE_DAYS });
+        res.json(this.guidingHistoryService.getHistory(from, to, parseMaxPoints(req.query.maxPoints)));
+      } catch (error) {
+        handleError(res, error, 'Failed to build guiding history');
+      }
+    });
+  }
+}
+
+module.exports = GuidingRoutes;
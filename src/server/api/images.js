@@ -0,0 +1,71 @@
+// Cached NINA image API routes - binary JPEG/WebP renders in thumb, preview and full sizes
+
+const { handleError } = require('../utils/routeHelpers');
+
+// Numbered image URLs carry the capture time (?t=) because NINA reuses indexes every session, so browsers can keep
+// them; 'latest' moves with every frame and is revalidated by ETag
+const CACHE_CONTROL_INDEXED = 'private, max-age=86400';
+const CACHE_CONTROL_LATEST = 'private, no-cache';
+
+/**
+ * Send a cached render with ETag/304 handling
+ * @param {Object} entry - from ImageCacheService.getImage()
+ * @param {boolean} isLatest - requested as 'latest' rather than by index
+ */
+function sendCachedImage(req, res, entry, isLatest) {
+  res.set({
+    'Content-Type': entry.contentType,
+    'ETag': entry.etag,
+    'Last-Modified': entry.createdAt.toUTCString(),
+    'Cache-Control': isLatest ? CACHE_CONTROL_LATEST : CACHE_CONTROL_INDEXED,
+    'Vary': 'Accept',
+    'X-Image-Index': String(entry.index),
+    'Access-Control-Expose-Headers': 'X-Image-Index, ETag'
+  });
+
+  if (req.headers['if-none-match'] === entry.etag) {
+    return res.status(304).end();
+  }
+
+  res.set('Content-Length', entry.bytes.length);
+  res.send(entry.bytes);
+}
+
+// format=jpeg|webp, or auto (default): WebP when the browser accepts it
+function chooseFormat(req) {
+  const format = req.query.format || 'auto';
+  if (format !== 'auto') return format;
+  return (req.headers.accept || '').includes('image/webp') ? 'webp' : 'jpeg';
+}
+
+class ImageRoutes {
+  constructor(imageCacheService) {
+    this.imageCacheService = imageCacheService;
+  }
+
+  register(app) {
+    // Cache size, hit/miss counts and whether WebP conversion works
+    app.get('/api/images/cache', (req, res) => {
+      res.json(this.imageCacheService.getStatus());
+    });
+
+    // One image by NINA history index or 'latest' - query: size (thumb|preview|full, default preview),
+    // format (auto|jpeg|webp), factor, blackClipping, unlinked, debayer, bayerPattern, and t (capture time, only
+    // there to make the URL unique per frame)
+    app.get('/api/images/:index', async (req, res) => {
+      try {
+        const entry = await this.imageCacheService.getImage(req.params.index, {
+          ...req.query,
+          format: chooseFormat(req)
+        });
+        sendCachedImage(req, res, entry, req.params.index === 'latest');
+      } catch (error) {
+        handleError(res, error, 'Failed to get image');
+      }
+    });
+  }
+}
+
+module.exports = ImageRoutes;
+module.exports.sendCachedImage = sendCachedImage;
+module.exports.chooseFormat = chooseFormat;
@@ -6,15 +6,44 @@ const AstronomicalRoutes = require('./astronomical');
 const NINARoutes = require('./nina');
 const DashboardRoutes = require('./dashboard');
 const PegasusRoutes = require('./pegasus');
+const PegasusHistoryRoutes = require('./pegasusHistory');
+const CameraRoutes = require('./camera');
+const StreamRoutes = require('./streams');
+const SessionRoutes = require('./sessions');
+const SafetyRoutes = require('./safety');
+const AlertRoutes = require('./alerts');
+const AuthRoutes = require('./auth');
+const GuidingRoutes = require('./guiding');
+const PlannerRoutes = require('./planner');
+const GalleryRoutes = require('./gallery');
+const ImageRoutes = require('./images');
+const PlateSolveRoutes = require('./platesolve');
+const AlpacaRoutes = require('./alpaca');
+const WeatherRoutes = require('./weather');
+const StreamRestreamer = require('../../services/streamRestreamer');
+const TargetPlannerService = require('../../services/targetPlannerService');
+const SchedulerForecastService = require('../../services/schedulerForecastService');
+const { ImageGalleryService } = require('../../services/imageGalleryService');
 
 class APIRoutes {
-  constructor(configDatabase, systemMonitor, ninaService, astronomicalService, targetSchedulerService, sessionStateManager = null) {
+  constructor(configDatabase, systemMonitor, ninaService, astronomicalService, targetSchedulerService, sessionStateManager = null, sessionHistoryService = null, safetyService = null, alertEngine = null, authService = null, guidingHistoryService = null, imageCacheService = null, plateSolveService = null, pegasusService = null, pegasusHistoryService = null, alpacaService = null, weatherHistoryService = null) {
     this.configDatabase = configDatabase;
     this.systemMonitor = systemMonitor;
     this.ninaService = ninaService;
     this.astronomicalService = astronomicalService;
     this.targetSchedulerService = targetSchedulerService;
     this.sessionStateManager = sessionStateManager; // Optional - no longer used
+    this.sessionHistoryService = sessionHistoryService;
+    this.safetyService = safetyService;
+    this.alertEngine = alertEngine;
+    this.authService = authService;
+    this.guidingHistoryService = guidingHistoryService;
+    this.imageCacheService = imageCacheService;
+    this.plateSolveService = plateSolveService;
+    this.pegasusService = pegasusService;
+    this.pegasusHistoryService = pegasusHistoryService;
+    this.alpacaService = alpacaService;
+    this.weatherHistoryService = weatherHistoryService;
     
     // Initialize Target Scheduler database
     try {
@@ -24,21 +53,45 @@ class APIRoutes {
       const resolvedPath = path.resolve(__dirname, '..', schedulerPath);
       console.log(`🔍 Loading Target Scheduler from database config: ${schedulerPath}`);
       console.log(`🔍 Resolved Target Scheduler path: ${resolvedPath}`);
-      this.targetSchedulerDb = getTargetSchedulerDatabase(resolvedPath);
+      this.targetSchedulerDb = getTargetSchedulerDatabase(resolvedPath, {
+        auditLog: configDatabase.schedulerAuditSchema
+      });
       console.log('✅ Target Scheduler database initialized from database configuration');
     } catch (error) {
       console.error('⚠️ Target Scheduler database not available:', error.message);
       this.targetSchedulerDb = null;
     }
     
+    this.targetPlannerService = new TargetPlannerService(targetSchedulerService, configDatabase);
+    this.schedulerForecastService = this.targetSchedulerDb
+      ? new SchedulerForecastService(this.targetSchedulerDb, this.targetPlannerService)
+      : null;
+
     // Initialize route modules
     this.configRoutes = new ConfigRoutes(configDatabase, sessionStateManager); // Pass sessionStateManager
     this.systemRoutes = new SystemRoutes(systemMonitor);
-    this.schedulerRoutes = new SchedulerRoutes(this.targetSchedulerDb);
+    this.schedulerRoutes = new SchedulerRoutes(this.targetSchedulerDb, this.schedulerForecastService);
     this.astronomicalRoutes = new AstronomicalRoutes(astronomicalService, configDatabase);
-    this.ninaRoutes = new NINARoutes(ninaService, sessionStateManager, configDatabase);
+    this.ninaRoutes = new NINARoutes(ninaService, sessionStateManager, configDatabase, imageCacheService);
     this.dashboardRoutes = new DashboardRoutes(configDatabase);
-    this.pegasusRoutes = PegasusRoutes; // Pegasus routes don't need dependencies
+    this.cameraRoutes = new CameraRoutes(configDatabase);
+    this.streamRestreamer = new StreamRestreamer();
+    this.streamRoutes = new StreamRoutes(this.streamRestreamer);
+    this.sessionRoutes = sessionHistoryService ? new SessionRoutes(sessionHistoryService) : null;
+    this.safetyRoutes = safetyService ? new SafetyRoutes(safetyService) : null;
+    this.alertRoutes = alertEngine ? new AlertRoutes(alertEngine) : null;
+    this.authRoutes = authService ? new AuthRoutes(authService) : null;
+    this.guidingRoutes = guidingHistoryService ? new GuidingRoutes(guidingHistoryService) : null;
+    this.plannerRoutes = new PlannerRoutes(this.targetPlannerService);
+    this.imageRoutes = imageCacheService ? new ImageRoutes(imageCacheService) : null;
+    this.galleryRoutes = imageCacheService
+      ? new GalleryRoutes(new ImageGalleryService(ninaService, configDatabase, imageCacheService))
+      : null;
+    this.plateSolveRoutes = plateSolveService ? new PlateSolveRoutes(plateSolveService) : null;
+    this.pegasusRoutes = pegasusService ? new PegasusRoutes(pegasusService) : null;
+    this.pegasusHistoryRoutes = pegasusHistoryService ? new PegasusHistoryRoutes(pegasusHistoryService) : null;
+    this.alpacaRoutes = alpacaService ? new AlpacaRoutes(alpacaService) : null;
+    this.weatherRoutes = weatherHistoryService ? new WeatherRoutes(weatherHistoryService) : null;
     
     console.log('🔧 Modular API Routes initialized with all services');
   }
@@ -47,6 +100,11 @@ class APIRoutes {
   register(app) {
     console.log('📋 Registering API routes...');
     
+    if (this.authRoutes) {
+      this.authRoutes.register(app);
+      console.log('✅ Authentication routes registered');
+    }
+    
     this.configRoutes.register(app);
     console.log('✅ Configuration routes registered');
     
@@ -65,8 +123,69 @@ class APIRoutes {
     this.dashboardRoutes.register(app);
     console.log('✅ Dashboard management routes registered');
     
-    app.use('/api/pegasus', this.pegasusRoutes);
-    console.log('✅ Pegasus Unity Platform routes registered');
+    this.cameraRoutes.register(app);
+    console.log('✅ Local camera routes registered');
+    
+    this.streamRoutes.register(app);
+    console.log('✅ Stream restreaming routes registered');
+    
+    if (this.sessionRoutes) {
+      this.sessionRoutes.register(app);
+      console.log('✅ Session history routes registered');
+    }
+    
+    if (this.safetyRoutes) {
+      this.safetyRoutes.register(app);
+      console.log('✅ Safety routes registered');
+    }
+    
+    if (this.alertRoutes) {
+      this.alertRoutes.register(app);
+      console.log('✅ Alert routes registered');
+    }
+    
+    if (this.guidingRoutes) {
+      this.guidingRoutes.register(app);
+      console.log('✅ Guiding history routes registered');
+    }
+    
+    this.plannerRoutes.register(app);
+    console.log('✅ Target planner routes registered');
+    
+    if (this.imageRoutes) {
+      this.imageRoutes.register(app);
+      console.log('✅ Image cache routes registered');
+    }
+    
+    if (this.galleryRoutes) {
+      this.galleryRoutes.register(app);
+      console.log('✅ Image gallery routes registered');
+    }
+    
+    if (this.plateSolveRoutes) {
+      this.plateSolveRoutes.register(app);
+      console.log('✅ Plate solve routes registered');
+    }
+    
+    if (this.pegasusRoutes) {
+      this.pegasusRoutes.register(app);
+      console.log('✅ Pegasus Unity Platform routes registered');
+    }
+
+    if (this.pegasusHistoryRoutes) {
+      this.pegasusHistoryRoutes.register(app);
+      console.log('✅ Pegasus telemetry history routes registered');
+    }
+
+    if (this.alpacaRoutes) {
+      this.alpacaRoutes.register(app);
+      console.log('✅ ASCOM Alpaca routes registered');
+    }
+
+    if (this.weatherRoutes) {
+      this.weatherRoutes.register(app);
+      console.log('✅ Weather history routes registered');
+    }
     
     console.log('🎯 All API routes registered successfully');
   }
@@ -1,11 +1,58 @@
 // NINA integration API routes
 const express = require('express');
+const { requireRole } = require('../middleware/auth');
+const { sendCachedImage, chooseFormat } = require('./images');
+
+// NINA mount tracking modes (ASCOM DriveRates plus NINA's "Stopped")
+const TRACKING_MODES = {
+  sidereal: 0,
+  lunar: 1,
+  solar: 2,
+  king: 3,
+  stopped: 4
+};
 
 class NINARoutes {
-  constructor(ninaService, sessionStateManager, configDatabase) {
+  constructor(ninaService, sessionStateManager, configDatabase, imageCacheService) {
     this.ninaService = ninaService;
     this.sessionStateManager = sessionStateManager;
     this.configDatabase = configDatabase;
+    this.imageCacheService = imageCacheService;
+  }
+
+  // Run an equipment action and reply using NINA's response envelope
+  async runAction(res, description, action) {
+    try {
+      console.log(`🎛️ API: ${description}`);
+      const result = await action();
+      res.json({
+        Response: result?.Response ?? null,
+        Success: true,
+        Error: null,
+        StatusCode: 200,
+        Type: 'API'
+      });
+    } catch (error) {
+      console.error(`❌ ${description} failed:`, error.message);
+      res.status(500).json({
+        Response: null,
+        Success: false,
+        Error: error.message,
+        StatusCode: 500,
+        Type: 'API'
+      });
+    }
+  }
+
+  // Reply with a 400 in NINA's response envelope
+  sendBadRequest(res, message) {
+    res.status(400).json({
+      Response: null,
+      Success: false,
+      Error: message,
+      StatusCode: 400,
+      Type: 'API'
+    });
   }
 
   register(app) {
@@ -101,7 +148,8 @@ class NINARoutes {
       }
     });
 
-    // Latest image endpoint - New 3-step implementation
+    // Latest image endpoint - metadata plus the URL of the cached render (/api/images/:index)
+    // ?includeImage=true also embeds the image as base64 for older clients
     app.get('/api/nina/latest-image', async (req, res) => {
       try {
         console.log('📸 API: Latest image request received');
@@ -117,6 +165,8 @@ class NINARoutes {
             imageBase64: null,
             imageContentType: null,
             imageStats: null,
+            imageIndex: null,
+            imageUrl: null,
             ExposureTime: null,
             message: 'No images available',
             Error: null
@@ -137,29 +187,27 @@ class NINARoutes {
             imageBase64: null,
             imageContentType: null,
             imageStats: null,
+            imageIndex: null,
+            imageUrl: null,
             ExposureTime: null,
             message: 'Failed to get image metadata',
             Error: 'Image metadata not available'
           });
         }
 
-        // Step 3: Get prepared image as binary data
+        // Step 3: Embed the cached preview only when asked to - the dashboard loads imageUrl directly
         let imageBase64 = null;
         let imageContentType = null;
 
-        try {
-          const imageData = await this.ninaService.getPreparedImageArrayBuffer();
-
-          // Convert array buffer to base64
-          const buffer = Buffer.from(imageData.bytes);
-          imageBase64 = buffer.toString('base64');
-          imageContentType = imageData.contentType;
-
-          console.log(`📸 Image encoded to base64: ${imageBase64.length} characters`);
-        } catch (imageError) {
-          console.error('❌ Failed to get prepared image:', imageError.message);
-          console.error('❌ Full error details:', imageError);
-          // Continue without image - still return metadata
+        if (req.query.includeImage === 'true') {
+          try {
+            const entry = await this.imageCacheService.getImage(imageIndex, { size: 'preview', format: 'jpeg' });
+            imageBase64 = entry.bytes.toString('base64');
+            imageContentType = entry.contentType;
+          } catch (imageError) {
+            console.error('❌ Failed to get latest image render:', imageError.message);
+            // Continue without image - still return metadata
+          }
         }
 
         // Return combined response
@@ -168,13 +216,16 @@ class NINARoutes {
           StatusCode: 200,
           imageBase64: imageBase64,
           imageContentType: imageContentType,
+          imageIndex,
+          // NINA restarts its numbering every session - the capture time keeps browsers from reusing an old frame's render
+          imageUrl: `/api/images/${imageIndex}?size=preview&t=${encodeURIComponent(imageStats.Date || '')}`,
           imageStats: imageStats,
           ExposureTime: imageStats.ExposureTime || 30, // Default to 30s if missing
-          message: imageBase64 ? 'Image and metadata retrieved successfully' : 'Metadata retrieved, image unavailable',
+          message: 'Metadata retrieved successfully',
           Error: null
         };
 
-        console.log(`📸 Returning response: ${imageBase64 ? 'with' : 'without'} image, ExposureTime: ${response.ExposureTime}s`);
+        console.log(`📸 Returning latest image ${imageIndex}, ExposureTime: ${response.ExposureTime}s`);
         res.json(response);
 
       } catch (error) {
@@ -184,6 +235,8 @@ class NINARoutes {
           StatusCode: 500,
           imageBase64: null,
           imageContentType: null,
+          imageIndex: null,
+          imageUrl: null,
           imageStats: null,
           ExposureTime: null,
           message: 'Failed to get latest image',
@@ -215,6 +268,52 @@ class NINARoutes {
       }
     });
 
+    // Mount control endpoints
+    app.post('/api/nina/mount/park', requireRole('operator'), (req, res) => {
+      this.runAction(res, 'Park mount', () => this.ninaService.parkMount());
+    });
+
+    app.post('/api/nina/mount/unpark', requireRole('operator'), (req, res) => {
+      this.runAction(res, 'Unpark mount', () => this.ninaService.unparkMount());
+    });
+
+    app.post('/api/nina/mount/home', requireRole('operator'), (req, res) => {
+      this.runAction(res, 'Home mount', () => this.ninaService.homeMount());
+    });
+
+    // Slew to coordinates - body: { ra, dec } in degrees (J2000)
+    app.post('/api/nina/mount/slew', requireRole('operator'), (req, res) => {
+      const ra = parseFloat(req.body?.ra);
+      const dec = parseFloat(req.body?.dec);
+
+      if (!Number.isFinite(ra) || ra < 0 || ra >= 360) {
+        return this.sendBadRequest(res, 'ra must be a number of degrees between 0 and 360');
+      }
+      if (!Number.isFinite(dec) || dec < -90 || dec > 90) {
+        return this.sendBadRequest(res, 'dec must be a number of degrees between -90 and 90');
+      }
+
+      this.runAction(res, `Slew mount to RA ${ra.toFixed(4)}° Dec ${dec.toFixed(4)}°`, () => this.ninaService.slewMount(ra, dec));
+    });
+
+    app.post('/api/nina/mount/abort-slew', requireRole('operator'), (req, res) => {
+      this.runAction(res, 'Abort mount slew', () => this.ninaService.abortSlew());
+    });
+
+    // Set tracking mode - body: { mode } as a name (sidereal, lunar, solar, king, stopped) or 0-4
+    app.post('/api/nina/mount/tracking', requireRole('operator'), (req, res) => {
+      const requested = req.body?.mode;
+      const mode = typeof requested === 'string' && TRACKING_MODES[requested.toLowerCase()] !== undefined
+        ? TRACKING_MODES[requested.toLowerCase()]
+        : parseInt(requested);
+
+      if (!Object.values(TRACKING_MODES).includes(mode)) {
+        return this.sendBadRequest(res, `mode must be one of: ${Object.keys(TRACKING_MODES).join(', ')}`);
+      }
+
+      this.runAction(res, `Set tracking mode ${mode}`, () => this.ninaService.setTrackingMode(mode));
+    });
+
     // Camera info endpoint
     app.get('/api/nina/camera', async (req, res) => {
       try {
@@ -226,6 +325,117 @@ class NINARoutes {
       }
     });
 
+    // Camera control endpoints
+    // Start a single test exposure - body: { duration (s), gain?, binning? e.g. "2x2" }
+    app.post('/api/nina/camera/capture', requireRole('operator'), (req, res) => {
+      const duration = parseFloat(req.body?.duration);
+      const hasGain = req.body?.gain !== undefined && req.body?.gain !== null && req.body?.gain !== '';
+      const gain = hasGain ? parseInt(req.body.gain) : undefined;
+      const binning = req.body?.binning;
+
+      if (!Number.isFinite(duration) || duration <= 0 || duration > 3600) {
+        return this.sendBadRequest(res, 'duration must be a number of seconds between 0 and 3600');
+      }
+      if (hasGain && (!Number.isInteger(gain) || gain < 0)) {
+        return this.sendBadRequest(res, 'gain must be a non-negative integer');
+      }
+      if (binning !== undefined && !/^[1-4]x[1-4]$/.test(binning)) {
+        return this.sendBadRequest(res, 'binning must look like 1x1, 2x2, 3x3 or 4x4');
+      }
+
+      this.runAction(res, `Capture ${duration}s exposure${binning ? ` at ${binning}` : ''}`, async () => {
+        if (binning) {
+          await this.ninaService.setCameraBinning(binning);
+        }
+        return this.ninaService.startCapture(duration, gain);
+      });
+    });
+
+    app.post('/api/nina/camera/abort', requireRole('operator'), (req, res) => {
+      this.runAction(res, 'Abort camera exposure', () => this.ninaService.abortExposure());
+    });
+
+    // Set the cooler setpoint - body: { temperature (°C), minutes? }
+    app.post('/api/nina/camera/cool', requireRole('operator'), (req, res) => {
+      const temperature = parseFloat(req.body?.temperature);
+      const minutes = req.body?.minutes !== undefined ? parseFloat(req.body.minutes) : undefined;
+
+      if (!Number.isFinite(temperature) || temperature < -50 || temperature > 30) {
+        return this.sendBadRequest(res, 'temperature must be a number of °C between -50 and 30');
+      }
+      if (minutes !== undefined && (!Number.isFinite(minutes) || minutes < 0 || minutes > 120)) {
+        return this.sendBadRequest(res, 'minutes must be between 0 and 120');
+      }
+
+      this.runAction(res, `Cool camera to ${temperature}°C`, () => this.ninaService.coolCamera(temperature, minutes));
+    });
+
+    // Start a controlled warm-up - body: { minutes? }
+    app.post('/api/nina/camera/warm', requireRole('operator'), (req, res) => {
+      const minutes = req.body?.minutes !== undefined ? parseFloat(req.body.minutes) : undefined;
+
+      if (minutes !== undefined && (!Number.isFinite(minutes) || minutes < 0 || minutes > 120)) {
+        return this.sendBadRequest(res, 'minutes must be between 0 and 120');
+      }
+
+      this.runAction(res, 'Warm camera', () => this.ninaService.warmCamera(minutes));
+    });
+
+    // Advanced sequence tree and the instruction currently running
+    app.get('/api/nina/sequence', async (req, res) => {
+      try {
+        const sequence = await this.ninaService.getSequenceState();
+        res.json({
+          success: true,
+          ...sequence,
+          lastUpdate: new Date().toISOString()
+        });
+      } catch (error) {
+        console.error('Error getting sequence state:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
+    // Sequence files available to load in NINA
+    app.get('/api/nina/sequence/list', async (req, res) => {
+      try {
+        const sequences = await this.ninaService.listSequences();
+        res.json({ success: true, sequences });
+      } catch (error) {
+        console.error('Error listing sequences:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
+    // Sequence control endpoints
+    // Load a sequence file - body: { sequenceName }
+    app.post('/api/nina/sequence/load', requireRole('operator'), (req, res) => {
+      const sequenceName = req.body?.sequenceName;
+      if (typeof sequenceName !== 'string' || !sequenceName.trim()) {
+        return this.sendBadRequest(res, 'sequenceName is required');
+      }
+
+      this.runAction(res, `Load sequence ${sequenceName}`, () => this.ninaService.loadSequence(sequenceName.trim()));
+    });
+
+    // Start the loaded sequence - body: { skipValidation? }
+    app.post('/api/nina/sequence/start', requireRole('operator'), (req, res) => {
+      const skipValidation = req.body?.skipValidation === true;
+      this.runAction(res, 'Start sequence', () => this.ninaService.startSequence(skipValidation));
+    });
+
+    app.post('/api/nina/sequence/stop', requireRole('operator'), (req, res) => {
+      this.runAction(res, 'Stop sequence', () => this.ninaService.stopSequence());
+    });
+
+    app.post('/api/nina/sequence/skip', requireRole('operator'), (req, res) => {
+      this.runAction(res, 'Skip sequence item', () => this.ninaService.skipSequenceItem());
+    });
+
+    app.post('/api/nina/sequence/reset', requireRole('operator'), (req, res) => {
+      this.runAction(res, 'Reset sequence', () => this.ninaService.resetSequence());
+    });
+
     // Event history endpoint
     app.get('/api/nina/event-history', async (req, res) => {
       try {
@@ -270,66 +480,22 @@ class NINARoutes {
       }
     });
 
-    // Proxy NINA prepared-image endpoint
+    // NINA's prepared (latest) image, served from the image cache as binary
+    // resize=true or size=WxH gives the preview render, otherwise the full-size one; format as /api/images/:index
     app.get('/api/nina/prepared-image', async (req, res) => {
       try {
-        const config = this.configDatabase.getConfig();
-        // Remove trailing slash from baseUrl if present
-        const baseUrl = config.nina.baseUrl.replace(/\/$/, '');
-        const ninaApiUrl = `${baseUrl}:${config.nina.apiPort}`;
-
-        // Build query parameters from request
-        const queryParams = new URLSearchParams();
-        if (req.query.resize) queryParams.set('resize', req.query.resize);
-        if (req.query.size) queryParams.set('size', req.query.size);
-        if (req.query.autoPrepare) queryParams.set('autoPrepare', req.query.autoPrepare);
-
-        const preparedImageUrl = `${ninaApiUrl}/v2/api/prepared-image?${queryParams.toString()}`;
-        console.log('📸 Proxying prepared-image request to:', preparedImageUrl);
-
-        // Use axios for HTTP request instead of fetch
-        const axios = require('axios');
-        const response = await axios.get(preparedImageUrl, {
-          responseType: 'arraybuffer',
-          timeout: 30000, // 30 second timeout
-          validateStatus: function (status) {
-            // Accept 200-299 range and 304 (Not Modified)
-            return (status >= 200 && status < 300) || status === 304;
-          }
-        });
-
-        // Handle 304 Not Modified - return empty response
-        if (response.status === 304) {
-          console.log('📸 Image not modified (304), sending empty response');
-          return res.status(304).end();
-        }
-
-        if (response.status === 404) {
+        const size = req.query.resize === 'true' || req.query.size ? 'preview' : 'full';
+        const entry = await this.imageCacheService.getImage('latest', { size, format: chooseFormat(req) });
+        sendCachedImage(req, res, entry, true);
+      } catch (error) {
+        if (error.statusCode === 404) {
           return res.status(404).json({
             error: 'No prepared image available',
             message: 'NINA has no prepared image ready yet'
           });
         }
-
-        if (response.status !== 200) {
-          throw new Error(`NINA API error: ${response.status} ${response.statusText}`);
-        }
-
-        // Get content type from response headers
-        const contentType = response.headers['content-type'] || 'image/jpeg';
-
-        res.set({
-          'Content-Type': contentType,
-          'Content-Length': response.data.length,
-          'Cache-Control': 'no-cache, no-store, must-revalidate'
-        });
-
-        res.send(response.data);
-        console.log('✅ Prepared image proxied successfully:', response.data.length, 'bytes');
-
-      } catch (error) {
-        console.error('❌ Error proxying prepared-image:', error.message);
-        res.status(500).json({
+        console.error('❌ Error getting prepared-image:', error.message);
+        res.status(error.statusCode || 500).json({
           error: 'Failed to get prepared image',
           details: error.message
         });
@@ -390,7 +556,7 @@ class NINARoutes {
     });
 
     // Test NINA connection endpoint for onboarding
-    app.post('/api/nina/test-connection', async (req, res) => {
+    app.post('/api/nina/test-connection', requireRole('admin'), async (req, res) => {
       try {
         const { ip, port } = req.body;
 
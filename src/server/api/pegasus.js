@@ -1,252 +1,215 @@
 /**
  * Pegasus Unity Platform API Proxy Endpoints
- * Proxies requests to Pegasus Unity Platform running on localhost:32000
+ * Proxies requests to the Pegasus Unity Platform (pegasus.unityBaseUrl, default localhost:32000)
+ * through the shared PegasusService client
+ * Port switching, dew heater and label changes need the operator role
  * Last Updated: December 15, 2025
  */
 
-const express = require('express');
-const router = express.Router();
+const { requireRole } = require('../middleware/auth');
+const {
+  POWER_DEVICE_TYPES,
+  describePorts,
+  switchCommand,
+  dewCommand,
+  autoDewCommand,
+  normalizeLabels
+} = require('../../services/pegasusPorts');
+const { ApiError, handleError } = require('../utils/routeHelpers');
 
-/**
- * Check if Pegasus Unity Platform is running
- * GET /api/pegasus/status
- */
-router.get('/status', async (req, res) => {
-  try {
-    const { ConfigDatabase } = require('../configDatabase');
-    const configDb = new ConfigDatabase();
-    const config = configDb.getConfig();
-    
-    const baseUrl = config['pegasus.unityBaseUrl'] || 'http://localhost:32000';
-    
-    const response = await fetch(`${baseUrl}/Server/DeviceManager/Connected`);
-    
-    if (!response.ok) {
-      return res.json({
-        available: false,
-        error: `Pegasus Unity not responding (HTTP ${response.status})`
-      });
-    }
-    
-    const result = await response.json();
-    
-    res.json({
-      available: result.status === 'success',
-      connected: result.status === 'success',
-      deviceCount: result.data?.length || 0,
-      message: result.message
+// deviceType and uniqueKey of a control request - only power devices can be switched
+function getTargetDevice(source = {}) {
+  const { deviceType, uniqueKey } = source;
+  if (!POWER_DEVICE_TYPES.includes(deviceType)) {
+    throw new ApiError(`deviceType must be one of: ${POWER_DEVICE_TYPES.join(', ')}`);
+  }
+  if (!uniqueKey || typeof uniqueKey !== 'string') {
+    throw new ApiError('Missing required parameter: uniqueKey');
+  }
+  return { deviceType, uniqueKey };
+}
+
+// deviceType and uniqueKey of a report request
+function getReportDevice(query = {}) {
+  const { deviceType, uniqueKey } = query;
+  if (!deviceType || !uniqueKey) {
+    throw new ApiError('Missing required parameters: deviceType and uniqueKey');
+  }
+  return { deviceType: String(deviceType), uniqueKey: String(uniqueKey) };
+}
+
+class PegasusRoutes {
+  constructor(pegasusService) {
+    this.pegasusService = pegasusService;
+  }
+
+  register(app) {
+    /**
+     * Check if Pegasus Unity Platform is running, with the client's health
+     * GET /api/pegasus/status
+     */
+    app.get('/api/pegasus/status', async (req, res) => {
+      res.json(await this.pegasusService.getStatus());
     });
-  } catch (error) {
-    res.json({
-      available: false,
-      connected: false,
-      error: error.message || 'Failed to connect to Pegasus Unity Platform'
+
+    /**
+     * Get list of connected Pegasus power devices
+     * GET /api/pegasus/devices
+     */
+    app.get('/api/pegasus/devices', async (req, res) => {
+      try {
+        const powerDevices = await this.pegasusService.getPowerDevices();
+        res.json({
+          status: 'success',
+          devices: powerDevices,
+          totalCount: powerDevices.length
+        });
+      } catch (error) {
+        handleError(res, error, 'Failed to fetch devices');
+      }
     });
-  }
-});
 
-/**
- * Get list of connected Pegasus devices
- * GET /api/pegasus/devices
- */
-router.get('/devices', async (req, res) => {
-  try {
-    const { ConfigDatabase } = require('../configDatabase');
-    const configDb = new ConfigDatabase();
-    const config = configDb.getConfig();
-    
-    const baseUrl = config['pegasus.unityBaseUrl'] || 'http://localhost:32000';
-    
-    const response = await fetch(`${baseUrl}/Server/DeviceManager/Connected`);
-    
-    if (!response.ok) {
-      return res.status(response.status).json({
-        error: `Pegasus Unity returned HTTP ${response.status}`
-      });
-    }
-    
-    const result = await response.json();
-    
-    if (result.status !== 'success') {
-      return res.status(500).json({
-        error: result.message || 'Failed to get connected devices'
-      });
-    }
-    
-    // Filter for power devices only
-    const powerDeviceTypes = ['PPBAdvance', 'PPB', 'PPBMicro', 'UPBv3', 'UPBv2', 'SaddlePowerBox'];
-    const powerDevices = result.data.filter(device => 
-      powerDeviceTypes.includes(device.name)
-    );
-    
-    res.json({
-      status: 'success',
-      devices: powerDevices,
-      totalCount: powerDevices.length
+    /**
+     * Get aggregate report for a specific device (all data)
+     * GET /api/pegasus/report
+     * Query params: deviceType, uniqueKey
+     */
+    app.get('/api/pegasus/report', async (req, res) => {
+      try {
+        const { deviceType, uniqueKey } = getReportDevice(req.query);
+        res.json(await this.pegasusService.getReport(deviceType, uniqueKey));
+      } catch (error) {
+        handleError(res, error, 'Failed to fetch report');
+      }
     });
-  } catch (error) {
-    console.error('Error fetching Pegasus devices:', error);
-    res.status(500).json({
-      error: error.message || 'Failed to fetch devices'
+
+    /**
+     * Get power metrics only (lighter payload)
+     * GET /api/pegasus/power
+     * Query params: deviceType, uniqueKey
+     */
+    app.get('/api/pegasus/power', async (req, res) => {
+      try {
+        const { deviceType, uniqueKey } = getReportDevice(req.query);
+        res.json(await this.pegasusService.getReport(deviceType, uniqueKey, 'Power'));
+      } catch (error) {
+        handleError(res, error, 'Failed to fetch power data');
+      }
     });
-  }
-});
 
-/**
- * Get aggregate report for a specific device (all data)
- * GET /api/pegasus/report
- * Query params: deviceType, uniqueKey
- */
-router.get('/report', async (req, res) => {
-  try {
-    const { deviceType, uniqueKey } = req.query;
-    
-    if (!deviceType || !uniqueKey) {
-      return res.status(400).json({
-        error: 'Missing required parameters: deviceType and uniqueKey'
-      });
-    }
-    
-    const { ConfigDatabase } = require('../configDatabase');
-    const configDb = new ConfigDatabase();
-    const config = configDb.getConfig();
-    
-    const baseUrl = config['pegasus.unityBaseUrl'] || 'http://localhost:32000';
-    const url = `${baseUrl}/Driver/${deviceType}/Report?DriverUniqueKey=${uniqueKey}`;
-    
-    const response = await fetch(url);
-    
-    if (!response.ok) {
-      return res.status(response.status).json({
-        error: `Failed to fetch report: HTTP ${response.status}`
-      });
-    }
-    
-    const result = await response.json();
-    
-    if (result.status !== 'success') {
-      return res.status(500).json({
-        error: result.message || 'Failed to get power report'
-      });
-    }
-    
-    res.json(result);
-  } catch (error) {
-    console.error('Error fetching Pegasus report:', error);
-    res.status(500).json({
-      error: error.message || 'Failed to fetch report'
+    /**
+     * Get power consumption metrics
+     * GET /api/pegasus/consumption
+     * Query params: deviceType, uniqueKey
+     */
+    app.get('/api/pegasus/consumption', async (req, res) => {
+      try {
+        const { deviceType, uniqueKey } = getReportDevice(req.query);
+        res.json(await this.pegasusService.getReport(deviceType, uniqueKey, 'PowerConsumption'));
+      } catch (error) {
+        handleError(res, error, 'Failed to fetch consumption data');
+      }
     });
-  }
-});
 
-/**
- * Get power metrics only (lighter payload)
- * GET /api/pegasus/power
- * Query params: deviceType, uniqueKey
- */
-router.get('/power', async (req, res) => {
-  try {
-    const { deviceType, uniqueKey } = req.query;
-    
-    if (!deviceType || !uniqueKey) {
-      return res.status(400).json({
-        error: 'Missing required parameters: deviceType and uniqueKey'
-      });
-    }
-    
-    const { ConfigDatabase } = require('../configDatabase');
-    const configDb = new ConfigDatabase();
-    const config = configDb.getConfig();
-    
-    const baseUrl = config['pegasus.unityBaseUrl'] || 'http://localhost:32000';
-    const url = `${baseUrl}/Driver/${deviceType}/Report/Power?DriverUniqueKey=${uniqueKey}`;
-    
-    const response = await fetch(url);
-    
-    if (!response.ok) {
-      return res.status(response.status).json({
-        error: `Failed to fetch power data: HTTP ${response.status}`
-      });
-    }
-    
-    const result = await response.json();
-    res.json(result);
-  } catch (error) {
-    console.error('Error fetching Pegasus power data:', error);
-    res.status(500).json({
-      error: error.message || 'Failed to fetch power data'
+    /**
+     * Get telemetry data for session monitoring
+     * GET /api/pegasus/telemetry
+     */
+    app.get('/api/pegasus/telemetry', async (req, res) => {
+      try {
+        res.json(await this.pegasusService.getTelemetry());
+      } catch (error) {
+        handleError(res, error, 'Failed to fetch telemetry');
+      }
     });
-  }
-});
 
-/**
- * Get power consumption metrics
- * GET /api/pegasus/consumption
- * Query params: deviceType, uniqueKey
- */
-router.get('/consumption', async (req, res) => {
-  try {
-    const { deviceType, uniqueKey } = req.query;
-    
-    if (!deviceType || !uniqueKey) {
-      return res.status(400).json({
-        error: 'Missing required parameters: deviceType and uniqueKey'
-      });
-    }
-    
-    const { ConfigDatabase } = require('../configDatabase');
-    const configDb = new ConfigDatabase();
-    const config = configDb.getConfig();
-    
-    const baseUrl = config['pegasus.unityBaseUrl'] || 'http://localhost:32000';
-    const url = `${baseUrl}/Driver/${deviceType}/Report/PowerConsumption?DriverUniqueKey=${uniqueKey}`;
-    
-    const response = await fetch(url);
-    
-    if (!response.ok) {
-      return res.status(response.status).json({
-        error: `Failed to fetch consumption data: HTTP ${response.status}`
-      });
-    }
-    
-    const result = await response.json();
-    res.json(result);
-  } catch (error) {
-    console.error('Error fetching Pegasus consumption data:', error);
-    res.status(500).json({
-      error: error.message || 'Failed to fetch consumption data'
+    /**
+     * Switchable 12V/USB ports and dew heaters of a device, with user labels
+     * GET /api/pegasus/ports
+     * Query params: deviceType, uniqueKey
+     */
+    app.get('/api/pegasus/ports', async (req, res) => {
+      try {
+        const { deviceType, uniqueKey } = getTargetDevice(req.query);
+        const report = await this.pegasusService.getReport(deviceType, uniqueKey);
+        res.json(describePorts(report.data.message, this.pegasusService.getSettings().portLabels));
+      } catch (error) {
+        handleError(res, error, 'Failed to fetch Pegasus ports');
+      }
     });
-  }
-});
 
-/**
- * Get telemetry data for session monitoring
- * GET /api/pegasus/telemetry
- */
-router.get('/telemetry', async (req, res) => {
-  try {
-    const { ConfigDatabase } = require('../configDatabase');
-    const configDb = new ConfigDatabase();
-    const config = configDb.getConfig();
-    
-    const baseUrl = config['pegasus.unityBaseUrl'] || 'http://localhost:32000';
-    
-    const response = await fetch(`${baseUrl}/Server/TelemetryDevices`);
-    
-    if (!response.ok) {
-      return res.status(response.status).json({
-        error: `Failed to fetch telemetry: HTTP ${response.status}`
-      });
-    }
-    
-    const result = await response.json();
-    res.json(result);
-  } catch (error) {
-    console.error('Error fetching Pegasus telemetry:', error);
-    res.status(500).json({
-      error: error.message || 'Failed to fetch telemetry'
+    /**
+     * Switch one 12V or USB port on or off
+     * POST /api/pegasus/ports/:portId/switch
+     * Body: { deviceType, uniqueKey, on }
+     */
+    app.post('/api/pegasus/ports/:portId/switch', requireRole('operator'), async (req, res) => {
+      try {
+        const device = getTargetDevice(req.body);
+        if (typeof req.body.on !== 'boolean') {
+          throw new ApiError('on must be true or false');
+        }
+
+        await this.pegasusService.sendCommand(device, switchCommand(req.params.portId, req.body.on));
+        console.log(`🔌 Pegasus ${req.params.portId} switched ${req.body.on ? 'on' : 'off'} (${req.auth?.user?.username || 'unknown user'})`);
+        res.json({ success: true, portId: req.params.portId, on: req.body.on });
+      } catch (error) {
+        handleError(res, error, 'Failed to switch Pegasus port');
+      }
+    });
+
+    /**
+     * Turn automatic dew heater control on or off
+     * POST /api/pegasus/dew/auto
+     * Body: { deviceType, uniqueKey, enabled }
+     */
+    app.post('/api/pegasus/dew/auto', requireRole('operator'), async (req, res) => {
+      try {
+        const device = getTargetDevice(req.body);
+        if (typeof req.body.enabled !== 'boolean') {
+          throw new ApiError('enabled must be true or false');
+        }
+
+        await this.pegasusService.sendCommand(device, autoDewCommand(req.body.enabled));
+        console.log(`🔌 Pegasus auto-dew ${req.body.enabled ? 'on' : 'off'} (${req.auth?.user?.username || 'unknown user'})`);
+        res.json({ success: true, autoDew: req.body.enabled });
+      } catch (error) {
+        handleError(res, error, 'Failed to set Pegasus auto-dew');
+      }
+    });
+
+    /**
+     * Set one dew heater's duty cycle
+     * POST /api/pegasus/dew/:number
+     * Body: { deviceType, uniqueKey, power } - percent, 0 turns the heater off
+     */
+    app.post('/api/pegasus/dew/:number', requireRole('operator'), async (req, res) => {
+      try {
+        const device = getTargetDevice(req.body);
+        const number = Number(req.params.number);
+        const power = Number(req.body.power);
+
+        await this.pegasusService.sendCommand(device, dewCommand(number, power));
+        console.log(`🔌 Pegasus dew heater ${number} set to ${Math.round(power)}% (${req.auth?.user?.username || 'unknown user'})`);
+        res.json({ success: true, number, power: Math.round(power) });
+      } catch (error) {
+        handleError(res, error, 'Failed to set Pegasus dew heater');
+      }
+    });
+
+    /**
+     * Rename ports - labels are merged into pegasus.portLabels, a blank label restores the default name
+     * PUT /api/pegasus/labels
+     * Body: { labels: { [portId]: label } }
+     */
+    app.put('/api/pegasus/labels', requireRole('operator'), (req, res) => {
+      try {
+        res.json({ labels: this.pegasusService.savePortLabels(normalizeLabels(req.body?.labels)) });
+      } catch (error) {
+        handleError(res, error, 'Failed to save Pegasus port labels');
+      }
     });
   }
-});
+}
 
-module.exports = router;
+module.exports = PegasusRoutes;
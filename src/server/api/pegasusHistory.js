@@ -0,0 +1,23 @@
+// Pegasus telemetry history API routes - sampled power box telemetry, energy totals and power events
+
+const { handleError } = require('../utils/routeHelpers');
+
+class PegasusHistoryRoutes {
+  constructor(pegasusHistoryService) {
+    this.pegasusHistoryService = pegasusHistoryService;
+  }
+
+  register(app) {
+    // Downsampled telemetry, Wh/Ah per port and per night, low-voltage and over-current events
+    // Query: from, to (ISO times, default the last 24 hours), maxPoints (10-5000, default 600), uniqueKey (default latest device)
+    app.get('/api/pegasus/history', (req, res) => {
+      try {
+        res.json(this.pegasusHistoryService.getHistory(req.query));
+      } catch (error) {
+        handleError(res, error, 'Failed to get Pegasus telemetry history');
+      }
+    });
+  }
+}
+
+module.exports = PegasusHistoryRoutes;
@@ -0,0 +1,30 @@
+// Target planner API routes - tonight's visibility of the active Target Scheduler targets
+
+class PlannerRoutes {
+  constructor(targetPlannerService) {
+    this.targetPlannerService = targetPlannerService;
+  }
+
+  register(app) {
+    // Altitude curves, transit, moon separation and hours above the horizon - query: minAltitude (0-89 degrees,
+    // default observatory.minimumAltitude)
+    app.get('/api/planner/tonight', (req, res) => {
+      try {
+        let minimumAltitude;
+        if (req.query.minAltitude !== undefined) {
+          minimumAltitude = parseFloat(req.query.minAltitude);
+          if (!Number.isFinite(minimumAltitude) || minimumAltitude < 0 || minimumAltitude >= 90) {
+            return res.status(400).json({ error: 'minAltitude must be between 0 and 90 degrees' });
+          }
+        }
+
+        res.json(this.targetPlannerService.getTonight({ minimumAltitude }));
+      } catch (error) {
+        console.error('Error planning tonight\'s targets:', error);
+        res.status(500).json({ error: 'Failed to plan tonight\'s targets' });
+      }
+    });
+  }
+}
+
+module.exports = PlannerRoutes;
@@ -0,0 +1,31 @@
+// Plate solve API routes - the latest solve and the per-frame pointing log
+
+const { handleError } = require('../utils/routeHelpers');
+
+class PlateSolveRoutes {
+  constructor(plateSolveService) {
+    this.plateSolveService = plateSolveService;
+  }
+
+  register(app) {
+    // Most recent light frame solve with its pointing and rotation error, or null
+    app.get('/api/platesolve/latest', (req, res) => {
+      try {
+        res.json({ solve: this.plateSolveService.getLatest() });
+      } catch (error) {
+        handleError(res, error, 'Failed to get latest plate solve');
+      }
+    });
+
+    // Every solve between from and to (ISO times, default the last 24 hours), oldest first
+    app.get('/api/platesolve/history', (req, res) => {
+      try {
+        res.json(this.plateSolveService.getHistory(req.query));
+      } catch (error) {
+        handleError(res, error, 'Failed to get plate solve history');
+      }
+    });
+  }
+}
+
+module.exports = PlateSolveRoutes;
@@ -0,0 +1,22 @@
+// Observatory safety API routes - aggregated safety monitor, dome/roof, flat panel and sun status
+
+class SafetyRoutes {
+  constructor(safetyService) {
+    this.safetyService = safetyService;
+  }
+
+  register(app) {
+    // Current safety status - ?refresh=true skips the short server cache
+    app.get('/api/safety', async (req, res) => {
+      try {
+        const status = await this.safetyService.getStatus(req.query.refresh === 'true');
+        res.json(status);
+      } catch (error) {
+        console.error('Error getting safety status:', error);
+        res.status(500).json({ error: 'Failed to get safety status', details: error.message });
+      }
+    });
+  }
+}
+
+module.exports = SafetyRoutes;
@@ -1,20 +1,25 @@
 // Target scheduler API routes
 const express = require('express');
+const { requireRole } = require('../middleware/auth');
+const { handleError } = require('../utils/routeHelpers');
 
 class SchedulerRoutes {
-  constructor(targetSchedulerDb) {
+  constructor(targetSchedulerDb, schedulerForecastService = null) {
     this.targetSchedulerDb = targetSchedulerDb;
+    this.schedulerForecastService = schedulerForecastService;
   }
 
   register(app) {
-    // Get project progress overview
+    // Get project progress overview (?includeInactive=true adds paused projects)
     app.get('/api/scheduler/progress', async (req, res) => {
       try {
         if (!this.targetSchedulerDb) {
           return res.status(503).json({ error: 'Target Scheduler database not available' });
         }
 
-        const projects = this.targetSchedulerDb.getProjectProgress();
+        const projects = this.targetSchedulerDb.getProjectProgress({
+          includeInactive: req.query.includeInactive === 'true'
+        });
 
         // Get current session target to determine which project is currently active
         let currentTargetName = null;
@@ -39,10 +44,11 @@ class SchedulerRoutes {
             )
         }));
 
-        // Sort projects: currently active first, then by priority, then by completion
+        // Sort projects: currently active first, paused last, then by priority, then by completion
         enhancedProjects.sort((a, b) => {
           if (a.isCurrentlyActive && !b.isCurrentlyActive) return -1;
           if (!a.isCurrentlyActive && b.isCurrentlyActive) return 1;
+          if (a.state !== b.state) return a.state - b.state;
           if (b.priority !== a.priority) return b.priority - a.priority;
           return b.totalCompletion - a.totalCompletion;
         });
@@ -60,6 +66,24 @@ class SchedulerRoutes {
       }
     });
 
+    // Completion forecast per active project - clear nights left and calendar date (?days= of history, default 30)
+    app.get('/api/scheduler/forecast', async (req, res) => {
+      try {
+        if (!this.schedulerForecastService) {
+          return res.status(503).json({ error: 'Target Scheduler database not available' });
+        }
+
+        const days = req.query.days !== undefined ? parseInt(req.query.days) : undefined;
+        if (days !== undefined && (!Number.isInteger(days) || days < 1 || days > 365)) {
+          return res.status(400).json({ error: 'days must be between 1 and 365' });
+        }
+
+        res.json(await this.schedulerForecastService.getForecast({ days }));
+      } catch (error) {
+        handleError(res, error, 'Failed to build scheduler forecast');
+      }
+    });
+
     // Get detailed project information
     app.get('/api/scheduler/project/:id', async (req, res) => {
       try {
@@ -81,6 +105,60 @@ class SchedulerRoutes {
       }
     });
 
+    // Pause/resume a project or change its priority - body: { state?: 1 | 2, priority?: 0 | 1 | 2 }
+    // Each change backs up schedulerdb.sqlite first and is written to the audit log
+    app.put('/api/scheduler/project/:id', requireRole('operator'), async (req, res) => {
+      try {
+        if (!this.targetSchedulerDb) {
+          return res.status(503).json({ error: 'Target Scheduler database not available' });
+        }
+
+        const { state, priority } = req.body || {};
+        const result = await this.targetSchedulerDb.updateProject(
+          parseInt(req.params.id),
+          { state, priority },
+          req.auth?.user?.username || null
+        );
+        res.json(result);
+      } catch (error) {
+        handleError(res, error, 'Failed to update project');
+      }
+    });
+
+    // Change the desired exposure count of one of the project's exposure plans - body: { desired }
+    app.put('/api/scheduler/project/:id/exposureplan/:planId', requireRole('operator'), async (req, res) => {
+      try {
+        if (!this.targetSchedulerDb) {
+          return res.status(503).json({ error: 'Target Scheduler database not available' });
+        }
+
+        const result = await this.targetSchedulerDb.updateExposurePlan(
+          parseInt(req.params.id),
+          parseInt(req.params.planId),
+          { desired: req.body?.desired },
+          req.auth?.user?.username || null
+        );
+        res.json(result);
+      } catch (error) {
+        handleError(res, error, 'Failed to update exposure plan');
+      }
+    });
+
+    // Changes made to the Target Scheduler database from the dashboard, newest first
+    app.get('/api/scheduler/audit', async (req, res) => {
+      try {
+        if (!this.targetSchedulerDb) {
+          return res.status(503).json({ error: 'Target Scheduler database not available' });
+        }
+
+        const projectId = req.query.projectId ? parseInt(req.query.projectId) : null;
+        const limit = Math.min(500, parseInt(req.query.limit) || 100);
+        res.json({ entries: this.targetSchedulerDb.getAuditLog({ projectId, limit }) });
+      } catch (error) {
+        handleError(res, error, 'Failed to get scheduler audit log');
+      }
+    });
+
     // Get scheduler status (current/next target)
     app.get('/api/scheduler/status', async (req, res) => {
       try {
@@ -113,7 +191,7 @@ class SchedulerRoutes {
     });
 
     // Check if scheduler database file exists
-    app.post('/api/scheduler/check-file', async (req, res) => {
+    app.post('/api/scheduler/check-file', requireRole('admin'), async (req, res) => {
       try {
         const { path } = req.body;
 
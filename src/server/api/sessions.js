@@ -0,0 +1,39 @@
+// Session history API routes - per-night archive and reports
+
+class SessionRoutes {
+  constructor(sessionHistoryService) {
+    this.sessionHistoryService = sessionHistoryService;
+  }
+
+  register(app) {
+    // List archived nights, newest first - query: limit (1-365, default 30), offset
+    app.get('/api/sessions', (req, res) => {
+      try {
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 30, 1), 365);
+        const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+        const result = this.sessionHistoryService.listSessions(limit, offset);
+        res.json({ ...result, limit, offset });
+      } catch (error) {
+        console.error('Error listing sessions:', error);
+        res.status(500).json({ error: 'Failed to list sessions' });
+      }
+    });
+
+    // Full report for one night
+    app.get('/api/sessions/:uuid/report', (req, res) => {
+      try {
+        const report = this.sessionHistoryService.getReport(req.params.uuid);
+        if (!report) {
+          return res.status(404).json({ error: 'Session not found' });
+        }
+        res.json(report);
+      } catch (error) {
+        console.error('Error building session report:', error);
+        res.status(500).json({ error: 'Failed to build session report' });
+      }
+    });
+  }
+}
+
+module.exports = SessionRoutes;
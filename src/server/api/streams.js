@@ -0,0 +1,65 @@
+// Live stream restreaming API routes (RTSP/MJPEG feeds -> browser MJPEG)
+
+class StreamRoutes {
+  constructor(streamRestreamer) {
+    this.streamRestreamer = streamRestreamer;
+  }
+
+  // Validate :index against the configured feeds, replying 404 when it isn't usable
+  getFeedIndex(req, res) {
+    const index = parseInt(req.params.index, 10);
+
+    if (!this.streamRestreamer.isConfigured(index)) {
+      res.status(404).json({ error: `Stream ${req.params.index} is not configured` });
+      return null;
+    }
+    return index;
+  }
+
+  register(app) {
+    // Health for every feed (status, fps, viewers, reconnect attempts, last error)
+    app.get('/api/streams', (req, res) => {
+      try {
+        res.json({
+          streams: this.streamRestreamer.getAllHealth(),
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        console.error('Error getting stream health:', error);
+        res.status(500).json({ error: 'Failed to get stream health' });
+      }
+    });
+
+    app.get('/api/streams/:index', (req, res) => {
+      const index = this.getFeedIndex(req, res);
+      if (index === null) return;
+
+      res.json(this.streamRestreamer.getHealth(index));
+    });
+
+    // Continuous MJPEG stream, usable directly as an <img> src
+    app.get('/api/streams/:index/mjpeg', (req, res) => {
+      const index = this.getFeedIndex(req, res);
+      if (index === null) return;
+
+      this.streamRestreamer.addClient(index, res);
+    });
+
+    // Single latest JPEG frame
+    app.get('/api/streams/:index/snapshot', async (req, res) => {
+      const index = this.getFeedIndex(req, res);
+      if (index === null) return;
+
+      try {
+        const frame = await this.streamRestreamer.getSnapshot(index);
+        res.set('Cache-Control', 'no-cache');
+        res.type('image/jpeg').send(frame);
+      } catch (error) {
+        console.error(`Error getting snapshot for stream ${index}:`, error.message);
+        res.status(503).json({ error: 'Stream unavailable', details: error.message });
+      }
+    });
+  }
+}
+
+module.exports = StreamRoutes;
@@ -0,0 +1,23 @@
+// Weather history API routes - sampled observing conditions and cloud/dew point trends
+
+const { handleError } = require('../utils/routeHelpers');
+
+class WeatherRoutes {
+  constructor(weatherHistoryService) {
+    this.weatherHistoryService = weatherHistoryService;
+  }
+
+  register(app) {
+    // Downsampled conditions with dew point depression, plus "clouds increasing" and "approaching dew point" trends
+    // Query: from, to (ISO times, default the last 24 hours), maxPoints (10-5000, default 600)
+    app.get('/api/weather/history', (req, res) => {
+      try {
+        res.json(this.weatherHistoryService.getHistory(req.query));
+      } catch (error) {
+        handleError(res, error, 'Failed to get weather history');
+      }
+    });
+  }
+}
+
+module.exports = WeatherRoutes;
@@ -14,6 +14,18 @@ const UnifiedStateSystem = require('../services/unifiedState');
 const SystemMonitor = require('../services/systemMonitor');
 const NINAService = require('../services/ninaService');
 const AstronomicalService = require('../services/astronomicalService');
+const SessionHistoryService = require('../services/sessionHistoryService');
+const GuidingHistoryService = require('../services/guidingHistoryService');
+const SafetyService = require('../services/safetyService');
+const AlertEngine = require('../services/alerts');
+const AuthService = require('../services/authService');
+const { ImageCacheService } = require('../services/imageCacheService');
+const { PlateSolveService } = require('../services/plateSolveService');
+const { PegasusService } = require('../services/pegasusService');
+const { PegasusHistoryService } = require('../services/pegasusHistoryService');
+const { AlpacaService } = require('../services/alpacaService');
+const { WeatherHistoryService } = require('../services/weatherHistoryService');
+const { createAuthMiddleware, createWebSocketVerifier, corsOptions } = require('./middleware/auth');
 
 // Enhanced error handling setup
 process.on('uncaughtException', (error) => {
@@ -112,18 +124,67 @@ async function initializeServer() {
   console.log('🔭 NINA Service configured: ' + ninaService.fullUrl);
 
   // Initialize UnifiedStateSystem
-  const unifiedStateSystem = new UnifiedStateSystem(ninaService);
+  const unifiedStateSystem = new UnifiedStateSystem(ninaService, {
+    timezone: () => configDatabase.getConfig().observatory?.location?.timezone
+  });
   await unifiedStateSystem.start();
 
   // Make available globally for API routes
   global.unifiedStateSystem = unifiedStateSystem;
 
+  // Archive sessions per night from unified state updates
+  const sessionHistoryService = new SessionHistoryService(configDatabase, unifiedStateSystem);
+  sessionHistoryService.start();
+
+  // Store every guide step for long-term RMS analytics
+  const guidingHistoryService = new GuidingHistoryService(ninaService, configDatabase, unifiedStateSystem, sessionHistoryService);
+  guidingHistoryService.start();
+
+  // Aggregate safety monitor, dome, flat panel and sun altitude; changes go out over /ws/unified
+  const safetyService = new SafetyService(ninaService, astronomicalService, configDatabase, unifiedStateSystem);
+  safetyService.start();
+
+  // Evaluate alert rules and send notifications through the channels in the notifications config
+  const alertEngine = new AlertEngine(configDatabase, unifiedStateSystem, { ninaService, systemMonitor });
+  alertEngine.start();
+
+  // Local users and roles - every /api route and /ws/* upgrade requires a login or API token
+  const authService = new AuthService(configDatabase);
+  authService.start();
+
+  // Rendered NINA images (thumb/preview/full, JPEG or WebP) shared by every viewer; refreshed on IMAGE-SAVE
+  const imageCacheService = new ImageCacheService(ninaService, configDatabase, unifiedStateSystem);
+  imageCacheService.start();
+
+  // Solve each light frame through NINA and log its pointing and rotation error against the target
+  const plateSolveService = new PlateSolveService(ninaService, configDatabase, unifiedStateSystem);
+  plateSolveService.start();
+
+  // One Pegasus Unity Platform client for the Pegasus routes and the telemetry history
+  const pegasusService = new PegasusService(configDatabase);
+
+  // Sample Pegasus power box telemetry for history charts, energy totals and low-voltage/over-current events
+  const pegasusHistoryService = new PegasusHistoryService(pegasusService, configDatabase, sessionHistoryService);
+  pegasusHistoryService.start();
+
+  // Read-only status of ASCOM Alpaca devices outside NINA, merged into unified state equipment
+  const alpacaService = new AlpacaService(configDatabase, unifiedStateSystem);
+  alpacaService.start();
+
+  // Record NINA's weather readings for the weather widget's trend charts
+  const weatherHistoryService = new WeatherHistoryService(ninaService, configDatabase);
+  weatherHistoryService.start();
+
   // Initialize Express app
   const app = express();
   const PORT = process.env.CONFIG_API_PORT || 3001;
 
-  // Middleware
-  app.use(cors());
+  // req.ip from X-Forwarded-For when the dev proxy or a reverse proxy on this machine connects,
+  // so login throttling sees the real client instead of 127.0.0.1
+  app.set('trust proxy', 'loopback');
+
+  // Middleware - credentialed CORS only for the dashboard's own host (plus CORS_ORIGINS)
+  app.use(cors(corsOptions));
 
   app.use(express.json({ limit: '10mb' }));
   app.use(express.urlencoded({ extended: true, limit: '10mb' }));
@@ -140,6 +201,9 @@ async function initializeServer() {
     next();
   });
 
+  // Resolve the session cookie / API token and reject anonymous API requests
+  app.use(createAuthMiddleware(authService));
+
   // Make unifiedStateSystem available to all routes via app.locals
   app.locals.unifiedStateSystem = unifiedStateSystem;
 
@@ -161,7 +225,18 @@ async function initializeServer() {
     ninaService,
     astronomicalService,
     targetSchedulerService,
-    unifiedStateSystem
+    unifiedStateSystem,
+    sessionHistoryService,
+    safetyService,
+    alertEngine,
+    authService,
+    guidingHistoryService,
+    imageCacheService,
+    plateSolveService,
+    pegasusService,
+    pegasusHistoryService,
+    alpacaService,
+    weatherHistoryService
   );
 
   // Register all API routes
@@ -184,7 +259,7 @@ async function initializeServer() {
   const server = http.createServer(app);
 
   // Initialize WebSocket server (matching original implementation)
-  const wss = new WebSocket.Server({ server });
+  const wss = new WebSocket.Server({ server, verifyClient: createWebSocketVerifier(authService) });
   const sessionClients = new Set();
   const ninaClients = new Set();
   const unifiedClients = new Set(); // New unified client set
@@ -276,6 +351,9 @@ async function initializeServer() {
 
   // Subscribe to unified state changes and broadcast to all connected frontend clients
   unifiedStateSystem.subscribe((message) => {
+    // Unified clients get every state update as-is
+    broadcastUnifiedUpdate(message);
+
     // Broadcast state updates based on message type
     if (message.type === 'session' || message.type === 'fullSync') {
       const state = unifiedStateSystem.getState();
@@ -288,6 +366,19 @@ async function initializeServer() {
     }
   });
 
+  // Broadcast unified state messages (UnifiedWsMessage) to /ws/unified clients
+  const broadcastUnifiedUpdate = (unifiedMessage) => {
+    const message = JSON.stringify(unifiedMessage);
+
+    unifiedClients.forEach(client => {
+      if (client.readyState === WebSocket.OPEN) {
+        client.send(message);
+      } else {
+        unifiedClients.delete(client);
+      }
+    });
+  };
+
   // Broadcast NINA events to all connected frontend clients
   const broadcastNINAEvent = (eventType, eventData) => {
     const message = JSON.stringify({
@@ -57,6 +57,24 @@ class ConfigDatabase {
     // Initialize session schema
     this.initializeSessionSchema();
 
+    // Initialize users, login sessions and API tokens
+    this.initializeAuthSchema();
+
+    // Initialize guide step history
+    this.initializeGuidingSchema();
+
+    // Initialize the Target Scheduler change log
+    this.initializeSchedulerAuditSchema();
+
+    // Initialize the per-frame plate solve log
+    this.initializePlateSolveSchema();
+
+    // Initialize the Pegasus power telemetry history
+    this.initializePegasusSchema();
+
+    // Initialize the observing conditions history
+    this.initializeWeatherSchema();
+
     // Initialize default configuration if empty
     const count = this.db.prepare('SELECT COUNT(*) as count FROM config').get();
     if (count.count === 0) {
@@ -76,7 +94,39 @@ class ConfigDatabase {
   // Initialize session management schema
   initializeSessionSchema() {
     const SessionSchema = require('./database/sessionSchema');
-    new SessionSchema(this.db);
+    this.sessionSchema = new SessionSchema(this.db);
+  }
+
+  // Initialize authentication schema
+  initializeAuthSchema() {
+    const AuthSchema = require('./database/authSchema');
+    this.authSchema = new AuthSchema(this.db);
+  }
+
+  // Initialize guiding history schema
+  initializeGuidingSchema() {
+    const GuidingSchema = require('./database/guidingSchema');
+    this.guidingSchema = new GuidingSchema(this.db);
+  }
+
+  initializeSchedulerAuditSchema() {
+    const SchedulerAuditSchema = require('./database/schedulerAuditSchema');
+    this.schedulerAuditSchema = new SchedulerAuditSchema(this.db);
+  }
+
+  initializePlateSolveSchema() {
+    const PlateSolveSchema = require('./database/plateSolveSchema');
+    this.plateSolveSchema = new PlateSolveSchema(this.db);
+  }
+
+  initializePegasusSchema() {
+    const PegasusSchema = require('./database/pegasusSchema');
+    this.pegasusSchema = new PegasusSchema(this.db);
+  }
+
+  initializeWeatherSchema() {
+    const WeatherSchema = require('./database/weatherSchema');
+    this.weatherSchema = new WeatherSchema(this.db);
   }
 
   getDefaultWidgets() {
@@ -84,14 +134,17 @@ class ConfigDatabase {
       { id: 'nina-status', component: 'NINAStatus', title: 'NINA Status', x: 0, y: 0, w: 4, h: 8, minW: 3, minH: 6 },
       { id: 'system-monitor', component: 'SystemStatusWidget', title: 'System Monitor', x: 4, y: 0, w: 4, h: 6, minW: 3, minH: 4 },
       { id: 'scheduler', component: 'SchedulerWidget', title: 'Target Scheduler', x: 8, y: 0, w: 4, h: 8, minW: 3, minH: 6 },
+      { id: 'sequence', component: 'SequenceWidget', title: 'Sequence', x: 8, y: 8, w: 4, h: 8, minW: 3, minH: 6 },
       { id: 'weather-widget', component: 'WeatherWidget', title: 'Weather Station', x: 4, y: 6, w: 4, h: 6, minW: 3, minH: 4 },
-      { id: 'time-astronomical', component: 'TimeAstronomicalWidget', title: 'Time & Astronomy', x: 8, y: 8, w: 4, h: 6, minW: 3, minH: 4 },
+      { id: 'time-astronomical', component: 'TimeAstronomicalWidget', title: 'Time & Astronomy', x: 8, y: 16, w: 4, h: 6, minW: 3, minH: 4 },
       { id: 'rtsp-viewer', component: 'RTSPViewer', title: 'Live View', x: 0, y: 8, w: 8, h: 6, minW: 4, minH: 4 },
       { id: 'image-viewer', component: 'ImageViewer', title: 'Recent Images', x: 0, y: 14, w: 8, h: 6, minW: 4, minH: 4 },
       { id: 'nina-logs', component: 'NINALogsWidget', title: 'NINA Logs', x: 0, y: 20, w: 8, h: 6, minW: 4, minH: 4 },
-      { id: 'livestack-viewer', component: 'LiveStackWidget', title: 'LiveStack', x: 8, y: 20, w: 8, h: 8, minW: 4, minH: 6 },
-      { id: 'guider-graph', component: 'GuiderGraphWidget', title: 'Guider Graph', x: 8, y: 14, w: 6, h: 8, minW: 4, minH: 6 },
-      { id: 'pegasus-power', component: 'PegasusPowerWidget', title: 'Pegasus Power', x: 0, y: 26, w: 6, h: 8, minW: 4, minH: 6 }
+      { id: 'livestack-viewer', component: 'LiveStackWidget', title: 'LiveStack', x: 8, y: 30, w: 8, h: 8, minW: 4, minH: 6 },
+      { id: 'guider-graph', component: 'GuiderGraphWidget', title: 'Guider Graph', x: 8, y: 22, w: 6, h: 8, minW: 4, minH: 6 },
+      { id: 'pegasus-power', component: 'PegasusPowerWidget', title: 'Pegasus Power', x: 0, y: 26, w: 6, h: 8, minW: 4, minH: 6 },
+      { id: 'camera-control', component: 'CameraControlWidget', title: 'Camera Control', x: 6, y: 26, w: 4, h: 8, minW: 3, minH: 6 },
+      { id: 'target-visibility', component: 'TargetVisibilityWidget', title: 'Target Visibility', x: 0, y: 34, w: 8, h: 10, minW: 4, minH: 6 }
     ];
   }
 
@@ -160,6 +213,8 @@ class ConfigDatabase {
         liveFeed2: "",
         liveFeed3: "",
         localCameraPath: "",
+        localCameraMode: "file",
+        localCameraStaleAfter: 1800,
         defaultStream: 1,
         connectionTimeout: 10000
       },
@@ -182,11 +237,42 @@ class ConfigDatabase {
         alertThresholds: {
           temperatureWarning: 5,
           temperatureCritical: 15,
-          connectionTimeout: 30
+          connectionTimeout: 30,
+          guidingLostMinutes: 5,
+          rmsArcsec: 2,
+          diskUsagePercent: 90
+        },
+        cooldownMinutes: 30,
+        quietHours: {
+          enabled: false,
+          start: '08:00',
+          end: '18:00',
+          allowCritical: true
+        },
+        email: {
+          host: '',
+          port: 587,
+          secure: false,
+          username: '',
+          password: '',
+          from: '',
+          to: ''
+        },
+        webhook: {
+          enabled: false,
+          url: ''
+        },
+        push: {
+          service: 'ntfy',
+          url: 'https://ntfy.sh',
+          topic: '',
+          token: ''
         }
       },
       observatory: {
         name: "My Remote Observatory",
+        minimumAltitude: 30,
+        horizon: [],
         location: {
           latitude: 31.5475,
           longitude: -99.3817,
@@ -240,10 +326,25 @@ class ConfigDatabase {
         enableMockData: true,
         corsEnabled: true
       },
+      imageGrading: {
+        enabled: true,
+        maxHfrRatio: 1.5,
+        maxStarDropPercent: 50,
+        maxGuidingRms: 2
+      },
       pegasus: {
         enabled: false,
+        unityBaseUrl: 'http://localhost:32000',
         refreshInterval: 5000,
-        maxCurrent: 10  // Default 10A (PPBAdvance), set to 20 for UPBv3
+        maxCurrent: 10,  // Default 10A (PPBAdvance), set to 20 for UPBv3
+        lowVoltage: 11.5, // Volts - below this the telemetry history records a low-voltage event
+        portLabels: {}   // Port id (power-hub, usb-2, dew-1...) to user label
+      },
+      alpaca: {
+        enabled: false,
+        discovery: true,      // Find Alpaca servers by UDP broadcast on port 32227
+        servers: [],          // Extra server addresses (host:port) that discovery can't reach
+        pollInterval: 10000
       },
       onboarding: {
         completed: false,
@@ -305,6 +406,8 @@ class ConfigDatabase {
         if (config.streams.liveFeed2 !== undefined) this.setConfigValue('streams.liveFeed2', config.streams.liveFeed2, 'streams');
         if (config.streams.liveFeed3 !== undefined) this.setConfigValue('streams.liveFeed3', config.streams.liveFeed3, 'streams');
         if (config.streams.localCameraPath !== undefined) this.setConfigValue('streams.localCameraPath', config.streams.localCameraPath, 'streams');
+        if (config.streams.localCameraMode !== undefined) this.setConfigValue('streams.localCameraMode', config.streams.localCameraMode, 'streams');
+        if (config.streams.localCameraStaleAfter !== undefined) this.setConfigValue('streams.localCameraStaleAfter', config.streams.localCameraStaleAfter, 'streams');
         if (config.streams.defaultStream !== undefined) this.setConfigValue('streams.defaultStream', config.streams.defaultStream, 'streams');
         if (config.streams.connectionTimeout !== undefined) this.setConfigValue('streams.connectionTimeout', config.streams.connectionTimeout, 'streams');
       }
@@ -345,11 +448,27 @@ class ConfigDatabase {
         this.setConfigValue('advanced', config.advanced, 'advanced');
       }
 
+      // Image grading rules
+      if (config.imageGrading) {
+        this.setConfigValue('imageGrading', config.imageGrading, 'imageGrading');
+      }
+
       // Pegasus configuration
       if (config.pegasus) {
         if (config.pegasus.enabled !== undefined) this.setConfigValue('pegasus.enabled', config.pegasus.enabled, 'pegasus');
+        if (config.pegasus.unityBaseUrl !== undefined) this.setConfigValue('pegasus.unityBaseUrl', config.pegasus.unityBaseUrl, 'pegasus');
         if (config.pegasus.refreshInterval !== undefined) this.setConfigValue('pegasus.refreshInterval', config.pegasus.refreshInterval, 'pegasus');
         if (config.pegasus.maxCurrent !== undefined) this.setConfigValue('pegasus.maxCurrent', config.pegasus.maxCurrent, 'pegasus');
+        if (config.pegasus.lowVoltage !== undefined) this.setConfigValue('pegasus.lowVoltage', config.pegasus.lowVoltage, 'pegasus');
+        if (config.pegasus.portLabels !== undefined) this.setConfigValue('pegasus.portLabels', config.pegasus.portLabels, 'pegasus');
+      }
+
+      // ASCOM Alpaca configuration
+      if (config.alpaca) {
+        if (config.alpaca.enabled !== undefined) this.setConfigValue('alpaca.enabled', config.alpaca.enabled, 'alpaca');
+        if (config.alpaca.discovery !== undefined) this.setConfigValue('alpaca.discovery', config.alpaca.discovery, 'alpaca');
+        if (config.alpaca.servers !== undefined) this.setConfigValue('alpaca.servers', config.alpaca.servers, 'alpaca');
+        if (config.alpaca.pollInterval !== undefined) this.setConfigValue('alpaca.pollInterval', config.alpaca.pollInterval, 'alpaca');
       }
 
       // Onboarding configuration
@@ -381,6 +500,8 @@ class ConfigDatabase {
         liveFeed2: this.getConfigValue('streams.liveFeed2', ''),
         liveFeed3: this.getConfigValue('streams.liveFeed3', ''),
         localCameraPath: this.getConfigValue('streams.localCameraPath', ''),
+        localCameraMode: this.getConfigValue('streams.localCameraMode', 'file'),
+        localCameraStaleAfter: this.getConfigValue('streams.localCameraStaleAfter', 1800),
         defaultStream: this.getConfigValue('streams.defaultStream', 1),
         connectionTimeout: this.getConfigValue('streams.connectionTimeout', 10000)
       },
@@ -403,11 +524,42 @@ class ConfigDatabase {
         alertThresholds: {
           temperatureWarning: 5,
           temperatureCritical: 15,
-          connectionTimeout: 30
+          connectionTimeout: 30,
+          guidingLostMinutes: 5,
+          rmsArcsec: 2,
+          diskUsagePercent: 90
+        },
+        cooldownMinutes: 30,
+        quietHours: {
+          enabled: false,
+          start: '08:00',
+          end: '18:00',
+          allowCritical: true
+        },
+        email: {
+          host: '',
+          port: 587,
+          secure: false,
+          username: '',
+          password: '',
+          from: '',
+          to: ''
+        },
+        webhook: {
+          enabled: false,
+          url: ''
+        },
+        push: {
+          service: 'ntfy',
+          url: 'https://ntfy.sh',
+          topic: '',
+          token: ''
         }
       }),
       observatory: this.getConfigValue('observatory', {
         name: "My Remote Observatory",
+        minimumAltitude: 30,
+        horizon: [],
         location: {
           latitude: 40.7128,
           longitude: -74.0060,
@@ -424,10 +576,25 @@ class ConfigDatabase {
         enableMockData: true,
         corsEnabled: true
       }),
+      imageGrading: this.getConfigValue('imageGrading', {
+        enabled: true,
+        maxHfrRatio: 1.5,
+        maxStarDropPercent: 50,
+        maxGuidingRms: 2
+      }),
       pegasus: {
         enabled: this.getConfigValue('pegasus.enabled', false),
+        unityBaseUrl: this.getConfigValue('pegasus.unityBaseUrl', 'http://localhost:32000'),
         refreshInterval: this.getConfigValue('pegasus.refreshInterval', 5000),
-        maxCurrent: this.getConfigValue('pegasus.maxCurrent', 10)
+        maxCurrent: this.getConfigValue('pegasus.maxCurrent', 10),
+        lowVoltage: this.getConfigValue('pegasus.lowVoltage', 11.5),
+        portLabels: this.getConfigValue('pegasus.portLabels', {})
+      },
+      alpaca: {
+        enabled: this.getConfigValue('alpaca.enabled', false),
+        discovery: this.getConfigValue('alpaca.discovery', true),
+        servers: this.getConfigValue('alpaca.servers', []),
+        pollInterval: this.getConfigValue('alpaca.pollInterval', 10000)
       },
       onboarding: this.getConfigValue('onboarding', {
         completed: false,
@@ -0,0 +1,181 @@
+// Authentication Database Schema
+// Local users, login sessions and API tokens in dashboard-config.sqlite
+// Passwords and tokens are only ever stored hashed - see src/services/authService.js
+
+class AuthSchema {
+  constructor(db) {
+    this.db = db;
+    this.initializeTables();
+  }
+
+  initializeTables() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username TEXT UNIQUE NOT NULL COLLATE NOCASE,
+        password_hash TEXT NOT NULL,
+        role TEXT NOT NULL CHECK (role IN ('viewer', 'operator', 'admin')),
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_login_at TEXT
+      );
+
+      CREATE TRIGGER IF NOT EXISTS update_users_timestamp
+      AFTER UPDATE ON users
+      BEGIN
+        UPDATE users SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+      END;
+
+      -- Browser logins (session cookie); token_hash is the SHA-256 of the cookie value
+      CREATE TABLE IF NOT EXISTS auth_sessions (
+        token_hash TEXT PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        created_at TEXT NOT NULL,
+        expires_at TEXT NOT NULL,
+        last_seen_at TEXT NOT NULL,
+        user_agent TEXT
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_auth_sessions_user ON auth_sessions(user_id);
+      CREATE INDEX IF NOT EXISTS idx_auth_sessions_expires ON auth_sessions(expires_at);
+
+      -- Long-lived tokens for scripts and integrations (Authorization: Bearer), acting as their user
+      CREATE TABLE IF NOT EXISTS api_tokens (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        name TEXT NOT NULL,
+        token_hash TEXT UNIQUE NOT NULL,
+        token_prefix TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        last_used_at TEXT
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_api_tokens_user ON api_tokens(user_id);
+    `);
+
+    console.log('✅ Auth database schema initialized');
+  }
+
+  countUsers() {
+    return this.db.prepare('SELECT COUNT(*) as count FROM users').get().count;
+  }
+
+  countAdmins() {
+    return this.db.prepare("SELECT COUNT(*) as count FROM users WHERE role = 'admin'").get().count;
+  }
+
+  listUsers() {
+    return this.db.prepare(`
+      SELECT id, username, role, created_at, updated_at, last_login_at
+      FROM users ORDER BY username
+    `).all();
+  }
+
+  getUserById(id) {
+    return this.db.prepare('SELECT * FROM users WHERE id = ?').get(id);
+  }
+
+  getUserByUsername(username) {
+    return this.db.prepare('SELECT * FROM users WHERE username = ?').get(username);
+  }
+
+  createUser(username, passwordHash, role) {
+    const result = this.db.prepare(`
+      INSERT INTO users (username, password_hash, role) VALUES (?, ?, ?)
+    `).run(username, passwordHash, role);
+    return result.lastInsertRowid;
+  }
+
+  updateUserRole(id, role) {
+    return this.db.prepare('UPDATE users SET role = ? WHERE id = ?').run(role, id);
+  }
+
+  updateUserPassword(id, passwordHash) {
+    return this.db.prepare('UPDATE users SET password_hash = ? WHERE id = ?').run(passwordHash, id);
+  }
+
+  touchUserLogin(id) {
+    return this.db.prepare('UPDATE users SET last_login_at = ? WHERE id = ?').run(new Date().toISOString(), id);
+  }
+
+  // Sessions and tokens go with the user (no foreign key enforcement on this connection)
+  deleteUser(id) {
+    const remove = this.db.transaction(() => {
+      this.db.prepare('DELETE FROM auth_sessions WHERE user_id = ?').run(id);
+      this.db.prepare('DELETE FROM api_tokens WHERE user_id = ?').run(id);
+      return this.db.prepare('DELETE FROM users WHERE id = ?').run(id);
+    });
+    return remove();
+  }
+
+  createSession(tokenHash, userId, expiresAt, userAgent = null) {
+    const now = new Date().toISOString();
+    return this.db.prepare(`
+      INSERT INTO auth_sessions (token_hash, user_id, created_at, expires_at, last_seen_at, user_agent)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(tokenHash, userId, now, expiresAt, now, userAgent);
+  }
+
+  // Session joined with its user, if it hasn't expired
+  getSession(tokenHash) {
+    return this.db.prepare(`
+      SELECT s.token_hash, s.expires_at, s.last_seen_at, u.id as user_id, u.username, u.role
+      FROM auth_sessions s JOIN users u ON u.id = s.user_id
+      WHERE s.token_hash = ? AND s.expires_at > ?
+    `).get(tokenHash, new Date().toISOString());
+  }
+
+  extendSession(tokenHash, expiresAt) {
+    return this.db.prepare(`
+      UPDATE auth_sessions SET expires_at = ?, last_seen_at = ? WHERE token_hash = ?
+    `).run(expiresAt, new Date().toISOString(), tokenHash);
+  }
+
+  deleteSession(tokenHash) {
+    return this.db.prepare('DELETE FROM auth_sessions WHERE token_hash = ?').run(tokenHash);
+  }
+
+  // Log a user out everywhere, optionally keeping the current session
+  deleteUserSessions(userId, exceptTokenHash = null) {
+    return this.db.prepare(`
+      DELETE FROM auth_sessions WHERE user_id = ? AND token_hash IS NOT ?
+    `).run(userId, exceptTokenHash);
+  }
+
+  cleanExpiredSessions() {
+    return this.db.prepare('DELETE FROM auth_sessions WHERE expires_at <= ?').run(new Date().toISOString()).changes;
+  }
+
+  createApiToken(userId, name, tokenHash, tokenPrefix) {
+    const result = this.db.prepare(`
+      INSERT INTO api_tokens (user_id, name, token_hash, token_prefix, created_at)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(userId, name, tokenHash, tokenPrefix, new Date().toISOString());
+    return result.lastInsertRowid;
+  }
+
+  getApiToken(tokenHash) {
+    return this.db.prepare(`
+      SELECT t.id, t.name, u.id as user_id, u.username, u.role
+      FROM api_tokens t JOIN users u ON u.id = t.user_id
+      WHERE t.token_hash = ?
+    `).get(tokenHash);
+  }
+
+  listApiTokens(userId) {
+    return this.db.prepare(`
+      SELECT id, name, token_prefix, created_at, last_used_at
+      FROM api_tokens WHERE user_id = ? ORDER BY created_at DESC
+    `).all(userId);
+  }
+
+  touchApiToken(id) {
+    return this.db.prepare('UPDATE api_tokens SET last_used_at = ? WHERE id = ?').run(new Date().toISOString(), id);
+  }
+
+  deleteApiToken(id, userId) {
+    return this.db.prepare('DELETE FROM api_tokens WHERE id = ? AND user_id = ?').run(id, userId);
+  }
+}
+
+module.exports = AuthSchema;
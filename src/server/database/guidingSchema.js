@@ -0,0 +1,149 @@
+// Guiding History Database Schema
+// Guide steps and dither/settle markers in dashboard-config.sqlite - see src/services/guidingHistoryService.js
+
+const { selectBuckets } = require('./timeBuckets');
+
+class GuidingSchema {
+  constructor(db) {
+    this.db = db;
+    this.initializeTables();
+  }
+
+  initializeTables() {
+    this.db.exec(`
+      -- One row per guide step; distances are in guide camera pixels, pixel_scale converts to arcsec
+      CREATE TABLE IF NOT EXISTS guide_steps (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        session_uuid TEXT,
+        step_time TEXT NOT NULL,
+        target_name TEXT,
+        ra_distance REAL,
+        dec_distance REAL,
+        ra_duration REAL,
+        dec_duration REAL,
+        pixel_scale REAL,
+        star_mass REAL,
+        snr REAL,
+        is_dither BOOLEAN DEFAULT 0
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_guide_steps_time ON guide_steps(step_time);
+      CREATE INDEX IF NOT EXISTS idx_guide_steps_session ON guide_steps(session_uuid);
+
+      -- Dither, settle, start and stop markers for the history chart
+      CREATE TABLE IF NOT EXISTS guiding_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        session_uuid TEXT,
+        event_time TEXT NOT NULL,
+        event_type TEXT NOT NULL,
+        target_name TEXT,
+        event_data TEXT -- JSON blob
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_guiding_events_time ON guiding_events(event_time);
+    `);
+  }
+
+  addSteps(steps) {
+    const insert = this.db.prepare(`
+      INSERT INTO guide_steps (
+        session_uuid, step_time, target_name, ra_distance, dec_distance,
+        ra_duration, dec_duration, pixel_scale, star_mass, snr, is_dither
+      ) VALUES (
+        @session_uuid, @step_time, @target_name, @ra_distance, @dec_distance,
+        @ra_duration, @dec_duration, @pixel_scale, @star_mass, @snr, @is_dither
+      )
+    `);
+
+    const insertAll = this.db.transaction((rows) => {
+      for (const row of rows) insert.run(row);
+    });
+
+    insertAll(steps);
+  }
+
+  addEvent(sessionUuid, eventTime, eventType, targetName, data = null) {
+    this.db.prepare(`
+      INSERT INTO guiding_events (session_uuid, event_time, event_type, target_name, event_data)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(sessionUuid, eventTime, eventType, targetName, data ? JSON.stringify(data) : null);
+  }
+
+  // Steps grouped into fixed-width time buckets; RMS and peak are in arcsec
+  // (pixels when the guider reported no pixel scale)
+  getBucketedSteps(from, to, bucketMs) {
+    return selectBuckets(this.db, {
+      source: `(
+        SELECT
+          step_time,
+          ra_distance * COALESCE(NULLIF(pixel_scale, 0), 1) AS ra,
+          dec_distance * COALESCE(NULLIF(pixel_scale, 0), 1) AS dec,
+          star_mass,
+          snr,
+          is_dither
+        FROM guide_steps
+      ) AS scaled`,
+      timeColumn: 'step_time',
+      aggregates: `
+        MAX(step_time) AS last_time,
+        SUM(ra * ra) AS ra_squares,
+        SUM(dec * dec) AS dec_squares,
+        MAX(ABS(ra)) AS peak_ra,
+        MAX(ABS(dec)) AS peak_dec,
+        AVG(star_mass) AS star_mass,
+        AVG(snr) AS snr,
+        MAX(is_dither) AS has_dither`
+    }, { from, to, bucketMs });
+  }
+
+  // Per-minute RMS inputs for each target and night - the basis for the distributions
+  // Dither steps are left out so the deliberate offsets don't count as guiding error
+  getMinuteSamples(from, to) {
+    return this.db.prepare(`
+      WITH scaled AS (
+        SELECT
+          session_uuid,
+          target_name,
+          substr(step_time, 1, 16) AS minute,
+          ra_distance * COALESCE(NULLIF(pixel_scale, 0), 1) AS ra,
+          dec_distance * COALESCE(NULLIF(pixel_scale, 0), 1) AS dec
+        FROM guide_steps
+        WHERE step_time >= ? AND step_time <= ? AND is_dither = 0
+      )
+      SELECT
+        scaled.target_name,
+        scaled.session_uuid,
+        night_sessions.night_date,
+        scaled.minute,
+        COUNT(*) AS samples,
+        SUM(ra * ra) AS ra_squares,
+        SUM(dec * dec) AS dec_squares
+      FROM scaled
+      LEFT JOIN night_sessions ON night_sessions.session_uuid = scaled.session_uuid
+      GROUP BY scaled.target_name, scaled.session_uuid, scaled.minute
+      ORDER BY scaled.minute
+    `).all(from, to);
+  }
+
+  getEvents(from, to) {
+    return this.db.prepare(`
+      SELECT * FROM guiding_events
+      WHERE event_time >= ? AND event_time <= ?
+      ORDER BY event_time
+    `).all(from, to);
+  }
+
+  cleanOldSteps(retentionDays) {
+    const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000).toISOString();
+
+    const prune = this.db.transaction(() => {
+      const steps = this.db.prepare('DELETE FROM guide_steps WHERE step_time < ?').run(cutoff);
+      const events = this.db.prepare('DELETE FROM guiding_events WHERE event_time < ?').run(cutoff);
+      return steps.changes + events.changes;
+    });
+
+    return prune();
+  }
+}
+
+module.exports = GuidingSchema;
@@ -0,0 +1,192 @@
+// Pegasus Telemetry History Schema
+// Power box samples, per-port currents and low-voltage/over-current events in dashboard-config.sqlite
+// - see src/services/pegasusHistoryService.js
+
+const { selectBuckets } = require('./timeBuckets');
+
+class PegasusSchema {
+  constructor(db) {
+    this.db = db;
+    this.initializeTables();
+  }
+
+  initializeTables() {
+    this.db.exec(`
+      -- One row per device per sample; interval_seconds is the time the sample stands for,
+      -- so energy is SUM(power * interval_seconds) / 3600 Wh
+      CREATE TABLE IF NOT EXISTS pegasus_samples (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        sample_time TEXT NOT NULL,
+        device_key TEXT NOT NULL,
+        device_type TEXT,
+        device_name TEXT,
+        interval_seconds REAL NOT NULL,
+        voltage REAL,
+        current REAL,
+        power REAL,
+        temperature REAL,
+        humidity REAL,
+        dew_point REAL,
+        is_over_current BOOLEAN DEFAULT 0
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_pegasus_samples_device_time ON pegasus_samples(device_key, sample_time);
+
+      -- Current drawn by each port that reports it (port ids from src/services/pegasusPorts.js)
+      CREATE TABLE IF NOT EXISTS pegasus_port_samples (
+        sample_id INTEGER NOT NULL REFERENCES pegasus_samples(id),
+        port_id TEXT NOT NULL,
+        current REAL NOT NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_pegasus_port_samples_sample ON pegasus_port_samples(sample_id);
+
+      -- LOW_VOLTAGE and OVER_CURRENT episodes; ended_at stays null while the condition lasts
+      -- value is the lowest voltage or highest current seen during the episode
+      CREATE TABLE IF NOT EXISTS pegasus_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        device_key TEXT NOT NULL,
+        event_type TEXT NOT NULL,
+        port_id TEXT,
+        started_at TEXT NOT NULL,
+        ended_at TEXT,
+        value REAL
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_pegasus_events_time ON pegasus_events(started_at);
+    `);
+  }
+
+  addSample(sample, ports) {
+    const insertSample = this.db.prepare(`
+      INSERT INTO pegasus_samples (
+        sample_time, device_key, device_type, device_name, interval_seconds,
+        voltage, current, power, temperature, humidity, dew_point, is_over_current
+      ) VALUES (
+        @sample_time, @device_key, @device_type, @device_name, @interval_seconds,
+        @voltage, @current, @power, @temperature, @humidity, @dew_point, @is_over_current
+      )
+    `);
+    const insertPort = this.db.prepare('INSERT INTO pegasus_port_samples (sample_id, port_id, current) VALUES (?, ?, ?)');
+
+    const insert = this.db.transaction(() => {
+      const sampleId = insertSample.run(sample).lastInsertRowid;
+      for (const port of ports) insertPort.run(sampleId, port.port_id, port.current);
+      return sampleId;
+    });
+
+    return insert();
+  }
+
+  // Device of the newest sample, used when a history request names no device
+  getLatestDevice() {
+    return this.db.prepare(`
+      SELECT device_key, device_type, device_name FROM pegasus_samples
+      ORDER BY sample_time DESC LIMIT 1
+    `).get();
+  }
+
+  getDevice(deviceKey) {
+    return this.db.prepare(`
+      SELECT device_key, device_type, device_name FROM pegasus_samples
+      WHERE device_key = ? ORDER BY sample_time DESC LIMIT 1
+    `).get(deviceKey);
+  }
+
+  // Samples grouped into fixed-width time buckets
+  getBucketedSamples(deviceKey, from, to, bucketMs) {
+    return selectBuckets(this.db, {
+      source: 'pegasus_samples',
+      timeColumn: 'sample_time',
+      where: 'device_key = @deviceKey',
+      aggregates: `
+        AVG(voltage) AS voltage,
+        MIN(voltage) AS min_voltage,
+        AVG(current) AS current,
+        MAX(current) AS max_current,
+        AVG(power) AS power,
+        AVG(temperature) AS temperature,
+        AVG(humidity) AS humidity,
+        AVG(dew_point) AS dew_point`
+    }, { deviceKey, from, to, bucketMs });
+  }
+
+  // Energy per UTC hour - the service folds the hours into local nights
+  getHourlyEnergy(deviceKey, from, to) {
+    return this.db.prepare(`
+      SELECT
+        substr(sample_time, 1, 13) || ':00:00.000Z' AS hour,
+        SUM(power * interval_seconds) / 3600 AS watt_hours,
+        SUM(current * interval_seconds) / 3600 AS amp_hours,
+        SUM(interval_seconds) AS seconds,
+        MIN(voltage) AS min_voltage
+      FROM pegasus_samples
+      WHERE device_key = ? AND sample_time >= ? AND sample_time <= ?
+      GROUP BY hour
+      ORDER BY hour
+    `).all(deviceKey, from, to);
+  }
+
+  // Port energy uses the device's bus voltage at the time of each sample
+  getPortEnergy(deviceKey, from, to) {
+    return this.db.prepare(`
+      SELECT
+        ports.port_id,
+        SUM(ports.current * samples.voltage * samples.interval_seconds) / 3600 AS watt_hours,
+        SUM(ports.current * samples.interval_seconds) / 3600 AS amp_hours,
+        AVG(ports.current) AS mean_current,
+        MAX(ports.current) AS max_current
+      FROM pegasus_port_samples ports
+      JOIN pegasus_samples samples ON samples.id = ports.sample_id
+      WHERE samples.device_key = ? AND samples.sample_time >= ? AND samples.sample_time <= ?
+      GROUP BY ports.port_id
+      ORDER BY ports.port_id
+    `).all(deviceKey, from, to);
+  }
+
+  openEvent(deviceKey, eventType, portId, startedAt, value) {
+    return this.db.prepare(`
+      INSERT INTO pegasus_events (device_key, event_type, port_id, started_at, value)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(deviceKey, eventType, portId, startedAt, value).lastInsertRowid;
+  }
+
+  updateEventValue(id, value) {
+    this.db.prepare('UPDATE pegasus_events SET value = ? WHERE id = ?').run(value, id);
+  }
+
+  closeEvent(id, endedAt) {
+    this.db.prepare('UPDATE pegasus_events SET ended_at = ? WHERE id = ?').run(endedAt, id);
+  }
+
+  getOpenEvents() {
+    return this.db.prepare('SELECT * FROM pegasus_events WHERE ended_at IS NULL').all();
+  }
+
+  // Events that overlap the range, including ones still going on
+  getEvents(deviceKey, from, to) {
+    return this.db.prepare(`
+      SELECT * FROM pegasus_events
+      WHERE device_key = ? AND started_at <= ? AND (ended_at IS NULL OR ended_at >= ?)
+      ORDER BY started_at
+    `).all(deviceKey, to, from);
+  }
+
+  cleanOldSamples(retentionDays) {
+    const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000).toISOString();
+
+    const prune = this.db.transaction(() => {
+      const ports = this.db.prepare(`
+        DELETE FROM pegasus_port_samples
+        WHERE sample_id IN (SELECT id FROM pegasus_samples WHERE sample_time < ?)
+      `).run(cutoff);
+      const samples = this.db.prepare('DELETE FROM pegasus_samples WHERE sample_time < ?').run(cutoff);
+      const events = this.db.prepare('DELETE FROM pegasus_events WHERE ended_at IS NOT NULL AND ended_at < ?').run(cutoff);
+      return ports.changes + samples.changes + events.changes;
+    });
+
+    return prune();
+  }
+}
+
+module.exports = PegasusSchema;
@@ -0,0 +1,78 @@
+// Plate Solve History Schema
+// One solve per light frame in dashboard-config.sqlite - see src/services/plateSolveService.js
+
+class PlateSolveSchema {
+  constructor(db) {
+    this.db = db;
+    this.initializeTables();
+  }
+
+  initializeTables() {
+    this.db.exec(`
+      -- Solved centre and the intended framing at the time of the frame
+      -- RA/Dec are in degrees, errors in arcmin (pointing) and degrees (rotation)
+      CREATE TABLE IF NOT EXISTS plate_solves (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        captured_at TEXT NOT NULL,
+        solved_at TEXT NOT NULL,
+        image_index INTEGER,
+        file_path TEXT,
+        target_name TEXT,
+        filter TEXT,
+        success BOOLEAN NOT NULL,
+        error TEXT,
+        ra REAL,
+        dec REAL,
+        rotation REAL,
+        pixel_scale REAL,
+        flipped BOOLEAN,
+        field_width REAL,
+        field_height REAL,
+        target_ra REAL,
+        target_dec REAL,
+        target_rotation REAL,
+        pointing_error REAL,
+        ra_error REAL,
+        dec_error REAL,
+        rotation_error REAL
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_plate_solves_time ON plate_solves(captured_at);
+    `);
+  }
+
+  addSolve(solve) {
+    const result = this.db.prepare(`
+      INSERT INTO plate_solves (
+        captured_at, solved_at, image_index, file_path, target_name, filter, success, error,
+        ra, dec, rotation, pixel_scale, flipped, field_width, field_height,
+        target_ra, target_dec, target_rotation, pointing_error, ra_error, dec_error, rotation_error
+      ) VALUES (
+        @captured_at, @solved_at, @image_index, @file_path, @target_name, @filter, @success, @error,
+        @ra, @dec, @rotation, @pixel_scale, @flipped, @field_width, @field_height,
+        @target_ra, @target_dec, @target_rotation, @pointing_error, @ra_error, @dec_error, @rotation_error
+      )
+    `).run(solve);
+
+    return this.db.prepare('SELECT * FROM plate_solves WHERE id = ?').get(result.lastInsertRowid);
+  }
+
+  getLatestSolve() {
+    return this.db.prepare('SELECT * FROM plate_solves ORDER BY captured_at DESC, id DESC LIMIT 1').get() || null;
+  }
+
+  getSolves(from, to) {
+    return this.db.prepare(`
+      SELECT * FROM plate_solves
+      WHERE captured_at >= ? AND captured_at <= ?
+      ORDER BY captured_at
+    `).all(from, to);
+  }
+
+  cleanOldSolves(retentionDays) {
+    const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000).toISOString();
+    return this.db.prepare('DELETE FROM plate_solves WHERE captured_at < ?').run(cutoff).changes;
+  }
+}
+
+module.exports = PlateSolveSchema;
@@ -0,0 +1,62 @@
+// Target Scheduler Audit Log Schema
+// Every change the dashboard makes to schedulerdb.sqlite, in dashboard-config.sqlite
+
+class SchedulerAuditSchema {
+  constructor(db) {
+    this.db = db;
+    this.initializeTables();
+  }
+
+  initializeTables() {
+    this.db.exec(`
+      -- One row per changed field; backup_file is the copy taken just before the change
+      CREATE TABLE IF NOT EXISTS scheduler_audit (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        changed_at TEXT NOT NULL,
+        username TEXT,
+        project_id INTEGER NOT NULL,
+        project_name TEXT,
+        target_name TEXT,
+        exposure_plan_id INTEGER,
+        filter_name TEXT,
+        field TEXT NOT NULL,
+        old_value TEXT,
+        new_value TEXT,
+        backup_file TEXT
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_scheduler_audit_time ON scheduler_audit(changed_at);
+      CREATE INDEX IF NOT EXISTS idx_scheduler_audit_project ON scheduler_audit(project_id);
+    `);
+  }
+
+  addEntries(entries) {
+    const insert = this.db.prepare(`
+      INSERT INTO scheduler_audit (
+        changed_at, username, project_id, project_name, target_name,
+        exposure_plan_id, filter_name, field, old_value, new_value, backup_file
+      ) VALUES (
+        @changed_at, @username, @project_id, @project_name, @target_name,
+        @exposure_plan_id, @filter_name, @field, @old_value, @new_value, @backup_file
+      )
+    `);
+
+    const insertAll = this.db.transaction((rows) => {
+      for (const row of rows) insert.run(row);
+    });
+
+    insertAll(entries);
+  }
+
+  getEntries({ projectId = null, limit = 100 } = {}) {
+    if (projectId !== null) {
+      return this.db.prepare(`
+        SELECT * FROM scheduler_audit WHERE project_id = ? ORDER BY changed_at DESC, id DESC LIMIT ?
+      `).all(projectId, limit);
+    }
+
+    return this.db.prepare('SELECT * FROM scheduler_audit ORDER BY changed_at DESC, id DESC LIMIT ?').all(limit);
+  }
+}
+
+module.exports = SchedulerAuditSchema;
@@ -50,7 +50,59 @@ class SessionSchema {
       CREATE INDEX IF NOT EXISTS idx_sessions_started ON sessions(started_at);
     `);
 
-    // Session events table - recent NINA events only (rolling window)
+    // Night sessions table - one row per observing night (noon to noon, observatory time)
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS night_sessions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        session_uuid TEXT UNIQUE NOT NULL,
+        night_date TEXT UNIQUE NOT NULL, -- YYYY-MM-DD of the evening the night started
+        started_at TEXT NOT NULL,
+        ended_at TEXT,
+        is_active BOOLEAN DEFAULT 1,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_night_sessions_date ON night_sessions(night_date);
+    `);
+
+    // Session frames table - every saved image with its quality and guiding figures
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS session_frames (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        session_uuid TEXT NOT NULL,
+        captured_at TEXT NOT NULL,
+        target_name TEXT,
+        project_name TEXT,
+        filter TEXT,
+        frame_type TEXT,
+        exposure_seconds REAL,
+        hfr REAL,
+        stars INTEGER,
+        mean REAL,
+        median REAL,
+        rms_total REAL,
+        rms_ra REAL,
+        rms_dec REAL,
+        file_path TEXT,
+        grade_status TEXT, -- accepted, rejected or ungraded (light frames only)
+        grade_reasons TEXT, -- JSON array of the failed rules
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_frames_session ON session_frames(session_uuid);
+      CREATE INDEX IF NOT EXISTS idx_frames_captured ON session_frames(captured_at);
+    `);
+
+    // Grading columns arrived after session_frames - add them to databases created before that
+    const frameColumns = this.db.prepare('PRAGMA table_info(session_frames)').all().map(col => col.name);
+    if (!frameColumns.includes('grade_status')) {
+      this.db.exec(`
+        ALTER TABLE session_frames ADD COLUMN grade_status TEXT;
+        ALTER TABLE session_frames ADD COLUMN grade_reasons TEXT;
+      `);
+    }
+
+    // Session events table - NINA events archived per night session
     this.db.exec(`
       CREATE TABLE IF NOT EXISTS session_events (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -158,26 +210,112 @@ class SessionSchema {
       VALUES (?, ?, ?, ?)
     `);
 
-    const result = stmt.run(sessionUuid, eventType, eventTimeUtc, JSON.stringify(eventData));
+    return stmt.run(sessionUuid, eventType, eventTimeUtc, JSON.stringify(eventData));
+  }
+
+  // Remove archived events, frames and nights older than the retention period
+  cleanOldEvents(retentionDays = 365) {
+    const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000).toISOString();
 
-    // Keep only the most recent 100 events (rolling window)
-    this.cleanOldEvents(20);
+    const prune = this.db.transaction(() => {
+      const events = this.db.prepare('DELETE FROM session_events WHERE event_time_utc < ?').run(cutoff);
+      const frames = this.db.prepare('DELETE FROM session_frames WHERE captured_at < ?').run(cutoff);
+      this.db.prepare(`
+        DELETE FROM night_sessions
+        WHERE is_active = 0 AND COALESCE(ended_at, started_at) < ?
+      `).run(cutoff);
+      return events.changes + frames.changes;
+    });
 
-    return result;
+    return prune();
   }
 
-  // Clean old events, keeping only the most recent N events
-  cleanOldEvents(maxEvents = 20) {
-    const stmt = this.db.prepare(`
-      DELETE FROM session_events 
-      WHERE id NOT IN (
-        SELECT id FROM session_events 
-        ORDER BY event_time_utc DESC, id DESC 
-        LIMIT ?
+  // Get the night session for a night date (YYYY-MM-DD)
+  getNightSession(nightDate) {
+    return this.db.prepare('SELECT * FROM night_sessions WHERE night_date = ?').get(nightDate);
+  }
+
+  getNightSessionByUuid(sessionUuid) {
+    return this.db.prepare('SELECT * FROM night_sessions WHERE session_uuid = ?').get(sessionUuid);
+  }
+
+  // Start a night session, closing any other night that is still marked active
+  startNightSession(sessionUuid, nightDate, startedAt) {
+    const start = this.db.transaction(() => {
+      this.db.prepare('UPDATE night_sessions SET is_active = 0 WHERE is_active = 1').run();
+      this.db.prepare(`
+        INSERT INTO night_sessions (session_uuid, night_date, started_at, ended_at, is_active)
+        VALUES (?, ?, ?, ?, 1)
+      `).run(sessionUuid, nightDate, startedAt, startedAt);
+    });
+
+    start();
+    return this.getNightSessionByUuid(sessionUuid);
+  }
+
+  // Move the night's end time forward to the latest activity
+  touchNightSession(sessionUuid, activityAt) {
+    return this.db.prepare(`
+      UPDATE night_sessions SET ended_at = ?
+      WHERE session_uuid = ? AND (ended_at IS NULL OR ended_at < ?)
+    `).run(activityAt, sessionUuid, activityAt);
+  }
+
+  // List night sessions (newest first) with frame and integration totals
+  listNightSessions(limit = 30, offset = 0) {
+    return this.db.prepare(`
+      SELECT n.*,
+        COUNT(f.id) AS frame_count,
+        COALESCE(SUM(CASE WHEN UPPER(COALESCE(f.frame_type, 'LIGHT')) = 'LIGHT' THEN f.exposure_seconds ELSE 0 END), 0) AS integration_seconds,
+        COUNT(DISTINCT f.target_name) AS target_count,
+        (SELECT COUNT(*) FROM session_events e
+          WHERE e.session_uuid = n.session_uuid AND e.event_type LIKE '%FAIL%') AS failure_count
+      FROM night_sessions n
+      LEFT JOIN session_frames f ON f.session_uuid = n.session_uuid
+      GROUP BY n.id
+      ORDER BY n.night_date DESC
+      LIMIT ? OFFSET ?
+    `).all(limit, offset);
+  }
+
+  countNightSessions() {
+    return this.db.prepare('SELECT COUNT(*) AS count FROM night_sessions').get().count;
+  }
+
+  // Record a saved frame
+  addFrame(frame) {
+    return this.db.prepare(`
+      INSERT INTO session_frames (
+        session_uuid, captured_at, target_name, project_name, filter, frame_type,
+        exposure_seconds, hfr, stars, mean, median, rms_total, rms_ra, rms_dec, file_path,
+        grade_status, grade_reasons
+      ) VALUES (
+        @session_uuid, @captured_at, @target_name, @project_name, @filter, @frame_type,
+        @exposure_seconds, @hfr, @stars, @mean, @median, @rms_total, @rms_ra, @rms_dec, @file_path,
+        @grade_status, @grade_reasons
       )
-    `);
+    `).run(frame);
+  }
+
+  // Earlier light frames of the same night, target and filter - the reference for grading
+  getGradingReferences(sessionUuid, targetName, filter) {
+    return this.db.prepare(`
+      SELECT hfr, stars FROM session_frames
+      WHERE session_uuid = ? AND target_name IS ? AND filter IS ? AND frame_type = 'LIGHT'
+      ORDER BY captured_at ASC, id ASC
+    `).all(sessionUuid, targetName, filter);
+  }
+
+  getSessionFrames(sessionUuid) {
+    return this.db.prepare(`
+      SELECT * FROM session_frames WHERE session_uuid = ? ORDER BY captured_at ASC, id ASC
+    `).all(sessionUuid);
+  }
 
-    return stmt.run(maxEvents);
+  getSessionEvents(sessionUuid) {
+    return this.db.prepare(`
+      SELECT * FROM session_events WHERE session_uuid = ? ORDER BY event_time_utc ASC, id ASC
+    `).all(sessionUuid);
   }
 
   // Get recent events
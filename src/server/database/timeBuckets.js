@@ -0,0 +1,28 @@
+// Fixed-width time buckets for the downsampled history charts (guiding, Pegasus telemetry, weather)
+
+/**
+ * Rows between @from and @to grouped into buckets of @bucketMs counted from @from, oldest first
+ * Every bucket has `bucket` (its number), `first_time` and `samples` plus the given aggregates
+ * @param {Database} db - better-sqlite3 database
+ * @param {Object} query
+ * @param {string} query.source - table, or a parenthesised subquery with an alias
+ * @param {string} query.timeColumn - ISO time column compared with @from/@to
+ * @param {string} query.aggregates - SQL select list, e.g. 'AVG(voltage) AS voltage'
+ * @param {string} [query.where] - extra condition, e.g. 'device_key = @deviceKey'
+ * @param {Object} params - from, to (ISO), bucketMs and any parameters the where clause names
+ */
+function selectBuckets(db, { source, timeColumn, aggregates, where = null }, params) {
+  return db.prepare(`
+    SELECT
+      CAST((julianday(${timeColumn}) - julianday(@from)) * 86400000 / @bucketMs AS INTEGER) AS bucket,
+      MIN(${timeColumn}) AS first_time,
+      COUNT(*) AS samples,
+      ${aggregates}
+    FROM ${source}
+    WHERE ${where ? `${where} AND ` : ''}${timeColumn} >= @from AND ${timeColumn} <= @to
+    GROUP BY bucket
+    ORDER BY bucket
+  `).all(params);
+}
+
+module.exports = { selectBuckets };
@@ -0,0 +1,87 @@
+// Weather History Schema
+// Observing conditions sampled from NINA's weather device in dashboard-config.sqlite
+// - see src/services/weatherHistoryService.js
+
+const { selectBuckets } = require('./timeBuckets');
+
+class WeatherSchema {
+  constructor(db) {
+    this.db = db;
+    this.initializeTables();
+  }
+
+  initializeTables() {
+    this.db.exec(`
+      -- One row per sample; null where the weather device doesn't report a value
+      CREATE TABLE IF NOT EXISTS weather_samples (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        sample_time TEXT NOT NULL,
+        temperature REAL,
+        humidity REAL,
+        dew_point REAL,
+        pressure REAL,
+        cloud_cover REAL,
+        rain_rate REAL,
+        sky_brightness REAL,
+        sky_quality REAL,
+        sky_temperature REAL,
+        star_fwhm REAL,
+        wind_speed REAL,
+        wind_gust REAL,
+        wind_direction REAL
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_weather_samples_time ON weather_samples(sample_time);
+    `);
+  }
+
+  addSample(sample) {
+    return this.db.prepare(`
+      INSERT INTO weather_samples (
+        sample_time, temperature, humidity, dew_point, pressure, cloud_cover, rain_rate,
+        sky_brightness, sky_quality, sky_temperature, star_fwhm, wind_speed, wind_gust, wind_direction
+      ) VALUES (
+        @sample_time, @temperature, @humidity, @dew_point, @pressure, @cloud_cover, @rain_rate,
+        @sky_brightness, @sky_quality, @sky_temperature, @star_fwhm, @wind_speed, @wind_gust, @wind_direction
+      )
+    `).run(sample).lastInsertRowid;
+  }
+
+  // Samples grouped into fixed-width time buckets
+  getBucketedSamples(from, to, bucketMs) {
+    return selectBuckets(this.db, {
+      source: 'weather_samples',
+      timeColumn: 'sample_time',
+      aggregates: `
+        AVG(temperature) AS temperature,
+        AVG(humidity) AS humidity,
+        AVG(dew_point) AS dew_point,
+        MIN(temperature - dew_point) AS min_dew_point_depression,
+        AVG(temperature - dew_point) AS dew_point_depression,
+        AVG(pressure) AS pressure,
+        AVG(cloud_cover) AS cloud_cover,
+        MAX(rain_rate) AS rain_rate,
+        AVG(sky_quality) AS sky_quality,
+        AVG(sky_temperature) AS sky_temperature,
+        AVG(star_fwhm) AS star_fwhm,
+        AVG(wind_speed) AS wind_speed,
+        MAX(wind_gust) AS wind_gust`
+    }, { from, to, bucketMs });
+  }
+
+  // Raw samples for trend detection, oldest first
+  getSamples(from, to) {
+    return this.db.prepare(`
+      SELECT * FROM weather_samples
+      WHERE sample_time >= ? AND sample_time <= ?
+      ORDER BY sample_time
+    `).all(from, to);
+  }
+
+  cleanOldSamples(retentionDays) {
+    const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000).toISOString();
+    return this.db.prepare('DELETE FROM weather_samples WHERE sample_time < ?').run(cutoff).changes;
+  }
+}
+
+module.exports = WeatherSchema;
@@ -0,0 +1,194 @@
+// Authentication middleware
+// Resolves the session cookie or bearer token on every request to req.auth, rejects anonymous
+// /api requests, and provides requireRole() for routes that need operator or admin rights.
+// The same checks guard the /ws/* WebSocket upgrades
+
+const AuthService = require('../../services/authService');
+const { SESSION_COOKIE, SESSION_TTL_MS } = AuthService;
+
+// Endpoints reachable before logging in
+const PUBLIC_API_PATHS = new Set([
+  '/api/auth/status',
+  '/api/auth/login',
+  '/api/auth/logout',
+  '/api/auth/setup',
+  '/api/config/health'
+]);
+
+// Extra origins allowed to call the API with credentials, e.g. a reverse proxy host
+const EXTRA_ORIGINS = (process.env.CORS_ORIGINS || '')
+  .split(',')
+  .map(origin => origin.trim().replace(/\/+$/, ''))
+  .filter(Boolean);
+
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of (header || '').split(';')) {
+    const index = part.indexOf('=');
+    if (index === -1) continue;
+    const name = part.slice(0, index).trim();
+    try {
+      cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+    } catch {
+      cookies[name] = part.slice(index + 1).trim();
+    }
+  }
+  return cookies;
+}
+
+function getCredentials(req, { allowQueryToken = false } = {}) {
+  const authorization = req.headers.authorization || '';
+  const bearerToken = authorization.startsWith('Bearer ') ? authorization.slice(7).trim() : null;
+
+  // Browsers can't set headers on WebSocket upgrades, so scripts may pass an API token as ?token=
+  let queryToken = null;
+  if (allowQueryToken) {
+    queryToken = new URL(req.url, 'http://localhost').searchParams.get('token');
+  }
+
+  return {
+    sessionToken: parseCookies(req.headers.cookie)[SESSION_COOKIE] || null,
+    bearerToken: bearerToken || queryToken
+  };
+}
+
+/**
+ * The dashboard is served from the API port in production and from :3000 in development,
+ * so any port on the host the request was sent to counts as the same site
+ */
+function isOriginAllowed(origin, host) {
+  if (!origin) return true;
+  if (EXTRA_ORIGINS.includes(origin)) return true;
+
+  try {
+    const originHost = new URL(origin).hostname;
+    const requestHost = new URL(`http://${host}`).hostname;
+    return originHost === requestHost;
+  } catch {
+    return false;
+  }
+}
+
+// cors() options delegate - credentials only for allowed origins, no CORS headers otherwise
+function corsOptions(req, callback) {
+  callback(null, {
+    origin: isOriginAllowed(req.headers.origin, req.headers.host),
+    credentials: true
+  });
+}
+
+const isLoopback = (address) =>
+  address === '::1' || address.startsWith('127.') || address.startsWith('::ffff:127.');
+
+/**
+ * Whether the request comes from the server machine itself. A proxy on the same machine (the dev server,
+ * nginx) connects from loopback too, so the client it appended last to X-Forwarded-For must be local as well
+ */
+function isLocalRequest(req) {
+  if (!isLoopback(req.socket?.remoteAddress || '')) return false;
+  if (req.headers.forwarded) return false;
+
+  const forwardedFor = (req.headers['x-forwarded-for'] || '').split(',').map(part => part.trim()).filter(Boolean);
+  return forwardedFor.length === 0 || isLoopback(forwardedFor[forwardedFor.length - 1]);
+}
+
+function setSessionCookie(req, res, token) {
+  res.cookie(SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'strict',
+    secure: req.secure,
+    path: '/',
+    maxAge: SESSION_TTL_MS
+  });
+}
+
+function clearSessionCookie(req, res) {
+  res.clearCookie(SESSION_COOKIE, { httpOnly: true, sameSite: 'strict', secure: req.secure, path: '/' });
+}
+
+/**
+ * Authenticate every request and require a logged-in user for /api outside PUBLIC_API_PATHS
+ * @param {AuthService} authService
+ */
+function createAuthMiddleware(authService) {
+  return (req, res, next) => {
+    const credentials = getCredentials(req);
+    req.auth = authService.authenticate(credentials);
+    req.sessionToken = credentials.sessionToken;
+
+    if (!req.path.startsWith('/api/')) {
+      return next();
+    }
+
+    // Cross-site requests that change state are refused outright, whatever the cookie says
+    if (req.method !== 'GET' && req.method !== 'HEAD' && req.method !== 'OPTIONS' &&
+        !isOriginAllowed(req.headers.origin, req.headers.host)) {
+      return res.status(403).json({ error: 'Cross-origin request refused' });
+    }
+
+    if (PUBLIC_API_PATHS.has(req.path) || req.method === 'OPTIONS') {
+      return next();
+    }
+
+    if (!req.auth) {
+      const setupRequired = authService.isSetupRequired();
+      return res.status(401).json({
+        error: setupRequired ? 'Create the admin account first' : 'Authentication required',
+        setupRequired
+      });
+    }
+
+    next();
+  };
+}
+
+/**
+ * Route guard for a minimum role (viewer < operator < admin)
+ * @param {'viewer'|'operator'|'admin'} role
+ */
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.auth) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    if (!AuthService.hasRole(req.auth.user.role, role)) {
+      return res.status(403).json({
+        error: `${role.charAt(0).toUpperCase()}${role.slice(1)} role required`,
+        requiredRole: role
+      });
+    }
+    next();
+  };
+}
+
+/**
+ * verifyClient for the ws server - same origin and credential checks as the REST API
+ * @param {AuthService} authService
+ */
+function createWebSocketVerifier(authService) {
+  return ({ origin, req }, done) => {
+    if (!isOriginAllowed(origin, req.headers.host)) {
+      console.warn(`⚠️ WebSocket from disallowed origin ${origin} refused`);
+      return done(false, 403, 'Forbidden');
+    }
+
+    const auth = authService.authenticate(getCredentials(req, { allowQueryToken: true }));
+    if (!auth) {
+      return done(false, 401, 'Unauthorized');
+    }
+
+    req.auth = auth;
+    done(true);
+  };
+}
+
+module.exports = {
+  createAuthMiddleware,
+  createWebSocketVerifier,
+  requireRole,
+  corsOptions,
+  isOriginAllowed,
+  isLocalRequest,
+  setSessionCookie,
+  clearSessionCookie
+};
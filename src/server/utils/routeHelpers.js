@@ -0,0 +1,39 @@
+// Shared helpers for the API routes and the services behind them
+
+/**
+ * An error whose message is meant for the API client, answered with its own HTTP status
+ * Services throw it for bad input (400), missing things (404) and unreachable devices (502)
+ */
+class ApiError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ApiError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Answer a failed request: errors with a statusCode send their own message, anything else
+ * is logged and answered with a generic 500
+ * @param {Object} res - Express response
+ * @param {Error} error
+ * @param {string} message - what failed, e.g. 'Failed to get image'
+ */
+function handleError(res, error, message) {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({ error: message });
+}
+
+// Device readings as numbers; NINA and Pegasus report missing sensors as "Unknown", NaN or strings
+const toNumber = (value) => {
+  const number = typeof value === 'string' ? parseFloat(value) : value;
+  return Number.isFinite(number) ? number : null;
+};
+
+const round = (value, digits = 2) =>
+  (value === null || value === undefined ? null : Math.round(value * 10 ** digits) / 10 ** digits);
+
+module.exports = { ApiError, handleError, toNumber, round };
@@ -0,0 +1,47 @@
+// Time range query parameters shared by the history endpoints (guiding, plate solves, Pegasus, weather)
+
+const { ApiError } = require('./routeHelpers');
+
+const HOUR_MS = 60 * 60 * 1000;
+const MAX_HISTORY_DAYS = 31;
+
+/**
+ * from/to query parameters as Dates, throwing an ApiError (400) for invalid or oversized ranges
+ * @param {Object} query - from, to (ISO times; to defaults to now, from to defaultHours before to)
+ * @param {Object} [options]
+ * @param {number} [options.defaultHours=24]
+ * @param {number} [options.maxDays=31]
+ * @returns {{ from: Date, to: Date }}
+ */
+function parseTimeRange(query = {}, { defaultHours = 24, maxDays = MAX_HISTORY_DAYS } = {}) {
+  const to = query.to ? new Date(query.to) : new Date();
+  const from = query.from ? new Date(query.from) : new Date(to.getTime() - defaultHours * HOUR_MS);
+
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+    throw new ApiError('from and to must be valid dates');
+  }
+  if (from >= to) {
+    throw new ApiError('from must be before to');
+  }
+  if (to - from > maxDays * 24 * HOUR_MS) {
+    throw new ApiError(`History is limited to ${maxDays} days`);
+  }
+  return { from, to };
+}
+
+// maxPoints query parameter for downsampled series: 10-5000, default 600
+const parseMaxPoints = (value) => Math.min(Math.max(parseInt(value) || 600, 10), 5000);
+
+/**
+ * Time range and bucket width of a downsampled history: at most maxPoints buckets, none shorter than a sample
+ * @param {Object} query - from, to, maxPoints
+ * @param {Object} options - defaultHours, sampleIntervalMs
+ * @returns {{ from: Date, to: Date, bucketMs: number }}
+ */
+function parseBucketedRange(query, { defaultHours, sampleIntervalMs }) {
+  const { from, to } = parseTimeRange(query, { defaultHours });
+  const bucketMs = Math.max(sampleIntervalMs, Math.ceil((to - from) / parseMaxPoints(query.maxPoints)));
+  return { from, to, bucketMs };
+}
+
+module.exports = { parseTimeRange, parseMaxPoints, parseBucketedRange, MAX_HISTORY_DAYS };
@@ -0,0 +1,405 @@
+// Alert Engine - Main Orchestrator
+// Evaluates alert rules against unified state updates and polled data (NINA connection, camera, disks)
+// and delivers alerts through the channels enabled in the `notifications` config,
+// with deduplication, cooldowns and quiet hours
+
+const moment = require('moment-timezone');
+const rules = require('./rules');
+const { createNotifiers } = require('./notifiers');
+const { ApiError } = require('../../server/utils/routeHelpers');
+
+const TICK_INTERVAL_MS = 60 * 1000;
+const HISTORY_LIMIT = 100;
+const SETPOINT_SETTLED_DEGREES = 1;
+const IGNORED_FILESYSTEMS = ['squashfs', 'tmpfs', 'devtmpfs', 'overlay'];
+const SEVERITY_RANK = { warning: 1, critical: 2 };
+
+// Settings not present in stored configs fall back to these
+const DEFAULT_SETTINGS = {
+  enabled: true,
+  emailAlerts: false,
+  pushNotifications: true,
+  alertThresholds: {
+    temperatureWarning: 5, // °C away from the cooler setpoint
+    temperatureCritical: 15,
+    connectionTimeout: 30, // seconds NINA may be unreachable
+    guidingLostMinutes: 5,
+    rmsArcsec: 2,
+    diskUsagePercent: 90
+  },
+  cooldownMinutes: 30,
+  quietHours: {
+    enabled: false,
+    start: '08:00', // Observatory local time
+    end: '18:00',
+    allowCritical: true
+  },
+  email: { host: '', port: 587, secure: false, username: '', password: '', from: '', to: '' },
+  webhook: { enabled: false, url: '' },
+  push: { service: 'ntfy', url: 'https://ntfy.sh', topic: '', token: '' }
+};
+
+class AlertEngine {
+  constructor(configDatabase, unifiedStateSystem, { ninaService = null, systemMonitor = null } = {}) {
+    this.configDatabase = configDatabase;
+    this.unifiedStateSystem = unifiedStateSystem;
+    this.ninaService = ninaService;
+    this.systemMonitor = systemMonitor;
+
+    this.active = new Map(); // key -> firing alert
+    this.lastSent = new Map(); // key -> { at, severity } of the last notification, kept after resolution
+    this.history = [];
+
+    this.state = null;
+    this.wasGuiding = false;
+    this.guidingLostSince = null;
+    this.ninaDisconnectedSince = null;
+    this.settledSetpoint = null;
+
+    this.unsubscribe = null;
+    this.tickTimer = null;
+  }
+
+  start() {
+    if (!this.unifiedStateSystem) {
+      console.warn('⚠️ Alert engine disabled - unified state system not available');
+      return;
+    }
+
+    this.state = this.unifiedStateSystem.getState();
+    this.unsubscribe = this.unifiedStateSystem.subscribe((message) => this.handleUpdate(message));
+    this.tickTimer = setInterval(() => this.tick(), TICK_INTERVAL_MS);
+
+    console.log('🔔 Alert engine started');
+  }
+
+  stop() {
+    if (this.unsubscribe) this.unsubscribe();
+    clearInterval(this.tickTimer);
+    this.unsubscribe = null;
+    this.tickTimer = null;
+  }
+
+  /**
+   * Notifications config merged over the defaults (stored configs may predate newer keys)
+   */
+  getSettings() {
+    const stored = this.configDatabase.getConfig().notifications || {};
+    const settings = { ...DEFAULT_SETTINGS, ...stored };
+
+    for (const key of ['alertThresholds', 'quietHours', 'email', 'webhook', 'push']) {
+      settings[key] = { ...DEFAULT_SETTINGS[key], ...(stored[key] || {}) };
+    }
+    return settings;
+  }
+
+  handleUpdate(message) {
+    if (!message?.state) return;
+
+    this.state = message.state;
+    this.trackGuiding(Date.now());
+    this.evaluate(rules.filter(rule => !rule.polled), this.buildContext());
+  }
+
+  // Start the "guiding lost" clock when guiding stops during an active session
+  trackGuiding(now) {
+    const session = this.state?.currentSession;
+    const isGuiding = Boolean(session?.guiding?.isGuiding);
+
+    if (!session?.isActive || isGuiding) {
+      this.guidingLostSince = null;
+    } else if (this.wasGuiding && !this.guidingLostSince) {
+      this.guidingLostSince = now;
+    }
+    this.wasGuiding = isGuiding;
+  }
+
+  buildContext(polled = {}) {
+    return {
+      now: Date.now(),
+      state: this.state,
+      guidingLostSince: this.guidingLostSince,
+      nina: null,
+      camera: null,
+      disks: null,
+      ...polled
+    };
+  }
+
+  // Timer: fetch the polled data and evaluate every rule
+  async tick() {
+    try {
+      const polled = await this.poll();
+      this.trackGuiding(Date.now());
+      this.evaluate(rules, this.buildContext(polled));
+    } catch (error) {
+      console.error('❌ Alert engine tick failed:', error);
+    }
+  }
+
+  async poll() {
+    const polled = {};
+
+    if (this.ninaService) {
+      const status = await this.ninaService.getConnectionStatus().catch(() => ({ connected: false }));
+      if (status.connected) {
+        this.ninaDisconnectedSince = null;
+      } else if (!this.ninaDisconnectedSince) {
+        this.ninaDisconnectedSince = Date.now();
+      }
+      polled.nina = { connected: status.connected, disconnectedSince: this.ninaDisconnectedSince };
+
+      if (status.connected) {
+        polled.camera = await this.readCamera().catch(() => null);
+      }
+    }
+
+    if (this.systemMonitor) {
+      const diskInfo = await this.systemMonitor.getDiskInfo().catch(() => null);
+      if (diskInfo?.all) {
+        polled.disks = diskInfo.all.filter(disk => disk.total >= 1 && !IGNORED_FILESYSTEMS.includes(disk.type));
+      }
+    }
+
+    return polled;
+  }
+
+  async readCamera() {
+    const response = await this.ninaService.getCameraInfo();
+    const info = response?.Success ? response.Response : null;
+    if (!info) return null;
+
+    const temperature = parseFloat(info.Temperature);
+    const setpoint = parseFloat(info.TemperatureSetPoint ?? info.TargetTemp);
+    const coolerOn = Boolean(info.CoolerOn);
+
+    // Drift only counts once the sensor has reached this setpoint
+    if (!coolerOn || !Number.isFinite(setpoint)) {
+      this.settledSetpoint = null;
+    } else if (Number.isFinite(temperature) && Math.abs(temperature - setpoint) <= SETPOINT_SETTLED_DEGREES) {
+      this.settledSetpoint = setpoint;
+    }
+
+    return {
+      connected: Boolean(info.Connected),
+      coolerOn,
+      temperature,
+      setpoint,
+      settled: coolerOn && this.settledSetpoint === setpoint
+    };
+  }
+
+  evaluate(ruleSet, context) {
+    const settings = this.getSettings();
+
+    for (const rule of ruleSet) {
+      let conditions;
+      try {
+        conditions = rule.evaluate(context, settings.alertThresholds);
+      } catch (error) {
+        console.error(`❌ Alert rule ${rule.id} failed:`, error);
+        continue;
+      }
+      if (conditions === null) continue;
+
+      const firing = new Set(conditions.map(condition => condition.key));
+      for (const condition of conditions) {
+        this.raise(rule.id, condition, settings);
+      }
+
+      for (const [key, alert] of this.active) {
+        if (alert.rule === rule.id && !firing.has(key)) {
+          this.resolve(alert, settings);
+        }
+      }
+    }
+  }
+
+  raise(ruleId, condition, settings) {
+    const now = Date.now();
+    const cooldownMs = settings.cooldownMinutes * 60000;
+    const existing = this.active.get(condition.key);
+
+    if (existing) {
+      const escalated = SEVERITY_RANK[condition.severity] > SEVERITY_RANK[existing.severity];
+      existing.severity = condition.severity;
+      existing.title = condition.title;
+      existing.message = condition.message;
+
+      // Repeat while still firing only after the cooldown, or straight away when it got worse
+      const due = !existing.lastNotifiedAt || now - existing.lastNotifiedAt >= cooldownMs;
+      if (escalated || due) {
+        this.notify(existing, settings);
+      }
+      return;
+    }
+
+    const alert = {
+      key: condition.key,
+      rule: ruleId,
+      severity: condition.severity,
+      title: condition.title,
+      message: condition.message,
+      since: new Date(now).toISOString(),
+      lastNotifiedAt: null
+    };
+    this.active.set(alert.key, alert);
+
+    // A flapping condition that was notified recently (at the same or higher severity) stays quiet
+    const previous = this.lastSent.get(alert.key);
+    if (previous && now - previous.at < cooldownMs && SEVERITY_RANK[alert.severity] <= SEVERITY_RANK[previous.severity]) {
+      alert.lastNotifiedAt = previous.at;
+      this.record(alert, 'fired', { suppressed: 'cooldown' });
+      return;
+    }
+
+    this.notify(alert, settings);
+  }
+
+  resolve(alert, settings) {
+    this.active.delete(alert.key);
+    console.log(`✅ Alert resolved: ${alert.title}`);
+
+    // Only tell people an alert cleared if they were told it fired
+    if (alert.notified) {
+      this.deliver({
+        ...alert,
+        severity: 'resolved',
+        title: `${alert.title} - resolved`,
+        message: `Cleared after ${moment(alert.since).fromNow(true)}. ${alert.message}`
+      }, settings, 'resolved');
+    } else {
+      this.record(alert, 'resolved');
+    }
+  }
+
+  notify(alert, settings) {
+    alert.lastNotifiedAt = Date.now();
+
+    if (!settings.enabled) {
+      this.record(alert, 'fired', { suppressed: 'disabled' });
+      return;
+    }
+
+    if (this.isQuietTime(settings) && !(alert.severity === 'critical' && settings.quietHours.allowCritical)) {
+      // Not counted as sent, so it goes out after quiet hours if it's still firing
+      alert.lastNotifiedAt = null;
+      this.record(alert, 'fired', { suppressed: 'quiet-hours' });
+      return;
+    }
+
+    console.log(`🔔 Alert (${alert.severity}): ${alert.title} - ${alert.message}`);
+    alert.notified = true;
+    this.lastSent.set(alert.key, { at: alert.lastNotifiedAt, severity: alert.severity });
+    this.deliver(alert, settings, 'fired');
+  }
+
+  deliver(alert, settings, status) {
+    if (status === 'resolved' && this.isQuietTime(settings)) {
+      this.record(alert, status, { suppressed: 'quiet-hours' });
+      return Promise.resolve();
+    }
+
+    const notifiers = createNotifiers(settings, this.getObservatoryName());
+    if (notifiers.length === 0) {
+      this.record(alert, status, { suppressed: 'no-channels' });
+      return Promise.resolve();
+    }
+
+    const payload = {
+      key: alert.key,
+      rule: alert.rule,
+      severity: alert.severity,
+      title: alert.title,
+      message: alert.message,
+      time: new Date().toISOString()
+    };
+
+    return this.sendAll(notifiers, payload).then(results => {
+      this.record(alert, status, {
+        delivered: results.filter(result => result.ok).map(result => result.channel),
+        failed: results.filter(result => !result.ok).map(result => `${result.channel}: ${result.error}`)
+      });
+    });
+  }
+
+  async sendAll(notifiers, payload) {
+    const results = await Promise.allSettled(notifiers.map(notifier => notifier.send(payload)));
+
+    return results.map((result, index) => {
+      const channel = notifiers[index].name;
+      if (result.status === 'fulfilled') {
+        return { channel, ok: true };
+      }
+      console.error(`❌ Alert delivery via ${channel} failed:`, result.reason.message);
+      return { channel, ok: false, error: result.reason.message };
+    });
+  }
+
+  /**
+   * Send a test notification through every enabled channel, ignoring quiet hours
+   * @returns {Promise<Array>} Per-channel results
+   */
+  async sendTest() {
+    const notifiers = createNotifiers(this.getSettings(), this.getObservatoryName());
+    if (notifiers.length === 0) {
+      throw new ApiError('No notification channels are configured');
+    }
+
+    return this.sendAll(notifiers, {
+      key: 'test',
+      rule: 'test',
+      severity: 'warning',
+      title: 'Test notification',
+      message: 'Alert delivery from the NINA Web Control Panel is working.',
+      time: new Date().toISOString()
+    });
+  }
+
+  // Quiet hours in observatory local time; start after end means the window spans midnight
+  isQuietTime(settings, now = Date.now()) {
+    const { enabled, start, end } = settings.quietHours;
+    if (!enabled || !start || !end || start === end) return false;
+
+    const timezone = this.configDatabase.getConfig().observatory?.location?.timezone || moment.tz.guess();
+    const time = moment.tz(now, timezone).format('HH:mm');
+    return start < end ? time >= start && time < end : time >= start || time < end;
+  }
+
+  getObservatoryName() {
+    return this.configDatabase.getConfig().observatory?.name || 'Observatory';
+  }
+
+  record(alert, status, details = {}) {
+    this.history.unshift({
+      time: new Date().toISOString(),
+      status,
+      key: alert.key,
+      rule: alert.rule,
+      severity: alert.severity,
+      title: alert.title,
+      message: alert.message,
+      ...details
+    });
+    this.history = this.history.slice(0, HISTORY_LIMIT);
+  }
+
+  getActiveAlerts() {
+    return Array.from(this.active.values()).map(alert => ({
+      key: alert.key,
+      rule: alert.rule,
+      severity: alert.severity,
+      title: alert.title,
+      message: alert.message,
+      since: alert.since,
+      lastNotifiedAt: alert.lastNotifiedAt ? new Date(alert.lastNotifiedAt).toISOString() : null
+    }));
+  }
+
+  getHistory() {
+    return this.history;
+  }
+}
+
+module.exports = AlertEngine;
+module.exports.DEFAULT_SETTINGS = DEFAULT_SETTINGS;
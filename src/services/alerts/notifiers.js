@@ -0,0 +1,122 @@
+// Alert Notifiers
+// Delivery channels for the alert engine: SMTP email, generic webhook and ntfy/Gotify push
+// Every notifier exposes `name` and `async send(alert)`; alert = { key, rule, severity, title, message, time }
+
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+
+const HTTP_TIMEOUT_MS = 10000;
+const SMTP_TIMEOUT_MS = 15000;
+
+// Push priorities per alert severity ('resolved' is sent when an alert clears)
+const NTFY_PRIORITY = { critical: 'urgent', warning: 'high', resolved: 'default' };
+const NTFY_TAGS = { critical: 'rotating_light', warning: 'warning', resolved: 'white_check_mark' };
+const GOTIFY_PRIORITY = { critical: 8, warning: 5, resolved: 3 };
+
+class EmailNotifier {
+  constructor(email, observatoryName) {
+    this.name = 'email';
+    this.email = email;
+    this.observatoryName = observatoryName;
+  }
+
+  // Plain SMTP upgraded with STARTTLS when the server offers it, or implicit TLS (usually port 465) when secure
+  async send(alert) {
+    const transport = nodemailer.createTransport({
+      host: this.email.host,
+      port: parseInt(this.email.port, 10) || 587,
+      secure: Boolean(this.email.secure),
+      auth: this.email.username ? { user: this.email.username, pass: this.email.password } : undefined,
+      connectionTimeout: SMTP_TIMEOUT_MS,
+      greetingTimeout: SMTP_TIMEOUT_MS,
+      socketTimeout: SMTP_TIMEOUT_MS
+    });
+
+    await transport.sendMail({
+      from: this.email.from,
+      to: this.email.to,
+      subject: `[${this.observatoryName}] ${alert.severity.toUpperCase()}: ${alert.title}`,
+      text: `${alert.message}\n\nTime: ${alert.time}\nRule: ${alert.rule}\n`
+    });
+  }
+}
+
+class WebhookNotifier {
+  constructor(webhook, observatoryName) {
+    this.name = 'webhook';
+    this.webhook = webhook;
+    this.observatoryName = observatoryName;
+  }
+
+  async send(alert) {
+    await axios.post(this.webhook.url, {
+      observatory: this.observatoryName,
+      ...alert
+    }, { timeout: HTTP_TIMEOUT_MS });
+  }
+}
+
+// ntfy (POST text to <url>/<topic>) or Gotify (POST JSON to <url>/message?token=)
+class PushNotifier {
+  constructor(push, observatoryName) {
+    this.name = push.service === 'gotify' ? 'gotify' : 'ntfy';
+    this.push = push;
+    this.observatoryName = observatoryName;
+  }
+
+  async send(alert) {
+    const baseUrl = (this.push.url || '').replace(/\/+$/, '');
+    const title = `${this.observatoryName}: ${alert.title}`;
+
+    if (this.name === 'gotify') {
+      await axios.post(`${baseUrl}/message`, {
+        title,
+        message: alert.message,
+        priority: GOTIFY_PRIORITY[alert.severity] ?? 5
+      }, {
+        params: { token: this.push.token },
+        timeout: HTTP_TIMEOUT_MS
+      });
+      return;
+    }
+
+    const headers = {
+      'Title': title,
+      'Priority': NTFY_PRIORITY[alert.severity] || 'high',
+      'Tags': NTFY_TAGS[alert.severity] || 'warning',
+      'Content-Type': 'text/plain; charset=utf-8'
+    };
+    if (this.push.token) {
+      headers.Authorization = `Bearer ${this.push.token}`;
+    }
+
+    await axios.post(`${baseUrl}/${encodeURIComponent(this.push.topic)}`, alert.message, {
+      headers,
+      timeout: HTTP_TIMEOUT_MS
+    });
+  }
+}
+
+/**
+ * Build the notifiers enabled in the notifications config
+ * @param {Object} settings - Merged notifications settings
+ * @param {string} observatoryName
+ * @returns {Array} Notifiers
+ */
+function createNotifiers(settings, observatoryName) {
+  const notifiers = [];
+
+  if (settings.emailAlerts && settings.email.host && settings.email.to) {
+    notifiers.push(new EmailNotifier(settings.email, observatoryName));
+  }
+  if (settings.webhook.enabled && settings.webhook.url) {
+    notifiers.push(new WebhookNotifier(settings.webhook, observatoryName));
+  }
+  if (settings.pushNotifications && settings.push.url && (settings.push.topic || settings.push.service === 'gotify')) {
+    notifiers.push(new PushNotifier(settings.push, observatoryName));
+  }
+
+  return notifiers;
+}
+
+module.exports = { EmailNotifier, WebhookNotifier, PushNotifier, createNotifiers };
@@ -0,0 +1,116 @@
+// Alert Rules
+// Each rule looks at the evaluation context and returns the conditions currently firing
+// Rules marked `polled` need data the engine fetches on its timer (NINA connection, camera, disks);
+// they return null when that data isn't available so existing alerts are left as they are
+
+const DISK_CRITICAL_PERCENT = 98;
+
+const rules = [
+  {
+    id: 'guiding-lost',
+    polled: false,
+    evaluate({ state, now, guidingLostSince }, thresholds) {
+      const session = state?.currentSession;
+      if (!session?.isActive || session.guiding?.isGuiding || !guidingLostSince) return [];
+
+      const minutes = (now - guidingLostSince) / 60000;
+      if (minutes < thresholds.guidingLostMinutes) return [];
+
+      return [{
+        key: 'guiding-lost',
+        severity: 'warning',
+        title: 'Guiding lost',
+        message: `Guiding stopped ${Math.round(minutes)} minutes ago while the session is still running` +
+          (session.target?.targetName ? ` (target ${session.target.targetName})` : '') + '.'
+      }];
+    }
+  },
+  {
+    id: 'guiding-rms',
+    polled: false,
+    evaluate({ state }, thresholds) {
+      const guiding = state?.currentSession?.guiding;
+      const rms = guiding?.lastRmsTotal;
+      if (!guiding?.isGuiding || !Number.isFinite(rms) || rms <= thresholds.rmsArcsec) return [];
+
+      return [{
+        key: 'guiding-rms',
+        severity: 'warning',
+        title: 'Guiding RMS high',
+        message: `Total guiding RMS is ${rms.toFixed(2)}", above the ${thresholds.rmsArcsec}" limit.`
+      }];
+    }
+  },
+  {
+    id: 'camera-temperature',
+    polled: true,
+    evaluate({ camera }, thresholds) {
+      if (!camera) return null;
+      // Only once the camera has reached its setpoint - a cooldown in progress isn't drift
+      if (!camera.connected || !camera.coolerOn || !camera.settled) return [];
+
+      const drift = Math.abs(camera.temperature - camera.setpoint);
+      if (drift < thresholds.temperatureWarning) return [];
+
+      return [{
+        key: 'camera-temperature',
+        severity: drift >= thresholds.temperatureCritical ? 'critical' : 'warning',
+        title: 'Camera temperature drift',
+        message: `Sensor is at ${camera.temperature.toFixed(1)}°C, ${drift.toFixed(1)}°C away from the ${camera.setpoint.toFixed(1)}°C setpoint.`
+      }];
+    }
+  },
+  {
+    id: 'nina-disconnected',
+    polled: true,
+    evaluate({ nina, now }, thresholds) {
+      if (!nina) return null;
+      if (nina.connected || !nina.disconnectedSince) return [];
+
+      const seconds = (now - nina.disconnectedSince) / 1000;
+      if (seconds < thresholds.connectionTimeout) return [];
+
+      return [{
+        key: 'nina-disconnected',
+        severity: 'critical',
+        title: 'NINA disconnected',
+        message: `The NINA Advanced API has not responded for ${Math.round(seconds / 60) || 1} minute(s).`
+      }];
+    }
+  },
+  {
+    id: 'unsafe-while-imaging',
+    polled: false,
+    evaluate({ state }) {
+      const safety = state?.safety;
+      if (!state?.currentSession?.isActive || !safety) return [];
+      if (safety.isSafe !== false && safety.level !== 'critical') return [];
+
+      const details = (safety.alerts || []).map(alert => alert.message).join('; ');
+      return [{
+        key: 'unsafe-while-imaging',
+        severity: 'critical',
+        title: 'Unsafe conditions while imaging',
+        message: `The observatory reports unsafe conditions during an active session${details ? `: ${details}` : ''}.`
+      }];
+    }
+  },
+  {
+    id: 'disk-space',
+    polled: true,
+    evaluate({ disks }, thresholds) {
+      if (!disks) return null;
+
+      return disks
+        .filter(disk => disk.usagePercent >= thresholds.diskUsagePercent)
+        .map(disk => ({
+          key: `disk-space:${disk.mount}`,
+          severity: disk.usagePercent >= DISK_CRITICAL_PERCENT ? 'critical' : 'warning',
+          title: 'Disk almost full',
+          message: `${disk.mount} is ${disk.usagePercent}% full (${disk.free} GB free).`
+        }));
+    }
+  }
+];
+
+module.exports = rules;
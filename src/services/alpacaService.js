@@ -0,0 +1,461 @@
+// Alpaca Service - read-only status of ASCOM Alpaca devices that NINA doesn't connect to
+// (a roof controller, an all-sky weather station, a second focuser...). Servers are found by UDP discovery
+// on port 32227 plus the alpaca.servers list; each server's management API lists its devices, and
+// Dome, SafetyMonitor, ObservingConditions, Switch and Focuser devices are polled into unified state equipment.
+// Nothing is ever written to a device.
+
+const dgram = require('dgram');
+const os = require('os');
+const axios = require('axios');
+
+const DISCOVERY_PORT = 32227;
+const DISCOVERY_MESSAGE = 'alpacadiscovery1';
+const DISCOVERY_WAIT_MS = 1500;
+const DEVICE_LIST_REFRESH_MS = 5 * 60 * 1000; // Rediscover servers and reread device lists this often
+const DEFAULT_POLL_INTERVAL_MS = 10 * 1000;
+const MIN_POLL_INTERVAL_MS = 2000;
+const REQUEST_TIMEOUT_MS = 3000;
+const MAX_SWITCHES = 32;
+const CLIENT_ID = 1888;
+
+// Alpaca error numbers that mean "this device doesn't have that property" rather than a failure
+const NOT_IMPLEMENTED = 0x400;
+const INVALID_OPERATION = 0x40B;
+const NOT_CONNECTED = 0x407;
+
+const SHUTTER_STATES = ['open', 'closed', 'opening', 'closing', 'error'];
+
+// Read-only properties polled per device type; any the driver doesn't implement come back as null
+const DEVICE_PROPERTIES = {
+  dome: ['shutterstatus', 'azimuth', 'slewing', 'athome', 'atpark'],
+  safetymonitor: ['issafe'],
+  observingconditions: [
+    'temperature', 'humidity', 'dewpoint', 'pressure', 'cloudcover', 'rainrate',
+    'skybrightness', 'skyquality', 'skytemperature', 'starfwhm', 'windspeed', 'winddirection', 'windgust'
+  ],
+  switch: ['maxswitch'],
+  focuser: ['position', 'ismoving', 'temperature', 'absolute', 'maxstep']
+};
+
+class AlpacaError extends Error {
+  constructor(message, errorNumber = null) {
+    super(message);
+    this.name = 'AlpacaError';
+    this.errorNumber = errorNumber;
+  }
+}
+
+// Broadcast address of every IPv4 interface, plus the limited broadcast and loopback addresses
+// (Alpaca servers running on the observatory PC itself only answer on loopback on some systems)
+function getDiscoveryAddresses() {
+  const addresses = new Set(['255.255.255.255', '127.0.0.1']);
+  for (const entries of Object.values(os.networkInterfaces())) {
+    for (const entry of entries || []) {
+      if (entry.family !== 'IPv4' && entry.family !== 4) continue;
+      if (entry.internal || !entry.netmask) continue;
+      const address = entry.address.split('.').map(Number);
+      const mask = entry.netmask.split('.').map(Number);
+      addresses.add(address.map((part, i) => (part | (~mask[i] & 255))).join('.'));
+    }
+  }
+  return Array.from(addresses);
+}
+
+function normalizeServerUrl(server) {
+  const trimmed = String(server || '').trim().replace(/\/+$/, '');
+  if (!trimmed) return null;
+  return /^https?:\/\//i.test(trimmed) ? trimmed : `http://${trimmed}`;
+}
+
+class AlpacaService {
+  constructor(configDatabase, unifiedStateSystem) {
+    this.configDatabase = configDatabase;
+    this.unifiedStateSystem = unifiedStateSystem;
+    this.http = axios.create({
+      timeout: REQUEST_TIMEOUT_MS,
+      headers: { Accept: 'application/json' }
+    });
+    this.transactionId = 0;
+    this.discovered = []; // server base URLs answering the last discovery
+    this.servers = new Map(); // base URL -> { baseUrl, source, name, reachable, error, lastSeenAt }
+    this.devices = new Map(); // equipment id -> { id, server, deviceType, deviceNumber, name, uniqueId, equipment }
+    this.deviceListAt = 0;
+    this.lastPollAt = null;
+    this.pollPromise = null; // the poll in progress
+    this.pollTimer = null;
+    this.running = false;
+  }
+
+  /**
+   * Current alpaca.* settings - read on every poll so changes apply without a restart
+   */
+  getSettings() {
+    const get = (key, defaultValue) => this.configDatabase.getConfigValue(`alpaca.${key}`, defaultValue);
+    const servers = get('servers', []);
+    return {
+      enabled: get('enabled', false) === true,
+      discovery: get('discovery', true) !== false,
+      servers: (Array.isArray(servers) ? servers : []).map(normalizeServerUrl).filter(Boolean),
+      pollInterval: Math.max(parseInt(get('pollInterval', DEFAULT_POLL_INTERVAL_MS)) || DEFAULT_POLL_INTERVAL_MS, MIN_POLL_INTERVAL_MS)
+    };
+  }
+
+  start() {
+    this.running = true;
+    this.poll();
+    console.log('🔭 Alpaca device monitoring started');
+  }
+
+  stop() {
+    this.running = false;
+    clearTimeout(this.pollTimer);
+  }
+
+  scheduleNextPoll() {
+    if (!this.running) return;
+    clearTimeout(this.pollTimer);
+    this.pollTimer = setTimeout(() => this.poll(), this.getSettings().pollInterval);
+  }
+
+  /**
+   * Broadcast an Alpaca discovery request and collect the servers that answer
+   * @returns {Promise<string[]>} base URLs like http://192.168.1.20:11111
+   */
+  discover(waitMs = DISCOVERY_WAIT_MS) {
+    return new Promise((resolve) => {
+      const found = new Set();
+      const socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+      let finished = false;
+
+      const finish = () => {
+        if (finished) return;
+        finished = true;
+        clearTimeout(timer);
+        try { socket.close(); } catch (error) { /* already closed */ }
+        resolve(Array.from(found));
+      };
+      const timer = setTimeout(finish, waitMs);
+
+      socket.on('message', (message, remote) => {
+        try {
+          const port = JSON.parse(message.toString()).AlpacaPort;
+          if (Number.isInteger(port) && port > 0) {
+            found.add(`http://${remote.address}:${port}`);
+          }
+        } catch (error) {
+          // Not an Alpaca discovery response
+        }
+      });
+
+      socket.on('error', (error) => {
+        console.warn('⚠️ Alpaca discovery failed:', error.message);
+        finish();
+      });
+
+      socket.bind(() => {
+        socket.setBroadcast(true);
+        const message = Buffer.from(DISCOVERY_MESSAGE);
+        for (const address of getDiscoveryAddresses()) {
+          socket.send(message, DISCOVERY_PORT, address, (error) => {
+            if (error && address !== '255.255.255.255') {
+              console.warn(`⚠️ Alpaca discovery to ${address} failed:`, error.message);
+            }
+          });
+        }
+      });
+    });
+  }
+
+  /**
+   * One Alpaca API call; the JSON envelope's ErrorNumber becomes an AlpacaError
+   * @returns {Promise<*>} the response's Value
+   */
+  async call(baseUrl, path, params = {}) {
+    const response = await this.http.get(`${baseUrl}${path}`, {
+      params: { ClientID: CLIENT_ID, ClientTransactionID: ++this.transactionId, ...params }
+    });
+    const body = response.data || {};
+    if (body.ErrorNumber) {
+      throw new AlpacaError(body.ErrorMessage || `Alpaca error 0x${body.ErrorNumber.toString(16)}`, body.ErrorNumber);
+    }
+    return body.Value;
+  }
+
+  // A device property, or null when the driver doesn't implement it
+  async readProperty(device, property, params = {}) {
+    try {
+      return await this.call(device.server, `/api/v1/${device.deviceType}/${device.deviceNumber}/${property}`, params);
+    } catch (error) {
+      if (error.errorNumber === NOT_IMPLEMENTED || error.errorNumber === INVALID_OPERATION) return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Server list from discovery and alpaca.servers, then each server's configured devices
+   * Devices served by more than one address (loopback and LAN) are kept once, by UniqueID
+   */
+  async refreshDeviceList(settings) {
+    if (settings.discovery) {
+      this.discovered = await this.discover();
+    } else {
+      this.discovered = [];
+    }
+
+    const servers = new Map();
+    for (const baseUrl of settings.servers) servers.set(baseUrl, 'manual');
+    for (const baseUrl of this.discovered) if (!servers.has(baseUrl)) servers.set(baseUrl, 'discovery');
+
+    const devices = new Map();
+    const seen = new Set();
+    this.servers = new Map();
+
+    for (const [baseUrl, source] of servers) {
+      const server = { baseUrl, source, name: null, reachable: false, error: null, lastSeenAt: null };
+      this.servers.set(baseUrl, server);
+
+      try {
+        const description = await this.call(baseUrl, '/management/v1/description').catch(() => null);
+        server.name = description?.ServerName || null;
+
+        const configured = await this.call(baseUrl, '/management/v1/configureddevices');
+        server.reachable = true;
+        server.lastSeenAt = new Date().toISOString();
+
+        for (const entry of configured || []) {
+          const deviceType = String(entry.DeviceType || '').toLowerCase();
+          if (!DEVICE_PROPERTIES[deviceType]) continue;
+
+          const uniqueId = entry.UniqueID || `${baseUrl}/${deviceType}/${entry.DeviceNumber}`;
+          if (seen.has(uniqueId)) continue;
+          seen.add(uniqueId);
+
+          const id = `alpaca-${uniqueId}`;
+          devices.set(id, {
+            id,
+            server: baseUrl,
+            serverName: server.name,
+            deviceType,
+            deviceTypeName: entry.DeviceType,
+            deviceNumber: entry.DeviceNumber,
+            name: entry.DeviceName || `${entry.DeviceType} ${entry.DeviceNumber}`,
+            uniqueId,
+            equipment: this.devices.get(id)?.equipment || null
+          });
+        }
+      } catch (error) {
+        server.error = error.message;
+        // Keep the devices of a server that stopped answering so they show as disconnected
+        for (const device of this.devices.values()) {
+          if (device.server === baseUrl && !seen.has(device.uniqueId)) {
+            seen.add(device.uniqueId);
+            devices.set(device.id, device);
+          }
+        }
+      }
+    }
+
+    for (const id of this.devices.keys()) {
+      if (!devices.has(id)) this.unifiedStateSystem.removeEquipment(id, `${this.devices.get(id).name} removed`);
+    }
+
+    this.devices = devices;
+    this.deviceListAt = Date.now();
+  }
+
+  // Status of one device in the unified state equipment shape
+  async readDevice(device) {
+    const equipment = {
+      id: device.id,
+      type: device.deviceType === 'focuser' ? 'focuser' : 'other',
+      name: device.name,
+      connected: false,
+      status: 'disconnected',
+      details: {
+        source: 'alpaca',
+        deviceType: device.deviceTypeName,
+        deviceNumber: device.deviceNumber,
+        uniqueId: device.uniqueId,
+        server: device.server,
+        serverName: device.serverName,
+        error: null
+      }
+    };
+
+    try {
+      equipment.connected = (await this.readProperty(device, 'connected')) === true;
+      if (!equipment.connected) return equipment;
+
+      const values = {};
+      for (const property of DEVICE_PROPERTIES[device.deviceType]) {
+        values[property] = await this.readProperty(device, property);
+      }
+
+      equipment.status = 'idle';
+      Object.assign(equipment.details, await this.describe(device, values, equipment));
+    } catch (error) {
+      if (!(error instanceof AlpacaError)) {
+        // The server itself didn't answer
+        equipment.connected = false;
+        equipment.details.error = error.message;
+      } else if (error.errorNumber === NOT_CONNECTED) {
+        equipment.connected = false;
+      } else {
+        equipment.status = 'error';
+        equipment.details.error = error.message;
+      }
+    }
+
+    return equipment;
+  }
+
+  // Device type specific details; may change the equipment status
+  async describe(device, values, equipment) {
+    switch (device.deviceType) {
+      case 'dome':
+        if (values.slewing) equipment.status = 'slewing';
+        return {
+          shutter: SHUTTER_STATES[values.shutterstatus] ?? null,
+          azimuth: values.azimuth,
+          slewing: values.slewing,
+          atHome: values.athome,
+          atPark: values.atpark
+        };
+
+      case 'safetymonitor':
+        return { isSafe: values.issafe };
+
+      case 'observingconditions':
+        return {
+          temperature: values.temperature,
+          humidity: values.humidity,
+          dewPoint: values.dewpoint,
+          pressure: values.pressure,
+          cloudCover: values.cloudcover,
+          rainRate: values.rainrate,
+          skyBrightness: values.skybrightness,
+          skyQuality: values.skyquality,
+          skyTemperature: values.skytemperature,
+          starFwhm: values.starfwhm,
+          windSpeed: values.windspeed,
+          windDirection: values.winddirection,
+          windGust: values.windgust
+        };
+
+      case 'switch': {
+        const switches = [];
+        const count = Math.min(Number(values.maxswitch) || 0, MAX_SWITCHES);
+        for (let id = 0; id < count; id++) {
+          const [name, value, min, max] = [
+            await this.readProperty(device, 'getswitchname', { Id: id }),
+            await this.readProperty(device, 'getswitchvalue', { Id: id }),
+            await this.readProperty(device, 'minswitchvalue', { Id: id }),
+            await this.readProperty(device, 'maxswitchvalue', { Id: id })
+          ];
+          switches.push({ id, name: name || `Switch ${id}`, value, min, max, on: value !== null && min !== null ? value > min : null });
+        }
+        return { switches };
+      }
+
+      case 'focuser':
+        if (values.ismoving) equipment.status = 'moving';
+        return {
+          position: values.position,
+          isMoving: values.ismoving,
+          temperature: values.temperature,
+          absolute: values.absolute,
+          maxStep: values.maxstep
+        };
+
+      default:
+        return {};
+    }
+  }
+
+  /**
+   * Poll every device and publish the ones whose status changed; the device list is refreshed
+   * every few minutes. With alpaca.enabled off, Alpaca devices are taken out of unified state
+   */
+  poll() {
+    if (!this.pollPromise) {
+      this.pollPromise = this.pollDevices().finally(() => {
+        this.pollPromise = null;
+        this.scheduleNextPoll();
+      });
+    }
+    return this.pollPromise;
+  }
+
+  async pollDevices() {
+    try {
+      const settings = this.getSettings();
+      if (!settings.enabled) {
+        this.clearDevices();
+        return;
+      }
+
+      if (Date.now() - this.deviceListAt >= DEVICE_LIST_REFRESH_MS || this.devices.size === 0) {
+        await this.refreshDeviceList(settings);
+      }
+
+      for (const device of this.devices.values()) {
+        const equipment = await this.readDevice(device);
+        const previous = device.equipment;
+        device.equipment = equipment;
+
+        if (previous && JSON.stringify(previous) === JSON.stringify(equipment)) continue;
+        if (previous?.connected !== equipment.connected) {
+          console.log(`🔭 Alpaca ${device.name}: ${equipment.connected ? 'connected' : 'disconnected'}`);
+        }
+        const state = !equipment.connected ? 'disconnected'
+          : equipment.details.isSafe === false ? 'unsafe'
+            : equipment.details.isSafe === true ? 'safe'
+              : equipment.status;
+        this.unifiedStateSystem.updateEquipment(equipment, `${device.name}: ${state}`);
+      }
+
+      this.lastPollAt = new Date().toISOString();
+    } catch (error) {
+      console.error('❌ Alpaca poll failed:', error.message);
+    }
+  }
+
+  clearDevices() {
+    for (const device of this.devices.values()) {
+      this.unifiedStateSystem.removeEquipment(device.id, `${device.name} removed`);
+    }
+    this.devices.clear();
+    this.servers.clear();
+    this.deviceListAt = 0;
+  }
+
+  /**
+   * Forget the device list and rediscover now
+   */
+  async rediscover() {
+    if (this.pollPromise) await this.pollPromise;
+    this.deviceListAt = 0;
+    await this.poll();
+    return this.getStatus();
+  }
+
+  getStatus() {
+    const settings = this.getSettings();
+    return {
+      enabled: settings.enabled,
+      discovery: settings.discovery,
+      lastPollAt: this.lastPollAt,
+      deviceListAt: this.deviceListAt ? new Date(this.deviceListAt).toISOString() : null,
+      servers: Array.from(this.servers.values()),
+      devices: Array.from(this.devices.values()).map(device => device.equipment || {
+        id: device.id,
+        name: device.name,
+        connected: false,
+        status: 'unknown',
+        details: { source: 'alpaca', deviceType: device.deviceTypeName, server: device.server }
+      })
+    };
+  }
+}
+
+module.exports = { AlpacaService, AlpacaError, DISCOVERY_PORT, DISCOVERY_MESSAGE };
@@ -1,5 +1,9 @@
 // Astronomical Data Service
-// Integrates with sunrise-sunset.org API for real astronomical data
+// Sun, moon and twilight times computed locally by astronomyEngine - works without internet access
+
+const moment = require('moment-timezone');
+const astronomyEngine = require('./astronomyEngine');
+const horizonProfile = require('./horizonProfile');
 
 class AstronomicalService {
   constructor() {
@@ -8,15 +12,20 @@ class AstronomicalService {
   }
 
   /**
-   * Fetch astronomical data from sunrise-sunset.org API
+   * Compute a day's sun and moon events for a location
+   * Results keep the shape of the sunrise-sunset.org API this replaced, plus moonrise, moonset and moon_transit
+   * (null when that event doesn't happen on the day)
    * @param {number} latitude - Latitude in decimal degrees
-   * @param {number} longitude - Longitude in decimal degrees  
+   * @param {number} longitude - Longitude in decimal degrees (east positive)
    * @param {string} date - Date in YYYY-MM-DD format
-   * @param {boolean} formatted - Whether to return formatted times (default: false for UTC)
+   * @param {boolean} formatted - Return 'h:mm:ss AM' UTC times instead of ISO timestamps (default: false)
+   * @param {Object} options - elevation (meters), timezone (IANA; the day runs midnight to midnight there,
+   *   otherwise local mean solar midnight)
    * @returns {Promise<Object>} Astronomical data
    */
-  async fetchAstronomicalData(latitude, longitude, date, formatted = false) {
-    const cacheKey = `${latitude},${longitude},${date},${formatted}`;
+  async fetchAstronomicalData(latitude, longitude, date, formatted = false, options = {}) {
+    const { elevation = 0, timezone = null } = options;
+    const cacheKey = `${latitude},${longitude},${elevation},${timezone},${date},${formatted}`;
     
     // Check cache first
     const cached = this.cache.get(cacheKey);
@@ -24,33 +33,34 @@ class AstronomicalService {
       return cached.data;
     }
 
-    try {
-      const formatParam = formatted ? '1' : '0';
-      const url = `https://api.sunrise-sunset.org/json?lat=${latitude}&lng=${longitude}&date=${date}&formatted=${formatParam}`;
-      
-      console.log(`🌅 Fetching astronomical data: ${url}`);
-      
-      const response = await fetch(url);
-      if (!response.ok) {
-        throw new Error(`API request failed: ${response.status} ${response.statusText}`);
-      }
+    const start = timezone
+      ? moment.tz(date, timezone).toDate()
+      : new Date(Date.parse(`${date}T00:00:00Z`) - longitude / 15 * 60 * 60 * 1000);
+    const end = timezone
+      ? moment.tz(date, timezone).add(1, 'day').toDate()
+      : new Date(start.getTime() + 24 * 60 * 60 * 1000);
 
-      const data = await response.json();
-      if (data.status !== 'OK') {
-        throw new Error(`API returned error status: ${data.status}`);
-      }
+    const events = {
+      ...astronomyEngine.sunEvents(latitude, longitude, elevation, start, end),
+      ...astronomyEngine.moonEvents(latitude, longitude, elevation, start, end)
+    };
 
-      // Cache the result
-      this.cache.set(cacheKey, {
-        data: data.results,
-        timestamp: Date.now()
-      });
+    const formatTime = (value) => {
+      if (!(value instanceof Date)) return value;
+      return formatted
+        ? value.toLocaleTimeString('en-US', { timeZone: 'UTC', hour: 'numeric', minute: '2-digit', second: '2-digit' })
+        : value.toISOString();
+    };
 
-      return data.results;
-    } catch (error) {
-      console.error('❌ Error fetching astronomical data:', error);
-      throw error;
-    }
+    const results = Object.fromEntries(Object.entries(events).map(([key, value]) => [key, formatTime(value)]));
+
+    // Cache the result
+    this.cache.set(cacheKey, {
+      data: results,
+      timestamp: Date.now()
+    });
+
+    return results;
   }
 
   /**
@@ -58,58 +68,37 @@ class AstronomicalService {
    * @param {number} latitude 
    * @param {number} longitude 
    * @param {string} timezone - IANA timezone string
+   * @param {number} elevation - Meters
+   * @param {Array} horizon - observatory.horizon profile; adds moon rise/set over the local horizon
    * @returns {Promise<Object>} Combined astronomical data
    */
-  async getComprehensiveAstronomicalData(latitude, longitude, timezone) {
+  async getComprehensiveAstronomicalData(latitude, longitude, timezone, elevation = 0, horizon = []) {
     try {
       const now = new Date();
-      const yesterday = new Date(now);
-      yesterday.setDate(now.getDate() - 1);
-      const tomorrow = new Date(now);
-      tomorrow.setDate(now.getDate() + 1);
-
-      // Format dates for API (YYYY-MM-DD)
-      const formatDate = (date) => date.toISOString().split('T')[0];
-      
-      const yesterdayStr = formatDate(yesterday);
-      const todayStr = formatDate(now);
-      const tomorrowStr = formatDate(tomorrow);
 
-      console.log(`📅 Fetching astronomical data for ${yesterdayStr}, ${todayStr}, ${tomorrowStr}`);
+      // Days are the observatory's calendar days (YYYY-MM-DD)
+      const today = moment.tz(now, timezone);
+      const yesterdayStr = today.clone().subtract(1, 'day').format('YYYY-MM-DD');
+      const todayStr = today.format('YYYY-MM-DD');
+      const tomorrowStr = today.clone().add(1, 'day').format('YYYY-MM-DD');
 
-      // Fetch data for all three days in parallel
+      const options = { elevation, timezone };
       const [yesterdayData, todayData, tomorrowData] = await Promise.all([
-        this.fetchAstronomicalData(latitude, longitude, yesterdayStr, false),
-        this.fetchAstronomicalData(latitude, longitude, todayStr, false), 
-        this.fetchAstronomicalData(latitude, longitude, tomorrowStr, false)
+        this.fetchAstronomicalData(latitude, longitude, yesterdayStr, false, options),
+        this.fetchAstronomicalData(latitude, longitude, todayStr, false, options),
+        this.fetchAstronomicalData(latitude, longitude, tomorrowStr, false, options)
       ]);
 
-      // Debug: Log the received data structure
-      // console.log('📊 Astronomical API responses:');
-      // console.log('📅 Yesterday keys:', yesterdayData ? Object.keys(yesterdayData) : 'null');
-      // console.log('📅 Today keys:', todayData ? Object.keys(todayData) : 'null'); 
-      // console.log('📅 Tomorrow keys:', tomorrowData ? Object.keys(tomorrowData) : 'null');
-      
-      // Debug: Check specific values
-      // console.log('🌅 Sample yesterday data:', {
-      //   sunset: yesterdayData?.sunset,
-      //   civil_twilight_end: yesterdayData?.civil_twilight_end
-      // });
-      // console.log('🌅 Sample today data:', {
-      //   sunrise: todayData?.sunrise,
-      //   sunset: todayData?.sunset
-      // });
-
       // Convert UTC times to local timezone and extract times
       const convertToLocalTime = (utcDateTimeStr) => {
+        if (!utcDateTimeStr) return null;
         try {
-          // The API returns full ISO datetime strings like "2025-08-30T12:11:11+00:00"
           const utcDate = new Date(utcDateTimeStr);
           
           // Convert to local time using the specified timezone
           const localTimeString = utcDate.toLocaleTimeString("en-US", { 
             timeZone: timezone,
-            hour12: false,
+            hourCycle: 'h23', // hour12: false would print midnight as 24:xx
             hour: '2-digit',
             minute: '2-digit', 
             second: '2-digit'
@@ -163,8 +152,15 @@ class AstronomicalService {
           }
         },
         
+        // Moon rise/set/transit for today (null when it doesn't happen today) and its current position
+        moon: this.getMoonData(latitude, longitude, todayData, convertToLocalTime, now, {
+          horizon: horizonProfile.normalizeHorizon(horizon),
+          start: moment.tz(todayStr, timezone).toDate(),
+          end: moment.tz(tomorrowStr, timezone).toDate()
+        }),
+
         // Metadata
-        location: { latitude, longitude, timezone },
+        location: { latitude, longitude, elevation, timezone },
         lastUpdated: new Date().toISOString()
       };
 
@@ -178,6 +174,46 @@ class AstronomicalService {
     }
   }
 
+  /**
+   * Moon times for the day plus its current topocentric position
+   * @param {number} latitude
+   * @param {number} longitude
+   * @param {Object} dayData - fetchAstronomicalData() result for the day
+   * @param {Function} toLocalTime - Converts the ISO times to local HH:MM:SS
+   * @param {Date} date - Instant for the position
+   * @param {Object} local - Normalized horizon profile and the day's start/end; with a profile the result
+   *   adds horizonRise/horizonSet (clearing or dropping behind the local horizon) and aboveHorizon
+   * @returns {Object}
+   */
+  getMoonData(latitude, longitude, dayData, toLocalTime, date = new Date(), local = null) {
+    const position = astronomyEngine.moonPosition(latitude, longitude, date);
+    const illumination = astronomyEngine.moonIllumination(date);
+
+    let horizonTimes = {};
+    if (local?.horizon?.length > 0) {
+      const crossings = astronomyEngine.findCrossings(time => {
+        const moon = astronomyEngine.moonPosition(latitude, longitude, time);
+        return moon.altitude - horizonProfile.horizonAltitude(local.horizon, moon.azimuth);
+      }, local.start, local.end);
+
+      horizonTimes = {
+        horizonRise: toLocalTime(crossings.find(crossing => crossing.rising)?.time.toISOString()),
+        horizonSet: toLocalTime(crossings.find(crossing => !crossing.rising)?.time.toISOString()),
+        aboveHorizon: position.altitude > horizonProfile.horizonAltitude(local.horizon, position.azimuth)
+      };
+    }
+
+    return {
+      rise: toLocalTime(dayData.moonrise),
+      set: toLocalTime(dayData.moonset),
+      transit: toLocalTime(dayData.moon_transit),
+      altitude: Math.round(position.altitude * 10) / 10,
+      azimuth: Math.round(position.azimuth * 10) / 10,
+      illumination: Math.round(illumination.fraction * 1000) / 10,
+      ...horizonTimes
+    };
+  }
+
   /**
    * @deprecated Use getMoonPhase() instead for more accurate calculations
    * Get current moon phase (simplified calculation)
@@ -284,18 +320,12 @@ class AstronomicalService {
    * @returns {Object} Moon phase data with age, illumination, and phase name
    */
   getMoonPhase(date = new Date()) {
-    const synodicMonth = 29.53059; // Average length of lunar cycle in days
-    
-    // Reference: 2000-01-06 18:14 UTC (known new moon - January 6, 2000)
-    const referenceNewMoon = Date.UTC(2000, 0, 6, 18, 14, 0);
-    const daysSinceReference = (date.getTime() - referenceNewMoon) / (24 * 60 * 60 * 1000);
-    
-    // Calculate current age of moon in this cycle
-    const age = ((daysSinceReference % synodicMonth) + synodicMonth) % synodicMonth;
-    
-    // Calculate illumination percentage (0 = new moon, 1 = full moon)
-    const illuminationFraction = 0.5 * (1 - Math.cos(2 * Math.PI * age / synodicMonth));
-    const illuminationPercent = Math.round(illuminationFraction * 100);
+    const synodicMonth = astronomyEngine.SYNODIC_MONTH;
+    const moon = astronomyEngine.moonIllumination(date);
+
+    // Age from the actual sun-moon elongation rather than a mean lunation count
+    const age = moon.age;
+    const illuminationPercent = Math.round(moon.fraction * 100);
     
     // Determine phase name based on age
     let phaseName = "";
@@ -332,7 +362,7 @@ class AstronomicalService {
       illumination: illuminationPercent,
       phase: phaseKey,
       phaseName: phaseName,
-      isWaxing: age < synodicMonth / 2,
+      isWaxing: moon.isWaxing,
       daysUntilNew: Math.round((synodicMonth - age) * 10) / 10,
       daysUntilFull: age < synodicMonth / 2 ? 
         Math.round(((synodicMonth / 2) - age) * 10) / 10 : 
@@ -341,7 +371,38 @@ class AstronomicalService {
   }
 
   /**
-   * Fallback astronomical data when API fails
+   * Sun altitude and azimuth for a location and instant
+   * Low-precision solar position (good to ~0.1°), computed locally without any API call
+   * @param {number} latitude - Latitude in decimal degrees
+   * @param {number} longitude - Longitude in decimal degrees (east positive)
+   * @param {Date} date - Instant to compute for (default: now)
+   * @returns {{altitude: number, azimuth: number, phase: string}} Degrees; azimuth from north through east
+   */
+  getSunPosition(latitude, longitude, date = new Date()) {
+    const { altitude, azimuth } = astronomyEngine.sunPosition(latitude, longitude, date);
+
+    return {
+      altitude: Math.round(altitude * 100) / 100,
+      azimuth: Math.round(azimuth * 100) / 100,
+      phase: this.getSunPhase(altitude)
+    };
+  }
+
+  /**
+   * Twilight phase for a sun altitude
+   * @param {number} altitude - Sun altitude in degrees
+   * @returns {string} 'daylight', 'civil', 'nautical', 'astronomical' or 'night'
+   */
+  getSunPhase(altitude) {
+    if (altitude > -0.833) return 'daylight'; // Upper limb above the horizon, with refraction
+    if (altitude > -6) return 'civil';
+    if (altitude > -12) return 'nautical';
+    if (altitude > -18) return 'astronomical';
+    return 'night';
+  }
+
+  /**
+   * Fallback astronomical data when the calculation fails
    * @param {string} timezone 
    * @returns {Object}
    */
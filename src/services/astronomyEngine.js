@@ -0,0 +1,329 @@
+// Astronomy Engine
+// Local sun and moon positions, rise/set/transit and twilight times - no network needed
+// Sun: low-precision solar coordinates (~0.01°). Moon: main periodic terms of Meeus ch. 47 (~0.1°),
+// which keeps rise, set and twilight times within a minute or two of published tables
+
+const RAD = Math.PI / 180;
+const DAY_MS = 86400000;
+const J2000_MS = Date.UTC(2000, 0, 1, 12, 0, 0);
+const EARTH_RADIUS_KM = 6378.14;
+const AU_KM = 149597870.7;
+const SYNODIC_MONTH = 29.530588;
+const SCAN_STEP_MS = 10 * 60 * 1000;
+
+// Sun altitudes that define each event (degrees, geometric centre of the disc)
+const SUN_ALTITUDES = {
+  horizon: -0.833, // Upper limb on the horizon: 34' refraction + 16' semi-diameter
+  civil: -6,
+  nautical: -12,
+  astronomical: -18
+};
+
+const normalizeDegrees = (degrees) => ((degrees % 360) + 360) % 360;
+
+const daysSinceJ2000 = (date) => (date.getTime() - J2000_MS) / DAY_MS;
+
+// Greenwich mean sidereal time in degrees
+function siderealTime(date, longitude) {
+  return normalizeDegrees(280.46061837 + 360.98564736629 * daysSinceJ2000(date) + longitude);
+}
+
+function eclipticToEquatorial(longitude, latitude, days) {
+  const obliquity = (23.439 - 0.0000004 * days) * RAD;
+  const l = longitude * RAD;
+  const b = latitude * RAD;
+
+  const rightAscension = Math.atan2(
+    Math.sin(l) * Math.cos(obliquity) - Math.tan(b) * Math.sin(obliquity),
+    Math.cos(l)
+  );
+  const declination = Math.asin(
+    Math.sin(b) * Math.cos(obliquity) + Math.cos(b) * Math.sin(obliquity) * Math.sin(l)
+  );
+
+  return { rightAscension: normalizeDegrees(rightAscension / RAD), declination: declination / RAD };
+}
+
+/**
+ * Geocentric sun coordinates
+ * @param {Date} date
+ * @returns {{rightAscension: number, declination: number, eclipticLongitude: number, distanceKm: number}} Degrees
+ */
+function sunCoordinates(date) {
+  const days = daysSinceJ2000(date);
+  const meanLongitude = 280.460 + 0.9856474 * days;
+  const meanAnomaly = (357.528 + 0.9856003 * days) * RAD;
+  const eclipticLongitude = normalizeDegrees(
+    meanLongitude + 1.915 * Math.sin(meanAnomaly) + 0.020 * Math.sin(2 * meanAnomaly)
+  );
+  const distanceAu = 1.00014 - 0.01671 * Math.cos(meanAnomaly) - 0.00014 * Math.cos(2 * meanAnomaly);
+
+  return {
+    ...eclipticToEquatorial(eclipticLongitude, 0, days),
+    eclipticLongitude,
+    distanceKm: distanceAu * AU_KM
+  };
+}
+
+/**
+ * Geocentric moon coordinates
+ * @param {Date} date
+ * @returns {{rightAscension: number, declination: number, eclipticLongitude: number, distanceKm: number}} Degrees
+ */
+function moonCoordinates(date) {
+  const days = daysSinceJ2000(date);
+  const L = 218.316 + 13.176396 * days; // Mean longitude
+  const D = (297.850 + 12.190749 * days) * RAD; // Mean elongation
+  const M = (357.529 + 0.98560028 * days) * RAD; // Sun mean anomaly
+  const Mm = (134.963 + 13.064993 * days) * RAD; // Moon mean anomaly
+  const F = (93.272 + 13.229350 * days) * RAD; // Argument of latitude
+
+  const longitude = L
+    + 6.289 * Math.sin(Mm)
+    + 1.274 * Math.sin(2 * D - Mm)
+    + 0.658 * Math.sin(2 * D)
+    + 0.214 * Math.sin(2 * Mm)
+    - 0.186 * Math.sin(M)
+    - 0.114 * Math.sin(2 * F);
+  const latitude = 5.128 * Math.sin(F)
+    + 0.280 * Math.sin(Mm + F)
+    + 0.277 * Math.sin(Mm - F)
+    + 0.173 * Math.sin(2 * D - F);
+  const distanceKm = 385001
+    - 20905 * Math.cos(Mm)
+    - 3699 * Math.cos(2 * D - Mm)
+    - 2956 * Math.cos(2 * D);
+
+  return {
+    ...eclipticToEquatorial(normalizeDegrees(longitude), latitude, days),
+    eclipticLongitude: normalizeDegrees(longitude),
+    distanceKm
+  };
+}
+
+/**
+ * Altitude, azimuth and hour angle of equatorial coordinates for an observer
+ * @returns {{altitude: number, azimuth: number, hourAngle: number}} Degrees; azimuth from north through east,
+ *   hour angle in (-180, 180]
+ */
+function horizontalCoordinates(rightAscension, declination, latitude, longitude, date) {
+  let hourAngle = normalizeDegrees(siderealTime(date, longitude) - rightAscension);
+  if (hourAngle > 180) hourAngle -= 360;
+
+  const h = hourAngle * RAD;
+  const lat = latitude * RAD;
+  const dec = declination * RAD;
+
+  const altitude = Math.asin(Math.sin(lat) * Math.sin(dec) + Math.cos(lat) * Math.cos(dec) * Math.cos(h)) / RAD;
+  const azimuth = Math.atan2(-Math.sin(h), Math.tan(dec) * Math.cos(lat) - Math.sin(lat) * Math.cos(h)) / RAD;
+
+  return { altitude, azimuth: normalizeDegrees(azimuth), hourAngle };
+}
+
+/**
+ * Precess J2000 equatorial coordinates to the mean equinox of a date (Meeus ch. 21)
+ * Catalogue and Target Scheduler coordinates are J2000; the drift is ~0.3° by 2025, enough to matter near the horizon
+ * @returns {{rightAscension: number, declination: number}} Degrees
+ */
+function precessFromJ2000(rightAscension, declination, date) {
+  const t = daysSinceJ2000(date) / 36525;
+  const zeta = (2306.2181 * t + 0.30188 * t * t + 0.017998 * t * t * t) / 3600 * RAD;
+  const z = (2306.2181 * t + 1.09468 * t * t + 0.018203 * t * t * t) / 3600 * RAD;
+  const theta = (2004.3109 * t - 0.42665 * t * t - 0.041833 * t * t * t) / 3600 * RAD;
+
+  const ra = rightAscension * RAD;
+  const dec = declination * RAD;
+  const a = Math.cos(dec) * Math.sin(ra + zeta);
+  const b = Math.cos(theta) * Math.cos(dec) * Math.cos(ra + zeta) - Math.sin(theta) * Math.sin(dec);
+  const c = Math.sin(theta) * Math.cos(dec) * Math.cos(ra + zeta) + Math.cos(theta) * Math.sin(dec);
+
+  return {
+    rightAscension: normalizeDegrees((Math.atan2(a, b) + z) / RAD),
+    declination: Math.asin(Math.max(-1, Math.min(1, c))) / RAD
+  };
+}
+
+// Great-circle distance between two equatorial positions, in degrees
+function angularSeparation(ra1, dec1, ra2, dec2) {
+  const d1 = dec1 * RAD;
+  const d2 = dec2 * RAD;
+  const cosine = Math.sin(d1) * Math.sin(d2) + Math.cos(d1) * Math.cos(d2) * Math.cos((ra1 - ra2) * RAD);
+  return Math.acos(Math.max(-1, Math.min(1, cosine))) / RAD;
+}
+
+function sunPosition(latitude, longitude, date) {
+  const sun = sunCoordinates(date);
+  return horizontalCoordinates(sun.rightAscension, sun.declination, latitude, longitude, date);
+}
+
+// Topocentric moon position - parallax lowers the moon by up to ~1°
+function moonPosition(latitude, longitude, date) {
+  const moon = moonCoordinates(date);
+  const position = horizontalCoordinates(moon.rightAscension, moon.declination, latitude, longitude, date);
+  const parallax = Math.asin(EARTH_RADIUS_KM / moon.distanceKm) / RAD;
+
+  return {
+    ...position,
+    altitude: position.altitude - parallax * Math.cos(position.altitude * RAD),
+    distanceKm: moon.distanceKm
+  };
+}
+
+// Horizon dip for an elevated observer, in degrees
+function horizonDip(elevationMeters) {
+  return elevationMeters > 0 ? 1.76 * Math.sqrt(elevationMeters) / 60 : 0;
+}
+
+/**
+ * Times in [start, end) where valueAt(time) crosses zero, refined by bisection to the second
+ * @returns {Array<{time: Date, rising: boolean}>}
+ */
+function findCrossings(valueAt, start, end, stepMs = SCAN_STEP_MS) {
+  const crossings = [];
+  let previousTime = start.getTime();
+  let previousValue = valueAt(new Date(previousTime));
+
+  for (let time = previousTime + stepMs; time <= end.getTime() + stepMs; time += stepMs) {
+    const value = valueAt(new Date(time));
+
+    if ((previousValue < 0) !== (value < 0)) {
+      let low = previousTime;
+      let high = time;
+      while (high - low > 1000) {
+        const middle = (low + high) / 2;
+        if ((valueAt(new Date(middle)) < 0) === (previousValue < 0)) {
+          low = middle;
+        } else {
+          high = middle;
+        }
+      }
+
+      const crossing = new Date(Math.round((low + high) / 2));
+      if (crossing >= start && crossing < end) {
+        crossings.push({ time: crossing, rising: previousValue < 0 });
+      }
+    }
+
+    previousTime = time;
+    previousValue = value;
+  }
+
+  return crossings;
+}
+
+// Upper transit (hour angle 0) and lower transit (hour angle 180) of a body in a window
+function findTransits(hourAngleAt, start, end) {
+  const upper = findCrossings(time => hourAngleAt(time), start, end)
+    .find(crossing => crossing.rising && Math.abs(hourAngleAt(crossing.time)) < 90);
+  const lower = findCrossings(time => Math.sin(hourAngleAt(time) * RAD), start, end)
+    .find(crossing => !crossing.rising && Math.abs(hourAngleAt(crossing.time)) > 90);
+
+  return { upper: upper?.time || null, lower: lower?.time || null };
+}
+
+/**
+ * Sun rise, set, transit and twilight times for a window (normally one local day)
+ * When the sun never reaches an altitude in the window (e.g. no astronomical night in a northern summer)
+ * the begin/end times collapse onto the nearest culmination so the phases stay in order.
+ * @param {number} latitude
+ * @param {number} longitude - East positive
+ * @param {number} elevationMeters
+ * @param {Date} start
+ * @param {Date} end
+ * @returns {Object} Date values keyed like the sunrise-sunset.org API
+ */
+function sunEvents(latitude, longitude, elevationMeters, start, end) {
+  const altitudeAt = (time) => sunPosition(latitude, longitude, time).altitude;
+  const transits = findTransits(time => sunPosition(latitude, longitude, time).hourAngle, start, end);
+  const solarNoon = transits.upper || new Date((start.getTime() + end.getTime()) / 2);
+  const solarMidnight = transits.lower || solarNoon;
+
+  const eventsFor = (threshold) => {
+    const crossings = findCrossings(time => altitudeAt(time) - threshold, start, end);
+    const rising = crossings.find(crossing => crossing.rising);
+    const setting = crossings.find(crossing => !crossing.rising);
+    // Never crossed: always above the threshold -> lowest point, always below -> highest point
+    const fallback = altitudeAt(solarNoon) > threshold && altitudeAt(solarMidnight) > threshold ? solarMidnight : solarNoon;
+    return { begin: rising?.time || fallback, end: setting?.time || fallback };
+  };
+
+  const horizon = eventsFor(SUN_ALTITUDES.horizon - horizonDip(elevationMeters));
+  const civil = eventsFor(SUN_ALTITUDES.civil);
+  const nautical = eventsFor(SUN_ALTITUDES.nautical);
+  const astronomical = eventsFor(SUN_ALTITUDES.astronomical);
+
+  return {
+    sunrise: horizon.begin,
+    sunset: horizon.end,
+    solar_noon: solarNoon,
+    day_length: Math.max(0, Math.round((horizon.end - horizon.begin) / 1000)),
+    civil_twilight_begin: civil.begin,
+    civil_twilight_end: civil.end,
+    nautical_twilight_begin: nautical.begin,
+    nautical_twilight_end: nautical.end,
+    astronomical_twilight_begin: astronomical.begin,
+    astronomical_twilight_end: astronomical.end
+  };
+}
+
+/**
+ * Moon rise, set and transit for a window; null when the event doesn't happen in it
+ * (the moon rises ~50 minutes later each day, so roughly once a month a day has no moonrise)
+ */
+function moonEvents(latitude, longitude, elevationMeters, start, end) {
+  // Upper limb on the horizon: the (topocentric) centre is 34' refraction + 15.5' semi-diameter below it
+  const threshold = -(34 + 15.5) / 60 - horizonDip(elevationMeters);
+  const crossings = findCrossings(time => moonPosition(latitude, longitude, time).altitude - threshold, start, end);
+  const transits = findTransits(time => moonPosition(latitude, longitude, time).hourAngle, start, end);
+
+  return {
+    moonrise: crossings.find(crossing => crossing.rising)?.time || null,
+    moonset: crossings.find(crossing => !crossing.rising)?.time || null,
+    moon_transit: transits.upper
+  };
+}
+
+/**
+ * Moon illumination from the sun-moon elongation
+ * @param {Date} date
+ * @returns {{fraction: number, phaseAngle: number, elongation: number, age: number, isWaxing: boolean}}
+ *   elongation is the ecliptic longitude difference (0 = new, 180 = full); age in days
+ */
+function moonIllumination(date) {
+  const sun = sunCoordinates(date);
+  const moon = moonCoordinates(date);
+
+  const sunDec = sun.declination * RAD;
+  const moonDec = moon.declination * RAD;
+  const separation = Math.acos(
+    Math.sin(sunDec) * Math.sin(moonDec) +
+    Math.cos(sunDec) * Math.cos(moonDec) * Math.cos((sun.rightAscension - moon.rightAscension) * RAD)
+  );
+  const phaseAngle = Math.atan2(sun.distanceKm * Math.sin(separation), moon.distanceKm - sun.distanceKm * Math.cos(separation));
+  const elongation = normalizeDegrees(moon.eclipticLongitude - sun.eclipticLongitude);
+
+  return {
+    fraction: (1 + Math.cos(phaseAngle)) / 2,
+    phaseAngle: phaseAngle / RAD,
+    elongation,
+    age: elongation / 360 * SYNODIC_MONTH,
+    isWaxing: elongation < 180
+  };
+}
+
+module.exports = {
+  SUN_ALTITUDES,
+  SYNODIC_MONTH,
+  sunCoordinates,
+  moonCoordinates,
+  horizontalCoordinates,
+  precessFromJ2000,
+  angularSeparation,
+  sunPosition,
+  moonPosition,
+  sunEvents,
+  moonEvents,
+  moonIllumination,
+  findCrossings,
+  horizonDip
+};
@@ -0,0 +1,339 @@
+// Auth Service
+// Local users with viewer/operator/admin roles, cookie sessions for the browser and
+// bearer API tokens for scripts. Passwords are hashed with scrypt, session and API tokens with SHA-256
+
+const crypto = require('crypto');
+const { ApiError } = require('../server/utils/routeHelpers');
+
+const ROLES = ['viewer', 'operator', 'admin'];
+const SESSION_COOKIE = 'nwcp_session';
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000; // Sliding - extended while the session is in use
+const SESSION_TOUCH_MS = 60 * 1000;
+const API_TOKEN_PREFIX = 'nwcp_';
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 1024; // Checked before hashing so scrypt never runs on huge request bodies
+const USERNAME_PATTERN = /^[A-Za-z0-9_.@-]{1,64}$/;
+
+// scrypt cost parameters, stored with each hash so they can be raised later
+const SCRYPT = { N: 16384, r: 8, p: 1, keylen: 64 };
+
+// Failed logins per username and client address before further attempts are refused for a while
+const MAX_FAILED_LOGINS = 10;
+const FAILED_LOGIN_WINDOW_MS = 15 * 60 * 1000;
+
+class AuthService {
+  constructor(configDatabase) {
+    this.schema = configDatabase.authSchema;
+    this.failedLogins = new Map(); // username|client address -> { count, firstAt }
+    this.cleanupInterval = null;
+  }
+
+  start() {
+    this.schema.cleanExpiredSessions();
+    this.cleanupInterval = setInterval(() => {
+      this.schema.cleanExpiredSessions();
+      this.pruneFailedLogins();
+    }, 60 * 60 * 1000);
+
+    if (this.isSetupRequired()) {
+      console.warn('⚠️ No users configured - create the admin account at http://localhost on this machine or with scripts/database/manage-users.js');
+    }
+  }
+
+  stop() {
+    clearInterval(this.cleanupInterval);
+    this.cleanupInterval = null;
+  }
+
+  isSetupRequired() {
+    return this.schema.countUsers() === 0;
+  }
+
+  static hasRole(role, requiredRole) {
+    return ROLES.indexOf(role) >= ROLES.indexOf(requiredRole);
+  }
+
+  // Password hashing
+
+  hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = crypto.scryptSync(password, salt, SCRYPT.keylen, { N: SCRYPT.N, r: SCRYPT.r, p: SCRYPT.p });
+    return ['scrypt', SCRYPT.N, SCRYPT.r, SCRYPT.p, salt.toString('base64'), hash.toString('base64')].join('$');
+  }
+
+  verifyPassword(password, stored) {
+    const [scheme, N, r, p, salt, hash] = String(stored).split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+    const expected = Buffer.from(hash, 'base64');
+    const actual = crypto.scryptSync(password, Buffer.from(salt, 'base64'), expected.length, {
+      N: parseInt(N, 10),
+      r: parseInt(r, 10),
+      p: parseInt(p, 10)
+    });
+    return crypto.timingSafeEqual(actual, expected);
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  // Users
+
+  validateUsername(username) {
+    if (!USERNAME_PATTERN.test(username || '')) {
+      throw new ApiError('Username must be 1-64 letters, digits or . _ @ -');
+    }
+  }
+
+  validatePassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      throw new ApiError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+    this.checkPasswordLength(password);
+  }
+
+  checkPasswordLength(password) {
+    if (typeof password === 'string' && password.length > MAX_PASSWORD_LENGTH) {
+      throw new ApiError(`Password must be at most ${MAX_PASSWORD_LENGTH} characters`);
+    }
+  }
+
+  validateRole(role) {
+    if (!ROLES.includes(role)) {
+      throw new ApiError(`Role must be one of ${ROLES.join(', ')}`);
+    }
+  }
+
+  createUser(username, password, role) {
+    this.validateUsername(username);
+    this.validatePassword(password);
+    this.validateRole(role);
+
+    if (this.schema.getUserByUsername(username)) {
+      throw new ApiError(`User ${username} already exists`, 409);
+    }
+
+    const id = this.schema.createUser(username, this.hashPassword(password), role);
+    console.log(`👤 User ${username} created (${role})`);
+    return this.toPublicUser(this.schema.getUserById(id));
+  }
+
+  // First admin account - only while no users exist
+  setup(username, password) {
+    if (!this.isSetupRequired()) {
+      throw new ApiError('Setup has already been completed', 409);
+    }
+    return this.createUser(username, password, 'admin');
+  }
+
+  listUsers() {
+    return this.schema.listUsers().map(user => this.toPublicUser(user));
+  }
+
+  updateUser(id, { role, password }, actingUserId) {
+    const user = this.schema.getUserById(id);
+    if (!user) {
+      throw new ApiError('User not found', 404);
+    }
+
+    if (role !== undefined && role !== user.role) {
+      this.validateRole(role);
+      if (user.role === 'admin' && this.schema.countAdmins() === 1) {
+        throw new ApiError('The last admin cannot be demoted', 409);
+      }
+      this.schema.updateUserRole(id, role);
+    }
+
+    if (password !== undefined) {
+      this.validatePassword(password);
+      this.schema.updateUserPassword(id, this.hashPassword(password));
+      // A reset by an admin signs the user out everywhere
+      if (id !== actingUserId) {
+        this.schema.deleteUserSessions(id);
+      }
+    }
+
+    return this.toPublicUser(this.schema.getUserById(id));
+  }
+
+  deleteUser(id, actingUserId) {
+    const user = this.schema.getUserById(id);
+    if (!user) {
+      throw new ApiError('User not found', 404);
+    }
+    if (id === actingUserId) {
+      throw new ApiError('You cannot delete your own account', 409);
+    }
+    if (user.role === 'admin' && this.schema.countAdmins() === 1) {
+      throw new ApiError('The last admin cannot be deleted', 409);
+    }
+
+    this.schema.deleteUser(id);
+    console.log(`👤 User ${user.username} deleted`);
+  }
+
+  changePassword(userId, currentPassword, newPassword, currentTokenHash) {
+    this.checkPasswordLength(currentPassword);
+    const user = this.schema.getUserById(userId);
+    if (!user || !this.verifyPassword(currentPassword || '', user.password_hash)) {
+      throw new ApiError('Current password is incorrect', 403);
+    }
+
+    this.validatePassword(newPassword);
+    this.schema.updateUserPassword(userId, this.hashPassword(newPassword));
+    this.schema.deleteUserSessions(userId, currentTokenHash);
+  }
+
+  // Sessions
+
+  /**
+   * Check credentials and open a session
+   * @returns {{ token: string, expiresAt: string, user: Object }}
+   */
+  login(username, password, { clientAddress = 'unknown', userAgent = null } = {}) {
+    this.checkPasswordLength(password);
+
+    // Counted per account and address, so one client guessing can't lock everyone else out
+    const attemptKey = `${String(username || '').slice(0, 64).toLowerCase()}|${clientAddress}`;
+    if (this.isLockedOut(attemptKey)) {
+      throw new ApiError('Too many failed login attempts, try again later', 429);
+    }
+
+    const user = this.schema.getUserByUsername(username || '');
+    // Hash against a dummy for unknown users so response time doesn't reveal which usernames exist
+    this.dummyHash = this.dummyHash || this.hashPassword(crypto.randomBytes(16).toString('hex'));
+    const valid = this.verifyPassword(password || '', user ? user.password_hash : this.dummyHash) && Boolean(user);
+
+    if (!valid) {
+      this.recordFailedLogin(attemptKey);
+      console.warn(`⚠️ Failed login for "${username}" from ${clientAddress}`);
+      throw new ApiError('Invalid username or password', 401);
+    }
+
+    this.failedLogins.delete(attemptKey);
+    this.schema.touchUserLogin(user.id);
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(Date.now() + SESSION_TTL_MS).toISOString();
+    this.schema.createSession(this.hashToken(token), user.id, expiresAt, userAgent ? String(userAgent).slice(0, 200) : null);
+
+    console.log(`🔑 ${user.username} logged in from ${clientAddress}`);
+    return { token, expiresAt, user: this.toPublicUser(user) };
+  }
+
+  logout(token) {
+    if (token) {
+      this.schema.deleteSession(this.hashToken(token));
+    }
+  }
+
+  /**
+   * Resolve a session cookie or API token to the acting user
+   * @returns {{ user: Object, method: 'session'|'token', tokenHash: string } | null}
+   */
+  authenticate({ sessionToken, bearerToken }) {
+    if (bearerToken) {
+      const tokenHash = this.hashToken(bearerToken);
+      const apiToken = this.schema.getApiToken(tokenHash);
+      if (!apiToken) return null;
+
+      this.schema.touchApiToken(apiToken.id);
+      return {
+        user: { id: apiToken.user_id, username: apiToken.username, role: apiToken.role },
+        method: 'token',
+        tokenHash
+      };
+    }
+
+    if (sessionToken) {
+      const tokenHash = this.hashToken(sessionToken);
+      const session = this.schema.getSession(tokenHash);
+      if (!session) return null;
+
+      // Slide the expiry, but don't write on every request
+      if (Date.now() - new Date(session.last_seen_at).getTime() > SESSION_TOUCH_MS) {
+        this.schema.extendSession(tokenHash, new Date(Date.now() + SESSION_TTL_MS).toISOString());
+      }
+
+      return {
+        user: { id: session.user_id, username: session.username, role: session.role },
+        method: 'session',
+        tokenHash
+      };
+    }
+
+    return null;
+  }
+
+  // API tokens
+
+  createApiToken(userId, name) {
+    const label = String(name || '').trim().slice(0, 64);
+    if (!label) {
+      throw new ApiError('Token name is required');
+    }
+
+    const token = API_TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+    const id = this.schema.createApiToken(userId, label, this.hashToken(token), token.slice(0, API_TOKEN_PREFIX.length + 6));
+
+    // The token itself is only ever returned here
+    return { id, name: label, token };
+  }
+
+  listApiTokens(userId) {
+    return this.schema.listApiTokens(userId).map(token => ({
+      id: token.id,
+      name: token.name,
+      prefix: token.token_prefix,
+      createdAt: token.created_at,
+      lastUsedAt: token.last_used_at
+    }));
+  }
+
+  deleteApiToken(userId, tokenId) {
+    const result = this.schema.deleteApiToken(tokenId, userId);
+    if (result.changes === 0) {
+      throw new ApiError('Token not found', 404);
+    }
+  }
+
+  // Login throttling
+
+  isLockedOut(attemptKey) {
+    const entry = this.failedLogins.get(attemptKey);
+    return Boolean(entry && entry.count >= MAX_FAILED_LOGINS && Date.now() - entry.firstAt < FAILED_LOGIN_WINDOW_MS);
+  }
+
+  recordFailedLogin(attemptKey) {
+    const entry = this.failedLogins.get(attemptKey);
+    if (!entry || Date.now() - entry.firstAt >= FAILED_LOGIN_WINDOW_MS) {
+      this.failedLogins.set(attemptKey, { count: 1, firstAt: Date.now() });
+    } else {
+      entry.count++;
+    }
+  }
+
+  pruneFailedLogins() {
+    for (const [attemptKey, entry] of this.failedLogins) {
+      if (Date.now() - entry.firstAt >= FAILED_LOGIN_WINDOW_MS) {
+        this.failedLogins.delete(attemptKey);
+      }
+    }
+  }
+
+  toPublicUser(user) {
+    return {
+      id: user.id,
+      username: user.username,
+      role: user.role,
+      createdAt: user.created_at,
+      lastLoginAt: user.last_login_at || null
+    };
+  }
+}
+
+module.exports = AuthService;
+module.exports.ROLES = ROLES;
+module.exports.SESSION_COOKIE = SESSION_COOKIE;
+module.exports.SESSION_TTL_MS = SESSION_TTL_MS;
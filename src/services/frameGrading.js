@@ -0,0 +1,85 @@
+// Frame Grading - accept/reject rules for saved light frames
+// HFR and star count are compared with the median of earlier frames of the same night, target and filter
+
+const { round } = require('../server/utils/routeHelpers');
+
+const MIN_REFERENCE_FRAMES = 3;
+
+const DEFAULT_RULES = {
+  enabled: true,
+  maxHfrRatio: 1.5,
+  maxStarDropPercent: 50,
+  maxGuidingRms: 2
+};
+
+// Stored rules merged over the defaults; negative or non-numeric limits count as "off"
+function normalizeRules(rules) {
+  const merged = { ...DEFAULT_RULES, ...(rules || {}) };
+  const limit = (value) => {
+    const number = Number(value);
+    return Number.isFinite(number) && number > 0 ? number : 0;
+  };
+
+  return {
+    enabled: merged.enabled !== false,
+    maxHfrRatio: limit(merged.maxHfrRatio),
+    maxStarDropPercent: Math.min(100, limit(merged.maxStarDropPercent)),
+    maxGuidingRms: limit(merged.maxGuidingRms)
+  };
+}
+
+function median(values) {
+  const sorted = values.filter(value => value !== null && value !== undefined).sort((a, b) => a - b);
+  if (sorted.length === 0) return null;
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Grade one light frame
+ * @param {Object} frame - hfr, stars, rms_total (arcsec)
+ * @param {Array} references - earlier frames ({ hfr, stars }) of the same night, target and filter
+ * @param {Object} rules - see normalizeRules
+ * @returns {{ status: 'accepted'|'rejected'|'ungraded', reasons: string[] }} - 'ungraded' when no rule could be checked
+ */
+function gradeFrame(frame, references, rules) {
+  const reasons = [];
+  let checked = 0;
+
+  const hfrReferences = references.filter(reference => reference.hfr !== null && reference.hfr !== undefined);
+  if (rules.maxHfrRatio > 0 && frame.hfr !== null && hfrReferences.length >= MIN_REFERENCE_FRAMES) {
+    checked++;
+    const medianHfr = median(hfrReferences.map(reference => reference.hfr));
+    if (medianHfr > 0 && frame.hfr > medianHfr * rules.maxHfrRatio) {
+      reasons.push(`HFR ${round(frame.hfr)} is ${round(frame.hfr / medianHfr)}× the median ${round(medianHfr)}`);
+    }
+  }
+
+  const starReferences = references.filter(reference => reference.stars !== null && reference.stars !== undefined);
+  if (rules.maxStarDropPercent > 0 && frame.stars !== null && starReferences.length >= MIN_REFERENCE_FRAMES) {
+    checked++;
+    const medianStars = median(starReferences.map(reference => reference.stars));
+    const drop = medianStars > 0 ? (1 - frame.stars / medianStars) * 100 : 0;
+    if (drop >= rules.maxStarDropPercent) {
+      reasons.push(`${frame.stars} stars, ${Math.round(drop)}% below the median ${Math.round(medianStars)}`);
+    }
+  }
+
+  if (rules.maxGuidingRms > 0 && frame.rms_total !== null) {
+    checked++;
+    if (frame.rms_total > rules.maxGuidingRms) {
+      reasons.push(`Guiding RMS ${round(frame.rms_total)}" above ${rules.maxGuidingRms}"`);
+    }
+  }
+
+  if (checked === 0) return { status: 'ungraded', reasons };
+  return { status: reasons.length > 0 ? 'rejected' : 'accepted', reasons };
+}
+
+module.exports = {
+  DEFAULT_RULES,
+  MIN_REFERENCE_FRAMES,
+  normalizeRules,
+  median,
+  gradeFrame
+};
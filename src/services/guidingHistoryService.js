@@ -0,0 +1,292 @@
+// Guiding History Service - keeps every guide step in SQLite for long-term RMS analytics
+// Polls NINA's guider graph while guiding and records dither/settle markers from unified state updates
+
+const { round, toNumber } = require('../server/utils/routeHelpers');
+
+const POLL_INTERVAL_MS = 20 * 1000; // NINA keeps the last ~100 steps, so this never misses any
+const PRUNE_INTERVAL_MS = 24 * 60 * 60 * 1000;
+const RETENTION_DAYS = 180;
+const DEFAULT_STEP_MS = 2000; // Assumed guide cadence for steps that were already in the graph at the first poll
+const SETTLE_PIXELS = 1.5; // NINA's default dither settle distance
+const SETTLE_TIMEOUT_MS = 2 * 60 * 1000;
+const HISTOGRAM_BIN_ARCSEC = 0.25;
+const HISTOGRAM_BINS = 12; // 0-3", plus one overflow bin
+
+// Unified state guiding reasons stored as chart markers
+const GUIDING_EVENT_TYPES = {
+  'guiding-started': 'STARTED',
+  'guiding-stopped': 'STOPPED',
+  'guiding-disconnected': 'DISCONNECTED',
+  'guiding-dithering': 'DITHER'
+};
+
+class GuidingHistoryService {
+  constructor(ninaService, configDatabase, unifiedStateSystem, sessionHistoryService) {
+    this.ninaService = ninaService;
+    this.guidingSchema = configDatabase.guidingSchema;
+    this.unifiedStateSystem = unifiedStateSystem;
+    this.sessionHistoryService = sessionHistoryService;
+    this.lastStepId = null;
+    this.lastStepAt = null;
+    this.pendingDither = null;
+    this.polling = false;
+    this.unsubscribe = null;
+    this.pollTimer = null;
+    this.pruneTimer = null;
+  }
+
+  start() {
+    if (!this.unifiedStateSystem) {
+      console.warn('⚠️ Guiding history disabled - unified state system not available');
+      return;
+    }
+
+    this.unsubscribe = this.unifiedStateSystem.subscribe((message) => {
+      try {
+        this.handleUpdate(message);
+      } catch (error) {
+        console.error('❌ Guiding history failed to record update:', error);
+      }
+    });
+
+    this.pollTimer = setInterval(() => {
+      if (this.isGuiding()) this.poll();
+    }, POLL_INTERVAL_MS);
+
+    this.prune();
+    this.pruneTimer = setInterval(() => this.prune(), PRUNE_INTERVAL_MS);
+
+    console.log('🎯 Guiding history recording started');
+  }
+
+  stop() {
+    if (this.unsubscribe) this.unsubscribe();
+    clearInterval(this.pollTimer);
+    clearInterval(this.pruneTimer);
+    this.unsubscribe = null;
+  }
+
+  prune() {
+    try {
+      const removed = this.guidingSchema.cleanOldSteps(RETENTION_DAYS);
+      if (removed > 0) {
+        console.log(`🧹 Guiding history pruned ${removed} records older than ${RETENTION_DAYS} days`);
+      }
+    } catch (error) {
+      console.error('❌ Failed to prune guiding history:', error);
+    }
+  }
+
+  getSession() {
+    return this.unifiedStateSystem.getState()?.currentSession || {};
+  }
+
+  isGuiding() {
+    return this.getSession().guiding?.isGuiding === true;
+  }
+
+  getTargetName() {
+    return this.getSession().target?.targetName || null;
+  }
+
+  getSessionUuid(time) {
+    return this.sessionHistoryService.getNightSession(time).session_uuid;
+  }
+
+  handleUpdate(message) {
+    if (message.updateKind !== 'session') return;
+
+    const eventType = GUIDING_EVENT_TYPES[message.updateReason];
+    if (!eventType) return;
+
+    const time = new Date(message.timestamp || Date.now()).toISOString();
+    this.recordEvent(time, eventType);
+
+    if (eventType === 'DITHER') {
+      this.pendingDither = Date.parse(time);
+    } else if (eventType !== 'STARTED') {
+      // Pick up the steps guided since the last poll before the graph is cleared
+      this.pendingDither = null;
+      this.poll();
+    }
+  }
+
+  recordEvent(time, eventType, data = null) {
+    this.guidingSchema.addEvent(this.getSessionUuid(time), time, eventType, this.getTargetName(), data);
+  }
+
+  // NINA sends Dither as NaN/empty for normal steps and the dither offset for dither steps
+  isDitherStep(step) {
+    const value = step.Dither;
+    if (value === null || value === undefined || value === '' || value === false) return false;
+    return !Number.isNaN(Number(value));
+  }
+
+  // Guide steps carry an id but no timestamp - new steps are spread evenly over the time since the last poll
+  async poll() {
+    if (this.polling) return;
+    this.polling = true;
+
+    try {
+      const graph = await this.ninaService.makeRequest('/equipment/guider/graph', 0);
+      if (!graph?.Success) return;
+
+      const response = graph.Response || {};
+      const steps = response.GuideSteps || [];
+      if (steps.length === 0) return;
+
+      // Ids going backwards means the guider started a new history
+      if (this.lastStepId !== null && steps[steps.length - 1].Id < this.lastStepId) {
+        this.lastStepId = null;
+      }
+
+      const fresh = steps.filter(step => this.lastStepId === null || step.Id > this.lastStepId);
+      if (fresh.length === 0) return;
+
+      const now = Date.now();
+      const stepMs = this.lastStepId !== null && this.lastStepAt
+        ? Math.min(Math.max((now - this.lastStepAt) / fresh.length, 500), 30000)
+        : DEFAULT_STEP_MS;
+
+      const nowIso = new Date(now).toISOString();
+      const sessionUuid = this.getSessionUuid(nowIso);
+      const targetName = this.getTargetName();
+      const pixelScale = toNumber(response.PixelScale);
+
+      const rows = fresh.map((step, index) => ({
+        session_uuid: sessionUuid,
+        step_time: new Date(now - (fresh.length - 1 - index) * stepMs).toISOString(),
+        target_name: targetName,
+        ra_distance: toNumber(step.RADistanceRaw),
+        dec_distance: toNumber(step.DECDistanceRaw),
+        ra_duration: toNumber(step.RADuration),
+        dec_duration: toNumber(step.DECDuration),
+        pixel_scale: pixelScale,
+        star_mass: toNumber(step.StarMass),
+        snr: toNumber(step.SNR),
+        is_dither: this.isDitherStep(step) ? 1 : 0
+      }));
+
+      this.guidingSchema.addSteps(rows);
+      this.detectSettle(rows);
+
+      this.lastStepId = fresh[fresh.length - 1].Id;
+      this.lastStepAt = now;
+    } catch (error) {
+      console.warn('⚠️ Guiding history poll failed:', error.message);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  // Settled = first step after a dither back within SETTLE_PIXELS of the lock position
+  detectSettle(rows) {
+    for (const row of rows) {
+      const stepTime = Date.parse(row.step_time);
+
+      if (row.is_dither && (this.pendingDither === null || stepTime - this.pendingDither > SETTLE_TIMEOUT_MS)) {
+        // Dither seen in the graph without a matching NINA event
+        this.pendingDither = stepTime;
+        this.recordEvent(row.step_time, 'DITHER', { source: 'guide-step' });
+        continue;
+      }
+
+      if (this.pendingDither === null || stepTime <= this.pendingDither || row.is_dither) continue;
+
+      if (stepTime - this.pendingDither > SETTLE_TIMEOUT_MS) {
+        this.pendingDither = null;
+        continue;
+      }
+
+      const distance = Math.hypot(row.ra_distance || 0, row.dec_distance || 0);
+      if (distance <= SETTLE_PIXELS) {
+        const settleSeconds = Math.round((stepTime - this.pendingDither) / 1000);
+        this.recordEvent(row.step_time, 'SETTLED', { settleSeconds });
+        this.pendingDither = null;
+      }
+    }
+  }
+
+  rms(squares, samples) {
+    return samples > 0 ? round(Math.sqrt(squares / samples)) : null;
+  }
+
+  // Downsampled RMS timeline, markers and per-target/per-night RMS distributions for a time range
+  getHistory(from, to, maxPoints) {
+    const fromIso = from.toISOString();
+    const toIso = to.toISOString();
+    const bucketMs = Math.max(1000, Math.ceil((to - from) / maxPoints));
+
+    const points = this.guidingSchema.getBucketedSteps(fromIso, toIso, bucketMs).map(bucket => ({
+      time: bucket.first_time,
+      samples: bucket.samples,
+      rmsRa: this.rms(bucket.ra_squares, bucket.samples),
+      rmsDec: this.rms(bucket.dec_squares, bucket.samples),
+      rmsTotal: this.rms(bucket.ra_squares + bucket.dec_squares, bucket.samples),
+      peakRa: round(bucket.peak_ra),
+      peakDec: round(bucket.peak_dec),
+      starMass: round(bucket.star_mass),
+      snr: round(bucket.snr),
+      dither: bucket.has_dither === 1
+    }));
+
+    const events = this.guidingSchema.getEvents(fromIso, toIso).map(event => ({
+      time: event.event_time,
+      type: event.event_type,
+      target: event.target_name,
+      data: event.event_data ? JSON.parse(event.event_data) : null
+    }));
+
+    const minutes = this.guidingSchema.getMinuteSamples(fromIso, toIso).map(minute => ({
+      target: minute.target_name || 'Unknown',
+      night: minute.night_date || minute.minute.slice(0, 10),
+      rmsTotal: this.rms(minute.ra_squares + minute.dec_squares, minute.samples)
+    }));
+
+    const settleTimes = events
+      .filter(event => event.type === 'SETTLED' && event.data?.settleSeconds !== undefined)
+      .map(event => event.data.settleSeconds);
+
+    return {
+      from: fromIso,
+      to: toIso,
+      bucketSeconds: bucketMs / 1000,
+      points,
+      events,
+      summary: {
+        overall: this.sessionHistoryService.describeValues(minutes.map(minute => minute.rmsTotal)),
+        ditherCount: events.filter(event => event.type === 'DITHER').length,
+        settle: this.sessionHistoryService.describeValues(settleTimes)
+      },
+      histogramBinArcsec: HISTOGRAM_BIN_ARCSEC,
+      byTarget: this.describeGroups(minutes, minute => minute.target, 'target'),
+      byNight: this.describeGroups(minutes, minute => minute.night, 'night')
+    };
+  }
+
+  // RMS statistics and histogram of the per-minute total RMS for each group
+  describeGroups(minutes, keyOf, keyName) {
+    const groups = new Map();
+    for (const minute of minutes) {
+      const key = keyOf(minute);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(minute.rmsTotal);
+    }
+
+    return Array.from(groups.entries()).map(([key, values]) => {
+      const histogram = new Array(HISTOGRAM_BINS + 1).fill(0);
+      for (const value of values) {
+        histogram[Math.min(HISTOGRAM_BINS, Math.floor(value / HISTOGRAM_BIN_ARCSEC))]++;
+      }
+
+      return {
+        [keyName]: key,
+        minutes: values.length,
+        rms: this.sessionHistoryService.describeValues(values),
+        histogram
+      };
+    });
+  }
+}
+
+module.exports = GuidingHistoryService;
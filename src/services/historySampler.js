@@ -0,0 +1,54 @@
+// History Sampler - the timers behind the polled history services (Pegasus telemetry, weather):
+// take a sample every interval and prune rows past their retention once a day
+
+const PRUNE_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+class HistorySampler {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - for log messages, e.g. 'Weather history'
+   * @param {string} options.icon - emoji the start message begins with
+   * @param {number} options.intervalMs - time between samples
+   * @param {number} options.retentionDays
+   * @param {Function} options.sample - async; takes one sample and handles its own errors
+   * @param {Function} options.clean - (retentionDays) => number of rows removed
+   */
+  constructor({ name, icon, intervalMs, retentionDays, sample, clean }) {
+    this.name = name;
+    this.icon = icon;
+    this.intervalMs = intervalMs;
+    this.retentionDays = retentionDays;
+    this.sampleOnce = sample;
+    this.clean = clean;
+    this.sampleTimer = null;
+    this.pruneTimer = null;
+  }
+
+  start() {
+    this.sampleOnce();
+    this.sampleTimer = setInterval(() => this.sampleOnce(), this.intervalMs);
+
+    this.prune();
+    this.pruneTimer = setInterval(() => this.prune(), PRUNE_INTERVAL_MS);
+
+    console.log(`${this.icon} ${this.name} started (every ${this.intervalMs / 1000}s)`);
+  }
+
+  stop() {
+    clearInterval(this.sampleTimer);
+    clearInterval(this.pruneTimer);
+  }
+
+  prune() {
+    try {
+      const removed = this.clean(this.retentionDays);
+      if (removed > 0) {
+        console.log(`🧹 ${this.name} pruned ${removed} records older than ${this.retentionDays} days`);
+      }
+    } catch (error) {
+      console.error(`❌ Failed to prune ${this.name}:`, error);
+    }
+  }
+}
+
+module.exports = HistorySampler;
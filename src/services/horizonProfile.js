@@ -0,0 +1,47 @@
+// Local Horizon Profile - the observatory.horizon azimuth/altitude pairs (trees, buildings, hills)
+// Altitudes between points are interpolated linearly, wrapping around north
+
+/**
+ * Clean a configured profile: numeric points only, azimuth in [0, 360), sorted by azimuth
+ * @param {Array<{azimuth: number, altitude: number}>} points
+ * @returns {Array<{azimuth: number, altitude: number}>}
+ */
+function normalizeHorizon(points) {
+  if (!Array.isArray(points)) return [];
+
+  return points
+    .map(point => ({ azimuth: parseFloat(point?.azimuth), altitude: parseFloat(point?.altitude) }))
+    .filter(point => Number.isFinite(point.azimuth) && Number.isFinite(point.altitude))
+    .map(point => ({
+      azimuth: ((point.azimuth % 360) + 360) % 360,
+      altitude: Math.max(-90, Math.min(90, point.altitude))
+    }))
+    .sort((a, b) => a.azimuth - b.azimuth);
+}
+
+/**
+ * Altitude of the local horizon towards an azimuth; 0 (flat horizon) without a profile
+ * @param {Array<{azimuth: number, altitude: number}>} points - Normalized profile
+ * @param {number} azimuth - Degrees from north through east
+ */
+function horizonAltitude(points, azimuth) {
+  if (points.length === 0) return 0;
+  if (points.length === 1) return points[0].altitude;
+
+  const target = ((azimuth % 360) + 360) % 360;
+  let after = points.findIndex(point => point.azimuth >= target);
+  if (after === -1) after = 0;
+  const before = after === 0 ? points.length - 1 : after - 1;
+
+  const from = points[before];
+  const to = points[after];
+  const span = ((to.azimuth - from.azimuth) + 360) % 360 || 360;
+  const offset = ((target - from.azimuth) + 360) % 360;
+
+  return from.altitude + (to.altitude - from.altitude) * (offset / span);
+}
+
+module.exports = {
+  normalizeHorizon,
+  horizonAltitude
+};
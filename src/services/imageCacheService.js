@@ -0,0 +1,271 @@
+// Image Cache Service - rendered NINA images kept in memory, keyed by the frame (capture time and file) and render parameters
+// Sizes thumb/preview/full come from NINA as JPEG; WebP is transcoded with ffmpeg (FFMPEG_PATH) when available.
+// The latest-image index is refreshed on IMAGE-SAVE and least recently used renders go once the size budget is spent
+
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const { ApiError } = require('../server/utils/routeHelpers');
+
+const DEFAULT_MAX_BYTES = 128 * 1024 * 1024;
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg'; // Server environment only, like the restreamer
+const WEBP_TIMEOUT_MS = 15000;
+const WEBP_QUALITY = 80;
+const LATEST_TTL_MS = 60 * 1000; // Re-check the latest index and which frame an index holds even if an IMAGE-SAVE was missed
+
+// NINA render options per size; NINA keeps the aspect ratio inside the box
+const SIZES = {
+  thumb: { resize: true, size: '320x240', quality: 70 },
+  preview: { resize: true, size: '1280x960', quality: 85 },
+  full: { quality: 92 }
+};
+
+// Stretch parameters passed through to NINA and made part of the cache key
+const RENDER_PARAMETERS = ['factor', 'blackClipping', 'unlinked', 'debayer', 'bayerPattern'];
+
+const FORMATS = {
+  jpeg: 'image/jpeg',
+  webp: 'image/webp'
+};
+
+class ImageCacheService {
+  constructor(ninaService, configDatabase, unifiedStateSystem, options = {}) {
+    this.ninaService = ninaService;
+    this.configDatabase = configDatabase;
+    this.unifiedStateSystem = unifiedStateSystem;
+    this.maxBytes = options.maxBytes || DEFAULT_MAX_BYTES;
+    this.entries = new Map(); // Insertion order doubles as least-recently-used order
+    this.pending = new Map();
+    this.totalBytes = 0;
+    this.latestIndex = null;
+    this.latestCheckedAt = 0;
+    this.frames = new Map(); // index -> { frame, checkedAt } - NINA reuses indexes every session
+    this.webpUnavailable = null; // ffmpeg path that failed, so it isn't spawned for every request
+    this.stats = { hits: 0, misses: 0, evictions: 0 };
+    this.unsubscribe = null;
+  }
+
+  start() {
+    if (!this.unifiedStateSystem) {
+      console.warn('⚠️ Image cache will not see new images - unified state system not available');
+      return;
+    }
+
+    this.unsubscribe = this.unifiedStateSystem.subscribe((message) => {
+      if (message.updateKind === 'image' && message.updateReason === 'image-saved') {
+        this.handleImageSaved().catch(error => {
+          console.error('❌ Image cache failed to handle IMAGE-SAVE:', error.message);
+        });
+      }
+    });
+
+    console.log(`🖼️ Image cache started (${Math.round(this.maxBytes / 1024 / 1024)} MB)`);
+  }
+
+  stop() {
+    if (this.unsubscribe) this.unsubscribe();
+    this.unsubscribe = null;
+  }
+
+  /**
+   * A new frame means a new latest index, and after a NINA restart any index may now hold a different frame,
+   * so they are looked up again. Renders of the old frames are keyed on their capture time and age out unused.
+   */
+  async handleImageSaved() {
+    this.frames.clear();
+    const count = await this.ninaService.getImageHistoryCount();
+    this.latestIndex = count > 0 ? count - 1 : null;
+    this.latestCheckedAt = Date.now();
+  }
+
+  // 'latest' or a non-negative integer
+  async resolveIndex(index) {
+    if (index !== 'latest') {
+      const number = Number(index);
+      if (!Number.isInteger(number) || number < 0) {
+        throw new ApiError('index must be a non-negative integer or "latest"');
+      }
+      return number;
+    }
+
+    if (this.latestIndex === null || Date.now() - this.latestCheckedAt > LATEST_TTL_MS) {
+      const count = await this.ninaService.getImageHistoryCount();
+      this.latestIndex = count > 0 ? count - 1 : null;
+      this.latestCheckedAt = Date.now();
+    }
+    if (this.latestIndex === null) {
+      throw new ApiError('NINA has no images yet', 404);
+    }
+    return this.latestIndex;
+  }
+
+  // Capture time and file of the frame at an index, as the gallery's thumbnails are keyed
+  async identifyFrame(index) {
+    const known = this.frames.get(index);
+    if (known && Date.now() - known.checkedAt < LATEST_TTL_MS) return known.frame;
+
+    const image = await this.ninaService.getImageHistoryByIndex(index);
+    if (!image) {
+      throw new ApiError(`Image ${index} is not in NINA's history`, 404);
+    }
+    const frame = `${image.Date || ''}|${image.Filename || image.FileName || image.FilePath || image.Path || ''}`;
+    this.frames.set(index, { frame, checkedAt: Date.now() });
+    return frame;
+  }
+
+  /**
+   * Cached render of one image
+   * @param {number|string} index - NINA image history index or 'latest'
+   * @param {Object} options - size (thumb|preview|full), format (jpeg|webp), plus RENDER_PARAMETERS
+   * @returns {Promise<{ index, bytes, contentType, etag, createdAt }>}
+   */
+  async getImage(index, options = {}) {
+    const size = options.size || 'preview';
+    if (!SIZES[size]) {
+      throw new ApiError(`size must be one of ${Object.keys(SIZES).join(', ')}`);
+    }
+    let format = options.format || 'jpeg';
+    if (!FORMATS[format]) {
+      throw new ApiError(`format must be one of ${Object.keys(FORMATS).join(', ')}`);
+    }
+    if (format === 'webp' && this.webpUnavailable === this.getFfmpegPath()) {
+      format = 'jpeg';
+    }
+
+    const resolvedIndex = await this.resolveIndex(index);
+    const frame = await this.identifyFrame(resolvedIndex);
+    const parameters = {};
+    for (const name of RENDER_PARAMETERS) {
+      if (options[name] !== undefined && options[name] !== '') parameters[name] = String(options[name]);
+    }
+    const keyFor = (contentType) => `${frame}|${size}|${contentType}|${JSON.stringify(parameters)}`;
+    const key = keyFor(FORMATS[format]);
+
+    const cached = this.entries.get(key);
+    if (cached) {
+      this.stats.hits++;
+      this.entries.delete(key);
+      this.entries.set(key, cached);
+      return cached;
+    }
+
+    if (this.pending.has(key)) return this.pending.get(key);
+    this.stats.misses++;
+
+    const pending = this.render(resolvedIndex, size, format, parameters)
+      .then(entry => {
+        this.store(keyFor(entry.contentType), entry); // A failed WebP conversion is kept as the JPEG it fell back to
+        return entry;
+      })
+      .finally(() => this.pending.delete(key));
+
+    this.pending.set(key, pending);
+    return pending;
+  }
+
+  async render(index, size, format, parameters) {
+    const result = await this.ninaService.getImageByIndex(index, { ...SIZES[size], ...parameters, autoPrepare: true });
+    if (!result?.Response || typeof result.Response !== 'string') {
+      throw new ApiError(`NINA could not render image ${index}`, 502);
+    }
+
+    let bytes = Buffer.from(result.Response, 'base64');
+    let contentType = FORMATS.jpeg;
+    if (format === 'webp') {
+      const webp = await this.toWebp(bytes);
+      if (webp) {
+        bytes = webp;
+        contentType = FORMATS.webp;
+      }
+    }
+
+    return {
+      index,
+      bytes,
+      contentType,
+      etag: `"${crypto.createHash('sha1').update(bytes).digest('hex').slice(0, 20)}"`,
+      createdAt: new Date()
+    };
+  }
+
+  // JPEG to WebP through ffmpeg; null (and JPEG is served) when ffmpeg is missing or fails
+  toWebp(jpeg) {
+    const ffmpegPath = this.getFfmpegPath();
+
+    return new Promise((resolve) => {
+      const child = spawn(ffmpegPath, [
+        '-hide_banner', '-loglevel', 'error',
+        '-f', 'image2pipe', '-i', 'pipe:0',
+        '-c:v', 'libwebp', '-quality', String(WEBP_QUALITY),
+        '-f', 'webp', 'pipe:1'
+      ], { stdio: ['pipe', 'pipe', 'pipe'], windowsHide: true });
+
+      const chunks = [];
+      let errorText = '';
+      const fail = (reason) => {
+        clearTimeout(timer);
+        if (this.webpUnavailable !== ffmpegPath) {
+          console.warn(`⚠️ WebP unavailable, serving JPEG instead: ${reason}`);
+        }
+        this.webpUnavailable = ffmpegPath;
+        resolve(null);
+      };
+      const timer = setTimeout(() => {
+        child.kill();
+        fail('ffmpeg timed out');
+      }, WEBP_TIMEOUT_MS);
+
+      child.stdout.on('data', chunk => chunks.push(chunk));
+      child.stderr.on('data', chunk => { errorText += chunk.toString(); });
+      child.stdin.on('error', () => {}); // ffmpeg exiting early closes stdin; 'close' reports the failure
+      child.on('error', error => fail(error.code === 'ENOENT' ? `ffmpeg not found at "${ffmpegPath}"` : error.message));
+      child.on('close', code => {
+        if (code !== 0) return fail(errorText.trim().split(/\r?\n/).pop() || `ffmpeg exited with ${code}`);
+        clearTimeout(timer);
+        resolve(Buffer.concat(chunks));
+      });
+
+      child.stdin.end(jpeg);
+    });
+  }
+
+  store(key, entry) {
+    if (entry.bytes.length > this.maxBytes) return;
+
+    const replaced = this.entries.get(key);
+    if (replaced) {
+      this.entries.delete(key);
+      this.totalBytes -= replaced.bytes.length;
+    }
+    this.entries.set(key, entry);
+    this.totalBytes += entry.bytes.length;
+
+    for (const [oldestKey, oldest] of this.entries) {
+      if (this.totalBytes <= this.maxBytes) break;
+      this.entries.delete(oldestKey);
+      this.totalBytes -= oldest.bytes.length;
+      this.stats.evictions++;
+    }
+  }
+
+  clear() {
+    this.entries.clear();
+    this.totalBytes = 0;
+  }
+
+  getStatus() {
+    return {
+      entries: this.entries.size,
+      totalBytes: this.totalBytes,
+      maxBytes: this.maxBytes,
+      latestIndex: this.latestIndex,
+      webpAvailable: this.webpUnavailable !== this.getFfmpegPath(),
+      ...this.stats
+    };
+  }
+
+  getFfmpegPath() {
+    return FFMPEG_PATH;
+  }
+}
+
+module.exports = { ImageCacheService, SIZES };
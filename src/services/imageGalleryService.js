@@ -0,0 +1,206 @@
+// Image Gallery Service - paged, filtered view of NINA's image history
+// Thumbnails come from the image cache once and are kept on disk under directories.tempDirectory/thumbnails;
+// originals are served from directories.capturedImagesDirectory when that folder holds NINA's captures
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { ApiError } = require('../server/utils/routeHelpers');
+
+const HISTORY_CACHE_MS = 10 * 1000;
+const MAX_THUMBNAILS = 2000;
+const PRUNE_EVERY_WRITES = 50;
+const MAX_PAGE_SIZE = 100;
+
+class ImageGalleryService {
+  constructor(ninaService, configDatabase, imageCacheService) {
+    this.ninaService = ninaService;
+    this.configDatabase = configDatabase;
+    this.imageCacheService = imageCacheService;
+    this.history = null;
+    this.pendingThumbnails = new Map();
+    this.thumbnailWrites = 0;
+  }
+
+  /**
+   * One page of images, newest first
+   * @param {Object} query - page (1-based), pageSize, target, filter, imageType, from, to (ISO times)
+   */
+  async listImages(query = {}) {
+    const images = await this.getHistory();
+    const pageSize = Math.min(Math.max(parseInt(query.pageSize) || 24, 1), MAX_PAGE_SIZE);
+    const from = query.from ? Date.parse(query.from) : null;
+    const to = query.to ? Date.parse(query.to) : null;
+    if (Number.isNaN(from) || Number.isNaN(to)) {
+      throw new ApiError('from and to must be ISO dates');
+    }
+
+    const matches = images.filter(image =>
+      (!query.target || image.target === query.target) &&
+      (!query.filter || image.filter === query.filter) &&
+      (!query.imageType || image.imageType === query.imageType) &&
+      (from === null || image.time >= from) &&
+      (to === null || image.time < to)
+    ).reverse();
+
+    const pages = Math.max(1, Math.ceil(matches.length / pageSize));
+    const page = Math.min(Math.max(parseInt(query.page) || 1, 1), pages);
+    const unique = (valueOf) => [...new Set(images.map(valueOf).filter(Boolean))].sort();
+
+    return {
+      images: matches.slice((page - 1) * pageSize, page * pageSize).map(({ time, filePath, ...image }) => image),
+      total: matches.length,
+      page,
+      pageSize,
+      pages,
+      targets: unique(image => image.target),
+      filters: unique(image => image.filter),
+      imageTypes: unique(image => image.imageType),
+      originalsAvailable: Boolean(this.getCapturedDirectory())
+    };
+  }
+
+  // NINA's image history in capture order; the array position is the index NINA's /image/{index} expects
+  async getHistory() {
+    if (this.history && Date.now() - this.history.loadedAt < HISTORY_CACHE_MS) {
+      return this.history.images;
+    }
+
+    let response;
+    try {
+      response = await this.ninaService.makeRequest('/image-history?all=true');
+    } catch (error) {
+      throw new ApiError(error.message, 502);
+    }
+    if (!response?.Success || !Array.isArray(response.Response)) {
+      throw new ApiError(response?.Error || 'NINA returned no image history', 502);
+    }
+
+    const images = response.Response.map((entry, index) => this.describeImage(entry, index));
+    this.history = { loadedAt: Date.now(), images };
+    return images;
+  }
+
+  describeImage(entry, index) {
+    const filePath = entry.Filename || entry.FileName || entry.FilePath || entry.Path || null;
+    return {
+      index,
+      date: entry.Date || null,
+      time: entry.Date ? Date.parse(entry.Date) : 0,
+      target: entry.TargetName || null,
+      filter: entry.Filter || null,
+      imageType: entry.ImageType || null,
+      exposureTime: entry.ExposureTime ?? null,
+      hfr: Number.isFinite(entry.HFR) && entry.HFR > 0 ? entry.HFR : null,
+      stars: Number.isFinite(entry.Stars) ? entry.Stars : null,
+      median: entry.Median ?? null,
+      temperature: entry.Temperature ?? null,
+      rmsText: entry.RmsText || null,
+      fileName: filePath ? filePath.split(/[\\/]/).pop() : null,
+      filePath
+    };
+  }
+
+  async getImage(index) {
+    const images = await this.getHistory();
+    const image = images[index];
+    if (!image) {
+      throw new ApiError(`Image ${index} is not in NINA's history`, 404);
+    }
+    return image;
+  }
+
+  /**
+   * Thumbnail JPEG path, rendered through the image cache on first use
+   * The file name includes a hash of the capture time because NINA restarts its indexes with every session
+   */
+  async getThumbnail(index) {
+    const image = await this.getImage(index);
+    const key = crypto.createHash('sha1').update(`${image.date}|${image.filePath}`).digest('hex').slice(0, 12);
+    const directory = this.getThumbnailDirectory();
+    const file = path.join(directory, `${index}-${key}.jpg`);
+
+    if (fs.existsSync(file)) return file;
+    if (this.pendingThumbnails.has(file)) return this.pendingThumbnails.get(file);
+
+    const pending = this.imageCacheService.getImage(index, { size: 'thumb', format: 'jpeg' })
+      .then(async ({ bytes }) => {
+        await fs.promises.mkdir(directory, { recursive: true });
+        await fs.promises.writeFile(file, bytes);
+        if (++this.thumbnailWrites % PRUNE_EVERY_WRITES === 0) {
+          await this.pruneThumbnails(directory);
+        }
+        return file;
+      })
+      .finally(() => this.pendingThumbnails.delete(file));
+
+    this.pendingThumbnails.set(file, pending);
+    return pending;
+  }
+
+  // Keep the newest MAX_THUMBNAILS files
+  async pruneThumbnails(directory) {
+    try {
+      const names = await fs.promises.readdir(directory);
+      if (names.length <= MAX_THUMBNAILS) return;
+
+      const files = await Promise.all(names.map(async name => {
+        const stats = await fs.promises.stat(path.join(directory, name));
+        return { name, mtimeMs: stats.mtimeMs };
+      }));
+      files.sort((a, b) => b.mtimeMs - a.mtimeMs);
+      for (const { name } of files.slice(MAX_THUMBNAILS)) {
+        await fs.promises.unlink(path.join(directory, name));
+      }
+      console.log(`🧹 Pruned ${files.length - MAX_THUMBNAILS} gallery thumbnails`);
+    } catch (error) {
+      console.warn('⚠️ Could not prune gallery thumbnails:', error.message);
+    }
+  }
+
+  /**
+   * Local path of the original file for download
+   * NINA reports the path on the imaging PC; the tail of that path is looked up under capturedImagesDirectory
+   * (longest match first), so the folder may be the capture root itself or a network share of it
+   */
+  async getOriginal(index) {
+    const root = this.getCapturedDirectory();
+    if (!root) {
+      throw new ApiError('directories.capturedImagesDirectory is not configured', 404);
+    }
+
+    const image = await this.getImage(index);
+    if (!image.filePath) {
+      throw new ApiError('NINA did not report a file name for this image', 404);
+    }
+
+    const segments = image.filePath.split(/[\\/]/).filter(Boolean);
+    for (let start = 0; start < segments.length; start++) {
+      const candidate = path.resolve(root, ...segments.slice(start));
+      const relative = path.relative(root, candidate);
+      if (relative === '..' || relative.startsWith('..' + path.sep) || path.isAbsolute(relative)) continue;
+
+      try {
+        const stats = await fs.promises.stat(candidate);
+        if (stats.isFile()) return { filePath: candidate, fileName: image.fileName, size: stats.size };
+      } catch {
+        // Not at this depth - try a shorter tail
+      }
+    }
+
+    throw new ApiError(`${image.fileName} was not found under ${root}`, 404);
+  }
+
+  getCapturedDirectory() {
+    const directory = (this.configDatabase.getConfig().directories?.capturedImagesDirectory || '').trim();
+    return directory ? path.resolve(directory) : null;
+  }
+
+  // Relative temp paths are taken from the project root, like the Target Scheduler database path
+  getThumbnailDirectory() {
+    const directory = (this.configDatabase.getConfig().directories?.tempDirectory || '').trim() || './temp';
+    return path.resolve(__dirname, '../..', directory, 'thumbnails');
+  }
+}
+
+module.exports = { ImageGalleryService };
@@ -44,11 +44,26 @@ class NINAService {
         return this.makeRequest(endpoint, retries - 1);
       }
       
-      console.error(`❌ NINA API Error (${endpoint}):`, error.message);
-      throw new Error(`NINA API Error: ${error.message}`);
+      // Prefer NINA's own error text (e.g. "Mount not connected") over the HTTP status
+      const ninaError = error.response?.data?.Error;
+      console.error(`❌ NINA API Error (${endpoint}):`, ninaError || error.message);
+      throw new Error(`NINA API Error: ${ninaError || error.message}`);
     }
   }
 
+  // Execute an equipment action through makeRequest
+  // Actions are never retried (a repeated slew or capture is worse than a failed one)
+  async executeAction(endpoint) {
+    const response = await this.makeRequest(endpoint, 0);
+
+    if (!response || !response.Success) {
+      throw new Error(response?.Error || `NINA rejected action ${endpoint}`);
+    }
+
+    console.log(`✅ NINA action completed: ${endpoint}`);
+    return response;
+  }
+
   async getEquipmentStatus() {
     try {
       // Get status from multiple NINA API endpoints
@@ -442,6 +457,14 @@ class NINAService {
     }
   }
 
+  async getDomeStatus() {
+    return this.makeRequest('/equipment/dome/info');
+  }
+
+  async getSafetyMonitorStatus() {
+    return this.makeRequest('/equipment/safetymonitor/info');
+  }
+
   async getWeatherStatus() {
     try {
       const response = await this.makeRequest('/equipment/weather/info');
@@ -573,6 +596,148 @@ class NINAService {
     }
   }
 
+  // Mount control actions
+  async parkMount() {
+    return this.executeAction('/equipment/mount/park');
+  }
+
+  async unparkMount() {
+    return this.executeAction('/equipment/mount/unpark');
+  }
+
+  async homeMount() {
+    return this.executeAction('/equipment/mount/home');
+  }
+
+  // Slew to J2000 coordinates - ra and dec are both in degrees (NINA API convention)
+  async slewMount(ra, dec) {
+    const params = new URLSearchParams({
+      ra: ra.toString(),
+      dec: dec.toString(),
+      waitForResult: 'false'
+    });
+    return this.executeAction(`/equipment/mount/slew?${params.toString()}`);
+  }
+
+  async abortSlew() {
+    return this.executeAction('/equipment/mount/slew/stop');
+  }
+
+  // Tracking modes: 0 Sidereal, 1 Lunar, 2 Solar, 3 King, 4 Stopped
+  async setTrackingMode(mode) {
+    return this.executeAction(`/equipment/mount/tracking?mode=${mode}`);
+  }
+
+  // Camera control actions
+  async setCameraBinning(binning) {
+    return this.executeAction(`/equipment/camera/set-binning?binning=${encodeURIComponent(binning)}`);
+  }
+
+  // Start a single exposure - the image is kept by NINA but not saved or returned here
+  async startCapture(duration, gain) {
+    const params = new URLSearchParams({
+      duration: duration.toString(),
+      waitForResult: 'false',
+      omitImage: 'true',
+      save: 'false'
+    });
+    if (gain !== undefined && gain !== null) params.append('gain', gain.toString());
+    return this.executeAction(`/equipment/camera/capture?${params.toString()}`);
+  }
+
+  async abortExposure() {
+    return this.executeAction('/equipment/camera/abort-exposure');
+  }
+
+  // Cool to a target temperature (°C), optionally over a number of minutes
+  async coolCamera(temperature, minutes) {
+    const params = new URLSearchParams({ temperature: temperature.toString() });
+    if (minutes !== undefined && minutes !== null) params.append('minutes', minutes.toString());
+    return this.executeAction(`/equipment/camera/cool?${params.toString()}`);
+  }
+
+  // Warm the sensor back to ambient, optionally over a number of minutes
+  async warmCamera(minutes) {
+    const params = new URLSearchParams();
+    if (minutes !== undefined && minutes !== null) params.append('minutes', minutes.toString());
+    const queryString = params.toString();
+    return this.executeAction(`/equipment/camera/warm${queryString ? '?' + queryString : ''}`);
+  }
+
+  // Get the advanced sequence as a simplified tree with the instruction currently running
+  async getSequenceState() {
+    const response = await this.makeRequest('/sequence/json');
+
+    if (!response || !response.Success) {
+      throw new Error(response?.Error || 'No sequence loaded in NINA');
+    }
+
+    const containers = Array.isArray(response.Response) ? response.Response : [];
+    const tree = containers
+      .filter(node => node && node.Name) // First entry only holds the global triggers
+      .map(node => this.normalizeSequenceNode(node));
+
+    return {
+      tree,
+      isRunning: tree.some(node => node.status === 'RUNNING'),
+      currentInstruction: this.findRunningInstruction(tree)
+    };
+  }
+
+  normalizeSequenceNode(node) {
+    const children = Array.isArray(node.Items)
+      ? node.Items.map(item => this.normalizeSequenceNode(item))
+      : [];
+
+    return {
+      name: node.Name,
+      status: (node.Status || 'CREATED').toUpperCase(),
+      isContainer: Array.isArray(node.Items),
+      conditions: Array.isArray(node.Conditions) ? node.Conditions.map(c => c.Name).filter(Boolean) : [],
+      children
+    };
+  }
+
+  // Depth-first search for the deepest running item, returned with its container path
+  findRunningInstruction(nodes, path = []) {
+    for (const node of nodes) {
+      if (node.status !== 'RUNNING') continue;
+
+      const nested = this.findRunningInstruction(node.children, [...path, node.name]);
+      if (nested) return nested;
+
+      return { name: node.name, path };
+    }
+    return null;
+  }
+
+  async listSequences() {
+    const response = await this.makeRequest('/sequence/list-available');
+    return Array.isArray(response?.Response) ? response.Response : [];
+  }
+
+  // Sequence control actions
+  async loadSequence(sequenceName) {
+    return this.executeAction(`/sequence/load?sequenceName=${encodeURIComponent(sequenceName)}`);
+  }
+
+  async startSequence(skipValidation = false) {
+    return this.executeAction(`/sequence/start?skipValidation=${skipValidation ? 'true' : 'false'}`);
+  }
+
+  async stopSequence() {
+    return this.executeAction('/sequence/stop');
+  }
+
+  // Skip the item that is currently running and continue with the next one
+  async skipSequenceItem() {
+    return this.executeAction('/sequence/skip');
+  }
+
+  async resetSequence() {
+    return this.executeAction('/sequence/reset');
+  }
+
   // Get NINA event history
   async getEventHistory() {
     try {
@@ -858,6 +1023,27 @@ class NINAService {
     }
   }
 
+  // Plate solve one image from NINA's history with NINA's configured solver
+  // Note: This method makes a direct axios call - a blind solve can take far longer than nina.timeout,
+  // and a retried solve just queues a second one on the imaging PC
+  async solveImage(index, timeoutMs = 60000) {
+    const url = `${this.fullUrl}/v2/api/image/${index}/solve`;
+    console.log(`🧭 NINA plate solve request: ${url}`);
+
+    try {
+      const response = await axios.get(url, {
+        timeout: timeoutMs,
+        headers: { 'Accept': 'application/json' }
+      });
+      return response.data;
+    } catch (error) {
+      const ninaError = error.response?.data?.Error;
+      const wrapped = new Error(`NINA API Error: ${ninaError || error.message}`);
+      wrapped.status = error.response?.status || null;
+      throw wrapped;
+    }
+  }
+
   // Get prepared image as array buffer from NINA
   // Note: This method makes a direct axios call for binary data (arraybuffer)
   // makeRequest() is designed for JSON responses, so we need the direct approach here
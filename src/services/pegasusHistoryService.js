@@ -0,0 +1,265 @@
+// Pegasus History Service - samples Pegasus power box telemetry into SQLite at a fixed interval
+// Energy is integrated per sample (power x time since the previous sample), so Wh/Ah totals per port and per night
+// stay correct when sampling pauses. Low-voltage and over-current episodes are kept as events for capacity planning
+
+const { describePorts, defaultPortLabel } = require('./pegasusPorts');
+const { round, toNumber } = require('../server/utils/routeHelpers');
+const { parseBucketedRange } = require('../server/utils/timeRange');
+const HistorySampler = require('./historySampler');
+
+const SAMPLE_INTERVAL_MS = 60 * 1000;
+const MAX_SAMPLE_GAP_MS = 2 * SAMPLE_INTERVAL_MS; // A sample never stands for more than this after an outage
+const RETENTION_DAYS = 180;
+const LOW_VOLTAGE_HYSTERESIS = 0.2; // Volts above the threshold before a low-voltage event ends
+const DEFAULT_HISTORY_HOURS = 24;
+
+class PegasusHistoryService {
+  constructor(pegasusService, configDatabase, sessionHistoryService) {
+    this.pegasusService = pegasusService;
+    this.pegasusSchema = configDatabase.pegasusSchema;
+    this.sessionHistoryService = sessionHistoryService;
+    this.lastSampleAt = new Map(); // device key -> ms
+    this.openEvents = new Map(); // device|type|port -> { id, value }
+    this.unreachable = false;
+    this.sampling = false;
+    this.sampler = new HistorySampler({
+      name: 'Pegasus telemetry history',
+      icon: '🔋',
+      intervalMs: SAMPLE_INTERVAL_MS,
+      retentionDays: RETENTION_DAYS,
+      sample: () => this.sample(),
+      clean: (days) => this.pegasusSchema.cleanOldSamples(days)
+    });
+  }
+
+  start() {
+    for (const event of this.pegasusSchema.getOpenEvents()) {
+      this.openEvents.set(this.eventKey(event.device_key, event.event_type, event.port_id), { id: event.id, value: event.value });
+    }
+
+    this.sampler.start();
+  }
+
+  stop() {
+    this.sampler.stop();
+  }
+
+  getConfig() {
+    return this.pegasusService.getSettings();
+  }
+
+  // One sample of every connected power device; quiet while Unity stays unreachable
+  async sample() {
+    if (this.sampling || !this.getConfig().enabled) return;
+    this.sampling = true;
+
+    try {
+      const devices = await this.pegasusService.getPowerDevices();
+
+      for (const device of devices) {
+        await this.sampleDevice(device);
+      }
+
+      if (this.unreachable) {
+        console.log('🔋 Pegasus telemetry history resumed');
+        this.unreachable = false;
+      }
+    } catch (error) {
+      if (!this.unreachable) {
+        console.warn('⚠️ Pegasus telemetry sample failed:', error.message);
+        this.unreachable = true;
+      }
+    } finally {
+      this.sampling = false;
+    }
+  }
+
+  async sampleDevice(device) {
+    const report = await this.pegasusService.getReport(device.name, device.uniqueKey);
+    const message = report.data?.message || {};
+
+    const now = Date.now();
+    const time = new Date(now).toISOString();
+    const previous = this.lastSampleAt.get(device.uniqueKey);
+    const intervalMs = previous ? Math.min(now - previous, MAX_SAMPLE_GAP_MS) : SAMPLE_INTERVAL_MS;
+    this.lastSampleAt.set(device.uniqueKey, now);
+
+    const voltage = toNumber(message.voltage);
+    const current = toNumber(message.current);
+    const { ports, dewHeaters } = describePorts(message);
+    const metered = [...ports, ...dewHeaters].filter(port => port.current !== null);
+
+    this.pegasusSchema.addSample({
+      sample_time: time,
+      device_key: device.uniqueKey,
+      device_type: device.name,
+      device_name: device.fullName || device.name,
+      interval_seconds: intervalMs / 1000,
+      voltage,
+      current,
+      power: toNumber(message.power) ?? (voltage !== null && current !== null ? voltage * current : null),
+      temperature: toNumber(message.temperature),
+      humidity: toNumber(message.humidity),
+      dew_point: toNumber(message.dewPoint),
+      is_over_current: message.isOverCurrent === true ? 1 : 0
+    }, metered.map(port => ({ port_id: port.id, current: port.current })));
+
+    this.recordEvents(device.uniqueKey, time, voltage, current, message.isOverCurrent === true, metered);
+  }
+
+  eventKey(deviceKey, eventType, portId) {
+    return `${deviceKey}|${eventType}|${portId || ''}`;
+  }
+
+  // Opens an event when a condition starts, keeps its extreme value while it lasts and closes it when it clears
+  recordEvents(deviceKey, time, voltage, current, isOverCurrent, ports) {
+    const lowVoltage = toNumber(this.getConfig().lowVoltage) ?? 11.5;
+    const lowKey = this.eventKey(deviceKey, 'LOW_VOLTAGE', null);
+    const threshold = this.openEvents.has(lowKey) ? lowVoltage + LOW_VOLTAGE_HYSTERESIS : lowVoltage;
+
+    const active = [];
+    if (voltage !== null && voltage < threshold) {
+      active.push({ type: 'LOW_VOLTAGE', portId: null, value: voltage, lower: true });
+    }
+    if (isOverCurrent) {
+      active.push({ type: 'OVER_CURRENT', portId: null, value: current, lower: false });
+    }
+    for (const port of ports) {
+      if (port.overCurrent) active.push({ type: 'OVER_CURRENT', portId: port.id, value: port.current, lower: false });
+    }
+
+    const activeKeys = new Set();
+    for (const condition of active) {
+      const key = this.eventKey(deviceKey, condition.type, condition.portId);
+      activeKeys.add(key);
+      const open = this.openEvents.get(key);
+
+      if (!open) {
+        const id = this.pegasusSchema.openEvent(deviceKey, condition.type, condition.portId, time, condition.value);
+        this.openEvents.set(key, { id, value: condition.value });
+        console.warn(`⚠️ Pegasus ${condition.type}${condition.portId ? ` on ${condition.portId}` : ''} (${condition.value})`);
+        continue;
+      }
+
+      if (condition.value === null) continue;
+      if (open.value === null || (condition.lower ? condition.value < open.value : condition.value > open.value)) {
+        open.value = condition.value;
+        this.pegasusSchema.updateEventValue(open.id, condition.value);
+      }
+    }
+
+    for (const [key, open] of this.openEvents) {
+      if (key.startsWith(`${deviceKey}|`) && !activeKeys.has(key)) {
+        this.pegasusSchema.closeEvent(open.id, time);
+        this.openEvents.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Downsampled telemetry, energy totals per port and per night, and events for one device
+   * @param {Object} query - from, to (ISO times, default the last 24 hours), maxPoints (10-5000, default 600),
+   *   uniqueKey (default the most recently sampled device)
+   */
+  getHistory(query = {}) {
+    const { from, to, bucketMs } = parseBucketedRange(query, {
+      defaultHours: DEFAULT_HISTORY_HOURS,
+      sampleIntervalMs: SAMPLE_INTERVAL_MS
+    });
+    const fromIso = from.toISOString();
+    const toIso = to.toISOString();
+
+    const device = query.uniqueKey ? this.pegasusSchema.getDevice(query.uniqueKey) : this.pegasusSchema.getLatestDevice();
+    const history = {
+      from: fromIso,
+      to: toIso,
+      bucketSeconds: bucketMs / 1000,
+      sampleIntervalSeconds: SAMPLE_INTERVAL_MS / 1000,
+      lowVoltage: toNumber(this.getConfig().lowVoltage) ?? 11.5,
+      device: device ? { uniqueKey: device.device_key, deviceType: device.device_type, name: device.device_name } : null,
+      points: [],
+      byPort: [],
+      byNight: [],
+      events: [],
+      summary: null
+    };
+    if (!device) return history;
+
+    const labels = this.getConfig().portLabels || {};
+    const labelOf = (portId) => labels[portId] || defaultPortLabel(portId, device.device_type);
+
+    history.points = this.pegasusSchema.getBucketedSamples(device.device_key, fromIso, toIso, bucketMs).map(bucket => ({
+      time: bucket.first_time,
+      samples: bucket.samples,
+      voltage: round(bucket.voltage),
+      minVoltage: round(bucket.min_voltage),
+      current: round(bucket.current),
+      maxCurrent: round(bucket.max_current),
+      power: round(bucket.power, 1),
+      temperature: round(bucket.temperature, 1),
+      humidity: round(bucket.humidity, 0),
+      dewPoint: round(bucket.dew_point, 1)
+    }));
+
+    history.byPort = this.pegasusSchema.getPortEnergy(device.device_key, fromIso, toIso).map(port => ({
+      portId: port.port_id,
+      label: labelOf(port.port_id),
+      wattHours: round(port.watt_hours),
+      ampHours: round(port.amp_hours),
+      meanCurrent: round(port.mean_current),
+      maxCurrent: round(port.max_current)
+    }));
+
+    const hours = this.pegasusSchema.getHourlyEnergy(device.device_key, fromIso, toIso);
+    history.byNight = this.groupNights(hours);
+
+    history.events = this.pegasusSchema.getEvents(device.device_key, fromIso, toIso).map(event => ({
+      type: event.event_type,
+      portId: event.port_id,
+      label: event.port_id ? labelOf(event.port_id) : null,
+      startedAt: event.started_at,
+      endedAt: event.ended_at,
+      value: round(event.value)
+    }));
+
+    const sum = (key) => hours.reduce((total, hour) => total + (hour[key] || 0), 0);
+    const seconds = sum('seconds');
+    const minVoltages = hours.map(hour => hour.min_voltage).filter(value => value !== null);
+    history.summary = {
+      wattHours: round(sum('watt_hours')),
+      ampHours: round(sum('amp_hours')),
+      hoursRecorded: round(seconds / 3600),
+      meanPower: seconds > 0 ? round(sum('watt_hours') * 3600 / seconds, 1) : null,
+      minVoltage: minVoltages.length ? round(Math.min(...minVoltages)) : null
+    };
+
+    return history;
+  }
+
+  // Hourly energy folded into observing nights (local noon to noon, named after the evening)
+  // Hours are whole UTC hours, so in half-hour timezones the night boundary is off by 30 minutes
+  groupNights(hours) {
+    const nights = new Map();
+    for (const hour of hours) {
+      const nightDate = this.sessionHistoryService.getNightDate(hour.hour);
+      const night = nights.get(nightDate) || { night: nightDate, wattHours: 0, ampHours: 0, seconds: 0, minVoltage: null };
+      night.wattHours += hour.watt_hours || 0;
+      night.ampHours += hour.amp_hours || 0;
+      night.seconds += hour.seconds || 0;
+      if (hour.min_voltage !== null && (night.minVoltage === null || hour.min_voltage < night.minVoltage)) {
+        night.minVoltage = hour.min_voltage;
+      }
+      nights.set(nightDate, night);
+    }
+
+    return Array.from(nights.values()).map(night => ({
+      night: night.night,
+      wattHours: round(night.wattHours),
+      ampHours: round(night.ampHours),
+      hoursRecorded: round(night.seconds / 3600),
+      minVoltage: round(night.minVoltage)
+    }));
+  }
+}
+
+module.exports = { PegasusHistoryService };
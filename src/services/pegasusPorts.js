@@ -0,0 +1,169 @@
+// Pegasus power box ports - switchable 12V and USB outputs and dew heaters from a Unity Platform aggregate report,
+// and the Unity driver commands that change them
+// Port ids are stable across polls so user labels (pegasus.portLabels) stay attached:
+// power-hub, power-variable, power-<n>, usb-hub, usb-<n>, dew-<n>
+
+const { ApiError } = require('../server/utils/routeHelpers');
+
+const POWER_DEVICE_TYPES = ['PPBAdvance', 'PPB', 'PPBMicro', 'UPBv3', 'UPBv2', 'SaddlePowerBox'];
+const PORT_ID_PATTERN = /^(power-hub|power-variable|usb-hub|(power|usb|dew)-\d{1,2})$/;
+const MAX_LABEL_LENGTH = 40;
+
+/**
+ * Name a port has until the user labels it
+ * @param {string} portId
+ * @param {string} [deviceType] - the PPBAdvance's switchable USB pair is its "Dual USB2"
+ */
+function defaultPortLabel(portId, deviceType) {
+  if (portId === 'power-hub') return '12V hub';
+  if (portId === 'power-variable') return 'Variable output';
+  if (portId === 'usb-hub') return deviceType === 'PPBAdvance' ? 'Dual USB2' : 'USB hub';
+
+  const [kind, number] = portId.split('-');
+  return `${kind === 'usb' ? 'USB' : kind === 'dew' ? 'Dew' : '12V'} ${number}`;
+}
+
+const isOn = (status) => String(status?.state ?? status ?? '').toUpperCase() === 'ON';
+
+const currentOf = (status) => {
+  const value = status?.current?.value ?? status?.current;
+  return typeof value === 'number' ? value : null;
+};
+
+// A hub status is either one switch ({ state }) or numbered ports ({ hub: [{ port: { number, state } }] })
+function hubPorts(status, kind, hubName) {
+  if (!status) return [];
+
+  if (Array.isArray(status.hub)) {
+    return status.hub.map((entry, index) => {
+      const number = entry.port?.number ?? entry.number ?? index + 1;
+      return {
+        id: `${kind}-${number}`,
+        kind,
+        number,
+        defaultLabel: defaultPortLabel(`${kind}-${number}`),
+        on: isOn(entry.port ?? entry),
+        current: currentOf(entry),
+        overCurrent: entry.current?.isOverCurrent === true
+      };
+    });
+  }
+
+  return [{
+    id: `${kind}-hub`,
+    kind,
+    number: null,
+    defaultLabel: hubName,
+    on: isOn(status),
+    current: null,
+    overCurrent: false
+  }];
+}
+
+/**
+ * Ports a device reports, with user labels applied
+ * @param {Object} report - data.message of the Unity aggregate report
+ * @param {Object} labels - pegasus.portLabels
+ * @returns {{ ports: Object[], dewHeaters: Object[], autoDew: boolean|null }}
+ */
+function describePorts(report, labels = {}) {
+  const ports = [
+    ...hubPorts(report.powerHubStatus, 'power', '12V hub'),
+    ...(report.powerVariablePortStatus ? [{
+      id: 'power-variable',
+      kind: 'power',
+      number: null,
+      defaultLabel: defaultPortLabel('power-variable'),
+      on: isOn(report.powerVariablePortStatus),
+      current: null,
+      overCurrent: false
+    }] : []),
+    ...hubPorts(report.usbHubStatus, 'usb', 'USB hub'),
+    ...hubPorts(report.ppbA_DualUSB2Status, 'usb', 'Dual USB2') // The PPBAdvance's switchable USB pair
+  ];
+
+  const dewHeaters = (report.dewHubStatus?.hub || []).map((entry, index) => {
+    const number = entry.port?.number ?? index + 1;
+    return {
+      id: `dew-${number}`,
+      kind: 'dew',
+      number,
+      defaultLabel: defaultPortLabel(`dew-${number}`),
+      power: entry.port?.power ?? 0,
+      current: currentOf(entry),
+      overCurrent: entry.current?.isOverCurrent === true
+    };
+  });
+
+  const autoDew = report.autoDewStatus !== undefined ? isOn(report.autoDewStatus)
+    : typeof report.isAutoDew === 'boolean' ? report.isAutoDew
+    : null;
+
+  const withLabel = port => ({ ...port, label: labels[port.id] || port.defaultLabel });
+  return { ports: ports.map(withLabel), dewHeaters: dewHeaters.map(withLabel), autoDew };
+}
+
+/**
+ * Unity driver command that switches one port
+ * @returns {{ path: string, params: Object }} - relative to /Driver/{deviceType}
+ */
+function switchCommand(portId, on) {
+  if (!PORT_ID_PATTERN.test(portId) || portId.startsWith('dew-')) {
+    throw new ApiError(`Unknown switchable port: ${portId}`);
+  }
+
+  const state = on ? 'ON' : 'OFF';
+  const [kind, which] = portId.split('-');
+  if (portId === 'power-hub') return { path: 'Switch/PowerHub', params: { State: state } };
+  if (portId === 'power-variable') return { path: 'Switch/PowerVariablePort', params: { State: state } };
+  if (portId === 'usb-hub') return { path: 'Switch/USBHub', params: { State: state } };
+  return { path: `Switch/${kind === 'usb' ? 'USB' : 'Power'}/${which}`, params: { State: state } };
+}
+
+// Dew heater duty cycle in percent (0 turns the heater off)
+function dewCommand(number, power) {
+  if (!Number.isInteger(number) || number < 1 || number > 8) {
+    throw new ApiError('Dew heater port must be a number between 1 and 8');
+  }
+  if (!Number.isFinite(power) || power < 0 || power > 100) {
+    throw new ApiError('power must be a percentage between 0 and 100');
+  }
+  return { path: `Dew/${number}`, params: { Power: Math.round(power) } };
+}
+
+function autoDewCommand(enabled) {
+  return { path: 'Dew/Auto', params: { State: enabled ? 'ON' : 'OFF' } };
+}
+
+// Validated label changes - a blank label becomes null, which removes it so the default name comes back
+function normalizeLabels(labels) {
+  if (!labels || typeof labels !== 'object' || Array.isArray(labels)) {
+    throw new ApiError('labels must be an object of port id to label');
+  }
+
+  const normalized = {};
+  for (const [portId, label] of Object.entries(labels)) {
+    if (!PORT_ID_PATTERN.test(portId)) {
+      throw new ApiError(`Unknown port id: ${portId}`);
+    }
+    if (label !== null && typeof label !== 'string') {
+      throw new ApiError(`Label for ${portId} must be text`);
+    }
+    const trimmed = (label || '').trim();
+    if (trimmed.length > MAX_LABEL_LENGTH) {
+      throw new ApiError(`Label for ${portId} is longer than ${MAX_LABEL_LENGTH} characters`);
+    }
+    normalized[portId] = trimmed || null;
+  }
+  return normalized;
+}
+
+module.exports = {
+  POWER_DEVICE_TYPES,
+  describePorts,
+  defaultPortLabel,
+  switchCommand,
+  dewCommand,
+  autoDewCommand,
+  normalizeLabels
+};
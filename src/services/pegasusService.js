@@ -0,0 +1,226 @@
+// Pegasus Service - the one Pegasus Unity Platform client shared by the Pegasus routes and the telemetry history
+// pegasus.* settings are read on every call, so a new Unity address or port label applies without a restart.
+// GET responses are cached briefly so every dashboard polling the same device shares one Unity request;
+// driver commands are never retried (switching a port twice is worse than a failed switch)
+
+const axios = require('axios');
+const { POWER_DEVICE_TYPES } = require('./pegasusPorts');
+const { ApiError } = require('../server/utils/routeHelpers');
+
+const DEFAULT_BASE_URL = 'http://localhost:32000';
+const REQUEST_TIMEOUT_MS = 5000;
+const RETRY_ATTEMPTS = 2; // GETs only, and only when Unity didn't answer
+const RETRY_DELAY_MS = 500;
+const REPORT_CACHE_MS = 2000;
+const DEVICE_LIST_CACHE_MS = 10 * 1000;
+const UNREACHABLE_AFTER_FAILURES = 3;
+
+class PegasusService {
+  constructor(configDatabase) {
+    this.configDatabase = configDatabase;
+    this.http = axios.create({
+      timeout: REQUEST_TIMEOUT_MS,
+      headers: { Accept: 'application/json' }
+    });
+    this.baseUrl = null;
+    this.cache = new Map(); // url -> { expires, data } once answered, { pending } while in flight
+    this.resetHealth();
+  }
+
+  resetHealth() {
+    this.health = {
+      status: 'unknown', // healthy | degraded | unreachable
+      lastSuccessAt: null,
+      lastFailureAt: null,
+      lastError: null,
+      consecutiveFailures: 0,
+      requests: 0,
+      cacheHits: 0
+    };
+  }
+
+  /**
+   * Current pegasus.* settings; a changed Unity address drops the cache and health history
+   */
+  getSettings() {
+    const get = (key, defaultValue) => this.configDatabase.getConfigValue(`pegasus.${key}`, defaultValue);
+    const settings = {
+      enabled: get('enabled', false) === true,
+      unityBaseUrl: String(get('unityBaseUrl', DEFAULT_BASE_URL) || DEFAULT_BASE_URL).trim().replace(/\/+$/, ''),
+      refreshInterval: get('refreshInterval', 5000),
+      maxCurrent: get('maxCurrent', 10),
+      lowVoltage: get('lowVoltage', 11.5),
+      portLabels: get('portLabels', {}) || {}
+    };
+
+    if (settings.unityBaseUrl !== this.baseUrl) {
+      if (this.baseUrl !== null) {
+        console.log(`🔌 Pegasus Unity address changed to ${settings.unityBaseUrl}`);
+      }
+      this.baseUrl = settings.unityBaseUrl;
+      this.cache.clear();
+      this.resetHealth();
+    }
+
+    return settings;
+  }
+
+  /**
+   * Merge label changes (from pegasusPorts.normalizeLabels) into pegasus.portLabels; null removes a label
+   * @returns {Object} all labels after the change
+   */
+  savePortLabels(changes) {
+    const labels = { ...this.getSettings().portLabels };
+    for (const [portId, label] of Object.entries(changes)) {
+      if (label) labels[portId] = label;
+      else delete labels[portId];
+    }
+
+    this.configDatabase.setConfigValue('pegasus.portLabels', labels, 'pegasus');
+    return labels;
+  }
+
+  getHealth() {
+    return { baseUrl: this.baseUrl, ...this.health };
+  }
+
+  recordSuccess() {
+    this.health.status = 'healthy';
+    this.health.lastSuccessAt = new Date().toISOString();
+    this.health.consecutiveFailures = 0;
+  }
+
+  recordFailure(error) {
+    if (this.health.status !== 'unreachable' && this.health.consecutiveFailures + 1 >= UNREACHABLE_AFTER_FAILURES) {
+      console.warn(`⚠️ Pegasus Unity Platform unreachable at ${this.baseUrl}: ${error.message}`);
+    }
+    this.health.consecutiveFailures++;
+    this.health.status = this.health.consecutiveFailures >= UNREACHABLE_AFTER_FAILURES ? 'unreachable' : 'degraded';
+    this.health.lastFailureAt = new Date().toISOString();
+    this.health.lastError = error.message;
+  }
+
+  /**
+   * One request to Unity. Answers with an HTTP error status count as Unity being up;
+   * only timeouts and refused connections are retried and count against health
+   * @returns {Promise<Object>} Unity's JSON body
+   */
+  async request(method, path, params, retries) {
+    const { unityBaseUrl } = this.getSettings();
+    this.health.requests++;
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const response = await this.http.request({ method, url: `${unityBaseUrl}${path}`, params });
+        this.recordSuccess();
+        return response.data;
+      } catch (error) {
+        if (error.response) {
+          this.recordSuccess();
+          const message = error.response.data?.message || `Pegasus Unity returned HTTP ${error.response.status}`;
+          throw new ApiError(message, error.response.status < 500 ? error.response.status : 502);
+        }
+
+        if (attempt >= retries) {
+          this.recordFailure(error);
+          throw new ApiError(`Pegasus Unity Platform not reachable at ${unityBaseUrl}: ${error.message}`, 503);
+        }
+        await new Promise(resolve => setTimeout(resolve, RETRY_DELAY_MS));
+      }
+    }
+  }
+
+  // Cached GET - callers asking for the same URL while a request is in flight share it
+  async get(path, params = {}, cacheMs = REPORT_CACHE_MS) {
+    const key = `${path}?${new URLSearchParams(params).toString()}`;
+    this.getSettings(); // Drops the cache first if the Unity address changed
+    const cached = this.cache.get(key);
+
+    if (cached?.pending) {
+      this.health.cacheHits++;
+      return cached.pending;
+    }
+    if (cached && cached.expires > Date.now()) {
+      this.health.cacheHits++;
+      return cached.data;
+    }
+
+    const pending = this.request('GET', path, params, RETRY_ATTEMPTS);
+    this.cache.set(key, { pending });
+    try {
+      const data = await pending;
+      this.cache.set(key, { data, expires: Date.now() + cacheMs });
+      return data;
+    } catch (error) {
+      this.cache.delete(key);
+      throw error;
+    }
+  }
+
+  // Unity wraps every answer in { status, message, data }
+  requireSuccess(result, fallbackMessage) {
+    if (result?.status !== 'success') {
+      throw new ApiError(result?.message || fallbackMessage, 502);
+    }
+    return result;
+  }
+
+  async getConnectedDevices() {
+    const result = await this.get('/Server/DeviceManager/Connected', {}, DEVICE_LIST_CACHE_MS);
+    return this.requireSuccess(result, 'Failed to get connected devices').data || [];
+  }
+
+  async getPowerDevices() {
+    return (await this.getConnectedDevices()).filter(device => POWER_DEVICE_TYPES.includes(device.name));
+  }
+
+  /**
+   * Whether Unity answers, with the client's health - never throws
+   */
+  async getStatus() {
+    try {
+      const result = await this.get('/Server/DeviceManager/Connected', {}, DEVICE_LIST_CACHE_MS);
+      return {
+        available: result?.status === 'success',
+        connected: result?.status === 'success',
+        deviceCount: result?.data?.length || 0,
+        message: result?.message,
+        health: this.getHealth()
+      };
+    } catch (error) {
+      return {
+        available: false,
+        connected: false,
+        error: error.message || 'Failed to connect to Pegasus Unity Platform',
+        health: this.getHealth()
+      };
+    }
+  }
+
+  /**
+   * Device report - the aggregate report, or one section of it ('Power', 'PowerConsumption')
+   * @returns {Promise<Object>} Unity's { status, message, data } answer
+   */
+  async getReport(deviceType, uniqueKey, section = null) {
+    const path = `/Driver/${encodeURIComponent(deviceType)}/Report${section ? `/${section}` : ''}`;
+    const result = await this.get(path, { DriverUniqueKey: uniqueKey });
+    return this.requireSuccess(result, `Failed to get ${section ? `${section} ` : ''}report`);
+  }
+
+  async getTelemetry() {
+    return this.get('/Server/TelemetryDevices');
+  }
+
+  /**
+   * Send a driver command (from services/pegasusPorts) to one device; cached reports are dropped afterwards
+   * so the next poll shows the change
+   */
+  async sendCommand({ deviceType, uniqueKey }, command) {
+    const path = `/Driver/${encodeURIComponent(deviceType)}/${command.path}`;
+    const result = await this.request('PUT', path, { DriverUniqueKey: uniqueKey, ...command.params }, 0);
+    this.cache.clear();
+    return this.requireSuccess(result, 'Pegasus Unity rejected the command');
+  }
+}
+
+module.exports = { PegasusService };
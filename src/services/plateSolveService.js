@@ -0,0 +1,293 @@
+// Plate Solve Service - solves each saved light frame through NINA and compares it with the intended framing
+// The intended framing is currentSession.target (RA in hours, Dec and rotation in degrees) at the time of the frame.
+// Every solve is kept in SQLite so mount pointing drift can be followed through a night
+
+const astronomyEngine = require('./astronomyEngine');
+const { round, toNumber } = require('../server/utils/routeHelpers');
+const { parseTimeRange } = require('../server/utils/timeRange');
+
+const RETENTION_DAYS = 365;
+const PRUNE_INTERVAL_MS = 24 * 60 * 60 * 1000;
+const SOLVE_TIMEOUT_MS = 60 * 1000;
+const UNSUPPORTED_RETRY_MS = 60 * 60 * 1000; // NINA without the solve endpoint is asked again after an hour
+const DEFAULT_HISTORY_HOURS = 24;
+
+// -180 (exclusive) to 180 degrees
+const wrapDegrees = (degrees) => {
+  const wrapped = ((degrees + 180) % 360 + 360) % 360 - 180;
+  return wrapped === -180 ? 180 : wrapped;
+};
+
+/**
+ * Pull the solved centre, rotation and scale out of NINA's PlateSolveResult
+ * NINA's Coordinates carry RA in hours (RADegrees alongside); PositionAngle is the sky rotation in degrees
+ */
+function parseSolveResult(raw) {
+  if (!raw || typeof raw !== 'object') {
+    return { success: false, error: 'NINA returned no plate solve result' };
+  }
+
+  const coordinates = raw.Coordinates || {};
+  const raHours = toNumber(coordinates.RA);
+  const ra = toNumber(coordinates.RADegrees) ?? (raHours !== null ? raHours * 15 : null);
+  const dec = toNumber(coordinates.Dec ?? coordinates.DECDegrees);
+  const success = raw.Success !== false && ra !== null && dec !== null;
+
+  return {
+    success,
+    error: success ? null : (raw.Error || 'Plate solve failed'),
+    ra,
+    dec,
+    rotation: toNumber(raw.PositionAngle ?? raw.Orientation ?? raw.Rotation),
+    pixelScale: toNumber(raw.Pixscale ?? raw.PixelScale),
+    flipped: raw.Flipped === true
+  };
+}
+
+/**
+ * Pointing error (arcmin) and rotation error (degrees) of a solve against the intended framing
+ * @param {Object} solved - ra/dec in degrees, rotation in degrees
+ * @param {Object} target - ra/dec in degrees, rotation in degrees (any may be null)
+ */
+function compareWithTarget(solved, target) {
+  const errors = { pointingError: null, raError: null, decError: null, rotationError: null };
+  if (!solved.success) return errors;
+
+  if (target.ra !== null && target.dec !== null) {
+    errors.pointingError = round(astronomyEngine.angularSeparation(solved.ra, solved.dec, target.ra, target.dec) * 60);
+    // East/north components on the sky, so RA error shrinks towards the pole like the real offset does
+    errors.raError = round(wrapDegrees(solved.ra - target.ra) * Math.cos(target.dec * Math.PI / 180) * 60);
+    errors.decError = round((solved.dec - target.dec) * 60);
+  }
+  if (target.rotation !== null && solved.rotation !== null) {
+    errors.rotationError = round(wrapDegrees(solved.rotation - target.rotation));
+  }
+  return errors;
+}
+
+class PlateSolveService {
+  constructor(ninaService, configDatabase, unifiedStateSystem) {
+    this.ninaService = ninaService;
+    this.plateSolveSchema = configDatabase.plateSolveSchema;
+    this.unifiedStateSystem = unifiedStateSystem;
+    this.queued = null; // Only the newest frame waits; frames saved during a solve are skipped
+    this.solving = false;
+    this.unsupportedUntil = 0;
+    this.unsubscribe = null;
+    this.pruneTimer = null;
+  }
+
+  start() {
+    if (!this.unifiedStateSystem) {
+      console.warn('⚠️ Plate solving disabled - unified state system not available');
+      return;
+    }
+
+    this.unsubscribe = this.unifiedStateSystem.subscribe((message) => {
+      if (message.updateKind === 'image' && message.updateReason === 'image-saved') {
+        this.handleImageSaved(message);
+      }
+    });
+
+    this.prune();
+    this.pruneTimer = setInterval(() => this.prune(), PRUNE_INTERVAL_MS);
+
+    console.log('🧭 Plate solving of light frames started');
+  }
+
+  stop() {
+    if (this.unsubscribe) this.unsubscribe();
+    clearInterval(this.pruneTimer);
+    this.unsubscribe = null;
+  }
+
+  prune() {
+    try {
+      const removed = this.plateSolveSchema.cleanOldSolves(RETENTION_DAYS);
+      if (removed > 0) {
+        console.log(`🧹 Plate solve history pruned ${removed} records older than ${RETENTION_DAYS} days`);
+      }
+    } catch (error) {
+      console.error('❌ Failed to prune plate solve history:', error);
+    }
+  }
+
+  handleImageSaved(message) {
+    const session = message.state?.currentSession;
+    const frameType = (session?.imaging?.frameType || 'LIGHT').toUpperCase();
+    if (frameType !== 'LIGHT' || Date.now() < this.unsupportedUntil) return;
+
+    const target = session?.target || {};
+    this.queued = {
+      capturedAt: session?.imaging?.lastImage?.at || message.timestamp,
+      filePath: session?.imaging?.lastImage?.filePath || null,
+      filter: session?.imaging?.currentFilter || null,
+      target: {
+        name: target.targetName || null,
+        ra: toNumber(target.ra) !== null ? toNumber(target.ra) * 15 : null,
+        dec: toNumber(target.dec),
+        rotation: toNumber(target.rotation ?? target.rotationDeg)
+      }
+    };
+
+    this.drain().catch(error => {
+      console.error('❌ Plate solve queue failed:', error.message);
+    });
+  }
+
+  async drain() {
+    if (this.solving) return;
+    this.solving = true;
+
+    try {
+      while (this.queued) {
+        const frame = this.queued;
+        this.queued = null;
+        try {
+          await this.solveFrame(frame);
+        } catch (error) {
+          console.error('❌ Plate solve failed:', error.message);
+        }
+      }
+    } finally {
+      this.solving = false;
+    }
+  }
+
+  // The frame that was just saved is the newest entry in NINA's image history
+  async solveFrame(frame) {
+    const count = await this.ninaService.getImageHistoryCount();
+    if (count === 0) return null;
+    const index = count - 1;
+
+    let result;
+    try {
+      const response = await this.ninaService.solveImage(index, SOLVE_TIMEOUT_MS);
+      result = parseSolveResult(response?.Response ?? response);
+    } catch (error) {
+      if (error.status === 404) {
+        this.unsupportedUntil = Date.now() + UNSUPPORTED_RETRY_MS;
+        console.warn('⚠️ NINA Advanced API has no image solve endpoint - plate solving paused for an hour');
+        return null;
+      }
+      result = { success: false, error: error.message };
+    }
+
+    const field = result.success ? await this.getFieldSize(result.pixelScale) : null;
+    const errors = compareWithTarget(result, frame.target);
+
+    const row = this.plateSolveSchema.addSolve({
+      captured_at: new Date(frame.capturedAt).toISOString(),
+      solved_at: new Date().toISOString(),
+      image_index: index,
+      file_path: frame.filePath,
+      target_name: frame.target.name,
+      filter: frame.filter,
+      success: result.success ? 1 : 0,
+      error: result.error,
+      ra: result.ra ?? null,
+      dec: result.dec ?? null,
+      rotation: result.rotation ?? null,
+      pixel_scale: result.pixelScale ?? null,
+      flipped: result.flipped ? 1 : 0,
+      field_width: field?.width ?? null,
+      field_height: field?.height ?? null,
+      target_ra: frame.target.ra,
+      target_dec: frame.target.dec,
+      target_rotation: frame.target.rotation,
+      pointing_error: errors.pointingError,
+      ra_error: errors.raError,
+      dec_error: errors.decError,
+      rotation_error: errors.rotationError
+    });
+
+    const solve = this.toSolve(row);
+    const summary = solve.success
+      ? `Plate solved${solve.pointingError !== null ? `: ${solve.pointingError}' off target` : ''}`
+      : `Plate solve failed: ${solve.error}`;
+    console.log(`🧭 ${summary} (image ${index})`);
+    this.unifiedStateSystem.updatePlateSolve(solve, summary);
+
+    return solve;
+  }
+
+  // Field of view in arcmin from the binned sensor size; null when the camera doesn't report it
+  async getFieldSize(pixelScale) {
+    if (!pixelScale) return null;
+
+    try {
+      const camera = (await this.ninaService.getCameraInfo())?.Response || {};
+      const width = toNumber(camera.XSize);
+      const height = toNumber(camera.YSize);
+      if (!width || !height) return null;
+
+      return {
+        width: round(width / (toNumber(camera.BinX) || 1) * pixelScale / 60),
+        height: round(height / (toNumber(camera.BinY) || 1) * pixelScale / 60)
+      };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Database row to API shape - RA in degrees, errors in arcmin and degrees
+  toSolve(row) {
+    return {
+      id: row.id,
+      capturedAt: row.captured_at,
+      solvedAt: row.solved_at,
+      imageIndex: row.image_index,
+      filePath: row.file_path,
+      targetName: row.target_name,
+      filter: row.filter,
+      success: !!row.success,
+      error: row.error,
+      ra: row.ra,
+      dec: row.dec,
+      rotation: row.rotation,
+      pixelScale: row.pixel_scale,
+      flipped: !!row.flipped,
+      fieldWidth: row.field_width,
+      fieldHeight: row.field_height,
+      target: {
+        ra: row.target_ra,
+        dec: row.target_dec,
+        rotation: row.target_rotation
+      },
+      pointingError: row.pointing_error,
+      raError: row.ra_error,
+      decError: row.dec_error,
+      rotationError: row.rotation_error
+    };
+  }
+
+  getLatest() {
+    const row = this.plateSolveSchema.getLatestSolve();
+    return row ? this.toSolve(row) : null;
+  }
+
+  /**
+   * Solves between two times (default: the last 24 hours), oldest first
+   * @param {Object} query - from, to (ISO times)
+   */
+  getHistory(query = {}) {
+    const { from, to } = parseTimeRange(query, { defaultHours: DEFAULT_HISTORY_HOURS });
+
+    const solves = this.plateSolveSchema.getSolves(from.toISOString(), to.toISOString()).map(row => this.toSolve(row));
+    const pointing = solves.map(solve => solve.pointingError).filter(value => value !== null);
+
+    return {
+      from: from.toISOString(),
+      to: to.toISOString(),
+      solves,
+      summary: {
+        count: solves.length,
+        solved: solves.filter(solve => solve.success).length,
+        meanPointingError: pointing.length ? round(pointing.reduce((sum, value) => sum + value, 0) / pointing.length) : null,
+        maxPointingError: pointing.length ? Math.max(...pointing) : null
+      }
+    };
+  }
+}
+
+module.exports = { PlateSolveService, parseSolveResult, compareWithTarget };
@@ -0,0 +1,240 @@
+// Safety Service - aggregates observatory safety from NINA devices and the sun
+// Combines the safety monitor, dome/roof shutter, flat panel light and sun altitude into one status
+// Polls NINA and pushes changes to unified state listeners (/ws/unified)
+
+const horizonProfile = require('./horizonProfile');
+
+const POLL_INTERVAL_MS = 30 * 1000;
+const CACHE_TTL_MS = 5 * 1000;
+
+// Shutter states that leave the optics exposed - moving shutters count as open
+const OPEN_SHUTTER_STATES = ['open', 'opening', 'closing'];
+
+class SafetyService {
+  constructor(ninaService, astronomicalService, configDatabase, unifiedStateSystem = null) {
+    this.ninaService = ninaService;
+    this.astronomicalService = astronomicalService;
+    this.configDatabase = configDatabase;
+    this.unifiedStateSystem = unifiedStateSystem;
+    this.status = null;
+    this.signature = null;
+    this.pollTimer = null;
+    this.pending = null;
+  }
+
+  start() {
+    this.poll();
+    this.pollTimer = setInterval(() => this.poll(), POLL_INTERVAL_MS);
+    console.log('🛡️ Safety monitoring started');
+  }
+
+  stop() {
+    clearInterval(this.pollTimer);
+    this.pollTimer = null;
+  }
+
+  async poll() {
+    try {
+      await this.refresh();
+    } catch (error) {
+      console.error('❌ Safety status refresh failed:', error.message);
+    }
+  }
+
+  /**
+   * Current safety status, refreshed from NINA when older than a few seconds
+   * @param {boolean} force - Skip the cache
+   */
+  async getStatus(force = false) {
+    const age = this.status ? Date.now() - new Date(this.status.lastUpdate).getTime() : Infinity;
+    if (!force && age < CACHE_TTL_MS) {
+      return this.status;
+    }
+    return this.refresh();
+  }
+
+  // Collapse concurrent refreshes (poll timer + API requests) into one round of NINA calls
+  refresh() {
+    if (!this.pending) {
+      this.pending = this.collect()
+        .then(status => {
+          this.publish(status);
+          return status;
+        })
+        .finally(() => {
+          this.pending = null;
+        });
+    }
+    return this.pending;
+  }
+
+  async collect() {
+    const [monitorResult, domeResult, flatPanelResult] = await Promise.allSettled([
+      this.ninaService.getSafetyMonitorStatus(),
+      this.ninaService.getDomeStatus(),
+      this.ninaService.getFlatPanelStatus()
+    ]);
+
+    const safetyMonitor = this.describeSafetyMonitor(this.responseOf(monitorResult));
+    const dome = this.describeDome(this.responseOf(domeResult));
+    const flatPanel = this.describeFlatPanel(this.responseOf(flatPanelResult));
+    const sun = this.describeSun();
+    const alerts = this.evaluate({ safetyMonitor, dome, flatPanel, sun });
+
+    let level = 'safe';
+    if (alerts.some(alert => alert.severity === 'critical')) {
+      level = 'critical';
+    } else if (alerts.length > 0) {
+      level = 'warning';
+    }
+
+    return {
+      level,
+      isSafe: safetyMonitor.connected ? safetyMonitor.isSafe : null,
+      roofOpen: dome.connected ? dome.isOpen : null,
+      flatPanelLightOn: flatPanel.connected ? flatPanel.lightOn : false,
+      isDaytime: sun ? sun.phase === 'daylight' : null,
+      safetyMonitor,
+      dome,
+      flatPanel,
+      sun,
+      alerts,
+      lastUpdate: new Date().toISOString()
+    };
+  }
+
+  // NINA envelope -> device info, or null when the request failed or the device isn't there
+  responseOf(result) {
+    if (result.status !== 'fulfilled' || !result.value?.Success) return null;
+    return result.value.Response || null;
+  }
+
+  describeSafetyMonitor(info) {
+    return {
+      connected: Boolean(info?.Connected),
+      name: info?.DisplayName || info?.Name || null,
+      isSafe: info?.Connected ? Boolean(info.IsSafe) : null
+    };
+  }
+
+  describeDome(info) {
+    // NINA reports ShutterOpen, ShutterClosed, ShutterOpening, ShutterClosing, ShutterError or ShutterNone
+    const shutter = info?.Connected && info.ShutterStatus
+      ? String(info.ShutterStatus).replace(/^Shutter/i, '').toLowerCase()
+      : null;
+
+    return {
+      connected: Boolean(info?.Connected),
+      name: info?.DisplayName || info?.Name || null,
+      shutter,
+      isOpen: shutter ? OPEN_SHUTTER_STATES.includes(shutter) : null,
+      atPark: info?.Connected ? Boolean(info.AtPark) : null,
+      azimuth: Number.isFinite(parseFloat(info?.Azimuth)) ? parseFloat(info.Azimuth) : null
+    };
+  }
+
+  describeFlatPanel(info) {
+    return {
+      connected: Boolean(info?.Connected),
+      name: info?.DisplayName || info?.Name || null,
+      lightOn: info?.Connected ? Boolean(info.LightOn) : false,
+      brightness: info?.Connected ? info.Brightness ?? null : null,
+      coverState: info?.Connected ? info.CoverState || null : null
+    };
+  }
+
+  // Sun position, and whether it clears the local horizon profile (direct sunlight into the roof)
+  describeSun() {
+    const observatory = this.configDatabase.getConfig().observatory || {};
+    const location = observatory.location || {};
+    const latitude = parseFloat(location.latitude);
+    const longitude = parseFloat(location.longitude);
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+      return null;
+    }
+    const sun = this.astronomicalService.getSunPosition(latitude, longitude);
+    const horizon = horizonProfile.normalizeHorizon(observatory.horizon);
+    const localHorizon = horizonProfile.horizonAltitude(horizon, sun.azimuth);
+
+    return {
+      ...sun,
+      horizonAltitude: Math.round(localHorizon * 10) / 10,
+      aboveLocalHorizon: sun.altitude > localHorizon
+    };
+  }
+
+  // Safety rules - each alert has a stable id so clients can tell new alerts from repeats
+  evaluate({ safetyMonitor, dome, flatPanel, sun }) {
+    const alerts = [];
+    const roofOpen = dome.isOpen === true;
+
+    if (roofOpen && flatPanel.lightOn) {
+      alerts.push({
+        id: 'roof-open-flat-light',
+        severity: 'critical',
+        message: 'Roof is open with the flat panel light on'
+      });
+    }
+
+    if (roofOpen && sun && sun.altitude > 0) {
+      alerts.push({
+        id: 'roof-open-daylight',
+        severity: 'critical',
+        message: `Roof is open with the sun ${sun.altitude.toFixed(1)}° above the horizon` +
+          (sun.aboveLocalHorizon ? '' : ' (behind the local horizon)')
+      });
+    }
+
+    if (safetyMonitor.isSafe === false) {
+      alerts.push({
+        id: 'monitor-unsafe',
+        severity: roofOpen ? 'critical' : 'warning',
+        message: roofOpen
+          ? 'Safety monitor reports unsafe conditions while the roof is open'
+          : 'Safety monitor reports unsafe conditions'
+      });
+    }
+
+    if (dome.shutter === 'error') {
+      alerts.push({
+        id: 'shutter-error',
+        severity: 'warning',
+        message: 'Dome shutter reports an error'
+      });
+    }
+
+    return alerts;
+  }
+
+  // Push the status to unified state when anything safety-relevant changed (not just the sun creeping)
+  publish(status) {
+    this.status = status;
+    if (!this.unifiedStateSystem) return;
+
+    const signature = JSON.stringify({
+      level: status.level,
+      isSafe: status.isSafe,
+      shutter: status.dome.shutter,
+      flatPanelLightOn: status.flatPanelLightOn,
+      sunPhase: status.sun?.phase,
+      alerts: status.alerts.map(alert => `${alert.id}:${alert.severity}`)
+    });
+
+    if (signature === this.signature && this.unifiedStateSystem.getState().safety) {
+      return;
+    }
+
+    const previous = this.signature;
+    this.signature = signature;
+    const summary = status.alerts.length > 0
+      ? status.alerts.map(alert => alert.message).join('; ')
+      : 'Observatory safe';
+
+    if (previous) {
+      console.log(`🛡️ Safety status changed: ${status.level} - ${summary}`);
+    }
+    this.unifiedStateSystem.updateSafety(status, summary);
+  }
+}
+
+module.exports = SafetyService;
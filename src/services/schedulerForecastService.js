@@ -0,0 +1,308 @@
+// Scheduler Forecast Service - when each active Target Scheduler project should be finished
+// Walks the coming nights with the planner's visibility maths and the project's own imaging history
+
+const moment = require('moment-timezone');
+const astronomyEngine = require('./astronomyEngine');
+const { round } = require('../server/utils/routeHelpers');
+
+const HISTORY_DAYS = 30;
+const MAX_NIGHTS = 365;
+const CACHE_MS = 10 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+const MIN_ACQUIRED_FOR_ACCEPTANCE = 10; // Below this the accepted/acquired ratio is too noisy to use
+const MIN_HISTORY_NIGHTS = 2;
+
+/**
+ * Target Scheduler's moon avoidance angle: the full separation at full moon, falling off as a Lorentzian
+ * of the moon's age so that `width` days either side of full it is half as wide
+ * @param {number} moonAge - days since new moon
+ * @param {number} separation - avoidance angle at full moon (degrees)
+ * @param {number} width - days from full moon where the angle has halved
+ */
+function moonAvoidanceSeparation(moonAge, separation, width) {
+  const synodicMonth = 29.5; // Target Scheduler's value, so the angles match the plugin's
+  return separation / (1 + ((0.5 - moonAge / synodicMonth) / (width / synodicMonth)) ** 2);
+}
+
+class SchedulerForecastService {
+  constructor(targetSchedulerService, targetPlannerService) {
+    this.targetSchedulerService = targetSchedulerService;
+    this.targetPlannerService = targetPlannerService;
+    this.cache = new Map();
+  }
+
+  /**
+   * Remaining clear nights and calendar completion date for every active project
+   * Concurrent requests share one build, which gives way to other requests after every simulated night
+   * @param {Object} options - days of history to learn rates from (default 30), now (Date)
+   * @returns {Promise<Object>}
+   */
+  getForecast(options = {}) {
+    const days = options.days || HISTORY_DAYS;
+    const now = options.now || new Date();
+
+    if (options.now) {
+      return this.buildForecast(days, now);
+    }
+
+    const cached = this.cache.get(days);
+    if (cached && now - cached.createdAt < CACHE_MS) {
+      return cached.forecast;
+    }
+
+    const forecast = this.buildForecast(days, now);
+    this.cache.set(days, { createdAt: now, forecast });
+    forecast.catch(() => this.cache.delete(days));
+    return forecast;
+  }
+
+  async buildForecast(days, now) {
+    const observatory = this.targetPlannerService.getObservatory();
+    const connected = this.targetSchedulerService?.isConnected() || false;
+    const projects = connected ? this.targetSchedulerService.getProjectProgress() : [];
+    const history = this.getHistory(connected ? this.targetSchedulerService.getAcquisitionTimes(days) : [], observatory, now);
+
+    // Target Scheduler works through higher priorities first, so they get the first share of each night
+    const plans = projects.map(project => this.createPlan(project, history));
+    const byPriority = [...plans].sort((a, b) => (b.project.priority || 0) - (a.project.priority || 0));
+    for (const night of this.nightsFrom(observatory, now)) {
+      const waiting = byPriority.filter(plan => plan.remainingSeconds > 0);
+      if (waiting.length === 0) break;
+
+      let sharing = waiting.filter(plan => plan.hoursPerNight === null).length;
+      for (const plan of waiting) {
+        this.simulateNight(plan, night, observatory, history.clearFraction, plan.hoursPerNight === null ? sharing-- : 1);
+      }
+      await new Promise(resolve => setImmediate(resolve));
+    }
+
+    return {
+      generatedAt: now.toISOString(),
+      historyDays: days,
+      imagingNights: history.imagingNights,
+      clearNightFraction: history.clearFraction === null ? null : round(history.clearFraction, 2),
+      minimumAltitude: observatory.minimumAltitude,
+      projects: plans.map(plan => this.summarize(plan)),
+      schedulerConnected: connected
+    };
+  }
+
+  /**
+   * Imaging nights per project and overall, grouped by local night (dates roll over at local noon)
+   * The clear-night fraction is nights with any imaging over the nights since the first image in the window
+   */
+  getHistory(acquisitions, observatory, now) {
+    const nightOf = (seconds) => moment.tz(seconds * 1000 - 12 * HOUR_MS, observatory.timezone).format('YYYY-MM-DD');
+    const allNights = new Set();
+    const byProject = new Map();
+
+    for (const image of acquisitions) {
+      const night = nightOf(image.acquireddate);
+      allNights.add(night);
+      if (!byProject.has(image.projectId)) byProject.set(image.projectId, { nights: new Set(), images: [] });
+      const project = byProject.get(image.projectId);
+      project.nights.add(night);
+      project.images.push(image);
+    }
+
+    let clearFraction = null;
+    if (acquisitions.length > 0) {
+      const spanNights = Math.ceil((now.getTime() - acquisitions[0].acquireddate * 1000) / (24 * HOUR_MS));
+      clearFraction = Math.min(1, allNights.size / Math.max(spanNights, allNights.size));
+    }
+
+    return { byProject, imagingNights: allNights.size, clearFraction };
+  }
+
+  // Remaining work per exposure plan; rejected frames have to be taken again, so divide by the acceptance rate
+  createPlan(project, history) {
+    const acquired = this.sumFilters(project, 'acquired');
+    const accepted = this.sumFilters(project, 'accepted');
+    const acceptanceRate = acquired >= MIN_ACQUIRED_FOR_ACCEPTANCE
+      ? Math.min(1, Math.max(0.1, accepted / acquired))
+      : 1;
+
+    const targets = (project.targets || [])
+      .filter(target => Number.isFinite(target.ra) && Number.isFinite(target.dec))
+      .map(target => ({
+        id: target.id,
+        name: target.name,
+        ra: target.ra * 15,
+        dec: target.dec,
+        filters: (target.filters || []).map(filter => ({
+          filtername: filter.filtername,
+          moonAvoidance: filter.moonAvoidance || 0,
+          moonAvoidanceWidth: filter.moonAvoidanceWidth || 0,
+          remainingSeconds: Math.max(0, filter.desired - filter.accepted) * filter.exposureTime / acceptanceRate,
+          nightsBlocked: 0
+        }))
+      }));
+
+    const projectHistory = history.byProject.get(project.id);
+    const exposureByFilter = new Map((project.targets || []).flatMap(target =>
+      (target.filters || []).map(filter => [filter.filtername, filter.exposureTime])
+    ));
+    let hoursPerNight = null;
+    if (projectHistory && projectHistory.nights.size >= MIN_HISTORY_NIGHTS) {
+      const seconds = projectHistory.images.reduce((sum, image) => sum + (exposureByFilter.get(image.filtername) || 0), 0);
+      hoursPerNight = seconds / 3600 / projectHistory.nights.size;
+    }
+
+    const remainingSeconds = targets.reduce((sum, target) =>
+      sum + target.filters.reduce((total, filter) => total + filter.remainingSeconds, 0), 0);
+
+    return {
+      project,
+      targets,
+      acceptanceRate,
+      hoursPerNight,
+      remainingSeconds,
+      initialSeconds: remainingSeconds,
+      remainingExposures: Math.max(0, this.sumFilters(project, 'desired') - accepted),
+      clearNights: 0,
+      visibleNights: 0,
+      completionNight: null,
+      nightsSimulated: 0
+    };
+  }
+
+  sumFilters(project, field) {
+    return (project.targets || []).reduce((sum, target) =>
+      sum + (target.filters || []).reduce((total, filter) => total + (filter[field] || 0), 0), 0);
+  }
+
+  // Dark windows of the coming nights, computed as the simulation asks for them; tonight only counts from now on
+  // freeSeconds is the dark time not yet taken by a project
+  *nightsFrom(observatory, now) {
+    for (let index = 0; index < MAX_NIGHTS; index++) {
+      const night = this.targetPlannerService.getNightWindow(observatory, new Date(now.getTime() + index * 24 * HOUR_MS));
+      const window = night.dark || night;
+      const start = index === 0 && now > window.start ? now : window.start;
+      if (start >= window.end) continue;
+
+      const middle = new Date((start.getTime() + window.end.getTime()) / 2);
+      const freeSeconds = (window.end - start) / 1000;
+      yield { date: night.date, start, end: window.end, middle, freeSeconds, targets: new Map() };
+    }
+  }
+
+  /**
+   * Usable hours of a target between start and end, and the moon's altitude, age and distance from it
+   * halfway through that time. Shared by every project imaging the same coordinates.
+   */
+  getTargetNight(target, night, observatory) {
+    const key = `${target.ra},${target.dec}`;
+    if (night.targets.has(key)) return night.targets.get(key);
+
+    const { latitude, longitude, horizon, minimumAltitude } = observatory;
+    const position = astronomyEngine.precessFromJ2000(target.ra, target.dec, night.middle);
+    const horizontalAt = (time) => astronomyEngine.horizontalCoordinates(
+      position.rightAscension, position.declination, latitude, longitude, time
+    );
+    const visibility = this.targetPlannerService.getVisibility(horizontalAt, night.start, night.end, horizon, minimumAltitude);
+
+    let moonAltitude = null;
+    let moonSeparation = null;
+    let moonAge = null;
+    if (visibility.hours > 0) {
+      const middle = new Date((visibility.from.getTime() + visibility.until.getTime()) / 2);
+      const moon = astronomyEngine.moonCoordinates(middle);
+      moonAltitude = astronomyEngine.moonPosition(latitude, longitude, middle).altitude;
+      moonAge = astronomyEngine.moonIllumination(middle).age;
+      moonSeparation = astronomyEngine.angularSeparation(
+        position.rightAscension, position.declination, moon.rightAscension, moon.declination
+      );
+    }
+
+    const result = { hours: visibility.hours, moonAltitude, moonSeparation, moonAge };
+    night.targets.set(key, result);
+    return result;
+  }
+
+  /**
+   * One night of imaging for a project, weighted by the chance the night is clear
+   * The project gets its usual hours per night, or without history an even share of the dark time the
+   * projects before it left over (`shares` is how many projects still split it), spread over targets in turn;
+   * a filter sits the night out when the moon is up and closer than its avoidance angle for the moon's age
+   */
+  simulateNight(plan, night, observatory, clearFraction, shares = 1) {
+    if (plan.remainingSeconds <= 0) return;
+    plan.nightsSimulated++;
+
+    const weight = clearFraction ?? 1;
+    const share = night.freeSeconds / Math.max(shares, 1);
+    let budget = Math.min(plan.hoursPerNight === null ? share : plan.hoursPerNight * 3600, night.freeSeconds);
+    let progressed = false;
+    let visible = false;
+
+    for (const target of plan.targets) {
+      if (budget <= 0) break;
+      const targetNight = this.getTargetNight(target, night, observatory);
+      if (targetNight.hours <= 0) continue;
+      visible = true;
+
+      let targetBudget = Math.min(budget, targetNight.hours * 3600);
+      for (const filter of target.filters) {
+        if (filter.remainingSeconds <= 0 || targetBudget <= 0) continue;
+        const moonBlocks = filter.moonAvoidance > 0 && targetNight.moonAltitude > 0 && targetNight.moonSeparation <
+          moonAvoidanceSeparation(targetNight.moonAge, filter.moonAvoidance, filter.moonAvoidanceWidth);
+        if (moonBlocks) {
+          filter.nightsBlocked++;
+          continue;
+        }
+
+        const used = Math.min(filter.remainingSeconds, targetBudget * weight);
+        filter.remainingSeconds -= used;
+        plan.remainingSeconds -= used;
+        targetBudget -= used / weight;
+        budget -= used / weight;
+        night.freeSeconds -= used / weight;
+        progressed = true;
+      }
+    }
+
+    if (visible) plan.visibleNights++;
+    if (progressed) {
+      plan.clearNights += weight;
+      if (plan.remainingSeconds <= 1) {
+        plan.remainingSeconds = 0;
+        plan.completionNight = night.date;
+      }
+    }
+  }
+
+  summarize(plan) {
+    const { project } = plan;
+    let status = 'forecast';
+    if (plan.initialSeconds <= 0) {
+      status = 'complete';
+    } else if (plan.visibleNights === 0) {
+      status = 'not-visible';
+    } else if (!plan.completionNight) {
+      status = 'beyond-horizon';
+    }
+
+    return {
+      projectId: project.id,
+      name: project.name,
+      priority: project.priority,
+      status,
+      remainingExposures: plan.remainingExposures,
+      remainingHours: round(plan.initialSeconds / 3600, 1),
+      acceptanceRate: round(plan.acceptanceRate, 2),
+      hoursPerNight: plan.hoursPerNight === null ? null : round(plan.hoursPerNight, 1),
+      rateSource: plan.hoursPerNight === null ? 'visibility' : 'history',
+      clearNights: status === 'forecast' ? Math.ceil(plan.clearNights) : null,
+      completionDate: plan.completionNight,
+      filters: plan.targets.flatMap(target => target.filters.map(filter => ({
+        target: target.name,
+        filtername: filter.filtername,
+        moonAvoidance: filter.moonAvoidance,
+        moonAvoidanceWidth: filter.moonAvoidanceWidth,
+        nightsBlockedByMoon: filter.nightsBlocked
+      })))
+    };
+  }
+}
+
+module.exports = SchedulerForecastService;
@@ -0,0 +1,433 @@
+// Session History Service - archives every observing night and builds per-night reports
+// Listens to unified state updates and stores frames (graded against the night so far) and notable events in SQLite
+
+const crypto = require('crypto');
+const moment = require('moment-timezone');
+const frameGrading = require('./frameGrading');
+const { round, toNumber } = require('../server/utils/routeHelpers');
+
+const RETENTION_DAYS = 365;
+const PRUNE_INTERVAL_MS = 24 * 60 * 60 * 1000;
+const MIN_GAP_MINUTES = 10; // Idle time between frames (beyond the exposure) reported as a gap
+
+// Unified state update reasons worth keeping in the archive
+const ARCHIVED_SESSION_REASONS = [
+  'target-changed',
+  'sequence-started',
+  'sequence-completed',
+  'sequence-item-failed',
+  'guiding-started',
+  'guiding-stopped',
+  'guiding-disconnected',
+  'autofocus-finished',
+  'focuser-moved'
+];
+
+// Archived event types drawn as focus-change markers on the quality trend
+const FOCUS_EVENT_TYPES = ['AUTOFOCUS-FINISHED', 'FOCUSER-MOVED'];
+
+class SessionHistoryService {
+  constructor(configDatabase, unifiedStateSystem) {
+    this.configDatabase = configDatabase;
+    this.sessionSchema = configDatabase.sessionSchema;
+    this.unifiedStateSystem = unifiedStateSystem;
+    this.currentNight = null;
+    this.equipmentConnected = new Map(); // equipment id -> last known connected state
+    this.unsubscribe = null;
+    this.pruneTimer = null;
+  }
+
+  start() {
+    if (!this.unifiedStateSystem) {
+      console.warn('⚠️ Session history disabled - unified state system not available');
+      return;
+    }
+
+    this.unsubscribe = this.unifiedStateSystem.subscribe((message) => {
+      try {
+        this.handleUpdate(message);
+      } catch (error) {
+        console.error('❌ Session history failed to record update:', error);
+      }
+    });
+
+    this.prune();
+    this.pruneTimer = setInterval(() => this.prune(), PRUNE_INTERVAL_MS);
+
+    console.log('📚 Session history recording started');
+  }
+
+  stop() {
+    if (this.unsubscribe) this.unsubscribe();
+    clearInterval(this.pruneTimer);
+    this.unsubscribe = null;
+  }
+
+  prune() {
+    try {
+      const removed = this.sessionSchema.cleanOldEvents(RETENTION_DAYS);
+      if (removed > 0) {
+        console.log(`🧹 Session history pruned ${removed} records older than ${RETENTION_DAYS} days`);
+      }
+    } catch (error) {
+      console.error('❌ Failed to prune session history:', error);
+    }
+  }
+
+  getTimezone() {
+    const observatory = this.configDatabase.getConfig().observatory;
+    return observatory?.location?.timezone || moment.tz.guess();
+  }
+
+  // A night runs from local noon to local noon, named after the evening it started
+  getNightDate(time) {
+    return moment.tz(time, this.getTimezone()).subtract(12, 'hours').format('YYYY-MM-DD');
+  }
+
+  // Find or create the night session for a timestamp
+  getNightSession(time) {
+    const nightDate = this.getNightDate(time);
+
+    if (this.currentNight?.night_date === nightDate) {
+      return this.currentNight;
+    }
+
+    let night = this.sessionSchema.getNightSession(nightDate);
+    if (!night) {
+      night = this.sessionSchema.startNightSession(crypto.randomUUID(), nightDate, time);
+      console.log(`🌙 Started session history for night ${nightDate}`);
+    }
+
+    this.currentNight = night;
+    return night;
+  }
+
+  handleUpdate(message) {
+    const { updateKind, updateReason, changed, state } = message;
+    const session = state?.currentSession;
+
+    if (updateKind === 'image' && updateReason === 'image-saved') {
+      const capturedAt = session?.imaging?.lastImage?.at || message.timestamp;
+      this.recordFrame(capturedAt, changed?.meta || {}, session);
+      return;
+    }
+
+    if (updateKind === 'session' && ARCHIVED_SESSION_REASONS.includes(updateReason)) {
+      const meta = changed?.meta || {};
+      const time = meta.lastFailure?.at || message.timestamp;
+      this.recordEvent(time, updateReason.toUpperCase(), {
+        summary: changed?.summary || updateReason,
+        target: meta.target || null,
+        imaging: meta.imaging || null,
+        failure: meta.lastFailure || null,
+        focus: meta.focus || null
+      });
+      return;
+    }
+
+    if (updateKind === 'equipment' && changed?.meta?.equipmentId) {
+      this.handleEquipmentUpdate(message.timestamp, updateReason, changed);
+    }
+  }
+
+  // Only a connected -> disconnected change is a disconnect; Alpaca polls re-send offline devices and
+  // removing a device (Alpaca turned off, device gone from its server) doesn't mean it disconnected
+  handleEquipmentUpdate(time, updateReason, changed) {
+    const { equipmentId, connected, source } = changed.meta;
+    if (updateReason === 'equipment-removed') {
+      this.equipmentConnected.delete(equipmentId);
+      return;
+    }
+
+    // NINA only reports a disconnect when one happens, so a NINA device not seen yet counts as connected
+    const wasConnected = this.equipmentConnected.get(equipmentId) ?? source !== 'alpaca';
+    this.equipmentConnected.set(equipmentId, connected !== false);
+
+    if (connected === false && wasConnected) {
+      this.recordEvent(time, 'EQUIPMENT-DISCONNECTED', {
+        summary: changed.summary,
+        equipmentId
+      });
+    }
+  }
+
+  // Times are stored as UTC ISO strings so they sort and compare correctly in SQL
+  toUtc(time) {
+    const parsed = moment(time);
+    return parsed.isValid() ? parsed.toISOString() : new Date().toISOString();
+  }
+
+  recordEvent(eventTime, eventType, data) {
+    const time = this.toUtc(eventTime);
+    const night = this.getNightSession(time);
+    this.sessionSchema.addEvent(night.session_uuid, eventType, time, data);
+    this.sessionSchema.touchNightSession(night.session_uuid, time);
+  }
+
+  recordFrame(frameTime, stats, session) {
+    const capturedAt = this.toUtc(frameTime);
+    const night = this.getNightSession(capturedAt);
+    const rms = this.parseRmsText(stats.RmsText);
+    const guiding = session?.guiding || {};
+
+    const frame = {
+      session_uuid: night.session_uuid,
+      captured_at: capturedAt,
+      target_name: session?.target?.targetName || stats.TargetName || null,
+      project_name: session?.target?.projectName || null,
+      filter: stats.Filter || session?.imaging?.currentFilter || null,
+      frame_type: (stats.ImageType || stats.FrameType || 'LIGHT').toUpperCase(),
+      exposure_seconds: toNumber(stats.ExposureTime ?? stats.Exposure),
+      hfr: toNumber(stats.HFR),
+      stars: toNumber(stats.Stars),
+      mean: toNumber(stats.Mean),
+      median: toNumber(stats.Median),
+      rms_total: rms.total ?? toNumber(guiding.lastRmsTotal),
+      rms_ra: rms.ra ?? toNumber(guiding.lastRmsRa),
+      rms_dec: rms.dec ?? toNumber(guiding.lastRmsDec),
+      file_path: stats.FilePath || stats.Path || null,
+      grade_status: null,
+      grade_reasons: null
+    };
+
+    const grade = this.gradeFrame(frame);
+    if (grade) {
+      frame.grade_status = grade.status;
+      frame.grade_reasons = grade.reasons.length > 0 ? JSON.stringify(grade.reasons) : null;
+      if (grade.status === 'rejected') {
+        console.log(`👎 Frame rejected (${frame.target_name || 'Unknown'} ${frame.filter || ''}): ${grade.reasons.join('; ')}`);
+      }
+    }
+
+    this.sessionSchema.addFrame(frame);
+    this.sessionSchema.touchNightSession(night.session_uuid, capturedAt);
+  }
+
+  // Light frames only, against the rules in the imageGrading config section (null when grading is off)
+  gradeFrame(frame) {
+    if (frame.frame_type !== 'LIGHT') return null;
+
+    const rules = frameGrading.normalizeRules(this.configDatabase.getConfig().imageGrading);
+    if (!rules.enabled) return null;
+
+    const references = this.sessionSchema.getGradingReferences(frame.session_uuid, frame.target_name, frame.filter);
+    return frameGrading.gradeFrame(frame, references, rules);
+  }
+
+  // NINA formats guiding RMS as e.g. 'RA: 0.31 (0.45") Dec: 0.27 (0.39") Tot: 0.41 (0.60")'
+  // The arcsecond value in brackets is preferred over the pixel value
+  parseRmsText(rmsText) {
+    const result = { total: null, ra: null, dec: null };
+    if (!rmsText || typeof rmsText !== 'string') return result;
+
+    const read = (label) => {
+      const match = rmsText.match(new RegExp(`${label}\\s*:?\\s*([\\d.]+)(?:\\s*\\(([\\d.]+)"?\\))?`, 'i'));
+      if (!match) return null;
+      return toNumber(match[2] ?? match[1]);
+    };
+
+    result.ra = read('RA');
+    result.dec = read('Dec');
+    result.total = read('Tot(?:al)?');
+    return result;
+  }
+
+  listSessions(limit = 30, offset = 0) {
+    const rows = this.sessionSchema.listNightSessions(limit, offset);
+    return {
+      total: this.sessionSchema.countNightSessions(),
+      sessions: rows.map(row => ({
+        uuid: row.session_uuid,
+        nightDate: row.night_date,
+        startedAt: row.started_at,
+        endedAt: row.ended_at,
+        isActive: row.is_active === 1 && row.session_uuid === this.currentNight?.session_uuid,
+        frameCount: row.frame_count,
+        integrationSeconds: row.integration_seconds,
+        targetCount: row.target_count,
+        failureCount: row.failure_count
+      }))
+    };
+  }
+
+  // Plate solves of the night (local noon to noon) - pointing drift in arcmin, rotation error in degrees
+  getPointingLog(nightDate) {
+    const plateSolveSchema = this.configDatabase.plateSolveSchema;
+    if (!plateSolveSchema) return [];
+
+    const start = moment.tz(nightDate, this.getTimezone()).add(12, 'hours');
+    const end = start.clone().add(24, 'hours');
+    return plateSolveSchema.getSolves(start.toISOString(), end.toISOString())
+      .filter(solve => solve.success)
+      .map(solve => ({
+        time: solve.captured_at,
+        target: solve.target_name,
+        pointingError: solve.pointing_error,
+        raError: solve.ra_error,
+        decError: solve.dec_error,
+        rotationError: solve.rotation_error
+      }));
+  }
+
+  // Build the full report for one night: targets, filters, guiding, HFR trend, gaps and failures
+  getReport(sessionUuid) {
+    const night = this.sessionSchema.getNightSessionByUuid(sessionUuid);
+    if (!night) return null;
+
+    const frames = this.sessionSchema.getSessionFrames(sessionUuid);
+    const events = this.sessionSchema.getSessionEvents(sessionUuid).map(event => ({
+      time: event.event_time_utc,
+      type: event.event_type,
+      data: event.event_data ? JSON.parse(event.event_data) : null
+    }));
+    const lights = frames.filter(frame => frame.frame_type === 'LIGHT');
+    const rejected = lights.filter(frame => frame.grade_status === 'rejected');
+
+    return {
+      session: {
+        uuid: night.session_uuid,
+        nightDate: night.night_date,
+        startedAt: night.started_at,
+        endedAt: night.ended_at,
+        isActive: night.session_uuid === this.currentNight?.session_uuid
+      },
+      summary: {
+        totalFrames: frames.length,
+        lightFrames: lights.length,
+        rejectedFrames: rejected.length,
+        integrationSeconds: this.sumExposure(lights),
+        rejectedSeconds: this.sumExposure(rejected),
+        firstFrameAt: frames[0]?.captured_at || null,
+        lastFrameAt: frames[frames.length - 1]?.captured_at || null,
+        targetCount: new Set(lights.map(frame => frame.target_name || 'Unknown')).size
+      },
+      targets: this.groupTargets(lights),
+      filters: this.groupFilters(lights),
+      frameTypes: this.countBy(frames, frame => frame.frame_type || 'LIGHT'),
+      guiding: this.describeValues(lights.map(frame => frame.rms_total)),
+      hfr: this.describeHfr(lights),
+      hfrTrend: lights
+        .filter(frame => frame.hfr !== null)
+        .map(frame => ({
+          time: frame.captured_at,
+          hfr: frame.hfr,
+          stars: frame.stars,
+          background: frame.median,
+          filter: frame.filter,
+          target: frame.target_name,
+          grade: frame.grade_status,
+          reasons: frame.grade_reasons ? JSON.parse(frame.grade_reasons) : []
+        })),
+      rejectedFrames: rejected.map(frame => ({
+        time: frame.captured_at,
+        target: frame.target_name,
+        filter: frame.filter,
+        filePath: frame.file_path,
+        reasons: frame.grade_reasons ? JSON.parse(frame.grade_reasons) : []
+      })),
+      focusChanges: events.filter(event => FOCUS_EVENT_TYPES.includes(event.type)),
+      pointing: this.getPointingLog(night.night_date),
+      gaps: this.findGaps(lights, events),
+      failures: events.filter(event => /FAIL|DISCONNECTED/.test(event.type)),
+      events
+    };
+  }
+
+  sumExposure(frames) {
+    return frames.reduce((total, frame) => total + (frame.exposure_seconds || 0), 0);
+  }
+
+  countBy(items, keyOf) {
+    return items.reduce((counts, item) => {
+      const key = keyOf(item);
+      counts[key] = (counts[key] || 0) + 1;
+      return counts;
+    }, {});
+  }
+
+  groupFilters(frames) {
+    const groups = new Map();
+    for (const frame of frames) {
+      const key = frame.filter || 'None';
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(frame);
+    }
+
+    return Array.from(groups.entries()).map(([filter, filterFrames]) => ({
+      filter,
+      frames: filterFrames.length,
+      rejected: filterFrames.filter(frame => frame.grade_status === 'rejected').length,
+      integrationSeconds: this.sumExposure(filterFrames)
+    }));
+  }
+
+  groupTargets(frames) {
+    const groups = new Map();
+    for (const frame of frames) {
+      const key = frame.target_name || 'Unknown';
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(frame);
+    }
+
+    return Array.from(groups.entries()).map(([targetName, targetFrames]) => ({
+      targetName,
+      projectName: targetFrames[0].project_name,
+      frames: targetFrames.length,
+      integrationSeconds: this.sumExposure(targetFrames),
+      firstFrameAt: targetFrames[0].captured_at,
+      lastFrameAt: targetFrames[targetFrames.length - 1].captured_at,
+      filters: this.groupFilters(targetFrames)
+    }));
+  }
+
+  // Mean, median, 90th percentile, min and max of the non-null values
+  describeValues(values) {
+    const sorted = values.filter(value => value !== null && value !== undefined).sort((a, b) => a - b);
+    if (sorted.length === 0) return null;
+
+    const percentile = (p) => sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+
+    return {
+      samples: sorted.length,
+      mean: round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length),
+      median: round(percentile(0.5)),
+      p90: round(percentile(0.9)),
+      min: round(sorted[0]),
+      max: round(sorted[sorted.length - 1])
+    };
+  }
+
+  describeHfr(frames) {
+    const stats = this.describeValues(frames.map(frame => frame.hfr));
+    if (!stats) return null;
+
+    const withHfr = frames.filter(frame => frame.hfr !== null);
+    const first = withHfr[0].hfr;
+    const last = withHfr[withHfr.length - 1].hfr;
+    return { ...stats, first, last, change: round(last - first) };
+  }
+
+  // Idle periods between light frames, with the events that happened during each one
+  findGaps(frames, events) {
+    const gaps = [];
+
+    for (let i = 1; i < frames.length; i++) {
+      const previousEnd = moment(frames[i - 1].captured_at);
+      const nextStart = moment(frames[i].captured_at).subtract(frames[i].exposure_seconds || 0, 'seconds');
+      const minutes = nextStart.diff(previousEnd, 'minutes', true);
+
+      if (minutes >= MIN_GAP_MINUTES) {
+        gaps.push({
+          start: previousEnd.toISOString(),
+          end: nextStart.toISOString(),
+          durationMinutes: Math.round(minutes),
+          events: events.filter(event => moment(event.time).isBetween(previousEnd, nextStart, null, '[]'))
+        });
+      }
+    }
+
+    return gaps;
+  }
+}
+
+module.exports = SessionHistoryService;
@@ -0,0 +1,287 @@
+// Target Planner Service - tonight's altitude curves for the active Target Scheduler targets
+// Positions come from astronomyEngine, so planning works without internet access
+
+const moment = require('moment-timezone');
+const astronomyEngine = require('./astronomyEngine');
+const { round } = require('../server/utils/routeHelpers');
+const horizonProfile = require('./horizonProfile');
+
+const SAMPLE_MINUTES = 10;
+const DEFAULT_MINIMUM_ALTITUDE = 30;
+const SIDEREAL_RATE = 360.98564736629 / 24; // Degrees of hour angle per hour
+const HOUR_MS = 60 * 60 * 1000;
+
+class TargetPlannerService {
+  constructor(targetSchedulerService, configDatabase) {
+    this.targetSchedulerService = targetSchedulerService;
+    this.configDatabase = configDatabase;
+  }
+
+  getObservatory() {
+    const observatory = this.configDatabase.getConfig().observatory || {};
+    const location = observatory.location || {};
+
+    return {
+      latitude: location.latitude ?? 40.7128,
+      longitude: location.longitude ?? -74.006,
+      elevation: location.elevation || 0,
+      timezone: location.timezone || 'UTC',
+      minimumAltitude: observatory.minimumAltitude ?? DEFAULT_MINIMUM_ALTITUDE,
+      horizon: horizonProfile.normalizeHorizon(observatory.horizon)
+    };
+  }
+
+  // Lowest usable altitude towards an azimuth - the local horizon, but never below the minimum altitude
+  usableAltitude(horizon, azimuth, minimumAltitude) {
+    return Math.max(minimumAltitude, horizonProfile.horizonAltitude(horizon, azimuth));
+  }
+
+  // Altitude/azimuth sample, with the local horizon altitude in the same direction
+  samplePoint(time, horizontal, horizon) {
+    return {
+      time: time.toISOString(),
+      altitude: round(horizontal.altitude, 1),
+      azimuth: round(horizontal.azimuth, 1),
+      horizon: round(horizonProfile.horizonAltitude(horizon, horizontal.azimuth), 1)
+    };
+  }
+
+  toIso(date) {
+    return date ? date.toISOString() : null;
+  }
+
+  /**
+   * Sunset to sunrise of the night in progress (or the coming night during the day)
+   * The night belongs to the local date it starts on, so the date rolls over at local noon
+   */
+  getNightWindow(observatory, now) {
+    const { latitude, longitude, elevation, timezone } = observatory;
+    const nightDate = moment.tz(now.getTime() - 12 * HOUR_MS, timezone).format('YYYY-MM-DD');
+    const noon = moment.tz(`${nightDate} 12:00`, timezone).toDate();
+    const nextNoon = new Date(noon.getTime() + 24 * HOUR_MS);
+
+    const crossingsAt = (altitude) => {
+      const crossings = astronomyEngine.findCrossings(
+        time => astronomyEngine.sunPosition(latitude, longitude, time).altitude - altitude,
+        noon,
+        nextNoon
+      );
+      return {
+        dusk: crossings.find(crossing => !crossing.rising)?.time || null,
+        dawn: crossings.find(crossing => crossing.rising)?.time || null
+      };
+    };
+
+    const { SUN_ALTITUDES } = astronomyEngine;
+    const horizon = crossingsAt(SUN_ALTITUDES.horizon - astronomyEngine.horizonDip(elevation));
+    const civil = crossingsAt(SUN_ALTITUDES.civil);
+    const nautical = crossingsAt(SUN_ALTITUDES.nautical);
+    const astronomical = crossingsAt(SUN_ALTITUDES.astronomical);
+
+    // Summer nights at high latitude never get astronomically dark - plan on nautical darkness instead
+    let dark = null;
+    if (astronomical.dusk && astronomical.dawn) {
+      dark = { start: astronomical.dusk, end: astronomical.dawn, type: 'astronomical' };
+    } else if (nautical.dusk && nautical.dawn) {
+      dark = { start: nautical.dusk, end: nautical.dawn, type: 'nautical' };
+    }
+
+    return {
+      date: nightDate,
+      start: horizon.dusk || noon,
+      end: horizon.dawn || nextNoon,
+      dark,
+      phases: {
+        sunset: horizon.dusk,
+        civilDusk: civil.dusk,
+        nauticalDusk: nautical.dusk,
+        astronomicalDusk: astronomical.dusk,
+        astronomicalDawn: astronomical.dawn,
+        nauticalDawn: nautical.dawn,
+        civilDawn: civil.dawn,
+        sunrise: horizon.dawn
+      }
+    };
+  }
+
+  // Active projects and their targets; Target Scheduler stores J2000 RA in hours and Dec in degrees
+  getTargets() {
+    if (!this.targetSchedulerService?.isConnected()) return [];
+
+    return this.targetSchedulerService.getProjectProgress().flatMap(project =>
+      project.targets
+        .filter(target => Number.isFinite(target.ra) && Number.isFinite(target.dec))
+        .map(target => ({
+          projectId: project.id,
+          projectName: project.name,
+          projectPriority: project.priority,
+          targetId: target.id,
+          name: target.name,
+          ra: target.ra * 15,
+          dec: target.dec,
+          completion: target.totalCompletion
+        }))
+    );
+  }
+
+  /**
+   * Altitude/azimuth curves, transit, moon separation and usable hours for each target over tonight
+   * Rise, set and usable hours are measured against the local horizon profile rather than a flat horizon
+   * @param {Object} options - minimumAltitude (degrees, defaults to observatory.minimumAltitude), now (Date)
+   */
+  getTonight(options = {}) {
+    const observatory = this.getObservatory();
+    const minimumAltitude = options.minimumAltitude ?? observatory.minimumAltitude;
+    const now = options.now || new Date();
+    const { latitude, longitude, horizon } = observatory;
+
+    const night = this.getNightWindow(observatory, now);
+    const sampleMs = SAMPLE_MINUTES * 60 * 1000;
+    const times = [];
+    for (let time = night.start.getTime(); time < night.end.getTime(); time += sampleMs) {
+      times.push(new Date(time));
+    }
+    times.push(night.end);
+
+    const moonSamples = times.map(time => ({
+      time,
+      coordinates: astronomyEngine.moonCoordinates(time),
+      position: astronomyEngine.moonPosition(latitude, longitude, time)
+    }));
+
+    const middle = night.dark
+      ? new Date((night.dark.start.getTime() + night.dark.end.getTime()) / 2)
+      : new Date((night.start.getTime() + night.end.getTime()) / 2);
+    const illumination = astronomyEngine.moonIllumination(middle);
+    const moonCrossings = this.getHorizonCrossings(
+      time => astronomyEngine.moonPosition(latitude, longitude, time), night.start, night.end, horizon
+    );
+
+    const targets = this.getTargets()
+      .map(target => this.planTarget(target, { observatory, night, times, moonSamples, middle, minimumAltitude }))
+      .sort((a, b) => b.hoursAboveHorizon - a.hoursAboveHorizon || b.maxAltitude - a.maxAltitude);
+
+    return {
+      date: night.date,
+      generatedAt: now.toISOString(),
+      location: {
+        latitude,
+        longitude,
+        elevation: observatory.elevation,
+        timezone: observatory.timezone
+      },
+      minimumAltitude,
+      horizon,
+      sampleMinutes: SAMPLE_MINUTES,
+      window: { start: this.toIso(night.start), end: this.toIso(night.end) },
+      dark: night.dark
+        ? { start: this.toIso(night.dark.start), end: this.toIso(night.dark.end), type: night.dark.type }
+        : null,
+      phases: Object.fromEntries(Object.entries(night.phases).map(([key, value]) => [key, this.toIso(value)])),
+      moon: {
+        illumination: Math.round(illumination.fraction * 100),
+        isWaxing: illumination.isWaxing,
+        rise: this.toIso(moonCrossings.rise),
+        set: this.toIso(moonCrossings.set),
+        curve: moonSamples.map(sample => this.samplePoint(sample.time, sample.position, horizon))
+      },
+      targets,
+      schedulerConnected: this.targetSchedulerService?.isConnected() || false
+    };
+  }
+
+  planTarget(target, context) {
+    const { observatory, night, times, moonSamples, middle, minimumAltitude } = context;
+    const { latitude, longitude, horizon } = observatory;
+    const position = astronomyEngine.precessFromJ2000(target.ra, target.dec, middle);
+
+    const horizontalAt = (time) => astronomyEngine.horizontalCoordinates(
+      position.rightAscension, position.declination, latitude, longitude, time
+    );
+
+    const curve = times.map(time => this.samplePoint(time, horizontalAt(time), horizon));
+
+    // Meridian crossing closest to the middle of the night
+    const transit = new Date(middle.getTime() - horizontalAt(middle).hourAngle / SIDEREAL_RATE * HOUR_MS);
+    const transitAltitude = 90 - Math.abs(latitude - position.declination);
+
+    const window = night.dark || night;
+    const transitDuringDark = transit >= window.start && transit <= window.end;
+    // Between transits altitude only climbs or only falls, so the peak is the transit or a window edge
+    const maxAltitude = transitDuringDark
+      ? transitAltitude
+      : Math.max(horizontalAt(window.start).altitude, horizontalAt(window.end).altitude);
+    const visibility = this.getVisibility(horizontalAt, window.start, window.end, horizon, minimumAltitude);
+    const crossings = this.getHorizonCrossings(horizontalAt, night.start, night.end, horizon);
+
+    const darkSamples = times
+      .map((time, index) => ({ time, moon: moonSamples[index] }))
+      .filter(sample => sample.time >= window.start && sample.time <= window.end);
+
+    const moonSeparations = darkSamples.map(sample => astronomyEngine.angularSeparation(
+      position.rightAscension, position.declination,
+      sample.moon.coordinates.rightAscension, sample.moon.coordinates.declination
+    ));
+
+    return {
+      ...target,
+      ra: round(target.ra, 4),
+      dec: round(target.dec, 4),
+      transit: {
+        time: transit.toISOString(),
+        altitude: round(transitAltitude, 1),
+        duringDark: transitDuringDark
+      },
+      maxAltitude: round(maxAltitude, 1),
+      rise: this.toIso(crossings.rise),
+      set: this.toIso(crossings.set),
+      hoursAboveHorizon: round(visibility.hours, 2),
+      aboveFrom: this.toIso(visibility.from),
+      aboveUntil: this.toIso(visibility.until),
+      moonSeparation: moonSeparations.length > 0 ? round(Math.min(...moonSeparations), 1) : null,
+      curve
+    };
+  }
+
+  // First rise above and set below the local horizon between start and end (null when it doesn't happen)
+  getHorizonCrossings(horizontalAt, start, end, horizon) {
+    const crossings = astronomyEngine.findCrossings(time => {
+      const horizontal = horizontalAt(time);
+      return horizontal.altitude - horizonProfile.horizonAltitude(horizon, horizontal.azimuth);
+    }, start, end);
+
+    return {
+      rise: crossings.find(crossing => crossing.rising)?.time || null,
+      set: crossings.find(crossing => !crossing.rising)?.time || null
+    };
+  }
+
+  // Time between start and end spent above the usable horizon, and the first/last moments above it
+  getVisibility(horizontalAt, start, end, horizon, minimumAltitude) {
+    const clearance = (time) => {
+      const horizontal = horizontalAt(time);
+      return horizontal.altitude - this.usableAltitude(horizon, horizontal.azimuth, minimumAltitude);
+    };
+
+    const crossings = astronomyEngine.findCrossings(clearance, start, end);
+    const edges = [start, ...crossings.map(crossing => crossing.time), end];
+
+    let hours = 0;
+    let from = null;
+    let until = null;
+    for (let index = 0; index < edges.length - 1; index++) {
+      const segmentStart = edges[index];
+      const segmentEnd = edges[index + 1];
+      const midpoint = new Date((segmentStart.getTime() + segmentEnd.getTime()) / 2);
+      if (clearance(midpoint) < 0) continue;
+
+      hours += (segmentEnd - segmentStart) / HOUR_MS;
+      if (!from) from = segmentStart;
+      until = segmentEnd;
+    }
+
+    return { hours, from, until };
+  }
+}
+
+module.exports = TargetPlannerService;
@@ -1,14 +1,30 @@
 // Target Scheduler Service for NINA Target Scheduler Database Integration
-// Provides read-only access to schedulerdb.sqlite for dashboard monitoring
+// Provides read-only access to schedulerdb.sqlite for dashboard monitoring, plus a few guarded
+// project edits (pause/resume, priority, desired exposure counts)
 
 const Database = require('better-sqlite3');
+const fs = require('fs');
 const path = require('path');
+const { ApiError } = require('../server/utils/routeHelpers');
+
+const PROJECT_STATE = { ACTIVE: 1, INACTIVE: 2 };
+const PRIORITIES = [0, 1, 2]; // Low, Normal, High
+const MAX_DESIRED = 100000;
+const MAX_BACKUPS = 20;
+const WRITE_TIMEOUT_MS = 5000; // NINA may be updating acquired counts at the same moment
 
 class TargetSchedulerService {
-  constructor(dbPath) {
+  /**
+   * @param {string} dbPath - schedulerdb.sqlite
+   * @param {Object} options - auditLog (SchedulerAuditSchema) records every write, backupDirectory
+   *   overrides the default dashboard-backups folder next to the database
+   */
+  constructor(dbPath, options = {}) {
     this.dbPath = null;
     this.db = null;
     this.connected = false;
+    this.auditLog = options.auditLog || null;
+    this.backupDirectory = options.backupDirectory || null;
 
     if (dbPath) {
       this.initialize(dbPath);
@@ -56,12 +72,15 @@ class TargetSchedulerService {
   }
 
   // Get comprehensive project progress with targets and filters
-  getProjectProgress() {
+  // includeInactive also returns paused (inactive) projects so they can be resumed from the dashboard
+  getProjectProgress(options = {}) {
     if (!this.isConnected()) {
       console.warn('⚠️ Target Scheduler database not connected');
       return [];
     }
 
+    const states = options.includeInactive ? [PROJECT_STATE.ACTIVE, PROJECT_STATE.INACTIVE] : [PROJECT_STATE.ACTIVE];
+
     try {
       const query = `
         SELECT 
@@ -85,7 +104,7 @@ class TargetSchedulerService {
         LEFT JOIN target t ON p.Id = t.projectid AND t.active = 1
         LEFT JOIN exposureplan ep ON t.Id = ep.targetid AND ep.enabled = 1
         LEFT JOIN exposuretemplate et ON ep.exposureTemplateId = et.Id
-        WHERE p.state = 1 AND (ep.id IS NULL OR et.Id IS NOT NULL)
+        WHERE p.state IN (${states.join(', ')}) AND (ep.id IS NULL OR et.Id IS NOT NULL)
         GROUP BY p.Id
         ORDER BY p.priority DESC, completion_percentage DESC, p.name
       `;
@@ -189,6 +208,7 @@ class TargetSchedulerService {
     try {
       const filterQuery = `
         SELECT 
+          ep.Id as id,
           et.filtername,
           ep.exposure,
           ep.desired,
@@ -196,7 +216,9 @@ class TargetSchedulerService {
           ep.accepted,
           ep.enabled,
           et.defaultexposure,
+          et.moonavoidanceenabled,
           et.moonavoidanceseparation,
+          et.moonavoidancewidth,
           et.maximumhumidity
         FROM exposureplan ep
         JOIN exposuretemplate et ON ep.exposureTemplateId = et.Id
@@ -215,6 +237,7 @@ class TargetSchedulerService {
         const remainingIntegrationTime = remainingImages * exposureTime;
 
         return {
+          id: filter.id,
           filtername: filter.filtername,
           desired: filter.desired || 0,
           acquired: filter.acquired || 0,
@@ -228,7 +251,9 @@ class TargetSchedulerService {
           acceptedIntegrationTime: acceptedIntegrationTime,
           remainingImages: remainingImages,
           remainingIntegrationTime: remainingIntegrationTime,
-          moonAvoidance: filter.moonavoidanceseparation,
+          // Separation at full moon in degrees (0 when avoidance is off) and days either side of full it narrows over
+          moonAvoidance: filter.moonavoidanceenabled ? filter.moonavoidanceseparation || 0 : 0,
+          moonAvoidanceWidth: filter.moonavoidancewidth || 0,
           humidityLimit: filter.maximumhumidity
         };
       });
@@ -390,6 +415,29 @@ class TargetSchedulerService {
     }
   }
 
+  // Every image acquired in the last few days (project, target, filter, unix time) - for per-night rates
+  getAcquisitionTimes(days = 30) {
+    if (!this.isConnected()) {
+      return [];
+    }
+
+    try {
+      return this.db.prepare(`
+        SELECT 
+          ai.projectId as projectId,
+          ai.targetId as targetId,
+          ai.filtername,
+          ai.acquireddate
+        FROM acquiredimage ai
+        WHERE ai.acquireddate > strftime('%s', 'now', ?)
+        ORDER BY ai.acquireddate
+      `).all(`-${days} days`);
+    } catch (error) {
+      console.error('Error getting acquisition times:', error);
+      return [];
+    }
+  }
+
   // Get recent images for a specific project
   getProjectRecentImages(projectId, limit = 10) {
     if (!this.isConnected()) {
@@ -426,6 +474,194 @@ class TargetSchedulerService {
     }
   }
 
+  /**
+   * Pause/resume a project or change its priority
+   * @param {number} projectId
+   * @param {Object} changes - state (1 active, 2 inactive) and/or priority (0 low, 1 normal, 2 high)
+   * @param {string|null} username - recorded in the audit log
+   */
+  async updateProject(projectId, changes = {}, username = null) {
+    const fields = {};
+    if (changes.state !== undefined) {
+      if (!Object.values(PROJECT_STATE).includes(changes.state)) {
+        throw new ApiError('state must be 1 (active) or 2 (inactive)');
+      }
+      fields.state = changes.state;
+    }
+    if (changes.priority !== undefined) {
+      if (!PRIORITIES.includes(changes.priority)) {
+        throw new ApiError('priority must be 0 (low), 1 (normal) or 2 (high)');
+      }
+      fields.priority = changes.priority;
+    }
+    if (Object.keys(fields).length === 0) {
+      throw new ApiError('Nothing to change - send state and/or priority');
+    }
+
+    const readProject = (db) => {
+      const project = db.prepare('SELECT Id as id, name, state, priority FROM project WHERE Id = ?').get(projectId);
+      if (!project) throw new ApiError('Project not found', 404);
+      // Draft and closed projects are managed in NINA - only running projects can be paused or resumed
+      if (fields.state !== undefined && !Object.values(PROJECT_STATE).includes(project.state)) {
+        throw new ApiError('Only active or inactive projects can be paused or resumed', 409);
+      }
+      return project;
+    };
+
+    const diff = (project) => Object.entries(fields)
+      .filter(([field, value]) => project[field] !== value)
+      .map(([field, value]) => ({
+        project_id: project.id,
+        project_name: project.name,
+        field,
+        old_value: project[field],
+        new_value: value
+      }));
+
+    // field is one of the validated column names above
+    return this.runWrite(username, readProject, diff, (db, entries) => {
+      for (const entry of entries) {
+        db.prepare(`UPDATE project SET ${entry.field} = ? WHERE Id = ?`).run(entry.new_value, projectId);
+      }
+    });
+  }
+
+  /**
+   * Change how many exposures of one exposure plan (a target's filter) the scheduler should collect
+   * The plan must belong to one of the project's targets
+   */
+  async updateExposurePlan(projectId, planId, changes = {}, username = null) {
+    const { desired } = changes;
+    if (!Number.isInteger(desired) || desired < 0 || desired > MAX_DESIRED) {
+      throw new ApiError(`desired must be a whole number between 0 and ${MAX_DESIRED}`);
+    }
+
+    const readPlan = (db) => {
+      const plan = db.prepare(`
+        SELECT ep.Id as id, ep.desired, t.name as target_name, p.Id as project_id, p.name as project_name,
+          et.filtername
+        FROM exposureplan ep
+        JOIN target t ON ep.targetid = t.Id
+        JOIN project p ON t.projectid = p.Id
+        LEFT JOIN exposuretemplate et ON ep.exposureTemplateId = et.Id
+        WHERE ep.Id = ? AND p.Id = ?
+      `).get(planId, projectId);
+      if (!plan) throw new ApiError('Exposure plan not found in this project', 404);
+      return plan;
+    };
+
+    const diff = (plan) => (plan.desired === desired ? [] : [{
+      project_id: plan.project_id,
+      project_name: plan.project_name,
+      target_name: plan.target_name,
+      exposure_plan_id: plan.id,
+      filter_name: plan.filtername,
+      field: 'desired',
+      old_value: plan.desired,
+      new_value: desired
+    }]);
+
+    return this.runWrite(username, readPlan, diff, (db) => {
+      db.prepare('UPDATE exposureplan SET desired = ? WHERE Id = ?').run(desired, planId);
+    });
+  }
+
+  /**
+   * Guarded write: check against the read-only connection, back up the database, then apply the
+   * change in a single transaction on a short-lived read/write connection and log it to the audit table.
+   * read(db) loads (and validates) the current row, diff(row) turns it into audit entries and
+   * apply(db, entries) runs the UPDATEs. Nothing is backed up or written when diff finds no change.
+   */
+  async runWrite(username, read, diff, apply) {
+    if (!this.isConnected()) {
+      throw new ApiError('Target Scheduler database not available', 503);
+    }
+
+    if (diff(read(this.db)).length === 0) {
+      return { changed: false, changes: [], backupFile: null };
+    }
+
+    const backupFile = await this.backup();
+    const db = new Database(this.dbPath, { fileMustExist: true, timeout: WRITE_TIMEOUT_MS });
+    let entries;
+    try {
+      // Re-read inside the transaction - NINA could have changed the row since the check
+      entries = db.transaction(() => {
+        const changes = diff(read(db));
+        apply(db, changes);
+        return changes;
+      }).immediate();
+    } finally {
+      db.close();
+    }
+
+    const changedAt = new Date().toISOString();
+    const rows = entries.map(entry => ({
+      changed_at: changedAt,
+      username,
+      target_name: null,
+      exposure_plan_id: null,
+      filter_name: null,
+      backup_file: backupFile,
+      ...entry,
+      old_value: entry.old_value === null ? null : String(entry.old_value),
+      new_value: entry.new_value === null ? null : String(entry.new_value)
+    }));
+
+    if (this.auditLog && rows.length > 0) {
+      try {
+        this.auditLog.addEntries(rows);
+      } catch (error) {
+        // The change is already committed - losing the log entry must not report the write as failed
+        console.error('Failed to record Target Scheduler audit entry:', error);
+      }
+    }
+
+    for (const row of rows) {
+      console.log(`✏️ Target Scheduler ${row.field} of "${row.project_name}" changed ${row.old_value} → ${row.new_value} by ${username || 'unknown'}`);
+    }
+
+    return {
+      changed: rows.length > 0,
+      changes: rows.map(row => ({
+        projectId: row.project_id,
+        projectName: row.project_name,
+        targetName: row.target_name,
+        exposurePlanId: row.exposure_plan_id,
+        filterName: row.filter_name,
+        field: row.field,
+        oldValue: row.old_value,
+        newValue: row.new_value
+      })),
+      backupFile
+    };
+  }
+
+  // Copy of schedulerdb.sqlite taken before each write; the newest MAX_BACKUPS are kept
+  async backup() {
+    const directory = this.backupDirectory || path.join(path.dirname(this.dbPath), 'dashboard-backups');
+    fs.mkdirSync(directory, { recursive: true });
+
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const file = path.join(directory, `schedulerdb-${stamp}.sqlite.backup`);
+    await this.db.backup(file);
+
+    const backups = fs.readdirSync(directory)
+      .filter(name => name.startsWith('schedulerdb-') && name.endsWith('.sqlite.backup'))
+      .sort();
+    for (const name of backups.slice(0, Math.max(0, backups.length - MAX_BACKUPS))) {
+      fs.unlinkSync(path.join(directory, name));
+    }
+
+    return file;
+  }
+
+  // Change log of dashboard writes, newest first
+  getAuditLog(options = {}) {
+    if (!this.auditLog) return [];
+    return this.auditLog.getEntries(options);
+  }
+
   // Close database connection
   close() {
     if (this.db) {
@@ -436,8 +672,8 @@ class TargetSchedulerService {
 }
 
 // Factory function to create database instance
-function getTargetSchedulerDatabase(dbPath) {
-  return new TargetSchedulerService(dbPath);
+function getTargetSchedulerDatabase(dbPath, options = {}) {
+  return new TargetSchedulerService(dbPath, options);
 }
 
 module.exports = { TargetSchedulerService, getTargetSchedulerDatabase };
@@ -2,9 +2,17 @@
 // Maps NINA WebSocket events to unified state updates
 // Determines updateKind, updateReason, and which parts of state to modify
 
+const TimestampResolver = require('./TimestampResolver');
+
 class EventNormalizer {
-  constructor(stateManager) {
+  /**
+   * @param {UnifiedStateManager} stateManager
+   * @param {Object} [options]
+   * @param {Function|string} [options.timezone] - Observatory timezone (or getter) for bare plugin timestamps
+   */
+  constructor(stateManager, options = {}) {
     this.stateManager = stateManager;
+    this.timestampResolver = new TimestampResolver(options.timezone || null);
     console.log('✅ EventNormalizer initialized');
   }
 
@@ -28,12 +36,17 @@ class EventNormalizer {
 
     console.log(`🔍 Processing event: ${eventType}`);
 
+    // Track the UTC offset NINA reports so bare plugin timestamps can be resolved
+    this.timestampResolver.observe(event.Time);
+
     try {
       // Route to appropriate handler based on event type
       if (this._isGuidingEvent(eventType)) {
         this._handleGuidingEvent(event);
       } else if (this._isSessionEvent(eventType)) {
         this._handleSessionEvent(event);
+      } else if (this._isFocusEvent(eventType)) {
+        this._handleFocusEvent(event);
       } else if (this._isEquipmentEvent(eventType)) {
         this._handleEquipmentEvent(event);
       } else if (this._isImageEvent(eventType)) {
@@ -62,6 +75,14 @@ class EventNormalizer {
     return /target|sequence|project/i.test(type);
   }
 
+  /**
+   * Check if event changes focus (autofocus runs and manual focuser moves)
+   * Checked before equipment events, which would otherwise claim FOCUSER-* events
+   */
+  _isFocusEvent(type) {
+    return /autofocus|focuser.*(user.*focus|moved)/i.test(type);
+  }
+
   /**
    * Check if event is equipment-related
    */
@@ -157,14 +178,11 @@ class EventNormalizer {
     let updateReason = 'session-update';
     const sessionData = {};
     
-    // Fix timezone issue for TS-TARGETSTART events (UTC timestamps need -6 hours)
-    let eventTime = event.Time || new Date().toISOString();
-    if (/ts-targetstart/i.test(type) && eventTime && !eventTime.includes('-06:00')) {
-      // This is a UTC timestamp that needs timezone adjustment
-      const utcDate = new Date(eventTime);
-      utcDate.setHours(utcDate.getHours() - 6);
-      eventTime = utcDate.toISOString();
-      console.log(`🕐 Adjusted TS-TARGETSTART time from ${event.Time} to ${eventTime}`);
+    // Target Scheduler may send TS-TARGETSTART times without an offset, in UTC or local wall clock
+    const eventTime = this.timestampResolver.resolve(event.Time, { assume: 'either', pastOnly: true }) ||
+      new Date().toISOString();
+    if (event.Time && !this.timestampResolver.hasOffset(event.Time)) {
+      console.log(`🕐 Resolved bare ${type} time ${event.Time} to ${eventTime}`);
     }
 
     if (/target.*changed|targetstart/i.test(type)) {
@@ -179,9 +197,10 @@ class EventNormalizer {
         rotation: event.Rotation || eventData.Rotation || null
       };
       
-      // Check if target has ended based on TargetEndTime
-      const targetEndTime = event.TargetEndTime || eventData.TargetEndTime;
+      // Check if target has ended based on TargetEndTime (local wall clock without an offset)
+      const targetEndTime = this.timestampResolver.resolve(event.TargetEndTime || eventData.TargetEndTime);
       if (targetEndTime) {
+        sessionData.target.endTime = targetEndTime;
         const endTime = new Date(targetEndTime);
         const now = new Date();
         
@@ -195,7 +214,7 @@ class EventNormalizer {
           console.log(`✅ Target active until ${endTime.toISOString()}`);
         }
       }
-    } else if (/sequence.*started/i.test(type)) {
+    } else if (/sequence.*(started|starting)/i.test(type)) {
       updateReason = 'sequence-started';
       sessionData.isActive = true;
       sessionData.startedAt = new Date().toISOString();
@@ -209,6 +228,13 @@ class EventNormalizer {
     } else if (/sequence.*(completed|stopped|finished)/i.test(type)) {
       updateReason = 'sequence-completed';
       sessionData.isActive = false;
+    } else if (/sequence.*entity.*failed/i.test(type)) {
+      updateReason = 'sequence-item-failed';
+      sessionData.lastFailure = {
+        entity: eventData.Entity || null,
+        error: eventData.Error || null,
+        at: eventTime
+      };
     }
 
     this.stateManager.updateSession(sessionData);
@@ -222,6 +248,8 @@ class EventNormalizer {
       }
     } else if (sessionData.imaging?.sequenceName) {
       eventSummary = `Sequence: ${sessionData.imaging.sequenceName}`;
+    } else if (updateReason === 'sequence-item-failed') {
+      eventSummary = `Sequence item failed: ${sessionData.lastFailure.entity || 'unknown'}`;
     } else if (/completed|stopped|finished/i.test(updateReason)) {
       eventSummary = 'Sequence completed';
     } else if (/started/i.test(updateReason)) {
@@ -246,6 +274,45 @@ class EventNormalizer {
     });
   }
 
+  /**
+   * Handle focus events - finished autofocus runs and manual moves become focus-change markers
+   */
+  _handleFocusEvent(event) {
+    const type = event.Event || event.Type;
+    const eventData = event.Data || event;
+    let updateReason = 'focuser-moved';
+    let summary = 'Focuser moved';
+
+    if (/autofocus/i.test(type)) {
+      const finished = /finish|complete|end/i.test(type);
+      updateReason = finished ? 'autofocus-finished' : 'autofocus-started';
+      summary = finished ? 'Autofocus finished' : 'Autofocus started';
+    }
+
+    const focusPoint = eventData.CalculatedFocusPoint || {};
+    const focus = {
+      position: eventData.Position ?? focusPoint.Position ?? null,
+      hfr: focusPoint.Value ?? eventData.HFR ?? null,
+      filter: eventData.Filter ?? null
+    };
+    if (focus.position !== null) summary += ` at ${focus.position}`;
+
+    console.log(`🔭 ${summary}`);
+
+    this.stateManager.addRecentEvent({
+      time: event.Time || new Date().toISOString(),
+      type: 'FOCUS',
+      summary,
+      meta: focus
+    });
+
+    this.stateManager.notifyListeners('session', updateReason, {
+      path: 'equipment.focuser',
+      summary,
+      meta: { focus }
+    });
+  }
+
   /**
    * Handle equipment events
    */
@@ -259,14 +326,15 @@ class EventNormalizer {
     let status = 'unknown';
     let connected = true;
 
-    if (/connected/i.test(type)) {
-      connected = true;
-      status = 'idle';
-      updateReason = `${equipmentId}-connected`;
-    } else if (/disconnected/i.test(type)) {
+    // "disconnected" contains "connected", so it has to be checked first
+    if (/disconnected/i.test(type)) {
       connected = false;
       status = 'disconnected';
       updateReason = `${equipmentId}-disconnected`;
+    } else if (/connected/i.test(type)) {
+      connected = true;
+      status = 'idle';
+      updateReason = `${equipmentId}-connected`;
     } else if (/slewing/i.test(type)) {
       status = 'slewing';
       updateReason = 'mount-slewing';
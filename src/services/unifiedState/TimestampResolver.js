@@ -0,0 +1,127 @@
+// Timestamp Resolver
+// Converts NINA event timestamps to UTC ISO strings
+// NINA's own events carry the host's UTC offset (e.g. 2025-03-09T01:59:58.123-06:00), but some
+// plugin fields (Target Scheduler's TS-TARGETSTART Time and TargetEndTime) are bare wall-clock
+// times. Those are resolved with the observatory timezone, checked against the offsets NINA reports.
+
+const moment = require('moment-timezone');
+
+const OFFSET_PATTERN = /(?:Z|[+-]\d{2}:?\d{2})$/i;
+const WALL_CLOCK_FORMAT = 'YYYY-MM-DDTHH:mm:ss';
+const FUTURE_TOLERANCE_MS = 60 * 1000;
+
+class TimestampResolver {
+  /**
+   * @param {Function|string|null} timezone - IANA timezone, or a function returning one
+   *   (so observatory.location.timezone changes apply without a restart)
+   */
+  constructor(timezone = null) {
+    this.getConfiguredTimezone = typeof timezone === 'function' ? timezone : () => timezone;
+    this.detectedOffset = null; // UTC offset in minutes from the latest timestamp NINA sent with one
+    this.lastKnownTime = null; // Epoch ms of that timestamp
+  }
+
+  getTimezone() {
+    const timezone = this.getConfiguredTimezone();
+    return timezone && moment.tz.zone(timezone) ? timezone : moment.tz.guess();
+  }
+
+  hasOffset(timestamp) {
+    return typeof timestamp === 'string' && OFFSET_PATTERN.test(timestamp.trim());
+  }
+
+  /**
+   * Remember the offset and instant of a timestamp that carries an offset
+   * @param {string} timestamp - Raw NINA timestamp
+   */
+  observe(timestamp) {
+    if (!this.hasOffset(timestamp)) return;
+
+    const parsed = moment.parseZone(timestamp.trim());
+    if (!parsed.isValid()) return;
+
+    this.detectedOffset = parsed.utcOffset();
+    this.lastKnownTime = parsed.valueOf();
+  }
+
+  /**
+   * True when the configured timezone agrees with the offset NINA last reported
+   * If it doesn't (wrong timezone setting, or NINA running in another zone) NINA's offset wins
+   */
+  timezoneMatchesNina() {
+    if (this.detectedOffset === null) return true;
+    return moment.tz(this.lastKnownTime, this.getTimezone()).utcOffset() === this.detectedOffset;
+  }
+
+  /**
+   * Every instant a bare wall-clock time can mean in the observatory timezone
+   * Usually one; two for the repeated hour when DST ends; none inside the skipped hour when DST starts
+   */
+  getLocalCandidates(wallClock) {
+    const asUtc = moment.utc(wallClock);
+
+    if (!this.timezoneMatchesNina()) {
+      return [asUtc.clone().subtract(this.detectedOffset, 'minutes')];
+    }
+
+    const timezone = this.getTimezone();
+    const wall = asUtc.format(WALL_CLOCK_FORMAT);
+    const offsets = new Set([
+      moment.tz(asUtc.valueOf() - 12 * 3600 * 1000, timezone).utcOffset(),
+      moment.tz(asUtc.valueOf() + 12 * 3600 * 1000, timezone).utcOffset()
+    ]);
+
+    const candidates = Array.from(offsets)
+      .map(offset => asUtc.clone().subtract(offset, 'minutes'))
+      .filter(candidate => moment.tz(candidate, timezone).format(WALL_CLOCK_FORMAT) === wall);
+
+    // Inside the DST gap: fall back to moment's reading (shifted forward past the gap)
+    return candidates.length > 0 ? candidates : [moment.tz(wallClock, timezone)];
+  }
+
+  /**
+   * Resolve a NINA timestamp to a UTC ISO string
+   * @param {string} timestamp - Raw timestamp
+   * @param {Object} [options]
+   * @param {string} [options.assume='local'] - How to read bare timestamps: 'local' wall clock,
+   *   or 'either' when the source may send UTC or local wall clock without saying which
+   * @param {number} [options.reference] - Epoch ms the event is expected near; defaults to the
+   *   last timestamp NINA sent, or now
+   * @param {boolean} [options.pastOnly=false] - Prefer readings that aren't in the future (event times)
+   * @returns {string|null} UTC ISO string, or null when the timestamp can't be parsed
+   */
+  resolve(timestamp, { assume = 'local', reference = null, pastOnly = false } = {}) {
+    if (!timestamp || typeof timestamp !== 'string') return null;
+    const value = timestamp.trim();
+
+    if (this.hasOffset(value)) {
+      const parsed = moment.parseZone(value);
+      return parsed.isValid() ? parsed.toISOString() : null;
+    }
+
+    if (!moment.utc(value, moment.ISO_8601, true).isValid()) return null;
+
+    let candidates = this.getLocalCandidates(value);
+    if (assume === 'either') {
+      candidates.push(moment.utc(value));
+    }
+
+    // An event can't have happened in the future - drop readings that would put it there
+    const now = Date.now();
+    if (pastOnly) {
+      const notInFuture = candidates.filter(candidate => candidate.valueOf() <= now + FUTURE_TOLERANCE_MS);
+      if (notInFuture.length > 0) {
+        candidates = notInFuture;
+      }
+    }
+
+    const target = reference ?? this.lastKnownTime ?? now;
+    const best = candidates.reduce((closest, candidate) =>
+      Math.abs(candidate.valueOf() - target) < Math.abs(closest.valueOf() - target) ? candidate : closest
+    );
+
+    return best.toISOString();
+  }
+}
+
+module.exports = TimestampResolver;
@@ -8,7 +8,8 @@ class UnifiedStateManager {
     this.state = {
       currentSession: null,
       equipment: [],
-      recentEvents: []
+      recentEvents: [],
+      safety: null
     };
     
     // Event listeners for state changes
@@ -78,8 +79,11 @@ class UnifiedStateManager {
   /**
    * Upsert equipment entry
    * @param {Object} device
+   * @param {Object} [options]
+   * @param {boolean} [options.replaceDetails=false] - details is a full snapshot (Alpaca polls) rather than
+   *   a partial NINA event, so fields it no longer has are dropped instead of kept from the previous entry
    */
-  upsertEquipment(device) {
+  upsertEquipment(device, { replaceDetails = false } = {}) {
     const { id, type, name, connected, status, details } = device;
     
     const index = this.state.equipment.findIndex(eq => eq.id === id);
@@ -93,7 +97,7 @@ class UnifiedStateManager {
         connected,
         status,
         lastChange: now,
-        details: { ...this.state.equipment[index].details, ...details }
+        details: replaceDetails ? (details || {}) : { ...this.state.equipment[index].details, ...details }
       };
       console.log(`🔧 Equipment updated: ${id}`);
     } else {
@@ -111,6 +115,20 @@ class UnifiedStateManager {
     }
   }
 
+  /**
+   * Remove equipment entry
+   * @param {string} id
+   * @returns {boolean} Whether the entry existed
+   */
+  removeEquipment(id) {
+    const index = this.state.equipment.findIndex(eq => eq.id === id);
+    if (index === -1) return false;
+
+    this.state.equipment.splice(index, 1);
+    console.log(`➖ Equipment removed: ${id}`);
+    return true;
+  }
+
   /**
    * Add a recent event (maintains max 5 events)
    * @param {Object} event
@@ -133,6 +151,14 @@ class UnifiedStateManager {
     console.log(`📋 Event added: ${type} - ${summary}`);
   }
 
+  /**
+   * Replace the observatory safety status (from the SafetyService)
+   * @param {Object} safety
+   */
+  updateSafety(safety) {
+    this.state.safety = safety;
+  }
+
   /**
    * Subscribe to state changes
    * @param {Function} listener - Called with (updateKind, updateReason, changed, state)
@@ -222,7 +248,8 @@ class UnifiedStateManager {
     this.state = {
       currentSession: null,
       equipment: [],
-      recentEvents: []
+      recentEvents: [],
+      safety: null
     };
     console.log('🔄 State reset to initial values');
   }
@@ -7,12 +7,17 @@ const EventNormalizer = require('./EventNormalizer');
 const StateSeeder = require('./StateSeeder');
 
 class UnifiedStateSystem {
-  constructor(ninaService) {
+  /**
+   * @param {NINAService} ninaService
+   * @param {Object} [options]
+   * @param {Function|string} [options.timezone] - Observatory timezone (or getter), passed to the EventNormalizer
+   */
+  constructor(ninaService, options = {}) {
     this.ninaService = ninaService;
     
     // Initialize core components
     this.stateManager = new UnifiedStateManager();
-    this.eventNormalizer = new EventNormalizer(this.stateManager);
+    this.eventNormalizer = new EventNormalizer(this.stateManager, { timezone: options.timezone });
     this.stateSeeder = new StateSeeder(ninaService, this.stateManager, this.eventNormalizer);
     
     // NINA WebSocket client (will be initialized in start())
@@ -118,6 +123,66 @@ class UnifiedStateSystem {
     return this.stateManager.subscribe(listener);
   }
 
+  /**
+   * Publish a new observatory safety status to unified state listeners
+   * @param {Object} safety - Status from SafetyService.getStatus()
+   * @param {string} summary - What changed
+   */
+  updateSafety(safety, summary) {
+    this.stateManager.updateSafety(safety);
+    this.stateManager.notifyListeners('safety', 'safety-changed', {
+      path: 'safety',
+      summary,
+      meta: { level: safety.level, alerts: safety.alerts }
+    });
+  }
+
+  /**
+   * Publish the plate solve of the latest light frame
+   * @param {Object} solve - Result from PlateSolveService
+   * @param {string} summary - What changed
+   */
+  updatePlateSolve(solve, summary) {
+    this.stateManager.updateSession({ imaging: { lastSolve: solve } });
+    this.stateManager.notifyListeners('image', 'image-solved', {
+      path: 'currentSession.imaging.lastSolve',
+      summary,
+      meta: { solve }
+    });
+  }
+
+  /**
+   * Publish the status of equipment NINA doesn't report, such as ASCOM Alpaca devices
+   * @param {Object} device - { id, type, name, connected, status, details } for UnifiedStateManager.upsertEquipment;
+   *   details replaces the previous details, so a disconnected device doesn't keep stale readings
+   * @param {string} summary - What changed
+   */
+  updateEquipment(device, summary) {
+    this.stateManager.upsertEquipment(device, { replaceDetails: true });
+    this.stateManager.notifyListeners('equipment', 'equipment-updated', {
+      path: `equipment.${device.id}`,
+      summary,
+      meta: { equipmentId: device.id, status: device.status, connected: device.connected, source: device.details?.source }
+    });
+  }
+
+  /**
+   * Take equipment published with updateEquipment out of the state
+   * @param {string} id - Equipment id
+   * @param {string} summary - What changed
+   */
+  removeEquipment(id, summary) {
+    const device = this.stateManager.state.equipment.find(eq => eq.id === id);
+    if (!device) return;
+
+    this.stateManager.removeEquipment(id);
+    this.stateManager.notifyListeners('equipment', 'equipment-removed', {
+      path: `equipment.${id}`,
+      summary,
+      meta: { equipmentId: id, status: 'disconnected', connected: false, source: device.details?.source }
+    });
+  }
+
   /**
    * Get system status
    * @returns {Object}
@@ -0,0 +1,197 @@
+// Weather History Service - samples NINA's weather device (/equipment/weather/info) into SQLite
+// so the weather widget can chart dew point depression, sky quality and sky temperature, and flag
+// clouds moving in or the optics approaching the dew point from the trend over the last hour
+
+const HistorySampler = require('./historySampler');
+const { round, toNumber } = require('../server/utils/routeHelpers');
+const { parseBucketedRange } = require('../server/utils/timeRange');
+
+const SAMPLE_INTERVAL_MS = 60 * 1000;
+const RETENTION_DAYS = 90;
+const DEFAULT_HISTORY_HOURS = 24;
+
+// Trend detection over the newest samples
+const TREND_WINDOW_MS = 60 * 60 * 1000;
+const MIN_TREND_SAMPLES = 5;
+const MIN_TREND_SPAN_MS = 20 * 60 * 1000;
+const CLOUD_COVER_RISE_PER_HOUR = 10; // percentage points
+const SKY_TEMPERATURE_RISE_PER_HOUR = 2; // °C against ambient - clouds radiate warmer than clear sky
+const DEW_POINT_MARGIN = 2; // °C of dew point depression that always counts as close
+const DEW_POINT_WARNING_HOURS = 2; // hours until the falling depression reaches zero
+
+// Least-squares slope per hour of { time (ms), value } points, or null with too little data
+function slopePerHour(points) {
+  const usable = points.filter(point => point.value !== null);
+  if (usable.length < MIN_TREND_SAMPLES) return null;
+  if (usable[usable.length - 1].time - usable[0].time < MIN_TREND_SPAN_MS) return null;
+
+  const hours = usable.map(point => (point.time - usable[0].time) / 3600000);
+  const meanX = hours.reduce((sum, x) => sum + x, 0) / usable.length;
+  const meanY = usable.reduce((sum, point) => sum + point.value, 0) / usable.length;
+  let covariance = 0;
+  let variance = 0;
+  usable.forEach((point, i) => {
+    covariance += (hours[i] - meanX) * (point.value - meanY);
+    variance += (hours[i] - meanX) ** 2;
+  });
+  return variance > 0 ? covariance / variance : null;
+}
+
+class WeatherHistoryService {
+  constructor(ninaService, configDatabase) {
+    this.ninaService = ninaService;
+    this.weatherSchema = configDatabase.weatherSchema;
+    this.disconnected = false;
+    this.sampler = new HistorySampler({
+      name: 'Weather history',
+      icon: '🌦️',
+      intervalMs: SAMPLE_INTERVAL_MS,
+      retentionDays: RETENTION_DAYS,
+      sample: () => this.sample(),
+      clean: (days) => this.weatherSchema.cleanOldSamples(days)
+    });
+  }
+
+  start() {
+    this.sampler.start();
+  }
+
+  stop() {
+    this.sampler.stop();
+  }
+
+  // One sample while NINA has a weather device connected; getWeatherStatus() answers
+  // with Connected: false placeholders when it hasn't, and those are not recorded
+  async sample() {
+    try {
+      const weather = (await this.ninaService.getWeatherStatus())?.Response;
+      if (!weather?.Connected) {
+        if (!this.disconnected) {
+          console.log('🌦️ Weather history paused - no weather device connected in NINA');
+          this.disconnected = true;
+        }
+        return;
+      }
+
+      if (this.disconnected) {
+        console.log('🌦️ Weather history resumed');
+        this.disconnected = false;
+      }
+
+      this.weatherSchema.addSample({
+        sample_time: new Date().toISOString(),
+        temperature: toNumber(weather.Temperature),
+        humidity: toNumber(weather.Humidity),
+        dew_point: toNumber(weather.DewPoint),
+        pressure: toNumber(weather.Pressure),
+        cloud_cover: toNumber(weather.CloudCover),
+        rain_rate: toNumber(weather.RainRate),
+        sky_brightness: toNumber(weather.SkyBrightness),
+        sky_quality: toNumber(weather.SkyQuality),
+        sky_temperature: toNumber(weather.SkyTemperature),
+        star_fwhm: toNumber(weather.StarFWHM),
+        wind_speed: toNumber(weather.WindSpeed),
+        wind_gust: toNumber(weather.WindGust),
+        wind_direction: toNumber(weather.WindDirection)
+      });
+    } catch (error) {
+      console.error('❌ Weather sample failed:', error.message);
+    }
+  }
+
+  /**
+   * Downsampled conditions with dew point depression, plus the cloud and dew point trends at the end of the range
+   * @param {Object} query - from, to (ISO times, default the last 24 hours), maxPoints (10-5000, default 600)
+   */
+  getHistory(query = {}) {
+    const { from, to, bucketMs } = parseBucketedRange(query, {
+      defaultHours: DEFAULT_HISTORY_HOURS,
+      sampleIntervalMs: SAMPLE_INTERVAL_MS
+    });
+    const fromIso = from.toISOString();
+    const toIso = to.toISOString();
+
+    const points = this.weatherSchema.getBucketedSamples(fromIso, toIso, bucketMs).map(bucket => ({
+      time: bucket.first_time,
+      samples: bucket.samples,
+      temperature: round(bucket.temperature, 1),
+      humidity: round(bucket.humidity, 0),
+      dewPoint: round(bucket.dew_point, 1),
+      dewPointDepression: round(bucket.dew_point_depression, 1),
+      minDewPointDepression: round(bucket.min_dew_point_depression, 1),
+      pressure: round(bucket.pressure, 1),
+      cloudCover: round(bucket.cloud_cover, 0),
+      rainRate: round(bucket.rain_rate),
+      skyQuality: round(bucket.sky_quality),
+      skyTemperature: round(bucket.sky_temperature, 1),
+      starFwhm: round(bucket.star_fwhm),
+      windSpeed: round(bucket.wind_speed, 1),
+      windGust: round(bucket.wind_gust, 1)
+    }));
+
+    const recent = this.weatherSchema.getSamples(new Date(to.getTime() - TREND_WINDOW_MS).toISOString(), toIso);
+
+    return {
+      from: fromIso,
+      to: toIso,
+      bucketSeconds: bucketMs / 1000,
+      sampleIntervalSeconds: SAMPLE_INTERVAL_MS / 1000,
+      points,
+      trends: {
+        windowMinutes: TREND_WINDOW_MS / 60000,
+        cloudsIncreasing: this.getCloudTrend(recent),
+        approachingDewPoint: this.getDewPointTrend(recent)
+      }
+    };
+  }
+
+  // Cloud cover rising, or without a cloud sensor, the sky warming against ambient temperature
+  getCloudTrend(samples) {
+    const series = (select) => samples.map(sample => ({ time: Date.parse(sample.sample_time), value: select(sample) }));
+
+    const cloudRate = slopePerHour(series(sample => sample.cloud_cover));
+    if (cloudRate !== null) {
+      return {
+        active: cloudRate >= CLOUD_COVER_RISE_PER_HOUR,
+        basis: 'cloudCover',
+        ratePerHour: round(cloudRate, 1)
+      };
+    }
+
+    const skyRate = slopePerHour(series(sample =>
+      (sample.sky_temperature !== null && sample.temperature !== null ? sample.sky_temperature - sample.temperature : null)));
+    if (skyRate !== null) {
+      return {
+        active: skyRate >= SKY_TEMPERATURE_RISE_PER_HOUR,
+        basis: 'skyTemperature',
+        ratePerHour: round(skyRate, 1)
+      };
+    }
+
+    return { active: false, basis: null, ratePerHour: null };
+  }
+
+  // Dew point depression already small, or falling fast enough to reach zero within a couple of hours
+  getDewPointTrend(samples) {
+    const series = samples.map(sample => ({
+      time: Date.parse(sample.sample_time),
+      value: sample.temperature !== null && sample.dew_point !== null ? sample.temperature - sample.dew_point : null
+    }));
+    const latest = [...series].reverse().find(point => point.value !== null);
+    if (!latest) {
+      return { active: false, depression: null, ratePerHour: null, hoursToDewPoint: null };
+    }
+
+    const rate = slopePerHour(series);
+    const hoursToDewPoint = rate !== null && rate < 0 ? Math.max(latest.value, 0) / -rate : null;
+
+    return {
+      active: latest.value <= DEW_POINT_MARGIN || (hoursToDewPoint !== null && hoursToDewPoint <= DEW_POINT_WARNING_HOURS),
+      depression: round(latest.value, 1),
+      ratePerHour: round(rate, 1),
+      hoursToDewPoint: round(hoursToDewPoint, 1)
+    };
+  }
+}
+
+module.exports = { WeatherHistoryService };
@@ -0,0 +1,183 @@
+/**
+ * Minimal ASCOM Alpaca server stand-in for testing the AlpacaService without real hardware.
+ *
+ * Answers discovery broadcasts on UDP 32227, serves the management API and read-only
+ * properties of a roll-off roof (Dome), a SafetyMonitor, an all-sky ObservingConditions
+ * station, a Switch and a second Focuser - plus a Telescope the dashboard should ignore.
+ * Device values live in `simulator.devices` so a test can change them between polls.
+ *
+ * Run standalone: node tests/alpaca-simulator.js [httpPort]
+ */
+
+const http = require('http');
+const dgram = require('dgram');
+
+const DISCOVERY_PORT = 32227;
+const NOT_IMPLEMENTED = 0x400;
+const NOT_CONNECTED = 0x407;
+
+function createDevices() {
+  return {
+    'dome/0': {
+      info: { DeviceName: 'Roll-off Roof', DeviceType: 'Dome', DeviceNumber: 0, UniqueID: 'sim-roof-0001' },
+      connected: true,
+      shutterstatus: 1, // closed
+      slewing: false,
+      athome: true,
+      atpark: true
+      // azimuth not implemented, like most roll-off roof drivers
+    },
+    'safetymonitor/0': {
+      info: { DeviceName: 'Roof Safety', DeviceType: 'SafetyMonitor', DeviceNumber: 0, UniqueID: 'sim-safety-0001' },
+      connected: true,
+      issafe: true
+    },
+    'observingconditions/0': {
+      info: { DeviceName: 'All-Sky Weather', DeviceType: 'ObservingConditions', DeviceNumber: 0, UniqueID: 'sim-weather-0001' },
+      connected: true,
+      temperature: 8.4,
+      humidity: 71,
+      dewpoint: 3.4,
+      cloudcover: 12,
+      skyquality: 20.85,
+      skytemperature: -21.5,
+      rainrate: 0
+    },
+    'switch/0': {
+      info: { DeviceName: 'Roof Relays', DeviceType: 'Switch', DeviceNumber: 0, UniqueID: 'sim-switch-0001' },
+      connected: true,
+      switches: [
+        { name: 'Roof Motor', value: 0, min: 0, max: 1 },
+        { name: 'Flat Panel', value: 1, min: 0, max: 1 },
+        { name: 'Dew Heater', value: 40, min: 0, max: 100 }
+      ]
+    },
+    'focuser/0': {
+      info: { DeviceName: 'Guide Scope Focuser', DeviceType: 'Focuser', DeviceNumber: 0, UniqueID: 'sim-focuser-0001' },
+      connected: true,
+      position: 12500,
+      ismoving: false,
+      temperature: 7.9,
+      absolute: true,
+      maxstep: 50000
+    },
+    'telescope/0': {
+      info: { DeviceName: 'Mount', DeviceType: 'Telescope', DeviceNumber: 0, UniqueID: 'sim-mount-0001' },
+      connected: true
+    }
+  };
+}
+
+class AlpacaSimulator {
+  constructor(httpPort = 11111) {
+    this.httpPort = httpPort;
+    this.devices = createDevices();
+    this.requests = [];
+    this.serverTransactionId = 0;
+    this.httpServer = null;
+    this.udpSocket = null;
+  }
+
+  reply(res, query, value, errorNumber = 0, errorMessage = '') {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+      Value: value,
+      ClientTransactionID: Number(query.get('ClientTransactionID')) || 0,
+      ServerTransactionID: ++this.serverTransactionId,
+      ErrorNumber: errorNumber,
+      ErrorMessage: errorMessage
+    }));
+  }
+
+  handleRequest(req, res) {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const path = url.pathname.toLowerCase();
+    const query = url.searchParams;
+    this.requests.push(url.pathname);
+
+    if (req.method !== 'GET') {
+      res.writeHead(400);
+      return res.end('Read-only simulator');
+    }
+
+    if (path === '/management/apiversions') return this.reply(res, query, [1]);
+    if (path === '/management/v1/description') {
+      return this.reply(res, query, { ServerName: 'Alpaca Simulator', Manufacturer: 'Tests', ManufacturerVersion: '1.0', Location: 'Backyard' });
+    }
+    if (path === '/management/v1/configureddevices') {
+      return this.reply(res, query, Object.values(this.devices).map(device => device.info));
+    }
+
+    const match = path.match(/^\/api\/v1\/([a-z]+)\/(\d+)\/([a-z]+)$/);
+    const device = match && this.devices[`${match[1]}/${match[2]}`];
+    if (!device) {
+      res.writeHead(404);
+      return res.end('Unknown device');
+    }
+
+    const property = match[3];
+    if (property === 'connected') return this.reply(res, query, device.connected);
+    if (!device.connected) return this.reply(res, query, null, NOT_CONNECTED, 'Device is not connected');
+
+    if (device.switches) {
+      const sw = device.switches[Number(query.get('Id'))];
+      if (property === 'maxswitch') return this.reply(res, query, device.switches.length);
+      if (sw && property === 'getswitchname') return this.reply(res, query, sw.name);
+      if (sw && property === 'getswitchvalue') return this.reply(res, query, sw.value);
+      if (sw && property === 'minswitchvalue') return this.reply(res, query, sw.min);
+      if (sw && property === 'maxswitchvalue') return this.reply(res, query, sw.max);
+    }
+
+    if (property in device && property !== 'info') return this.reply(res, query, device[property]);
+    return this.reply(res, query, null, NOT_IMPLEMENTED, `${property} is not implemented`);
+  }
+
+  // Discovery responses carry only the HTTP port; the client takes the address from the UDP packet
+  handleDiscovery(message, remote) {
+    if (message.toString() !== 'alpacadiscovery1') return;
+    this.udpSocket.send(JSON.stringify({ AlpacaPort: this.httpPort }), remote.port, remote.address);
+  }
+
+  async start() {
+    this.httpServer = http.createServer((req, res) => this.handleRequest(req, res));
+    await new Promise((resolve, reject) => {
+      this.httpServer.once('error', reject);
+      this.httpServer.listen(this.httpPort, resolve);
+    });
+
+    this.udpSocket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+    this.udpSocket.on('message', (message, remote) => this.handleDiscovery(message, remote));
+    await new Promise((resolve, reject) => {
+      this.udpSocket.once('error', reject);
+      this.udpSocket.bind(DISCOVERY_PORT, resolve);
+    });
+
+    console.log(`🔭 Alpaca simulator on http://localhost:${this.httpPort}, discovery on UDP ${DISCOVERY_PORT}`);
+  }
+
+  async stopHttp() {
+    if (!this.httpServer) return;
+    this.httpServer.closeAllConnections?.();
+    await new Promise(resolve => this.httpServer.close(resolve));
+    this.httpServer = null;
+  }
+
+  async stop() {
+    await this.stopHttp();
+    if (this.udpSocket) {
+      this.udpSocket.close();
+      this.udpSocket = null;
+    }
+  }
+}
+
+module.exports = { AlpacaSimulator };
+
+if (require.main === module) {
+  const simulator = new AlpacaSimulator(Number(process.argv[2]) || 11111);
+  simulator.start().catch(error => {
+    console.error('❌ Could not start the Alpaca simulator:', error.message);
+    process.exit(1);
+  });
+  process.on('SIGINT', () => simulator.stop().then(() => process.exit(0)));
+}
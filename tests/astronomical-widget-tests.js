@@ -32,7 +32,9 @@ const testScenarios = {
     astronomicalTwilightEnd: "19:15:00"
   },
   
-  // Current data (August 30, Texas)
+  // Current data (August 30, Texas), recorded from sunrise-sunset.org for 2025-08-30
+  // Trusted: sunrise, sunset and the evening twilight ends. The morning twilight begins are not -
+  // they put dawn 2-7 minutes longer than the same day's dusk, which the sun's motion can't do
   currentAugust: {
     name: "Current August Data (Texas)",
     sunrise: "07:11:11",
@@ -322,10 +324,102 @@ function testEdgeCases() {
   }
 }
 
+// Local astronomy engine tests - the computed times must match the recorded API data and
+// pass the same 8-hour window checks as the hand-written scenarios
+async function testLocalEngine() {
+  console.log('\n🔭 LOCAL ASTRONOMY ENGINE TESTING');
+  console.log('='.repeat(50));
+
+  const AstronomicalService = require('../src/services/astronomicalService');
+  const service = new AstronomicalService();
+  const location = { latitude: 31.5475, longitude: -99.3817, timezone: 'America/Chicago' };
+
+  const toLocalTime = (iso) => new Date(iso).toLocaleTimeString('en-US', {
+    timeZone: location.timezone, hour12: false, hour: '2-digit', minute: '2-digit', second: '2-digit'
+  });
+
+  const computeScenario = async (name, date) => {
+    const results = await service.fetchAstronomicalData(location.latitude, location.longitude, date, false, { timezone: location.timezone });
+    return {
+      name,
+      sunrise: toLocalTime(results.sunrise),
+      sunset: toLocalTime(results.sunset),
+      civilTwilightBegin: toLocalTime(results.civil_twilight_begin),
+      civilTwilightEnd: toLocalTime(results.civil_twilight_end),
+      nauticalTwilightBegin: toLocalTime(results.nautical_twilight_begin),
+      nauticalTwilightEnd: toLocalTime(results.nautical_twilight_end),
+      astronomicalTwilightBegin: toLocalTime(results.astronomical_twilight_begin),
+      astronomicalTwilightEnd: toLocalTime(results.astronomical_twilight_end)
+    };
+  };
+
+  // Only the trusted currentAugust values are compared (see testScenarios); morning twilight is checked
+  // against the computed evening instead - dawn and dusk of one day differ by well under a minute at 31°N
+  const computed = await computeScenario('Computed August Data (Texas)', '2025-08-30');
+  const reference = new AstronomicalChartTester(testScenarios.currentAugust);
+  const trustedKeys = ['sunrise', 'sunset', 'civilTwilightEnd', 'nauticalTwilightEnd', 'astronomicalTwilightEnd'];
+  let failures = 0;
+
+  console.log('\n📐 Computed vs recorded (2025-08-30):');
+  trustedKeys.forEach(key => {
+    const difference = reference.timeToMinutes(computed[key]) - reference.timeToMinutes(testScenarios.currentAugust[key]);
+    const ok = Math.abs(difference) <= 3;
+    if (!ok) failures++;
+    console.log(`   ${ok ? '✅' : '❌'} ${key}: ${computed[key]} vs ${testScenarios.currentAugust[key]} (${difference >= 0 ? '+' : ''}${difference.toFixed(1)}min, allowed ±3)`);
+  });
+
+  console.log('\n📐 Computed dawn vs dusk twilight length (2025-08-30):');
+  [['civilTwilightBegin', 'civilTwilightEnd'], ['nauticalTwilightBegin', 'nauticalTwilightEnd'], ['astronomicalTwilightBegin', 'astronomicalTwilightEnd']]
+    .forEach(([dawnKey, duskKey]) => {
+      const dawn = reference.timeToMinutes(computed.sunrise) - reference.timeToMinutes(computed[dawnKey]);
+      const dusk = reference.timeToMinutes(computed[duskKey]) - reference.timeToMinutes(computed.sunset);
+      const ok = Math.abs(dawn - dusk) <= 1;
+      if (!ok) failures++;
+      console.log(`   ${ok ? '✅' : '❌'} ${dawnKey}: ${dawn.toFixed(1)}min before sunrise vs ${dusk.toFixed(1)}min after sunset (allowed ±1)`);
+    });
+
+  // Phase order must hold on every computed day, including ones with no astronomical night
+  const orderKeys = ['astronomicalTwilightBegin', 'nauticalTwilightBegin', 'civilTwilightBegin', 'sunrise', 'sunset', 'civilTwilightEnd', 'nauticalTwilightEnd', 'astronomicalTwilightEnd'];
+  const scenarios = [
+    computed,
+    await computeScenario('Computed Summer Solstice (Texas)', '2025-06-21'),
+    await computeScenario('Computed Winter Solstice (Texas)', '2025-12-21')
+  ];
+
+  for (const scenario of scenarios) {
+    const tester = new AstronomicalChartTester(scenario);
+    const minutes = orderKeys.map(key => tester.timeToMinutes(scenario[key]));
+    const ordered = minutes.every((value, index) => index === 0 || value >= minutes[index - 1]);
+    if (!ordered) failures++;
+    console.log(`\n${ordered ? '✅' : '❌'} ${scenario.name}: twilight phases in order`);
+
+    testTimes.forEach(testCase => {
+      const issues = tester.validateResult(tester.testTimeWindow(testCase.time));
+      if (issues.length > 0) {
+        failures++;
+        issues.forEach(issue => console.log(`   ❌ ${testCase.time}: ${issue}`));
+      }
+    });
+  }
+
+  // Precession used by the target planner - Meeus example 21.b (theta Persei, 2028 Nov 13.19)
+  const astronomyEngine = require('../src/services/astronomyEngine');
+  const precessed = astronomyEngine.precessFromJ2000(41.054063, 49.227750, new Date('2028-11-13T04:33:36Z'));
+  const precessionOk = Math.abs(precessed.rightAscension - 41.547214) < 0.001 && Math.abs(precessed.declination - 49.348483) < 0.001;
+  if (!precessionOk) failures++;
+  console.log(`\n${precessionOk ? '✅' : '❌'} Precession: ${precessed.rightAscension.toFixed(6)}, ${precessed.declination.toFixed(6)} vs 41.547214, 49.348483`);
+
+  console.log(failures === 0 ? '\n✅ Local engine matches the recorded data' : `\n❌ Local engine: ${failures} failures`);
+  return failures;
+}
+
 // Run all tests
 if (require.main === module) {
   runAllScenarios();
   testEdgeCases();
+  testLocalEngine().then(failures => {
+    if (failures > 0) process.exitCode = 1;
+  });
   
   console.log('\n🚀 Next steps:');
   console.log('1. Verify widget handles multi-day data from backend API');
@@ -333,4 +427,4 @@ if (require.main === module) {
   console.log('3. Validate hover tooltips show correct phase time ranges');
 }
 
-module.exports = { AstronomicalChartTester, testScenarios, testTimes };
+module.exports = { AstronomicalChartTester, testScenarios, testTimes, testLocalEngine };
@@ -0,0 +1,106 @@
+/**
+ * Run the AlpacaService against the local Alpaca simulator stand-in (tests/alpaca-simulator.js):
+ * UDP discovery, the management API, read-only device status in unified state equipment,
+ * change-only broadcasts, disconnects and switching the integration off.
+ *
+ * Run: node tests/test-alpaca.js
+ */
+
+const assert = require('assert');
+const { AlpacaSimulator } = require('./alpaca-simulator');
+const { AlpacaService } = require('../src/services/alpacaService');
+const UnifiedStateSystem = require('../src/services/unifiedState');
+
+const HTTP_PORT = 11123;
+
+// alpaca.* settings as the config database would return them
+const settings = { 'alpaca.enabled': true, 'alpaca.discovery': true, 'alpaca.servers': [], 'alpaca.pollInterval': 60000 };
+const configDatabase = {
+  getConfigValue: (key, defaultValue) => (key in settings ? settings[key] : defaultValue)
+};
+
+async function run() {
+  const simulator = new AlpacaSimulator(HTTP_PORT);
+  await simulator.start();
+
+  const unifiedStateSystem = new UnifiedStateSystem({ baseUrl: 'http://localhost', port: 1888 });
+  const messages = [];
+  unifiedStateSystem.subscribe(message => messages.push(message));
+
+  const service = new AlpacaService(configDatabase, unifiedStateSystem);
+  const alpacaEquipment = () => unifiedStateSystem.getState().equipment.filter(device => device.details?.source === 'alpaca');
+  const byType = (type) => alpacaEquipment().find(device => device.details.deviceType === type);
+
+  try {
+    console.log('📋 Test 1: UDP discovery on port 32227');
+    const servers = await service.discover();
+    console.log('Found:', servers);
+    assert.ok(servers.includes(`http://127.0.0.1:${HTTP_PORT}`), 'simulator answers discovery on loopback');
+
+    console.log('\n📋 Test 2: Supported devices merged into unified state equipment');
+    await service.poll();
+    const equipment = alpacaEquipment();
+    console.log(equipment.map(device => `${device.details.deviceType}: ${device.name} (${device.status})`));
+    assert.strictEqual(equipment.length, 5, 'Dome, SafetyMonitor, ObservingConditions, Switch and Focuser - no Telescope');
+    assert.ok(equipment.every(device => device.connected));
+    assert.strictEqual(new Set(equipment.map(device => device.id)).size, 5, 'one entry per UniqueID across loopback and LAN addresses');
+
+    const roof = byType('Dome');
+    assert.strictEqual(roof.details.shutter, 'closed');
+    assert.strictEqual(roof.details.azimuth, null, 'unimplemented properties read as null');
+    assert.strictEqual(roof.details.atPark, true);
+    assert.strictEqual(byType('SafetyMonitor').details.isSafe, true);
+    assert.strictEqual(byType('ObservingConditions').details.skyQuality, 20.85);
+    assert.strictEqual(byType('ObservingConditions').details.windSpeed, null);
+    assert.deepStrictEqual(byType('Switch').details.switches.map(sw => sw.on), [false, true, true]);
+    assert.strictEqual(byType('Focuser').type, 'focuser');
+    assert.strictEqual(byType('Focuser').details.position, 12500);
+    assert.ok(!simulator.requests.some(path => /telescope/i.test(path)), 'unsupported device types are never read');
+
+    console.log('\n📋 Test 3: Only changed devices are broadcast');
+    messages.length = 0;
+    await service.poll();
+    assert.strictEqual(messages.length, 0, 'nothing changed, nothing sent');
+
+    simulator.devices['dome/0'].shutterstatus = 2;
+    simulator.devices['dome/0'].slewing = true;
+    simulator.devices['safetymonitor/0'].issafe = false;
+    await service.poll();
+    console.log(messages.map(message => `${message.updateKind} - ${message.updateReason}: ${message.changed.summary}`));
+    assert.strictEqual(messages.length, 2);
+    assert.ok(messages.every(message => message.updateKind === 'equipment' && message.changed.meta.source === 'alpaca'));
+    assert.strictEqual(byType('Dome').status, 'slewing');
+    assert.strictEqual(byType('Dome').details.shutter, 'opening');
+    assert.strictEqual(byType('SafetyMonitor').details.isSafe, false);
+
+    console.log('\n📋 Test 4: A device the server reports as not connected');
+    simulator.devices['focuser/0'].connected = false;
+    await service.poll();
+    assert.strictEqual(byType('Focuser').connected, false);
+    assert.strictEqual(byType('Focuser').status, 'disconnected');
+
+    console.log('\n📋 Test 5: Server stops answering');
+    await simulator.stopHttp();
+    await service.poll();
+    console.log(alpacaEquipment().map(device => `${device.name}: ${device.details.error}`));
+    assert.ok(alpacaEquipment().every(device => !device.connected && device.details.error), 'every device shows disconnected with the error');
+    assert.strictEqual(byType('SafetyMonitor').details.isSafe, undefined, 'no stale safety reading once disconnected');
+    assert.strictEqual(byType('Dome').details.shutter, undefined, 'no stale shutter state once disconnected');
+
+    console.log('\n📋 Test 6: Turning alpaca.enabled off removes the devices');
+    settings['alpaca.enabled'] = false;
+    await service.poll();
+    assert.strictEqual(alpacaEquipment().length, 0);
+    assert.strictEqual(service.getStatus().devices.length, 0);
+
+    console.log('\n✅ All Alpaca tests passed');
+  } finally {
+    service.stop();
+    await simulator.stop();
+  }
+}
+
+run().catch(error => {
+  console.error('\n❌ Alpaca test failed:', error);
+  process.exit(1);
+});